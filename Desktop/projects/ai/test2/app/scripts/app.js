@@ -7,6 +7,10 @@
 import taskManager from './taskModel.js';
 import TaskView from './taskView.js';
 import storageManager from './storage.js';
+import TabSync from './tabSync.js';
+import SyncEngine from './sync.js';
+import CalendarFeed from './calendarFeed.js';
+import SmartListManager from './smartLists.js';
 
 /**
  * 应用程序主类
@@ -16,6 +20,10 @@ class EpicTodoApp {
     this.version = '1.0.0';
     this.taskManager = taskManager;
     this.storageManager = storageManager;
+    this.tabSync = new TabSync(taskManager);
+    this.syncEngine = new SyncEngine(taskManager);
+    this.calendarFeed = new CalendarFeed(taskManager, this.syncEngine);
+    this.smartLists = new SmartListManager(taskManager);
     this.view = null;
     this.settings = {};
     this.isInitialized = false;
@@ -34,6 +42,9 @@ class EpicTodoApp {
       // 加载设置
       await this.loadSettings();
       
+      // 等待任务数据加载完成
+      await this.taskManager.ready;
+      
       // 等待DOM加载完成
       if (document.readyState === 'loading') {
         await new Promise(resolve => {
@@ -44,9 +55,27 @@ class EpicTodoApp {
       // 初始化视图
       this.initView();
       
+      // 报告存储数据的版本迁移情况
+      if (this.storageManager.loadError) {
+        this.showError('任务数据加载失败', this.storageManager.loadError.message);
+      } else {
+        this.view.showMigrationReport(this.storageManager.lastMigration);
+      }
+      
       // 设置全局事件监听器
       this.setupGlobalEventListeners();
       
+      // 启动多标签页同步
+      this.tabSync.start();
+      
+      // 启动服务器同步
+      this.view.bindSyncEngine(this.syncEngine);
+      this.syncEngine.start();
+      
+      // 启动日历订阅（发布到同步服务器）
+      this.view.bindCalendarFeed(this.calendarFeed);
+      this.calendarFeed.start();
+      
       // 应用设置
       this.applySettings();
       
@@ -125,6 +154,14 @@ class EpicTodoApp {
       taskAnimation: true,
       soundEffects: false,
       lastFilter: 'all',
+      layout: 'list',
+      boardGroupBy: 'status',
+      calendarMode: 'month',
+      sortBy: 'createdAt',
+      sortOrder: 'desc',
+      trashRetentionDays: 30,
+      autoArchiveDays: 0,
+      smartLists: null,
       language: 'zh-CN',
       dateFormat: 'locale'
     };
@@ -140,6 +177,37 @@ class EpicTodoApp {
     if (this.settings.lastFilter) {
       this.taskManager.setFilter(this.settings.lastFilter);
     }
+    
+    // 恢复上次的排序方式
+    if (this.settings.sortBy) {
+      this.taskManager.setSorting(this.settings.sortBy, this.settings.sortOrder);
+    }
+    
+    // 应用回收站保留天数，并清理已过期的任务
+    try {
+      this.taskManager.setTrashRetention(this.settings.trashRetentionDays);
+    } catch (error) {
+      console.warn('回收站保留天数无效，使用默认值:', error);
+    }
+    
+    // 应用自动归档天数，并归档完成已久的任务
+    try {
+      this.taskManager.setAutoArchiveDays(this.settings.autoArchiveDays);
+    } catch (error) {
+      console.warn('自动归档天数无效，已关闭自动归档:', error);
+    }
+    
+    // 恢复智能列表（首次使用时为内置列表）
+    this.smartLists.load(this.settings.smartLists);
+    this.view.bindSmartLists(this.smartLists);
+    
+    // 恢复上次的视图布局
+    if (this.settings.layout && this.settings.layout !== 'list') {
+      this.view.setLayout(this.settings.layout, {
+        groupBy: this.settings.boardGroupBy,
+        calendarMode: this.settings.calendarMode
+      });
+    }
   }
 
   /**
@@ -147,9 +215,10 @@ class EpicTodoApp {
    */
   setupGlobalEventListeners() {
     // 监听任务管理器事件
+    // 连续的变更合并为一次延迟写入
     this.taskManager.addEventListener('tasksChanged', () => {
       if (this.settings.autoSave) {
-        this.taskManager.saveTasks();
+        this.taskManager.scheduleSave();
       }
     });
     
@@ -159,17 +228,60 @@ class EpicTodoApp {
       this.saveSettings();
     });
     
+    this.taskManager.addEventListener('sortingChanged', (e) => {
+      // 保存排序方式
+      this.settings.sortBy = e.detail.sortBy;
+      this.settings.sortOrder = e.detail.sortOrder;
+      this.saveSettings();
+    });
+    
+    this.taskManager.addEventListener('trashRetentionChanged', (e) => {
+      // 保存回收站保留天数
+      this.settings.trashRetentionDays = e.detail.days;
+      this.saveSettings();
+    });
+    
+    this.taskManager.addEventListener('autoArchiveChanged', (e) => {
+      // 保存自动归档天数
+      this.settings.autoArchiveDays = e.detail.days;
+      this.saveSettings();
+    });
+    
+    this.smartLists.addEventListener('listsChanged', (e) => {
+      // 保存智能列表
+      this.settings.smartLists = e.detail.lists;
+      this.saveSettings();
+    });
+    
+    document.addEventListener('layoutChanged', (e) => {
+      // 保存视图布局
+      this.settings.layout = e.detail.layout;
+      this.settings.boardGroupBy = e.detail.groupBy;
+      this.settings.calendarMode = e.detail.calendarMode;
+      this.saveSettings();
+    });
+    
     // 监听窗口事件
     window.addEventListener('beforeunload', (e) => {
       this.handleBeforeUnload(e);
     });
     
+    // 移动端浏览器关闭页面时可能不触发 beforeunload
+    window.addEventListener('pagehide', () => {
+      this.taskManager.writeJournal();
+    });
+    
     window.addEventListener('online', () => {
       this.view.toast.show('网络连接已恢复', 'success', 2000);
+      // 重新发送离线期间积累的操作
+      this.syncEngine.sync();
     });
     
     window.addEventListener('offline', () => {
       this.view.toast.show('网络连接已断开，应用将继续在离线模式下工作', 'warning', 3000);
+      if (this.syncEngine.endpoint) {
+        this.syncEngine.setStatus('offline');
+      }
     });
     
     // 监听页面可见性变化
@@ -229,11 +341,20 @@ class EpicTodoApp {
    * 处理页面卸载前事件
    */
   handleBeforeUnload(e) {
+    this.taskManager.history.flush();
+    // 异步保存可能在页面关闭前来不及完成，先同步记下未保存的变更
+    this.taskManager.writeJournal();
+    
     // 如果有未保存的更改，提醒用户
     if (this.settings.autoSave) {
       this.taskManager.saveTasks();
       this.saveSettings();
     } else {
+      // 等待中的延迟保存必须立即写入
+      if (this.taskManager.hasPendingSave()) {
+        this.taskManager.saveTasks();
+      }
+
       const hasUnsavedChanges = this.checkUnsavedChanges();
       if (hasUnsavedChanges) {
         e.preventDefault();
@@ -256,7 +377,9 @@ class EpicTodoApp {
    */
   handlePageVisible() {
     console.log('页面变为可见');
-    // 可以在这里刷新数据或检查更新
+    // 长时间挂起的页面重新可见时，清理回收站中已过期的任务并自动归档
+    this.taskManager.purgeExpiredTrash();
+    this.taskManager.autoArchive();
   }
 
   /**
@@ -264,11 +387,13 @@ class EpicTodoApp {
    */
   handlePageHidden() {
     console.log('页面变为隐藏');
-    // 保存当前状态
-    if (this.settings.autoSave) {
+    // 保存当前状态；页面可能随后被关闭，先同步记下未保存的变更
+    this.taskManager.writeJournal();
+    if (this.settings.autoSave || this.taskManager.hasPendingSave()) {
       this.taskManager.saveTasks();
       this.saveSettings();
     }
+    this.taskManager.history.flush();
   }
 
   /**
@@ -458,18 +583,18 @@ class EpicTodoApp {
    */
   async resetApp() {
     const confirmed = await this.view.modal.confirm(
-      '这将删除所有任务和设置数据，确定要继续吗？\n\n此操作无法撤销！',
+      '这将删除所有任务和设置数据，确定要继续吗？\n\n任务可通过 Ctrl+Z 撤销恢复，设置将无法恢复。',
       '重置应用数据'
     );
     
     if (confirmed) {
       try {
-        this.storageManager.clearAllData();
+        await this.storageManager.clearAllData();
         this.taskManager.reset();
         this.settings = this.getDefaultSettings();
         this.applySettings();
         
-        this.view.toast.show('应用数据已重置', 'success', 3000);
+        this.view.toast.show('应用数据已重置', 'success', 5000, this.view.getUndoAction());
         
         setTimeout(() => {
           this.showWelcomeMessage();
@@ -0,0 +1,322 @@
+/**
+ * Epic Todo List - 看板视图模块
+ * 作者: 乔帅
+ * 功能: 按状态/优先级/分类分列显示任务，拖拽或键盘移动卡片
+ */
+
+/**
+ * 看板分组方式
+ *
+ * columns(taskManager) 返回列定义 { key, title, updates }，
+ * updates 是卡片移动到该列时传给 TaskManager.updateTask 的字段
+ */
+const BOARD_GROUPINGS = {
+  status: {
+    label: '状态',
+    columns: () => [
+      { key: 'active', title: '进行中', updates: { completed: false } },
+      { key: 'completed', title: '已完成', updates: { completed: true } }
+    ],
+    keyOf: task => (task.completed ? 'completed' : 'active')
+  },
+  priority: {
+    label: '优先级',
+    columns: () => [
+      { key: 'high', title: '高优先级', updates: { priority: 'high' } },
+      { key: 'normal', title: '普通', updates: { priority: 'normal' } },
+      { key: 'low', title: '低优先级', updates: { priority: 'low' } }
+    ],
+    keyOf: task => task.priority
+  },
+  category: {
+    label: '分类',
+    columns: (taskManager) => [
+      { key: 'default', title: '未分类', updates: { category: 'default' } },
+      ...taskManager.getCategories().map(category => ({
+        key: category,
+        title: category,
+        updates: { category }
+      }))
+    ],
+    keyOf: task => task.category || 'default'
+  }
+};
+
+/**
+ * 看板视图
+ *
+ * 键盘操作：
+ * - ↑/↓ 在同一列的卡片间移动焦点，←/→ 切换到相邻列
+ * - Shift + ←/→ 把卡片移动到相邻列
+ * - Enter 编辑卡片，空格 切换完成状态
+ */
+class BoardView {
+  /**
+   * @param {TaskManager} taskManager - 任务管理器
+   * @param {HTMLElement} container - 看板容器
+   * @param {Object} handlers - { onEdit(task), onMoved(task, column), onError(error) }
+   */
+  constructor(taskManager, container, handlers = {}) {
+    this.taskManager = taskManager;
+    this.container = container;
+    this.handlers = handlers;
+    this.groupBy = 'status';
+    this.draggedTaskId = null;
+    this.focusedTaskId = null;
+
+    this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+  }
+
+  /**
+   * 设置分组方式
+   */
+  setGroupBy(groupBy) {
+    if (!BOARD_GROUPINGS[groupBy]) {
+      throw new Error('无效的看板分组方式');
+    }
+    this.groupBy = groupBy;
+  }
+
+  /**
+   * 获取当前分组的列
+   */
+  getColumns() {
+    return BOARD_GROUPINGS[this.groupBy].columns(this.taskManager);
+  }
+
+  /**
+   * 渲染看板
+   * @param {Array<Task>} tasks - 要显示的任务（已过滤、排序）
+   */
+  render(tasks) {
+    const grouping = BOARD_GROUPINGS[this.groupBy];
+    const columns = this.getColumns();
+    const restoreFocus = this.container.contains(document.activeElement) ? this.focusedTaskId : null;
+
+    this.container.innerHTML = '';
+    this.container.setAttribute('aria-label', `按${grouping.label}分组的看板`);
+
+    columns.forEach(column => {
+      const columnTasks = tasks.filter(task => grouping.keyOf(task) === column.key);
+      this.container.appendChild(this.createColumn(column, columnTasks));
+    });
+
+    if (restoreFocus) {
+      this.focusCard(restoreFocus);
+    } else {
+      this.updateTabStops();
+    }
+  }
+
+  /**
+   * 创建列
+   */
+  createColumn(column, tasks) {
+    const section = document.createElement('section');
+    section.className = 'board-column';
+    section.dataset.columnKey = column.key;
+    section.setAttribute('aria-label', `${column.title}，${tasks.length} 个任务`);
+
+    section.innerHTML = `
+      <header class="board-column-header">
+        <h3 class="board-column-title">${this.escapeHtml(column.title)}</h3>
+        <span class="board-column-count">${tasks.length}</span>
+      </header>
+      <ul class="board-cards" role="list"></ul>
+      ${tasks.length === 0 ? '<p class="board-column-empty">拖动任务到这里</p>' : ''}
+    `;
+
+    const list = section.querySelector('.board-cards');
+    tasks.forEach(task => list.appendChild(this.createCard(task)));
+
+    // 放置目标
+    section.addEventListener('dragover', (e) => {
+      if (!this.draggedTaskId) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      section.classList.add('drag-over');
+    });
+
+    section.addEventListener('dragleave', (e) => {
+      if (!section.contains(e.relatedTarget)) {
+        section.classList.remove('drag-over');
+      }
+    });
+
+    section.addEventListener('drop', (e) => {
+      e.preventDefault();
+      section.classList.remove('drag-over');
+      const taskId = this.draggedTaskId || e.dataTransfer.getData('text/plain');
+      this.draggedTaskId = null;
+      if (taskId) {
+        this.moveTask(taskId, column.key);
+      }
+    });
+
+    return section;
+  }
+
+  /**
+   * 创建卡片
+   */
+  createCard(task) {
+    const li = document.createElement('li');
+    const isBlocked = this.taskManager.isBlocked(task.id);
+    const parent = task.parentId ? this.taskManager.tasks.find(t => t.id === task.parentId) : null;
+
+    li.className = `board-card priority-${task.priority} ${task.completed ? 'completed' : ''} ${isBlocked ? 'blocked' : ''}`;
+    li.dataset.taskId = task.id;
+    li.draggable = true;
+    li.tabIndex = -1;
+    li.setAttribute('role', 'listitem');
+    li.setAttribute('aria-roledescription', '可拖动的卡片');
+
+    li.innerHTML = `
+      ${parent ? `<span class="board-card-parent">↳ ${this.escapeHtml(parent.text)}</span>` : ''}
+      <span class="board-card-text">${this.escapeHtml(task.text)}</span>
+      <div class="board-card-meta">
+        ${task.dueDate ? `<span class="task-due ${task.isOverdue() ? 'overdue' : ''}">📅 ${new Date(task.dueDate).toLocaleDateString('zh-CN')}</span>` : ''}
+        ${task.tags.length > 0 ? `<span class="tags">${task.tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ')}</span>` : ''}
+        ${isBlocked ? '<span class="task-blocked">⛔ 被阻塞</span>' : ''}
+      </div>
+    `;
+
+    li.addEventListener('dragstart', (e) => {
+      this.draggedTaskId = task.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', task.id);
+      li.classList.add('dragging');
+    });
+
+    li.addEventListener('dragend', () => {
+      this.draggedTaskId = null;
+      li.classList.remove('dragging');
+      this.container.querySelectorAll('.drag-over').forEach(column => column.classList.remove('drag-over'));
+    });
+
+    li.addEventListener('focus', () => {
+      this.focusedTaskId = task.id;
+      this.updateTabStops();
+    });
+
+    li.addEventListener('dblclick', () => {
+      if (this.handlers.onEdit) this.handlers.onEdit(task);
+    });
+
+    return li;
+  }
+
+  /**
+   * 保证看板只有一个可Tab聚焦的卡片（roving tabindex）
+   */
+  updateTabStops() {
+    const cards = [...this.container.querySelectorAll('.board-card')];
+    const active = cards.find(card => card.dataset.taskId === this.focusedTaskId) || cards[0];
+    cards.forEach(card => {
+      card.tabIndex = card === active ? 0 : -1;
+    });
+  }
+
+  /**
+   * 聚焦卡片
+   */
+  focusCard(taskId) {
+    const card = this.container.querySelector(`.board-card[data-task-id="${CSS.escape(taskId)}"]`);
+    if (card) {
+      this.focusedTaskId = taskId;
+      card.focus();
+    }
+    this.updateTabStops();
+  }
+
+  /**
+   * 把任务移动到指定列
+   * @returns {boolean} 是否移动成功
+   */
+  moveTask(taskId, columnKey) {
+    const grouping = BOARD_GROUPINGS[this.groupBy];
+    const column = this.getColumns().find(col => col.key === columnKey);
+    const task = this.taskManager.tasks.find(t => t.id === taskId);
+    if (!column || !task || grouping.keyOf(task) === columnKey) return false;
+
+    try {
+      this.focusedTaskId = taskId;
+      this.taskManager.updateTask(taskId, column.updates);
+      if (this.handlers.onMoved) this.handlers.onMoved(task, column);
+      return true;
+    } catch (error) {
+      if (this.handlers.onError) this.handlers.onError(error);
+      return false;
+    }
+  }
+
+  /**
+   * 键盘操作
+   */
+  handleKeydown(e) {
+    const card = e.target.closest('.board-card');
+    if (!card || e.target !== card) return;
+
+    const taskId = card.dataset.taskId;
+    const columns = [...this.container.querySelectorAll('.board-column')];
+    const columnIndex = columns.indexOf(card.closest('.board-column'));
+    const cards = [...columns[columnIndex].querySelectorAll('.board-card')];
+    const cardIndex = cards.indexOf(card);
+
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        e.preventDefault();
+        const next = cards[cardIndex + (e.key === 'ArrowUp' ? -1 : 1)];
+        if (next) this.focusCard(next.dataset.taskId);
+        break;
+      }
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        e.preventDefault();
+        const target = columns[columnIndex + (e.key === 'ArrowLeft' ? -1 : 1)];
+        if (!target) break;
+
+        if (e.shiftKey) {
+          this.moveTask(taskId, target.dataset.columnKey);
+          this.focusCard(taskId);
+        } else {
+          const targetCards = target.querySelectorAll('.board-card');
+          const next = targetCards[Math.min(cardIndex, targetCards.length - 1)];
+          if (next) this.focusCard(next.dataset.taskId);
+        }
+        break;
+      }
+      case 'Enter': {
+        e.preventDefault();
+        const task = this.taskManager.tasks.find(t => t.id === taskId);
+        if (task && this.handlers.onEdit) this.handlers.onEdit(task);
+        break;
+      }
+      case ' ': {
+        e.preventDefault();
+        try {
+          this.taskManager.toggleTask(taskId);
+          this.focusCard(taskId);
+        } catch (error) {
+          if (this.handlers.onError) this.handlers.onError(error);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * HTML转义
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+export { BoardView, BOARD_GROUPINGS };
+export default BoardView;
@@ -0,0 +1,111 @@
+/**
+ * Epic Todo List - 日历订阅模块
+ * 作者: 乔帅
+ * 功能: 任务变化时重新生成 ICS 日历，并发布到同步服务器供日历客户端订阅
+ */
+
+import ICalendar from './icalendar.js';
+
+/**
+ * 日历订阅
+ *
+ * 订阅地址为 {同步服务器}/calendar.ics（见 server/syncServer.js），地址固定不变，
+ * 日历客户端按自己的刷新周期拉取。未配置同步服务器时只在本地生成，可以通过导出下载。
+ * 内容只在任务变化时改变，相同内容不会重复上传。
+ */
+class CalendarFeed extends EventTarget {
+  /**
+   * @param {TaskManager} taskManager - 任务管理器
+   * @param {SyncEngine} syncEngine - 提供服务器地址
+   */
+  constructor(taskManager, syncEngine) {
+    super();
+    this.taskManager = taskManager;
+    this.syncEngine = syncEngine;
+    this.ics = '';
+    this.published = { endpoint: null, ics: null };
+    this.isPublishing = false;
+
+    this.handleTasksChanged = () => this.regenerate();
+    this.handleStatusChanged = () => this.publish();
+  }
+
+  /**
+   * 开始跟随任务变化更新日历
+   */
+  start() {
+    this.taskManager.addEventListener('tasksChanged', this.handleTasksChanged);
+    // 服务器地址变化或恢复连接后补发
+    this.syncEngine.addEventListener('statusChanged', this.handleStatusChanged);
+    this.regenerate();
+  }
+
+  stop() {
+    this.taskManager.removeEventListener('tasksChanged', this.handleTasksChanged);
+    this.syncEngine.removeEventListener('statusChanged', this.handleStatusChanged);
+  }
+
+  /**
+   * 订阅地址，未配置同步服务器时为空字符串
+   */
+  get url() {
+    return this.syncEngine.endpoint ? `${this.syncEngine.endpoint}/calendar.ics` : '';
+  }
+
+  /**
+   * 日历中的任务：工作区中的任务，按创建时间排列，保证输出稳定
+   */
+  getTasks() {
+    return this.taskManager.tasks
+      .filter(task => !task.isHidden())
+      .map(task => task.toJSON())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * 重新生成日历
+   */
+  regenerate() {
+    const ics = ICalendar.stringify(this.getTasks(), { name: 'Epic Todo List' });
+    if (ics === this.ics) return;
+
+    this.ics = ics;
+    this.dispatchEvent(new CustomEvent('feedChanged', { detail: { url: this.url } }));
+    this.publish();
+  }
+
+  /**
+   * 上传到同步服务器
+   */
+  async publish() {
+    const endpoint = this.syncEngine.endpoint;
+    if (!endpoint || !this.ics || this.isPublishing) return;
+    if (this.published.endpoint === endpoint && this.published.ics === this.ics) return;
+
+    const ics = this.ics;
+    this.isPublishing = true;
+    try {
+      const response = await fetch(`${endpoint}/calendar.ics`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+        body: ics
+      });
+      if (!response.ok) {
+        throw new Error(`服务器返回 ${response.status}`);
+      }
+      this.published = { endpoint, ics };
+    } catch (error) {
+      console.error('发布日历订阅失败:', error);
+    } finally {
+      this.isPublishing = false;
+    }
+
+    // 上传期间日历又有变化
+    if (this.ics !== ics && this.syncEngine.endpoint === endpoint) {
+      this.publish();
+    }
+  }
+}
+
+export { CalendarFeed };
+export default CalendarFeed;
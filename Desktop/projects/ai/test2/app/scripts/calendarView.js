@@ -0,0 +1,349 @@
+/**
+ * Epic Todo List - 日历视图模块
+ * 作者: 乔帅
+ * 功能: 按到期日以月/周日历显示任务，拖拽改期，点击空白日期新建任务
+ */
+
+const CALENDAR_WEEKDAYS = ['一', '二', '三', '四', '五', '六', '日'];
+
+/**
+ * 日历视图
+ *
+ * 键盘操作（焦点在任务上时）：
+ * - Shift + ←/→ 提前/推迟一天，Shift + ↑/↓ 提前/推迟一周
+ * - Enter 编辑任务
+ */
+class CalendarView {
+  /**
+   * @param {TaskManager} taskManager - 任务管理器
+   * @param {HTMLElement} container - 日历容器
+   * @param {Object} handlers - { onEdit(task), onCreate(date), onMoved(task, date), onModeChange(mode), onError(error) }
+   */
+  constructor(taskManager, container, handlers = {}) {
+    this.taskManager = taskManager;
+    this.container = container;
+    this.handlers = handlers;
+    this.mode = 'month'; // month, week
+    this.cursor = CalendarView.startOfDay(new Date());
+    this.draggedTaskId = null;
+    this.lastTasks = [];
+
+    this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+  }
+
+  /**
+   * 日期工具
+   */
+  static startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  static addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  /**
+   * 所在周的周一
+   */
+  static startOfWeek(date) {
+    const day = CalendarView.startOfDay(date);
+    return CalendarView.addDays(day, -((day.getDay() + 6) % 7));
+  }
+
+  /**
+   * 本地日期键 YYYY-MM-DD
+   */
+  static dateKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * 设置显示模式
+   */
+  setMode(mode) {
+    if (!['month', 'week'].includes(mode)) {
+      throw new Error('无效的日历模式');
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * 翻页
+   * @param {number} step - -1 上一页，1 下一页，0 回到今天
+   */
+  navigate(step) {
+    if (step === 0) {
+      this.cursor = CalendarView.startOfDay(new Date());
+    } else if (this.mode === 'week') {
+      this.cursor = CalendarView.addDays(this.cursor, step * 7);
+    } else {
+      this.cursor = new Date(this.cursor.getFullYear(), this.cursor.getMonth() + step, 1);
+    }
+    this.render(this.lastTasks);
+  }
+
+  /**
+   * 获取当前显示的日期范围
+   * @returns {Array<Date>} 显示的每一天
+   */
+  getVisibleDays() {
+    let start;
+    let count;
+
+    if (this.mode === 'week') {
+      start = CalendarView.startOfWeek(this.cursor);
+      count = 7;
+    } else {
+      start = CalendarView.startOfWeek(new Date(this.cursor.getFullYear(), this.cursor.getMonth(), 1));
+      count = 42; // 固定6行，翻页时高度不跳动
+    }
+
+    return Array.from({ length: count }, (_, i) => CalendarView.addDays(start, i));
+  }
+
+  /**
+   * 渲染日历
+   * @param {Array<Task>} tasks - 要显示的任务（已过滤）
+   */
+  render(tasks) {
+    this.lastTasks = tasks;
+    const days = this.getVisibleDays();
+    const todayKey = CalendarView.dateKey(new Date());
+    const focusedId = this.container.contains(document.activeElement)
+      ? (document.activeElement.dataset.taskId || null)
+      : null;
+
+    // 按到期日分组
+    const byDay = new Map();
+    let unscheduled = 0;
+    tasks.forEach(task => {
+      if (!task.dueDate) {
+        unscheduled++;
+        return;
+      }
+      const key = CalendarView.dateKey(new Date(task.dueDate));
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(task);
+    });
+    byDay.forEach(dayTasks => dayTasks.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)));
+
+    this.container.innerHTML = `
+      <div class="calendar-toolbar">
+        <div class="calendar-nav">
+          <button type="button" class="calendar-nav-btn" data-step="-1" aria-label="${this.mode === 'week' ? '上一周' : '上个月'}">‹</button>
+          <button type="button" class="calendar-nav-btn" data-step="0">今天</button>
+          <button type="button" class="calendar-nav-btn" data-step="1" aria-label="${this.mode === 'week' ? '下一周' : '下个月'}">›</button>
+        </div>
+        <h3 class="calendar-title" aria-live="polite">${this.getTitle(days)}</h3>
+        <div class="calendar-modes" role="group" aria-label="日历模式">
+          <button type="button" class="calendar-mode-btn ${this.mode === 'month' ? 'active' : ''}" data-mode="month" aria-pressed="${this.mode === 'month'}">月</button>
+          <button type="button" class="calendar-mode-btn ${this.mode === 'week' ? 'active' : ''}" data-mode="week" aria-pressed="${this.mode === 'week'}">周</button>
+        </div>
+      </div>
+      ${unscheduled > 0 ? `<p class="calendar-unscheduled">另有 ${unscheduled} 个任务没有到期时间</p>` : ''}
+      <div class="calendar-grid calendar-${this.mode}" role="grid">
+        ${CALENDAR_WEEKDAYS.map(name => `<div class="calendar-weekday" role="columnheader">周${name}</div>`).join('')}
+      </div>
+    `;
+
+    const grid = this.container.querySelector('.calendar-grid');
+    days.forEach(day => {
+      const key = CalendarView.dateKey(day);
+      grid.appendChild(this.createDayCell(day, byDay.get(key) || [], {
+        isToday: key === todayKey,
+        isOutside: this.mode === 'month' && day.getMonth() !== this.cursor.getMonth()
+      }));
+    });
+
+    this.container.querySelectorAll('.calendar-nav-btn').forEach(button => {
+      button.addEventListener('click', () => this.navigate(parseInt(button.dataset.step, 10)));
+    });
+    this.container.querySelectorAll('.calendar-mode-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.setMode(button.dataset.mode);
+        this.render(this.lastTasks);
+        if (this.handlers.onModeChange) this.handlers.onModeChange(this.mode);
+      });
+    });
+
+    if (focusedId) {
+      const item = this.container.querySelector(`.calendar-task[data-task-id="${CSS.escape(focusedId)}"]`);
+      if (item) item.focus();
+    }
+  }
+
+  /**
+   * 标题：月视图显示年月，周视图显示日期范围
+   */
+  getTitle(days) {
+    if (this.mode === 'month') {
+      return `${this.cursor.getFullYear()}年${this.cursor.getMonth() + 1}月`;
+    }
+    const first = days[0];
+    const last = days[days.length - 1];
+    return `${first.getFullYear()}年${first.getMonth() + 1}月${first.getDate()}日 - ${last.getMonth() + 1}月${last.getDate()}日`;
+  }
+
+  /**
+   * 创建日期格
+   */
+  createDayCell(day, tasks, { isToday, isOutside }) {
+    const key = CalendarView.dateKey(day);
+    const cell = document.createElement('div');
+    cell.className = `calendar-day ${isToday ? 'today' : ''} ${isOutside ? 'outside' : ''}`;
+    cell.dataset.date = key;
+    cell.setAttribute('role', 'gridcell');
+
+    const label = `${day.getMonth() + 1}月${day.getDate()}日`;
+    cell.innerHTML = `
+      <div class="calendar-day-header">
+        <span class="calendar-day-number">${day.getDate()}</span>
+        <button type="button" class="calendar-add-btn" aria-label="在${label}添加任务" title="添加任务">+</button>
+      </div>
+      <ul class="calendar-tasks" role="list"></ul>
+    `;
+
+    const list = cell.querySelector('.calendar-tasks');
+    tasks.forEach(task => list.appendChild(this.createTaskItem(task)));
+
+    // 点击空白处或 + 按钮新建任务
+    cell.addEventListener('click', (e) => {
+      if (e.target.closest('.calendar-task')) return;
+      if (this.handlers.onCreate) this.handlers.onCreate(day);
+    });
+
+    cell.addEventListener('dragover', (e) => {
+      if (!this.draggedTaskId) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      cell.classList.add('drag-over');
+    });
+
+    cell.addEventListener('dragleave', (e) => {
+      if (!cell.contains(e.relatedTarget)) {
+        cell.classList.remove('drag-over');
+      }
+    });
+
+    cell.addEventListener('drop', (e) => {
+      e.preventDefault();
+      cell.classList.remove('drag-over');
+      const taskId = this.draggedTaskId || e.dataTransfer.getData('text/plain');
+      this.draggedTaskId = null;
+      if (taskId) {
+        this.reschedule(taskId, day);
+      }
+    });
+
+    return cell;
+  }
+
+  /**
+   * 创建日历中的任务
+   */
+  createTaskItem(task) {
+    const li = document.createElement('li');
+    const due = new Date(task.dueDate);
+    // 23:59 表示只设置了日期，不显示时间
+    const hasTime = !(due.getHours() === 23 && due.getMinutes() === 59);
+
+    li.className = `calendar-task priority-${task.priority} ${task.completed ? 'completed' : ''} ${task.isOverdue() ? 'overdue' : ''}`;
+    li.dataset.taskId = task.id;
+    li.draggable = true;
+    li.tabIndex = 0;
+    li.title = task.isOverdue() ? `${task.text}（已过期）` : task.text;
+    li.innerHTML = `
+      ${hasTime ? `<span class="calendar-task-time">${due.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })}</span>` : ''}
+      <span class="calendar-task-text">${this.escapeHtml(task.text)}</span>
+    `;
+
+    li.addEventListener('dragstart', (e) => {
+      this.draggedTaskId = task.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', task.id);
+      li.classList.add('dragging');
+    });
+
+    li.addEventListener('dragend', () => {
+      this.draggedTaskId = null;
+      li.classList.remove('dragging');
+      this.container.querySelectorAll('.drag-over').forEach(cell => cell.classList.remove('drag-over'));
+    });
+
+    li.addEventListener('click', () => {
+      if (this.handlers.onEdit) this.handlers.onEdit(task);
+    });
+
+    return li;
+  }
+
+  /**
+   * 改期：保留原来的时刻，只修改日期
+   * @returns {boolean} 是否改期成功
+   */
+  reschedule(taskId, day) {
+    const task = this.taskManager.tasks.find(t => t.id === taskId);
+    if (!task || !task.dueDate) return false;
+
+    const due = new Date(task.dueDate);
+    const next = new Date(day.getFullYear(), day.getMonth(), day.getDate(), due.getHours(), due.getMinutes(), due.getSeconds());
+    if (next.getTime() === due.getTime()) return false;
+
+    try {
+      this.taskManager.updateTask(taskId, { dueDate: next.toISOString() });
+      if (this.handlers.onMoved) this.handlers.onMoved(task, next);
+      return true;
+    } catch (error) {
+      if (this.handlers.onError) this.handlers.onError(error);
+      return false;
+    }
+  }
+
+  /**
+   * 键盘操作
+   */
+  handleKeydown(e) {
+    const item = e.target.closest('.calendar-task');
+    if (!item || e.target !== item) return;
+
+    const task = this.taskManager.tasks.find(t => t.id === item.dataset.taskId);
+    if (!task) return;
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (this.handlers.onEdit) this.handlers.onEdit(task);
+      return;
+    }
+
+    const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+    if (e.shiftKey && offsets[e.key]) {
+      e.preventDefault();
+      const target = CalendarView.addDays(CalendarView.startOfDay(new Date(task.dueDate)), offsets[e.key]);
+
+      // 移出当前页时跟随翻页
+      const visible = this.getVisibleDays().map(day => CalendarView.dateKey(day));
+      if (!visible.includes(CalendarView.dateKey(target))) {
+        this.cursor = target;
+      }
+
+      this.reschedule(task.id, target);
+      const moved = this.container.querySelector(`.calendar-task[data-task-id="${CSS.escape(task.id)}"]`);
+      if (moved) moved.focus();
+    }
+  }
+
+  /**
+   * HTML转义
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+export { CalendarView };
+export default CalendarView;
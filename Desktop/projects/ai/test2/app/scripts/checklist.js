@@ -0,0 +1,183 @@
+/**
+ * Epic Todo List - Markdown清单模块
+ * 作者: 乔帅
+ * 功能: 任务与Markdown任务清单（- [ ] / - [x]）互相转换
+ */
+
+import quickAddParser from './quickAdd.js';
+
+const CHECKLIST_ITEM = /^([ \t]*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/;
+const HEADING = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+const DEFAULT_CATEGORY_TITLE = '未分类';
+
+/**
+ * Markdown任务清单
+ *
+ * 导出格式：每个分类一个二级标题，子任务缩进两个空格，标签写作 #tag，
+ * 高/低优先级写作 !高/!低，到期时间写在末尾（📅 2026-11-01 或 📅 2026-11-01 15:30）。
+ * 导入时标题作为分类，缩进表示子任务，行内的标签、优先级、分类和日期按快速添加的语法识别。
+ */
+class MarkdownChecklist {
+  /**
+   * 把任务转换为Markdown清单
+   * @param {Array<Object>} tasks - Task.toJSON() 的结果，按显示顺序排列
+   * @returns {string} Markdown文本
+   */
+  static stringify(tasks) {
+    const ids = new Set(tasks.map(task => task.id));
+    const children = new Map();
+    const groups = new Map();
+
+    tasks.forEach(task => {
+      // 父任务也在导出范围内时作为子项，否则按分类放在顶层
+      if (task.parentId && ids.has(task.parentId)) {
+        if (!children.has(task.parentId)) children.set(task.parentId, []);
+        children.get(task.parentId).push(task);
+        return;
+      }
+
+      const category = task.category || 'default';
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(task);
+    });
+
+    const lines = [];
+    const append = (task, depth) => {
+      lines.push(`${'  '.repeat(depth)}- [${task.completed ? 'x' : ' '}] ${MarkdownChecklist.formatItem(task)}`);
+      (children.get(task.id) || []).forEach(child => append(child, depth + 1));
+    };
+
+    groups.forEach((roots, category) => {
+      if (lines.length > 0) lines.push('');
+      lines.push(`## ${category === 'default' ? DEFAULT_CATEGORY_TITLE : category}`, '');
+      roots.forEach(task => append(task, 0));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 单个清单项的文本：内容、标签、优先级和到期时间
+   */
+  static formatItem(task) {
+    const parts = [task.text.replace(/\s+/g, ' ')];
+
+    (task.tags || []).forEach(tag => parts.push(`#${tag}`));
+    if (task.priority === 'high') parts.push('!高');
+    if (task.priority === 'low') parts.push('!低');
+
+    if (task.dueDate) {
+      const due = new Date(task.dueDate);
+      const pad = value => String(value).padStart(2, '0');
+      const date = `${due.getFullYear()}-${pad(due.getMonth() + 1)}-${pad(due.getDate())}`;
+      // 当天 23:59 是只设置了日期的到期时间
+      const time = due.getHours() === 23 && due.getMinutes() === 59 ? '' : ` ${pad(due.getHours())}:${pad(due.getMinutes())}`;
+      parts.push(`📅 ${date}${time}`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * 文本中是否包含任务清单项
+   * @param {string} text - 文本
+   */
+  static isChecklist(text) {
+    return typeof text === 'string' && text.split(/\r?\n/).some(line => CHECKLIST_ITEM.test(line));
+  }
+
+  /**
+   * 解析Markdown清单
+   * 只导入清单项，其他内容（段落、普通列表、代码等）忽略
+   * @param {string} text - Markdown文本
+   * @param {Date} now - 当前时间，用于解析相对日期
+   * @returns {Array<Object>} 任务数据（可交给 importTasks），子任务的 parentId 指向父任务
+   */
+  static parse(text, now = new Date()) {
+    const tasks = [];
+    const stack = []; // { indent, id }，当前行可能的父任务
+    let category = 'default';
+    let inCode = false;
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inCode = !inCode;
+        return;
+      }
+      if (inCode) return;
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        const title = heading[1].trim();
+        category = title === DEFAULT_CATEGORY_TITLE || !MarkdownChecklist.isValidCategory(title) ? 'default' : title;
+        stack.length = 0;
+        return;
+      }
+
+      const item = line.match(CHECKLIST_ITEM);
+      if (!item) return;
+
+      const indent = item[1].replace(/\t/g, '    ').length;
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+
+      const task = MarkdownChecklist.parseItem(item[3], item[2] !== ' ', now);
+      if (!task) return;
+
+      task.id = MarkdownChecklist.createId();
+      task.category = task.category || category;
+      task.parentId = stack.length > 0 ? stack[stack.length - 1].id : null;
+      task.position = tasks.length;
+      tasks.push(task);
+      stack.push({ indent, id: task.id });
+    });
+
+    return tasks;
+  }
+
+  /**
+   * 解析单个清单项的内容
+   * @returns {Object|null} Task 构造参数（含 text），内容为空时返回 null
+   */
+  static parseItem(content, completed, now) {
+    let rest = content;
+    let completedAt = null;
+
+    // 兼容 Obsidian Tasks 插件的完成日期
+    rest = rest.replace(/✅\s*(\d{4}-\d{2}-\d{2})/u, (match, date) => {
+      const value = new Date(`${date}T00:00:00`);
+      if (!isNaN(value.getTime())) completedAt = value.toISOString();
+      return ' ';
+    });
+    rest = rest.replace(/(📅|🗓️?|⏳)\s*/gu, ' ');
+
+    const parsed = quickAddParser.parse(rest, now);
+    if (!parsed.text.trim()) return null;
+
+    const task = { text: parsed.text, tags: parsed.tags, completed };
+    if (parsed.dueDate) task.dueDate = parsed.dueDate;
+    if (parsed.priority) task.priority = parsed.priority;
+    if (parsed.category && MarkdownChecklist.isValidCategory(parsed.category)) task.category = parsed.category;
+    if (completed) task.completedAt = completedAt || now.toISOString();
+    return task;
+  }
+
+  /**
+   * 分类名称是否有效（与 Task.isValidCategory 一致）
+   */
+  static isValidCategory(category) {
+    return category.length > 0 && category.length <= 30;
+  }
+
+  /**
+   * 生成任务ID（与 Task 的ID格式一致）
+   * 解析时就需要ID来建立父子关系
+   */
+  static createId() {
+    return 'task-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  }
+}
+
+export { MarkdownChecklist };
+export default MarkdownChecklist;
@@ -0,0 +1,421 @@
+/**
+ * Epic Todo List - CSV导入导出模块
+ * 作者: 乔帅
+ * 功能: 任务与CSV互相转换，识别分隔符和文件编码（含Excel导出的GBK文件），按表头映射字段并逐行校验
+ */
+
+import { PRIORITY_ALIASES } from './quickAdd.js';
+
+/**
+ * 导出的列，与 Task.toJSON() 的字段一一对应
+ */
+const CSV_COLUMNS = [
+  'id', 'text', 'completed', 'createdAt', 'completedAt', 'updatedAt', 'priority', 'category',
+  'tags', 'dueDate', 'description', 'parentId', 'collapsed', 'recurrence', 'blockedBy',
+  'position', 'deletedAt', 'archivedAt'
+];
+
+/**
+ * 字段的显示名称，用于列映射对话框
+ */
+const CSV_FIELD_LABELS = {
+  id: 'ID',
+  text: '任务内容',
+  completed: '是否完成',
+  createdAt: '创建时间',
+  completedAt: '完成时间',
+  updatedAt: '更新时间',
+  priority: '优先级',
+  category: '分类',
+  tags: '标签',
+  dueDate: '到期时间',
+  description: '描述',
+  parentId: '父任务ID',
+  collapsed: '折叠子任务',
+  recurrence: '重复规则',
+  blockedBy: '前置任务ID',
+  position: '排序位置',
+  deletedAt: '删除时间',
+  archivedAt: '归档时间'
+};
+
+/**
+ * 常见表头写法，比较时忽略大小写、空格、下划线和连字符
+ */
+const HEADER_ALIASES = {
+  id: ['id', 'taskid', '编号', '任务id'],
+  text: ['text', 'title', 'name', 'task', 'subject', 'content', '任务', '任务内容', '任务名称', '标题', '名称', '内容', '事项'],
+  completed: ['completed', 'done', 'status', 'finished', '完成', '是否完成', '已完成', '状态'],
+  createdAt: ['createdat', 'created', 'createdate', 'creationdate', '创建时间', '创建日期'],
+  completedAt: ['completedat', 'completiondate', 'donedate', 'finishedat', '完成时间', '完成日期'],
+  updatedAt: ['updatedat', 'updated', 'modified', 'lastmodified', '更新时间', '修改时间'],
+  priority: ['priority', 'importance', '优先级', '重要性', '重要程度'],
+  category: ['category', 'list', 'project', 'group', '分类', '类别', '清单', '项目', '分组'],
+  tags: ['tags', 'tag', 'labels', 'label', '标签'],
+  dueDate: ['duedate', 'due', 'deadline', 'duedatetime', '到期时间', '到期日期', '截止时间', '截止日期'],
+  description: ['description', 'notes', 'note', 'details', 'desc', '描述', '备注', '说明', '详情'],
+  parentId: ['parentid', 'parent', '父任务', '父任务id'],
+  collapsed: ['collapsed', '折叠', '折叠子任务'],
+  recurrence: ['recurrence', 'repeat', 'recurring', '重复', '重复规则'],
+  blockedBy: ['blockedby', 'dependencies', 'dependson', '前置任务', '前置任务id', '依赖'],
+  position: ['position', 'order', 'sort', 'index', '排序', '排序位置', '顺序'],
+  deletedAt: ['deletedat', 'deleted', '删除时间'],
+  archivedAt: ['archivedat', 'archived', '归档时间']
+};
+
+const DATE_FIELDS = ['createdAt', 'completedAt', 'updatedAt', 'dueDate', 'deletedAt', 'archivedAt'];
+const BOOLEAN_FIELDS = ['completed', 'collapsed'];
+const LIST_FIELDS = ['tags', 'blockedBy'];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'x', '✓', '✔', '是', '完成', '已完成', 'done', 'completed'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', '否', '未完成', '进行中', 'todo', 'open', 'active'];
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * CSV编解码器
+ *
+ * 导出遵循 RFC 4180：字段含分隔符、引号或换行时加引号，引号写作两个引号，行尾为 CRLF。
+ * 列表字段（标签、前置任务）以逗号连接，重复规则写为JSON，时间为ISO格式。
+ */
+class CSV {
+  /**
+   * 把任务转换为CSV文本
+   * @param {Array<Object>} tasks - Task.toJSON() 的结果
+   * @param {string} delimiter - 分隔符
+   * @returns {string} CSV文本（不含BOM）
+   */
+  static stringify(tasks, delimiter = ',') {
+    const lines = [CSV_COLUMNS.join(delimiter)];
+    tasks.forEach(task => {
+      lines.push(CSV_COLUMNS.map(field => CSV.escapeCell(CSV.formatValue(field, task[field]), delimiter)).join(delimiter));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 把字段值转换为单元格文本
+   */
+  static formatValue(field, value) {
+    if (value === null || value === undefined) return '';
+    if (LIST_FIELDS.includes(field)) return value.join(', ');
+    if (field === 'recurrence') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * 按需给单元格加引号
+   */
+  static escapeCell(value, delimiter) {
+    if (value.includes(delimiter) || /["\r\n]/.test(value) || value !== value.trim()) {
+      return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+  }
+
+  /**
+   * 解析CSV文本
+   * @param {string} text - CSV文本
+   * @param {string} delimiter - 分隔符
+   * @returns {Array<Array<string>>} 记录列表，空行为只含一个空字符串的记录
+   */
+  static parse(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            cell += '"';
+            i += 2;
+            continue;
+          }
+          quoted = false;
+        } else {
+          cell += char;
+        }
+        i++;
+        continue;
+      }
+
+      if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\r' || char === '\n') {
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+        if (char === '\r' && text[i + 1] === '\n') i++;
+      } else {
+        cell += char;
+      }
+      i++;
+    }
+
+    if (quoted) {
+      throw new Error('CSV格式错误：引号未闭合');
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * 识别分隔符
+   * 支持Excel的 "sep=;" 首行；否则取前几行中出现次数稳定且最多的候选分隔符
+   * @param {string} text - CSV文本
+   * @returns {string} 分隔符
+   */
+  static detectDelimiter(text) {
+    const sep = text.match(/^sep=(.)\r?\n/);
+    if (sep) return sep[1];
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 5);
+    if (lines.length === 0) return ',';
+
+    // 忽略引号内的内容
+    const counts = lines.map(line => {
+      const bare = line.replace(/"[^"]*"/g, '');
+      return DELIMITERS.map(delimiter => bare.split(delimiter).length - 1);
+    });
+
+    let best = ',';
+    let bestScore = 0;
+    DELIMITERS.forEach((delimiter, index) => {
+      const header = counts[0][index];
+      if (header === 0) return;
+      const consistent = counts.every(count => count[index] === header);
+      const score = header + (consistent ? 1000 : 0);
+      if (score > bestScore) {
+        best = delimiter;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * 识别编码并解码
+   * 有BOM时按BOM；否则先按UTF-8严格解码，失败时按GBK（Excel中文版默认的CSV编码）
+   * @param {ArrayBuffer} buffer - 文件内容
+   * @returns {{ text: string, encoding: string }}
+   */
+  static decode(buffer) {
+    const bytes = new Uint8Array(buffer);
+
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+    }
+
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+    } catch (error) {
+      return { text: new TextDecoder('gbk').decode(bytes), encoding: 'GBK' };
+    }
+  }
+
+  /**
+   * 读取CSV内容：识别分隔符，拆分表头和数据行
+   * @param {string} text - 解码后的文本
+   * @param {string} delimiter - 指定分隔符，不指定时自动识别
+   * @returns {{ delimiter: string, headers: Array<string>, rows: Array<Array<string>> }}
+   */
+  static read(text, delimiter = null) {
+    const sep = text.match(/^sep=(.)\r?\n/);
+    const body = sep ? text.slice(sep[0].length) : text;
+    const actualDelimiter = delimiter || CSV.detectDelimiter(text);
+
+    const records = CSV.parse(body, actualDelimiter);
+    const headerIndex = records.findIndex(record => !CSV.isBlank(record));
+    if (headerIndex === -1) {
+      throw new Error('CSV文件为空');
+    }
+
+    return {
+      delimiter: actualDelimiter,
+      headers: records[headerIndex].map(header => header.trim()),
+      rows: records.slice(headerIndex + 1)
+    };
+  }
+
+  /**
+   * 根据表头猜测字段映射
+   * @param {Array<string>} headers - 表头
+   * @returns {Array<string|null>} 每一列对应的字段，不导入的列为 null
+   */
+  static guessMapping(headers) {
+    const used = new Set();
+    return headers.map(header => {
+      const key = header.toLowerCase().replace(/[\s_\-]/g, '');
+      const field = CSV_COLUMNS.find(name => !used.has(name) && HEADER_ALIASES[name].includes(key));
+      if (!field) return null;
+      used.add(field);
+      return field;
+    });
+  }
+
+  /**
+   * 按字段映射把数据行转换为任务数据，并逐行校验
+   * @param {Array<Array<string>>} rows - 数据行
+   * @param {Array<string|null>} mapping - 每一列对应的字段
+   * @returns {{ tasks: Array<Object>, errors: Array<{ row: number, message: string }> }}
+   *          row 为文件中的行号（表头为第1行），有错误的行不导入
+   */
+  static toTasks(rows, mapping) {
+    if (!mapping.includes('text')) {
+      throw new Error('请为"任务内容"选择一列');
+    }
+
+    const duplicate = mapping.find((field, index) => field && mapping.indexOf(field) !== index);
+    if (duplicate) {
+      throw new Error(`"${CSV_FIELD_LABELS[duplicate]}"对应了多列`);
+    }
+
+    const tasks = [];
+    const errors = [];
+    const ids = new Set();
+
+    rows.forEach((cells, index) => {
+      const row = index + 2;
+      if (CSV.isBlank(cells)) return;
+
+      try {
+        const task = CSV.toTask(cells, mapping);
+        if (task.id) {
+          if (ids.has(task.id)) {
+            throw new Error(`ID "${task.id}" 重复`);
+          }
+          ids.add(task.id);
+        }
+        if (typeof task.position !== 'number') {
+          task.position = index; // 保持文件中的顺序
+        }
+        tasks.push(task);
+      } catch (error) {
+        errors.push({ row, message: error.message });
+      }
+    });
+
+    return { tasks, errors };
+  }
+
+  /**
+   * 转换一行数据
+   * @throws {Error} 数据无效
+   */
+  static toTask(cells, mapping) {
+    const task = {};
+
+    mapping.forEach((field, column) => {
+      if (!field) return;
+      const value = (cells[column] || '').trim();
+      if (value === '') return;
+
+      if (DATE_FIELDS.includes(field)) {
+        task[field] = CSV.parseDate(value, field === 'dueDate', CSV_FIELD_LABELS[field]);
+      } else if (BOOLEAN_FIELDS.includes(field)) {
+        task[field] = CSV.parseBoolean(value, CSV_FIELD_LABELS[field]);
+      } else if (LIST_FIELDS.includes(field)) {
+        const items = value.split(/[,，;；]/).map(item => item.trim()).filter(Boolean);
+        task[field] = field === 'tags'
+          ? [...new Set(items.map(tag => tag.replace(/^#/, '').toLowerCase()))]
+          : items;
+      } else if (field === 'priority') {
+        const priority = PRIORITY_ALIASES[value.toLowerCase()];
+        if (!priority) throw new Error(`优先级 "${value}" 无效`);
+        task.priority = priority;
+      } else if (field === 'category') {
+        if (value.length > 30) throw new Error('分类名称不能超过30个字符');
+        task.category = value;
+      } else if (field === 'recurrence') {
+        try {
+          task.recurrence = JSON.parse(value);
+        } catch (error) {
+          throw new Error('重复规则格式无效');
+        }
+      } else if (field === 'position') {
+        const position = Number(value);
+        if (!Number.isFinite(position)) throw new Error(`排序位置 "${value}" 不是数字`);
+        task.position = position;
+      } else {
+        task[field] = value;
+      }
+    });
+
+    if (!task.text) {
+      throw new Error('任务内容为空');
+    }
+    if (task.completed && !task.completedAt) {
+      task.completedAt = task.updatedAt || new Date().toISOString();
+    }
+    if (!task.completed) {
+      task.completedAt = null;
+    }
+
+    return task;
+  }
+
+  /**
+   * 解析日期：ISO格式，或 YYYY-MM-DD / YYYY/MM/DD [HH:mm[:ss]]（本地时间）
+   * 只有日期的到期时间按当天 23:59 处理，与添加任务时一致
+   */
+  static parseDate(value, isDue, label) {
+    const local = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    let date;
+
+    if (local) {
+      const [year, month, day, hours, minutes, seconds] = local.slice(1).map(Number);
+      date = local[4] === undefined
+        ? new Date(year, month - 1, day, isDue ? 23 : 0, isDue ? 59 : 0)
+        : new Date(year, month - 1, day, hours, minutes, seconds || 0);
+      if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+        throw new Error(`${label} "${value}" 不是有效日期`);
+      }
+    } else {
+      date = new Date(value);
+    }
+
+    if (isNaN(date.getTime())) {
+      throw new Error(`${label} "${value}" 不是有效日期`);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * 解析布尔值
+   */
+  static parseBoolean(value, label) {
+    const key = value.toLowerCase();
+    if (TRUE_VALUES.includes(key)) return true;
+    if (FALSE_VALUES.includes(key)) return false;
+    throw new Error(`${label} "${value}" 无法识别`);
+  }
+
+  /**
+   * 是否为空行
+   */
+  static isBlank(cells) {
+    return cells.every(cell => cell.trim() === '');
+  }
+}
+
+export { CSV, CSV_COLUMNS, CSV_FIELD_LABELS };
+export default CSV;
@@ -0,0 +1,438 @@
+/**
+ * Epic Todo List - 模糊搜索模块
+ * 作者: 乔帅
+ * 功能: 关键词的模糊匹配和拼音匹配（全拼、首字母），计算相关度和匹配位置
+ */
+
+import { PINYIN_TABLE, POLYPHONES } from './pinyinData.js';
+
+// 汉字 → 读音列表
+const PINYIN_MAP = new Map();
+Object.entries(PINYIN_TABLE).forEach(([syllable, chars]) => {
+  for (const char of chars) {
+    PINYIN_MAP.set(char, [syllable]);
+  }
+});
+Object.entries(POLYPHONES).forEach(([char, syllables]) => {
+  PINYIN_MAP.set(char, [...(PINYIN_MAP.get(char) || []), ...syllables]);
+});
+
+// 各种匹配方式的基础分，越精确分越高
+const SCORES = {
+  exact: 100,
+  pinyin: 80,
+  initials: 70,
+  subsequence: 40,
+  typo: 20
+};
+
+// 不同字段的权重
+const FIELD_WEIGHTS = {
+  text: 1,
+  tags: 0.8,
+  description: 0.5
+};
+
+/**
+ * 获取汉字的拼音（不带声调，ü 写作 v），非汉字返回 null
+ * @param {string} char - 单个字符
+ * @returns {Array<string>|null} 读音列表，第一个为最常用读音
+ */
+function getPinyin(char) {
+  return PINYIN_MAP.get(char) || null;
+}
+
+/**
+ * 生成字符可匹配的读音：含 v 的读音也可以用 u 输入（lv → lu）
+ */
+function getReadings(char) {
+  const syllables = getPinyin(char);
+  if (!syllables) return null;
+
+  const readings = [];
+  syllables.forEach(syllable => {
+    readings.push(syllable);
+    if (syllable.includes('v')) {
+      readings.push(syllable.replace('v', 'u'));
+    }
+  });
+  return readings;
+}
+
+/**
+ * 单个字段的预处理结果（搜索索引中保存的内容）
+ */
+function prepareField(value) {
+  const text = String(value || '');
+  // 按码点逐个转小写，记录每个位置在原字符串中的位置，用于换算高亮范围
+  // （个别字符转小写后长度会变，如 İ → i̇）
+  let lower = '';
+  const chars = [];
+  const offsets = []; // chars 中每个字符的位置
+  const lowerOffsets = []; // lower 中每个 UTF-16 单元的位置
+  let offset = 0;
+  for (const char of text) {
+    for (const lowerChar of char.toLowerCase()) {
+      chars.push(lowerChar);
+      offsets.push(offset);
+      for (let k = 0; k < lowerChar.length; k++) lowerOffsets.push(offset);
+      lower += lowerChar;
+    }
+    offset += char.length;
+  }
+  offsets.push(offset);
+  lowerOffsets.push(offset);
+
+  const readings = chars.map(getReadings);
+  const hasPinyin = readings.some(Boolean);
+
+  // 全拼字符串（每个汉字取第一个读音），用于容错匹配
+  let pinyin = '';
+  const pinyinIndex = [];
+  if (hasPinyin) {
+    chars.forEach((char, i) => {
+      const syllable = readings[i] ? readings[i][0] : char;
+      pinyin += syllable;
+      for (let k = 0; k < syllable.length; k++) pinyinIndex.push(i);
+    });
+  }
+
+  return { lower, chars, offsets, lowerOffsets, readings, hasPinyin, pinyin, pinyinIndex };
+}
+
+/**
+ * 从第 start 个字符开始按拼音匹配查询
+ * 每个汉字可以用全拼、声母（首字母或 zh/ch/sh）匹配，查询的最后一部分可以是读音的前缀
+ * @returns {Object|null} { end, initials } end 为匹配结束的字符位置，initials 表示用到了首字母
+ */
+function matchPinyinAt(field, start, query) {
+  const memo = new Map();
+
+  const visit = (i, q) => {
+    if (q === query.length) return { end: i, initials: false };
+    if (i >= field.chars.length) return null;
+
+    const key = i * (query.length + 1) + q;
+    if (memo.has(key)) return memo.get(key);
+
+    let result = null;
+    const readings = field.readings[i];
+    if (!readings) {
+      // 非汉字需要逐字匹配
+      if (field.chars[i] === query[q]) {
+        result = visit(i + 1, q + 1);
+      }
+    } else {
+      for (const reading of readings) {
+        // 优先尝试全拼
+        if (query.startsWith(reading, q)) {
+          result = visit(i + 1, q + reading.length);
+          if (result) break;
+        }
+
+        const prefixes = [1];
+        if (/^[zcs]h/.test(reading)) prefixes.push(2);
+        const rest = query.length - q;
+        if (rest < reading.length) prefixes.push(rest);
+
+        for (const length of prefixes) {
+          if (length >= reading.length || !query.startsWith(reading.slice(0, length), q)) continue;
+          const next = visit(i + 1, q + length);
+          if (next) {
+            // 查询末尾的读音前缀（正在输入）不算首字母
+            result = { end: next.end, initials: next.initials || q + length < query.length };
+            break;
+          }
+        }
+        if (result) break;
+      }
+    }
+
+    memo.set(key, result);
+    return result;
+  };
+
+  return visit(start, 0);
+}
+
+/**
+ * 子序列匹配：查询中的字符按顺序出现在文本中，跨度不超过查询长度的两倍
+ * @returns {Object|null} { ranges, gaps }
+ */
+function matchSubsequence(field, query) {
+  const queryChars = Array.from(query);
+  const maxSpan = queryChars.length * 2;
+  let best = null;
+
+  for (let start = 0; start < field.chars.length; start++) {
+    if (field.chars[start] !== queryChars[0]) continue;
+
+    const positions = [start];
+    let i = start + 1;
+    for (let q = 1; q < queryChars.length && i < field.chars.length; i++) {
+      if (field.chars[i] === queryChars[q]) {
+        positions.push(i);
+        q++;
+      }
+    }
+    if (positions.length < queryChars.length) break;
+
+    const span = positions[positions.length - 1] - start + 1;
+    if (span <= maxSpan && (!best || span < best.span)) {
+      best = { positions, span };
+    }
+  }
+
+  if (!best) return null;
+  return {
+    ranges: mergeRanges(best.positions.map(i => [i, i + 1])),
+    gaps: best.span - queryChars.length
+  };
+}
+
+/**
+ * 容错匹配：在文本中找编辑距离最小的片段（允许漏字、多字、错字和相邻字母颠倒）
+ * @returns {Object|null} { start, end, distance } 字符串中的位置
+ */
+function matchTypo(text, query, maxDistance) {
+  const n = text.length;
+  const m = query.length;
+  if (m === 0 || n === 0) return null;
+
+  // rows[j][i]: query 前 j 个字符与以 text[i-1] 结尾的片段的最小编辑距离，起点不限
+  let prevPrev = null;
+  let prev = new Array(n + 1).fill(0);
+  let prevStart = Array.from({ length: n + 1 }, (_, i) => i);
+  let prevPrevStart = null;
+
+  for (let j = 1; j <= m; j++) {
+    const row = new Array(n + 1);
+    const start = new Array(n + 1);
+    row[0] = j;
+    start[0] = 0;
+
+    for (let i = 1; i <= n; i++) {
+      const cost = text[i - 1] === query[j - 1] ? 0 : 1;
+      let value = prev[i - 1] + cost;
+      let from = prevStart[i - 1];
+      if (prev[i] + 1 < value) {
+        value = prev[i] + 1;
+        from = prevStart[i];
+      }
+      if (row[i - 1] + 1 < value) {
+        value = row[i - 1] + 1;
+        from = start[i - 1];
+      }
+      if (prevPrev && i > 1 && text[i - 1] === query[j - 2] && text[i - 2] === query[j - 1] &&
+          prevPrev[i - 2] + 1 < value) {
+        value = prevPrev[i - 2] + 1;
+        from = prevPrevStart[i - 2];
+      }
+      row[i] = value;
+      start[i] = from;
+    }
+
+    prevPrev = prev;
+    prevPrevStart = prevStart;
+    prev = row;
+    prevStart = start;
+  }
+
+  let best = null;
+  for (let i = 1; i <= n; i++) {
+    if (prev[i] <= maxDistance && (!best || prev[i] < best.distance)) {
+      best = { start: prevStart[i], end: i, distance: prev[i] };
+    }
+  }
+  return best;
+}
+
+/**
+ * 合并重叠或相邻的范围
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * 在单个字段中匹配关键词
+ * @param {Object} field - prepareField() 的结果
+ * @param {string} query - 小写关键词
+ * @param {Object} options - { exact: 只做精确匹配 }
+ * @returns {Object|null} { score, ranges } ranges 为原字符串中的 [start, end) 范围
+ */
+function matchField(field, query, options = {}) {
+  if (!query || !field.lower) return null;
+
+  const toRanges = ranges => ranges.map(([start, end]) => [field.offsets[start], field.offsets[end]]);
+  const fromLower = (start, end) => [field.lowerOffsets[start], field.lowerOffsets[end]];
+
+  // 1. 精确包含，越靠前分越高
+  const index = field.lower.indexOf(query);
+  if (index !== -1) {
+    const bonus = index === 0 ? 10 : Math.max(0, 5 - index / 10);
+    return { score: SCORES.exact + bonus, ranges: [fromLower(index, index + query.length)] };
+  }
+  if (options.exact) return null;
+
+  const compact = query.replace(/\s+/g, '');
+  const isLatin = /^[a-z0-9]+$/.test(compact);
+  if (compact.length < 2) return null;
+
+  // 2. 拼音：全拼、首字母或混合，如 zhoubao、zb、zhoub
+  if (field.hasPinyin && isLatin) {
+    for (let start = 0; start < field.chars.length; start++) {
+      if (!field.readings[start]) continue;
+      const match = matchPinyinAt(field, start, compact);
+      if (match) {
+        // 匹配部分占标题的比例越大越相关
+        const coverage = (match.end - start) / field.chars.length;
+        return {
+          score: (match.initials ? SCORES.initials : SCORES.pinyin) + (start === 0 ? 10 : 0) + coverage * 5,
+          ranges: toRanges([[start, match.end]])
+        };
+      }
+    }
+  }
+
+  // 3. 子序列：跳过少量字符，如 "周报" 匹配 "周工作报告"
+  const subsequence = matchSubsequence(field, compact);
+  if (subsequence) {
+    return {
+      score: SCORES.subsequence - subsequence.gaps * 2,
+      ranges: toRanges(subsequence.ranges)
+    };
+  }
+
+  // 4. 容错：4个字母以上允许一处错误，8个以上允许两处
+  if (isLatin && compact.length >= 4) {
+    const maxDistance = compact.length >= 8 ? 2 : 1;
+    const typo = matchTypo(field.lower, compact, maxDistance);
+    if (typo) {
+      return { score: SCORES.typo - typo.distance * 5, ranges: [fromLower(typo.start, typo.end)] };
+    }
+
+    // 拼音拼错，如 zhuobao → 周报（拼音字母多，较短的查询容易误匹配）
+    if (field.hasPinyin && compact.length >= 5) {
+      const pinyinTypo = matchTypo(field.pinyin, compact, maxDistance);
+      if (pinyinTypo && pinyinTypo.end > pinyinTypo.start) {
+        const first = field.pinyinIndex[pinyinTypo.start];
+        const last = field.pinyinIndex[pinyinTypo.end - 1];
+        return {
+          score: SCORES.typo - pinyinTypo.distance * 5,
+          ranges: toRanges([[first, last + 1]])
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 任务搜索索引
+ *
+ * 缓存每个任务预处理后的文本、拼音和关键词匹配结果。
+ * 任务内容变化时只重建该任务的条目，输入搜索词时不需要重新计算拼音。
+ */
+class SearchIndex {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * 获取任务的索引条目，内容有变化时重建
+   */
+  getEntry(task) {
+    const tags = task.tags.join(' ');
+    let entry = this.entries.get(task.id);
+
+    if (!entry || entry.text !== task.text || entry.description !== task.description || entry.tags !== tags) {
+      entry = {
+        text: task.text,
+        description: task.description,
+        tags,
+        fields: {
+          text: prepareField(task.text),
+          tags: prepareField(tags),
+          description: prepareField(task.description)
+        },
+        matches: new Map()
+      };
+      this.entries.set(task.id, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * 在任务中匹配关键词
+   * @param {Task} task - 任务
+   * @param {string} query - 关键词（小写）
+   * @param {Object} options - { exact: 只做精确匹配（引号中的短语） }
+   * @returns {Object|null} { score, ranges } ranges 为任务标题中的匹配范围
+   */
+  match(task, query, options = {}) {
+    const entry = this.getEntry(task);
+    const key = (options.exact ? '"' : '') + query;
+    if (entry.matches.has(key)) {
+      return entry.matches.get(key);
+    }
+
+    let result = null;
+    Object.entries(FIELD_WEIGHTS).forEach(([name, weight]) => {
+      const match = matchField(entry.fields[name], query, options);
+      if (match && (!result || match.score * weight > result.score)) {
+        result = {
+          score: match.score * weight,
+          ranges: name === 'text' ? match.ranges : []
+        };
+      }
+    });
+
+    // 只缓存最近的几个关键词，避免连续输入时无限增长
+    if (entry.matches.size >= 20) {
+      entry.matches.clear();
+    }
+    entry.matches.set(key, result);
+    return result;
+  }
+
+  /**
+   * 移除任务的索引条目
+   */
+  remove(taskId) {
+    this.entries.delete(taskId);
+  }
+
+  /**
+   * 只保留仍然存在的任务
+   * @param {Array<Task>} tasks - 当前所有任务
+   */
+  prune(tasks) {
+    const ids = new Set(tasks.map(task => task.id));
+    [...this.entries.keys()].forEach(id => {
+      if (!ids.has(id)) this.entries.delete(id);
+    });
+  }
+
+  /**
+   * 清空索引
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export { SearchIndex, getPinyin, matchField, prepareField, mergeRanges };
+export default SearchIndex;
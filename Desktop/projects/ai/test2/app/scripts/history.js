@@ -0,0 +1,248 @@
+/**
+ * Epic Todo List - 操作历史模块
+ * 作者: 乔帅
+ * 功能: 撤销/重做栈、变更记录、历史持久化
+ */
+
+import storageManager from './storage.js';
+
+/**
+ * 历史管理器类 - 记录任务变更并支持撤销/重做
+ *
+ * 每条历史记录：{ label, timestamp, changes: [{ id, before, after, fields, beforeIndex, afterIndex }] }
+ * 新增的任务 before 为 null、after 为完整数据；删除的任务 after 为 null、before 为完整数据；
+ * 修改的任务只保存变化的字段 fields: { 字段名: [变更前, 变更后] }。
+ * 历史按条数和总大小限制，写入通过存储适配器延迟进行。
+ */
+class HistoryManager {
+  /**
+   * @param {number} limit - 最多保留的记录条数
+   * @param {number} maxBytes - 撤销栈和重做栈序列化后的总大小上限
+   */
+  constructor(limit = 50, maxBytes = 512 * 1024) {
+    this.limit = limit;
+    this.maxBytes = maxBytes;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.sizes = new WeakMap(); // 记录 -> 序列化后的大小
+    this.saveTimer = null;
+    this.saveDelay = 1000;
+
+    // 加载持久化的历史（异步）
+    this.ready = this.load();
+  }
+
+  /**
+   * 生成任务集合快照
+   * @param {Array} tasks - 任务数组
+   * @returns {Map} 任务ID到 { data, index } 的映射
+   */
+  static snapshot(tasks) {
+    const snapshot = new Map();
+    tasks.forEach((task, index) => {
+      snapshot.set(task.id, { data: task.toJSON(), index });
+    });
+    return snapshot;
+  }
+
+  /**
+   * 比较两个快照，得到变更列表
+   * @param {Map} before - 变更前快照
+   * @param {Map} after - 变更后快照
+   * @returns {Array} 变更列表
+   */
+  static diff(before, after) {
+    const changes = [];
+
+    before.forEach((entry, id) => {
+      const next = after.get(id);
+      if (!next) {
+        changes.push({ id, before: entry.data, after: null, beforeIndex: entry.index, afterIndex: -1 });
+      } else if (JSON.stringify(entry.data) !== JSON.stringify(next.data)) {
+        changes.push({ id, before: entry.data, after: next.data, beforeIndex: entry.index, afterIndex: next.index });
+      }
+    });
+
+    after.forEach((entry, id) => {
+      if (!before.has(id)) {
+        changes.push({ id, before: null, after: entry.data, beforeIndex: -1, afterIndex: entry.index });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * 修改的任务只保留变化的字段，新增和删除的任务保留完整数据以便恢复
+   * @param {Array} changes - diff() 的结果
+   * @returns {Array} 压缩后的变更列表
+   */
+  static compact(changes) {
+    return changes.map(change => {
+      if (!change.before || !change.after) return change;
+
+      const fields = {};
+      new Set([...Object.keys(change.before), ...Object.keys(change.after)]).forEach(key => {
+        const before = change.before[key] === undefined ? null : change.before[key];
+        const after = change.after[key] === undefined ? null : change.after[key];
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+          fields[key] = [before, after];
+        }
+      });
+
+      return { id: change.id, fields, beforeIndex: change.beforeIndex, afterIndex: change.afterIndex };
+    });
+  }
+
+  /**
+   * 记录一次操作
+   * @param {string} label - 操作描述
+   * @param {Array} changes - 变更列表
+   * @returns {Object|null} 历史记录，没有变更时返回null
+   */
+  push(label, changes) {
+    if (!changes || changes.length === 0) return null;
+
+    const entry = {
+      label,
+      timestamp: new Date().toISOString(),
+      changes: HistoryManager.compact(changes)
+    };
+
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.splice(0, this.undoStack.length - this.limit);
+    }
+
+    // 新操作会使重做栈失效
+    this.redoStack = [];
+    this.trim();
+    this.save();
+
+    return entry;
+  }
+
+  /**
+   * 取出最近一条可撤销记录
+   */
+  popUndo() {
+    const entry = this.undoStack.pop();
+    if (entry) {
+      this.redoStack.push(entry);
+      this.save();
+    }
+    return entry || null;
+  }
+
+  /**
+   * 取出最近一条可重做记录
+   */
+  popRedo() {
+    const entry = this.redoStack.pop();
+    if (entry) {
+      this.undoStack.push(entry);
+      this.save();
+    }
+    return entry || null;
+  }
+
+  /**
+   * 是否可撤销
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * 是否可重做
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 获取下一步撤销/重做的操作描述
+   */
+  peekUndoLabel() {
+    const entry = this.undoStack[this.undoStack.length - 1];
+    return entry ? entry.label : null;
+  }
+
+  peekRedoLabel() {
+    const entry = this.redoStack[this.redoStack.length - 1];
+    return entry ? entry.label : null;
+  }
+
+  /**
+   * 清空历史
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.save();
+  }
+
+  /**
+   * 单条记录序列化后的大小
+   */
+  sizeOf(entry) {
+    if (!this.sizes.has(entry)) {
+      this.sizes.set(entry, JSON.stringify(entry).length);
+    }
+    return this.sizes.get(entry);
+  }
+
+  /**
+   * 总大小超出上限时先丢弃重做栈，再从最旧的撤销记录开始丢弃
+   * 最近的一条记录总是保留，保证刚做的操作可以撤销
+   */
+  trim() {
+    let total = [...this.undoStack, ...this.redoStack].reduce((sum, entry) => sum + this.sizeOf(entry), 0);
+
+    while (total > this.maxBytes && this.redoStack.length > 0) {
+      total -= this.sizeOf(this.redoStack.shift());
+    }
+    while (total > this.maxBytes && this.undoStack.length > 1) {
+      total -= this.sizeOf(this.undoStack.shift());
+    }
+  }
+
+  /**
+   * 延迟保存历史，连续操作只写入一次
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+  }
+
+  /**
+   * 立即保存等待中的历史
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    // 单条记录超过上限时只保留在内存中
+    const fits = entry => this.sizeOf(entry) <= this.maxBytes;
+    return storageManager.saveHistory({
+      undo: this.undoStack.filter(fits),
+      redo: this.redoStack.filter(fits)
+    });
+  }
+
+  /**
+   * 从存储加载历史
+   * 加载完成前已经记录的操作排在加载的历史之后
+   */
+  async load() {
+    const history = await storageManager.loadHistory();
+    const hasNewEntries = this.undoStack.length > 0;
+    this.undoStack = [...history.undo, ...this.undoStack].slice(-this.limit);
+    this.redoStack = hasNewEntries ? this.redoStack : history.redo.slice(-this.limit);
+    this.trim();
+  }
+}
+
+export { HistoryManager };
+export default HistoryManager;
@@ -0,0 +1,464 @@
+/**
+ * Epic Todo List - iCalendar模块
+ * 作者: 乔帅
+ * 功能: 任务与 iCalendar（RFC 5545）VTODO 互相转换，支持导入 VEVENT
+ */
+
+const PRODID = '-//Epic Todo List//乔帅//ZH';
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQ = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+
+/**
+ * iCalendar 编解码器
+ *
+ * 导出：每个任务一个 VTODO，UID 为任务ID，时间统一写为UTC；只有日期的到期时间（当天 23:59）
+ * 写为 DUE;VALUE=DATE，在日历中显示为全天。DTSTAMP 取任务的更新时间，任务不变时输出不变。
+ * 导入：VTODO 的 DUE（没有时取 DTSTART）和 VEVENT 的 DTSTART 作为到期时间；
+ * 支持 UTC、浮动时间和 TZID（IANA 时区名，或文件中 VTIMEZONE 定义的偏移）。
+ */
+class ICalendar {
+  /**
+   * 把任务转换为 iCalendar 文本
+   * @param {Array<Object>} tasks - Task.toJSON() 的结果
+   * @param {Object} options - { name: 日历名称 }
+   * @returns {string} 以 CRLF 分行并按75字节折行的文本
+   */
+  static stringify(tasks, options = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${ICalendar.escapeText(options.name || 'Epic Todo List')}`
+    ];
+
+    tasks.forEach(task => lines.push(...ICalendar.formatTodo(task)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => ICalendar.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 单个任务的 VTODO
+   */
+  static formatTodo(task) {
+    const lines = [
+      'BEGIN:VTODO',
+      `UID:${ICalendar.escapeText(task.id)}`,
+      `DTSTAMP:${ICalendar.formatDateTime(task.updatedAt || task.createdAt)}`,
+      `CREATED:${ICalendar.formatDateTime(task.createdAt)}`,
+      `LAST-MODIFIED:${ICalendar.formatDateTime(task.updatedAt || task.createdAt)}`,
+      `SUMMARY:${ICalendar.escapeText(task.text)}`
+    ];
+
+    if (task.description) lines.push(`DESCRIPTION:${ICalendar.escapeText(task.description)}`);
+    if (task.dueDate) {
+      const due = new Date(task.dueDate);
+      lines.push(due.getHours() === 23 && due.getMinutes() === 59
+        ? `DUE;VALUE=DATE:${ICalendar.formatDate(due)}`
+        : `DUE:${ICalendar.formatDateTime(due)}`);
+    }
+
+    lines.push(`PRIORITY:${{ high: 1, normal: 5, low: 9 }[task.priority] || 0}`);
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.completed) {
+      lines.push(`COMPLETED:${ICalendar.formatDateTime(task.completedAt || task.updatedAt)}`);
+      lines.push('PERCENT-COMPLETE:100');
+    }
+
+    if (task.tags && task.tags.length > 0) {
+      lines.push(`CATEGORIES:${task.tags.map(tag => ICalendar.escapeText(tag)).join(',')}`);
+    }
+    if (task.category && task.category !== 'default') {
+      lines.push(`X-EPIC-CATEGORY:${ICalendar.escapeText(task.category)}`);
+    }
+    if (task.parentId) lines.push(`RELATED-TO;RELTYPE=PARENT:${ICalendar.escapeText(task.parentId)}`);
+
+    const rrule = ICalendar.formatRecurrence(task.recurrence);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+
+    lines.push('END:VTODO');
+    return lines;
+  }
+
+  /**
+   * 重复规则转换为 RRULE，按完成日期重复的规则无法表示，不导出
+   */
+  static formatRecurrence(rule) {
+    if (!rule || !RRULE_FREQ[rule.type]) return null;
+
+    const parts = [`FREQ=${RRULE_FREQ[rule.type]}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.type === 'weekly' && rule.weekdays.length > 0) {
+      parts.push(`BYDAY=${rule.weekdays.map(day => WEEKDAY_CODES[day]).join(',')}`);
+    }
+    if (rule.type === 'monthly' && rule.monthDay) parts.push(`BYMONTHDAY=${rule.monthDay}`);
+    if (rule.count) {
+      // 剩余次数（含当前这次）
+      parts.push(`COUNT=${Math.max(1, rule.count - rule.occurrence + 1)}`);
+    } else if (rule.until) {
+      parts.push(`UNTIL=${ICalendar.formatDateTime(rule.until)}`);
+    }
+    return parts.join(';');
+  }
+
+  /**
+   * 解析 iCalendar 文本中的 VTODO 和 VEVENT
+   * @param {string} text - 文件内容
+   * @returns {Array<Object>} 任务数据（可交给 importTasks）
+   * @throws {Error} 不是 iCalendar 文件
+   */
+  static parse(text) {
+    const lines = ICalendar.unfold(text);
+    if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line))) {
+      throw new Error('不是有效的iCalendar文件');
+    }
+
+    const timezones = {};
+    const components = [];
+    const stack = [];
+
+    lines.forEach(line => {
+      const property = ICalendar.parseProperty(line);
+      if (!property) return;
+
+      if (property.name === 'BEGIN') {
+        stack.push({ type: property.value.toUpperCase(), properties: [] });
+        return;
+      }
+      if (property.name === 'END') {
+        // 只结束同名的组件，其中未结束的组件丢弃
+        const type = property.value.toUpperCase();
+        const index = stack.map(item => item.type).lastIndexOf(type);
+        if (index === -1) return;
+        const component = stack.splice(index)[0];
+        if (component.type === 'VTODO' || component.type === 'VEVENT') {
+          components.push(component);
+        } else if (component.type === 'STANDARD' || component.type === 'DAYLIGHT') {
+          // 附在所属的 VTIMEZONE 上
+          const parent = stack[stack.length - 1];
+          if (parent) parent.properties.push({ name: component.type, value: component });
+        } else if (component.type === 'VTIMEZONE') {
+          const tzid = ICalendar.getValue(component, 'TZID');
+          if (tzid) timezones[tzid] = ICalendar.getTimezoneOffset(component);
+        }
+        return;
+      }
+      if (stack.length > 0) {
+        stack[stack.length - 1].properties.push(property);
+      }
+    });
+
+    return components
+      .map((component, index) => ICalendar.toTask(component, timezones, index))
+      .filter(Boolean);
+  }
+
+  /**
+   * 转换单个 VTODO / VEVENT
+   */
+  static toTask(component, timezones, index) {
+    const summary = ICalendar.getValue(component, 'SUMMARY');
+    if (!summary || !summary.trim()) return null;
+    // 重复事件中单独修改过的某一次，与主事件UID相同，只导入主事件
+    if (component.properties.some(property => property.name === 'RECURRENCE-ID')) return null;
+
+    const find = name => component.properties.find(property => property.name === name);
+    const task = { text: summary.trim().replace(/\s+/g, ' '), position: index, tags: [] };
+
+    const uid = ICalendar.getValue(component, 'UID');
+    if (uid) task.id = uid;
+
+    const description = ICalendar.getValue(component, 'DESCRIPTION');
+    if (description) task.description = description;
+
+    const due = component.type === 'VTODO' ? (find('DUE') || find('DTSTART')) : find('DTSTART');
+    if (due) task.dueDate = ICalendar.parseDateTime(due, timezones, true);
+
+    const created = find('CREATED');
+    if (created) task.createdAt = ICalendar.parseDateTime(created, timezones);
+    const modified = find('LAST-MODIFIED');
+    if (modified) task.updatedAt = ICalendar.parseDateTime(modified, timezones);
+
+    const priority = parseInt(ICalendar.getValue(component, 'PRIORITY'), 10);
+    if (priority >= 1 && priority <= 4) task.priority = 'high';
+    if (priority >= 6 && priority <= 9) task.priority = 'low';
+
+    const status = (ICalendar.getValue(component, 'STATUS') || '').toUpperCase();
+    const completed = find('COMPLETED');
+    if (status === 'COMPLETED' || completed) {
+      task.completed = true;
+      task.completedAt = completed ? ICalendar.parseDateTime(completed, timezones) : (task.updatedAt || new Date().toISOString());
+    }
+
+    component.properties
+      .filter(property => property.name === 'CATEGORIES')
+      .forEach(property => {
+        ICalendar.splitList(property.value).forEach(tag => {
+          const value = tag.trim().toLowerCase();
+          if (value && !task.tags.includes(value)) task.tags.push(value);
+        });
+      });
+
+    const category = ICalendar.getValue(component, 'X-EPIC-CATEGORY');
+    if (category && category.length <= 30) task.category = category;
+
+    const related = find('RELATED-TO');
+    if (related && (!related.params.RELTYPE || related.params.RELTYPE.toUpperCase() === 'PARENT')) {
+      task.parentId = ICalendar.unescapeText(related.value);
+    }
+
+    const rrule = ICalendar.getValue(component, 'RRULE', false);
+    if (rrule) task.recurrence = ICalendar.parseRecurrence(rrule, timezones);
+
+    return task;
+  }
+
+  /**
+   * 解析 RRULE，不支持的频率（如按年）忽略
+   */
+  static parseRecurrence(value, timezones) {
+    const parts = Object.fromEntries(value.split(';').map(part => {
+      const [key, ...rest] = part.split('=');
+      return [key.toUpperCase(), rest.join('=')];
+    }));
+    const type = Object.keys(RRULE_FREQ).find(key => RRULE_FREQ[key] === (parts.FREQ || '').toUpperCase());
+    if (!type) return null;
+
+    const rule = { type, interval: parseInt(parts.INTERVAL, 10) || 1 };
+    if (type === 'weekly' && parts.BYDAY) {
+      // 忽略 1MO 这类带序号的写法中的序号
+      rule.weekdays = parts.BYDAY.split(',')
+        .map(day => WEEKDAY_CODES.indexOf(day.replace(/^[+-]?\d+/, '').toUpperCase()))
+        .filter(day => day >= 0);
+    }
+    if (type === 'monthly' && parts.BYMONTHDAY) rule.monthDay = parseInt(parts.BYMONTHDAY, 10);
+    if (parts.COUNT) rule.count = parseInt(parts.COUNT, 10);
+    if (parts.UNTIL) rule.until = ICalendar.parseDateTime({ value: parts.UNTIL, params: {} }, timezones);
+    return rule;
+  }
+
+  /**
+   * 展开折行：以空格或制表符开头的行接在上一行后面
+   */
+  static unfold(text) {
+    return text
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim());
+  }
+
+  /**
+   * 按75字节折行（不拆开多字节字符）
+   */
+  static foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const chunks = [];
+    let chunk = '';
+    let bytes = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      // 续行开头的空格占一个字节
+      const limit = chunks.length === 0 ? 75 : 74;
+      if (bytes + size > limit) {
+        chunks.push(chunk);
+        chunk = '';
+        bytes = 0;
+      }
+      chunk += char;
+      bytes += size;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+  }
+
+  /**
+   * 解析内容行 NAME;PARAM=VALUE:VALUE，参数值可以加引号（引号内可以有冒号和分号）
+   * @returns {Object|null} { name, params, value }
+   */
+  static parseProperty(line) {
+    const segments = [];
+    let current = '';
+    let quoted = false;
+    let valueStart = -1;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && char === ';') {
+        segments.push(current);
+        current = '';
+        continue;
+      } else if (!quoted && char === ':') {
+        valueStart = i + 1;
+        break;
+      }
+      current += char;
+    }
+    segments.push(current);
+
+    const name = segments.shift().trim().toUpperCase();
+    if (valueStart === -1 || !/^[A-Z0-9-]+$/.test(name)) return null;
+
+    const params = {};
+    segments.forEach(segment => {
+      const index = segment.indexOf('=');
+      if (index > 0) {
+        params[segment.slice(0, index).toUpperCase()] = segment.slice(index + 1).replace(/^"|"$/g, '');
+      }
+    });
+
+    return { name, params, value: line.slice(valueStart) };
+  }
+
+  /**
+   * 获取组件中某个属性的值
+   * @param {boolean} unescape - 是否按 TEXT 类型反转义
+   */
+  static getValue(component, name, unescape = true) {
+    const property = component.properties.find(item => item.name === name);
+    if (!property || typeof property.value !== 'string') return null;
+    return unescape ? ICalendar.unescapeText(property.value) : property.value;
+  }
+
+  /**
+   * VTIMEZONE 的UTC偏移（分钟），取 STANDARD 的 TZOFFSETTO
+   * 只用于无法识别的时区名，夏令时按标准时间近似
+   */
+  static getTimezoneOffset(component) {
+    const standard = component.properties.find(property => property.name === 'STANDARD')
+      || component.properties.find(property => property.name === 'DAYLIGHT');
+    const offset = standard && ICalendar.getValue(standard.value, 'TZOFFSETTO');
+    const match = offset && offset.match(/^([+-])(\d{2})(\d{2})/);
+    if (!match) return null;
+    return (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+  }
+
+  /**
+   * 解析 DATE 或 DATE-TIME 属性
+   * @param {Object} property - { value, params }
+   * @param {Object} timezones - VTIMEZONE 中定义的偏移
+   * @param {boolean} isDue - 只有日期时是否按当天 23:59 处理
+   * @returns {string|null} ISO字符串
+   */
+  static parseDateTime(property, timezones, isDue = false) {
+    const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(value => parseInt(value || '0', 10));
+    // 20261345 这类溢出的日期和 25:00 这类时间视为无效
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 60) {
+      return null;
+    }
+
+    if (match[4] === undefined || property.params.VALUE === 'DATE') {
+      return new Date(year, month - 1, day, isDue ? 23 : 0, isDue ? 59 : 0).toISOString();
+    }
+
+    const utc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    if (match[7]) {
+      return new Date(utc).toISOString();
+    }
+
+    const tzid = property.params.TZID;
+    if (tzid) {
+      const offset = ICalendar.getZoneOffset(tzid, utc);
+      if (offset !== null) return new Date(utc - offset * 60 * 1000).toISOString();
+      if (timezones[tzid] !== null && timezones[tzid] !== undefined) {
+        return new Date(utc - timezones[tzid] * 60 * 1000).toISOString();
+      }
+    }
+
+    // 浮动时间按本地时间处理
+    return new Date(year, month - 1, day, hours, minutes, seconds).toISOString();
+  }
+
+  /**
+   * IANA 时区在某一时刻的UTC偏移（分钟），无法识别的时区返回 null
+   * @param {string} tzid - 时区名，如 Asia/Shanghai
+   * @param {number} wallTime - 按UTC解释的当地时间（毫秒）
+   */
+  static getZoneOffset(tzid, wallTime) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: tzid.replace(/^\//, ''),
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      });
+    } catch (error) {
+      return null;
+    }
+
+    const offsetAt = time => {
+      const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+      const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      return Math.round((local - time) / 60000);
+    };
+
+    // 先按当地时间估算，再用估算出的UTC时刻修正（处理夏令时切换）
+    const guess = offsetAt(wallTime);
+    return offsetAt(wallTime - guess * 60000);
+  }
+
+  /**
+   * UTC 日期时间 YYYYMMDDTHHMMSSZ
+   */
+  static formatDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * 本地日期 YYYYMMDD
+   */
+  static formatDate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  }
+
+  /**
+   * TEXT 类型转义：反斜杠、分号、逗号和换行
+   */
+  static escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  static unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * 拆分以逗号分隔的 TEXT 列表（忽略转义的逗号）
+   */
+  static splitList(value) {
+    const items = [];
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '\\' && i + 1 < value.length) {
+        current += value[i] + value[i + 1];
+        i++;
+      } else if (value[i] === ',') {
+        items.push(current);
+        current = '';
+      } else {
+        current += value[i];
+      }
+    }
+    items.push(current);
+    return items.map(item => ICalendar.unescapeText(item));
+  }
+}
+
+export { ICalendar };
+export default ICalendar;
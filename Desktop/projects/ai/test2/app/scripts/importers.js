@@ -0,0 +1,808 @@
+/**
+ * Epic Todo List - 第三方导入模块
+ * 作者: 乔帅
+ * 功能: 识别 Trello、Todoist、Microsoft To Do 的导出文件并转换为任务
+ */
+
+import CSV from './csv.js';
+import ICalendar from './icalendar.js';
+import quickAddParser from './quickAdd.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const REPORT_SAMPLE_SIZE = 5;
+
+/**
+ * 导入报告：记录哪些内容转换成了什么字段，哪些内容没有导入以及原因
+ */
+class ImportReport {
+  /**
+   * @param {string} source - 来源应用名称
+   * @param {string} fileName - 文件名
+   */
+  constructor(source, fileName) {
+    this.source = source;
+    this.fileName = fileName;
+    this.mappings = new Map(); // 说明 -> 次数
+    this.drops = new Map(); // 原因 -> 条目名称
+  }
+
+  /**
+   * 记录一次字段转换
+   * @param {string} label - 说明，如"列表 → 分类"
+   */
+  map(label, count = 1) {
+    this.mappings.set(label, (this.mappings.get(label) || 0) + count);
+  }
+
+  /**
+   * 记录未导入的内容
+   * @param {string} reason - 原因
+   * @param {string} item - 条目名称，便于用户找到原数据
+   */
+  drop(reason, item) {
+    if (!this.drops.has(reason)) this.drops.set(reason, []);
+    this.drops.get(reason).push(String(item || '').trim() || '(无标题)');
+  }
+
+  /**
+   * @param {Array} tasks - 转换得到的任务
+   * @returns {Object} { source, fileName, total, mapped: [{ label, count }], dropped: [{ reason, count, items }] }
+   */
+  toJSON(tasks) {
+    return {
+      source: this.source,
+      fileName: this.fileName,
+      total: tasks.length,
+      mapped: [...this.mappings].map(([label, count]) => ({ label, count })),
+      dropped: [...this.drops].map(([reason, items]) => ({
+        reason,
+        count: items.length,
+        items: items.slice(0, REPORT_SAMPLE_SIZE)
+      }))
+    };
+  }
+}
+
+/**
+ * 生成任务ID（与 Task 的ID格式一致），来源数据没有ID时使用
+ */
+function createId() {
+  return 'task-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * 来源中的列表/项目名称转换为分类，超过30个字符时截断
+ */
+function toCategory(name, report) {
+  const category = String(name || '').trim();
+  if (!category) return 'default';
+  if (category.length > 30) {
+    report.drop('分类名称超过30个字符，已截断', category);
+    return category.slice(0, 30);
+  }
+  return category;
+}
+
+/**
+ * 标签统一为小写，空白替换为短横线（与快速添加的 #标签 语法一致）
+ */
+function toTag(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+function uniqueTags(tags) {
+  return [...new Set(tags.map(toTag).filter(Boolean))];
+}
+
+/**
+ * 日期是否存在（2026-02-30 这类溢出的日期不存在）
+ */
+function isValidDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * 只有日期的到期时间为当天 23:59（本地时间），日期无效时返回 null
+ */
+function endOfDay(year, month, day) {
+  if (!isValidDate(year, month, day)) return null;
+  return new Date(year, month - 1, day, 23, 59).toISOString();
+}
+
+/**
+ * 解析日期字符串：YYYY-MM-DD 为当天 23:59，不带时区的日期时间按本地时间，其余交给 Date
+ * @returns {string|null} ISO字符串
+ */
+function parseDue(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) return endOfDay(Number(dateOnly[1]), Number(dateOnly[2]), Number(dateOnly[3]));
+
+  const floating = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/);
+  if (floating) {
+    const [year, month, day, hours, minutes, seconds] = floating.slice(1).map(part => Number(part || 0));
+    if (!isValidDate(year, month, day) || hours > 23 || minutes > 59 || seconds > 59) return null;
+    return new Date(year, month - 1, day, hours, minutes, seconds).toISOString();
+  }
+
+  return toISO(text);
+}
+
+function toISO(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * HTML 正文转为纯文本
+ */
+function stripHtml(html) {
+  return String(html)
+    .replace(/<(br|\/p|\/div|\/li)\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * 识别常见的重复日期写法，如 every day、every 2 weeks、every monday, friday、每天、每3天、每周一
+ * @returns {Object|null} 重复规则，无法识别时返回 null
+ */
+function parseRecurrenceText(text) {
+  const value = String(text || '').trim().toLowerCase();
+
+  const english = value.match(/^every\s+(\d+\s+)?(day|week|month|year)s?$/);
+  if (english) {
+    const interval = parseInt(english[1], 10) || 1;
+    const unit = english[2];
+    if (unit === 'day') return { type: 'daily', interval };
+    if (unit === 'week') return { type: 'weekly', interval };
+    return { type: 'monthly', interval: unit === 'year' ? interval * 12 : interval };
+  }
+  if (value === 'daily') return { type: 'daily', interval: 1 };
+  if (value === 'weekly') return { type: 'weekly', interval: 1 };
+  if (value === 'monthly') return { type: 'monthly', interval: 1 };
+  if (/^every\s+(weekday|workday)$/.test(value)) return { type: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] };
+
+  const days = value.match(/^every\s+([a-z,\s]+)$/);
+  if (days) {
+    const names = days[1].split(/\s*(?:,|and)\s*|\s+/).filter(Boolean);
+    const weekdays = names.map(name => WEEKDAYS.findIndex(day => day.startsWith(name.slice(0, 3))));
+    if (weekdays.length > 0 && names.every(name => name.length >= 3) && !weekdays.includes(-1)) {
+      return { type: 'weekly', interval: 1, weekdays };
+    }
+  }
+
+  const chinese = value.match(/^每(\d*)(天|日|周|星期|个月|月|年)$/);
+  if (chinese) {
+    const interval = parseInt(chinese[1], 10) || 1;
+    if (chinese[2] === '天' || chinese[2] === '日') return { type: 'daily', interval };
+    if (chinese[2] === '周' || chinese[2] === '星期') return { type: 'weekly', interval };
+    return { type: 'monthly', interval: chinese[2] === '年' ? interval * 12 : interval };
+  }
+  if (value === '每个工作日' || value === '每工作日') return { type: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] };
+
+  const chineseDays = value.match(/^每(?:周|星期)([一二三四五六日天、,，]+)$/);
+  if (chineseDays) {
+    const map = { '日': 0, '天': 0, '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6 };
+    const weekdays = [...chineseDays[1]].filter(char => char in map).map(char => map[char]);
+    return { type: 'weekly', interval: 1, weekdays };
+  }
+
+  return null;
+}
+
+/**
+ * Trello 看板 JSON（看板菜单 → 打印、导出和分享 → 导出为 JSON）
+ *
+ * 列表→分类，标签→标签（无名称的标签按颜色命名），描述→描述，到期日期→到期时间，
+ * 到期已完成→已完成，清单项→子任务。已归档的卡片和列表、附件、评论、成员、自定义字段不导入。
+ * ID 使用 trello- 前缀，重复导入同一个看板不会产生重复任务。
+ */
+const trelloImporter = {
+  id: 'trello',
+  name: 'Trello',
+
+  detect(input) {
+    const board = input.json;
+    return Boolean(board) && Array.isArray(board.cards) && Array.isArray(board.lists);
+  },
+
+  parse(input, report) {
+    const board = input.json;
+    const lists = new Map(board.lists.map((list, index) => [list.id, { ...list, index }]));
+    const labels = new Map((board.labels || []).map(label => [label.id, label]));
+
+    const checklists = new Map();
+    (board.checklists || []).forEach(checklist => {
+      if (!checklists.has(checklist.idCard)) checklists.set(checklist.idCard, []);
+      checklists.get(checklist.idCard).push(checklist);
+    });
+
+    const comments = new Map();
+    (board.actions || [])
+      .filter(action => action.type === 'commentCard' && action.data && action.data.card)
+      .forEach(action => {
+        const cardId = action.data.card.id;
+        comments.set(cardId, (comments.get(cardId) || 0) + 1);
+      });
+
+    // 按列表顺序、再按卡片在列表中的位置排列
+    const listOrder = cardList => (cardList ? cardList.index : Infinity);
+    const cards = [...board.cards].sort((a, b) =>
+      listOrder(lists.get(a.idList)) - listOrder(lists.get(b.idList)) || (a.pos || 0) - (b.pos || 0)
+    );
+
+    const tasks = [];
+    cards.forEach(card => {
+      const list = lists.get(card.idList);
+      const name = String(card.name || '').trim();
+
+      if (!name) {
+        report.drop('卡片标题为空', card.id);
+        return;
+      }
+      if (card.closed) {
+        report.drop('卡片已在 Trello 中归档', name);
+        return;
+      }
+      if (list && list.closed) {
+        report.drop('所在列表已在 Trello 中归档', `${list.name} / ${name}`);
+        return;
+      }
+
+      const task = {
+        id: `trello-${card.id}`,
+        text: name,
+        tags: [],
+        createdAt: trelloIdTime(card.id),
+        updatedAt: toISO(card.dateLastActivity),
+        position: tasks.length
+      };
+
+      if (list) {
+        task.category = toCategory(list.name, report);
+        report.map('列表 → 分类');
+      }
+
+      const cardLabels = Array.isArray(card.labels)
+        ? card.labels
+        : (card.idLabels || []).map(id => labels.get(id)).filter(Boolean);
+      cardLabels.forEach(label => {
+        if (label.name) {
+          report.map('标签 → 标签');
+        } else if (label.color) {
+          report.map('无名称的标签 → 以颜色命名的标签');
+        }
+      });
+      task.tags = uniqueTags(cardLabels.map(label => label.name || label.color || ''));
+
+      if (card.desc) {
+        task.description = card.desc;
+        report.map('描述 → 描述');
+      }
+      if (card.due) {
+        task.dueDate = toISO(card.due);
+        if (task.dueDate) {
+          report.map('到期日期 → 到期时间');
+        } else {
+          report.drop('无法识别的日期', `${name}（${card.due}）`);
+        }
+      }
+      if (card.dueComplete) {
+        task.completed = true;
+        task.completedAt = task.updatedAt || new Date().toISOString();
+        report.map('到期已完成 → 已完成');
+      }
+
+      if (card.start) report.drop('开始日期不支持导入', name);
+
+      const attachments = (card.badges && card.badges.attachments) || (card.attachments || []).length;
+      if (attachments > 0) report.drop('附件不支持导入', `${name}（${attachments} 个）`);
+
+      const commentCount = comments.get(card.id) || (card.badges && card.badges.comments) || 0;
+      if (commentCount > 0) report.drop('评论不支持导入', `${name}（${commentCount} 条）`);
+
+      if ((card.idMembers || []).length > 0) report.drop('成员分配不支持导入', name);
+      if ((card.customFieldItems || []).length > 0) report.drop('自定义字段不支持导入', name);
+
+      tasks.push(task);
+
+      const cardChecklists = (checklists.get(card.id) || []).sort((a, b) => (a.pos || 0) - (b.pos || 0));
+      cardChecklists.forEach(checklist => {
+        // 清单项直接作为子任务，多个清单时清单名称无处保存
+        if (cardChecklists.length > 1) report.drop('清单名称不保留（清单项直接作为子任务）', `${name} / ${checklist.name}`);
+
+        [...(checklist.checkItems || [])]
+          .sort((a, b) => (a.pos || 0) - (b.pos || 0))
+          .forEach(item => {
+            const text = String(item.name || '').trim();
+            if (!text) return;
+
+            const subtask = {
+              id: `trello-${item.id}`,
+              text,
+              parentId: task.id,
+              category: task.category,
+              completed: item.state === 'complete',
+              position: tasks.length
+            };
+            if (subtask.completed) subtask.completedAt = task.updatedAt || new Date().toISOString();
+            if (item.due) subtask.dueDate = toISO(item.due);
+            tasks.push(subtask);
+            report.map('清单项 → 子任务');
+          });
+      });
+    });
+
+    return tasks;
+  }
+};
+
+/**
+ * Trello ID 的前8位是创建时间（十六进制秒数）
+ */
+function trelloIdTime(id) {
+  const seconds = parseInt(String(id || '').slice(0, 8), 16);
+  return seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Todoist 的 p1~p4 转换为优先级：p1、p2 为高，p3 为低，p4（默认）为普通
+ */
+function todoistPriority(level) {
+  return { 1: 'high', 2: 'high', 3: 'low' }[level] || 'normal';
+}
+
+/**
+ * Todoist 项目 CSV（项目菜单 → 导出为模板）
+ *
+ * 文件名（项目名称）→分类，分区→标签，@标签→标签，INDENT→子任务层级，
+ * 优先级 1~4 对应 p1~p4，DATE 为日期或自然语言（every day 等可识别的写法转换为重复规则），
+ * note 行追加到上一个任务的描述。负责人、预计时长不导入。
+ * 模板不包含已完成的任务，也没有任务ID，重复导入会产生重复任务。
+ */
+const todoistCSVImporter = {
+  id: 'todoist-csv',
+  name: 'Todoist (CSV)',
+
+  detect(input) {
+    if (input.json) return false;
+    const firstLine = input.text.split(/\r?\n/, 1)[0] || '';
+    const headers = firstLine.replace(/^\uFEFF/, '').split(/[,;\t]/).map(header => header.replace(/"/g, '').trim().toUpperCase());
+    return ['TYPE', 'CONTENT', 'PRIORITY', 'INDENT'].every(header => headers.includes(header));
+  },
+
+  parse(input, report) {
+    const { headers, rows } = CSV.read(input.text);
+    const columns = {};
+    headers.forEach((header, index) => {
+      columns[header.toUpperCase()] = index;
+    });
+    const get = (cells, name) => (columns[name] === undefined ? '' : String(cells[columns[name]] || '').trim());
+
+    const category = toCategory(input.name.replace(/\.[^.]+$/, ''), report);
+    const tasks = [];
+    const parents = []; // parents[indent - 1] 为该层级最近的任务
+    let section = null;
+
+    rows.forEach(cells => {
+      if (CSV.isBlank(cells)) return;
+
+      const type = get(cells, 'TYPE').toLowerCase();
+      const content = get(cells, 'CONTENT');
+
+      if (type === 'meta') return;
+      if (type === 'section') {
+        section = content;
+        parents.length = 0;
+        return;
+      }
+      if (type === 'note') {
+        const last = tasks[tasks.length - 1];
+        if (last && content) {
+          last.description = last.description ? `${last.description}\n\n${content}` : content;
+          report.map('评论 → 描述');
+        } else if (content) {
+          report.drop('评论不属于任何任务', content);
+        }
+        return;
+      }
+      if (type !== 'task') {
+        report.drop(`不支持的行类型 "${type}"`, content);
+        return;
+      }
+
+      const labels = [];
+      const text = content.replace(/(^|\s)@([^\s@]+)/g, (match, lead, label) => {
+        labels.push(label);
+        return lead;
+      }).replace(/\s+/g, ' ').trim();
+      if (!text) {
+        report.drop('任务内容为空', content);
+        return;
+      }
+
+      const indent = Math.max(parseInt(get(cells, 'INDENT'), 10) || 1, 1);
+      const parent = indent > 1 ? parents[Math.min(indent, parents.length + 1) - 2] : null;
+
+      const task = {
+        id: createId(),
+        text,
+        category,
+        tags: uniqueTags(labels),
+        priority: todoistPriority(parseInt(get(cells, 'PRIORITY'), 10)),
+        parentId: parent ? parent.id : null,
+        position: tasks.length
+      };
+
+      if (labels.length > 0) report.map('@标签 → 标签', labels.length);
+      if (section) {
+        task.tags = uniqueTags([...task.tags, section]);
+        report.map('分区 → 标签');
+      }
+      if (task.parentId) report.map('缩进 → 子任务');
+      if (task.priority !== 'normal') report.map('优先级 → 优先级');
+
+      const description = get(cells, 'DESCRIPTION');
+      if (description) {
+        task.description = description;
+        report.map('描述 → 描述');
+      }
+
+      const date = get(cells, 'DATE');
+      if (date) applyTodoistDate(task, { string: date }, report);
+
+      if (get(cells, 'RESPONSIBLE')) report.drop('负责人不支持导入', text);
+      if (get(cells, 'DURATION')) report.drop('预计时长不支持导入', text);
+
+      tasks.push(task);
+      parents.length = Math.min(indent - 1, parents.length);
+      parents.push(task);
+    });
+
+    if (tasks.length > 0) report.map('项目（文件名）→ 分类', tasks.length);
+    return tasks;
+  }
+};
+
+/**
+ * Todoist 的到期日期：{ date, string, is_recurring }，CSV 中只有 string
+ */
+function applyTodoistDate(task, due, report) {
+  if (due.date) {
+    task.dueDate = parseDue(due.date);
+  } else if (due.string) {
+    task.dueDate = parseDue(due.string);
+    if (!task.dueDate) {
+      const parsed = quickAddParser.parse(due.string);
+      // 整段都是日期时才采用，避免把 "every day" 之类的部分词当作日期
+      if (parsed.dueDate && !parsed.text.trim()) task.dueDate = parsed.dueDate;
+    }
+  }
+  if (task.dueDate) report.map('到期日期 → 到期时间');
+
+  const recurring = due.is_recurring || /^(every|每)/i.test(due.string || '');
+  if (recurring) {
+    const rule = parseRecurrenceText(due.string);
+    if (rule) {
+      task.recurrence = rule;
+      report.map('重复日期 → 重复规则');
+    } else {
+      report.drop('无法识别的重复日期', `${task.text}（${due.string}）`);
+    }
+  } else if (!task.dueDate) {
+    report.drop('无法识别的日期', `${task.text}（${due.string || due.date}）`);
+  }
+}
+
+/**
+ * Todoist JSON 备份（Sync API 的完整数据：projects、sections、items、notes、labels）
+ *
+ * 项目→分类，分区→标签，标签→标签，parent_id→子任务，priority 4~1 对应 p1~p4，
+ * due→到期时间和重复规则，评论→描述，已完成→已完成。已删除的任务、负责人、附件不导入。
+ * ID 使用 todoist- 前缀，重复导入不会产生重复任务。
+ */
+const todoistJSONImporter = {
+  id: 'todoist-json',
+  name: 'Todoist (JSON)',
+
+  detect(input) {
+    const data = input.json;
+    return Boolean(data) && Array.isArray(data.items) && Array.isArray(data.projects);
+  },
+
+  parse(input, report) {
+    const data = input.json;
+    const projects = new Map(data.projects.map(project => [String(project.id), project]));
+    const sections = new Map((data.sections || []).map(section => [String(section.id), section]));
+    const labelNames = new Map((data.labels || []).map(label => [String(label.id), label.name]));
+
+    const notes = new Map();
+    (data.notes || data.comments || []).forEach(note => {
+      if (note.is_deleted || !note.item_id) return;
+      const itemId = String(note.item_id);
+      if (!notes.has(itemId)) notes.set(itemId, []);
+      notes.get(itemId).push(note);
+    });
+
+    const items = data.items.filter(item => {
+      if (item.is_deleted) {
+        report.drop('任务已在 Todoist 中删除', item.content);
+        return false;
+      }
+      return true;
+    });
+    const ids = new Set(items.map(item => String(item.id)));
+
+    // 按项目顺序、再按任务在项目中的顺序排列
+    const projectOrder = [...projects.keys()];
+    items.sort((a, b) =>
+      projectOrder.indexOf(String(a.project_id)) - projectOrder.indexOf(String(b.project_id)) ||
+      (a.child_order || a.item_order || 0) - (b.child_order || b.item_order || 0)
+    );
+
+    const tasks = [];
+    items.forEach(item => {
+      const text = String(item.content || '').trim();
+      if (!text) {
+        report.drop('任务内容为空', item.id);
+        return;
+      }
+
+      const project = projects.get(String(item.project_id));
+      const section = sections.get(String(item.section_id));
+      // 早期版本的 labels 是标签ID
+      const labels = (item.labels || []).map(label => labelNames.get(String(label)) || String(label));
+
+      const task = {
+        id: `todoist-${item.id}`,
+        text,
+        tags: uniqueTags([...labels, ...(section ? [section.name] : [])]),
+        // API 中 4 为 p1
+        priority: todoistPriority(5 - (parseInt(item.priority, 10) || 1)),
+        parentId: item.parent_id && ids.has(String(item.parent_id)) ? `todoist-${item.parent_id}` : null,
+        completed: Boolean(item.checked),
+        createdAt: toISO(item.added_at || item.date_added),
+        position: tasks.length
+      };
+
+      if (project) {
+        task.category = toCategory(project.name, report);
+        report.map('项目 → 分类');
+        if (project.is_archived) report.map('已归档项目中的任务 → 普通任务');
+      }
+      if (labels.length > 0) report.map('标签 → 标签', labels.length);
+      if (section) report.map('分区 → 标签');
+      if (task.parentId) report.map('子任务 → 子任务');
+      if (task.priority !== 'normal') report.map('优先级 → 优先级');
+      if (task.completed) {
+        task.completedAt = toISO(item.completed_at || item.date_completed) || new Date().toISOString();
+        report.map('已完成 → 已完成');
+      }
+
+      const description = [item.description, ...(notes.get(String(item.id)) || []).map(note => note.content)]
+        .map(part => String(part || '').trim())
+        .filter(Boolean);
+      if (description.length > 0) {
+        task.description = description.join('\n\n');
+        if (item.description) report.map('描述 → 描述');
+        if (notes.has(String(item.id))) report.map('评论 → 描述', notes.get(String(item.id)).length);
+      }
+
+      (notes.get(String(item.id)) || [])
+        .filter(note => note.file_attachment)
+        .forEach(() => report.drop('评论中的附件不支持导入', text));
+
+      if (item.due) applyTodoistDate(task, item.due, report);
+      if (item.deadline) report.drop('截止日期（deadline）不支持导入，只保留到期日期', text);
+      if (item.responsible_uid) report.drop('负责人不支持导入', text);
+      if (item.duration) report.drop('预计时长不支持导入', text);
+
+      tasks.push(task);
+    });
+
+    return tasks;
+  }
+};
+
+/**
+ * Microsoft To Do 导出（Microsoft Graph 的 todo/lists 数据，每个列表带 tasks）
+ * 支持 [{ displayName, tasks }]、{ value: [...] } 和只有任务数组的单个列表
+ *
+ * 列表→分类，类别→标签，重要性→优先级，正文→描述，到期日期→到期时间，
+ * 步骤→子任务，重复→重复规则（按第几个星期几重复的除外）。提醒、附件、关联链接不导入。
+ * ID 使用 mstodo- 前缀，重复导入不会产生重复任务。
+ */
+const microsoftTodoImporter = {
+  id: 'microsoft-todo',
+  name: 'Microsoft To Do',
+
+  detect(input) {
+    return getMicrosoftLists(input) !== null;
+  },
+
+  parse(input, report) {
+    const tasks = [];
+
+    getMicrosoftLists(input).forEach(list => {
+      const category = toCategory(list.displayName, report);
+
+      (list.tasks || []).forEach(item => {
+        const text = String(item.title || '').trim();
+        if (!text) {
+          report.drop('任务标题为空', item.id);
+          return;
+        }
+
+        const task = {
+          id: item.id ? `mstodo-${item.id}` : createId(),
+          text,
+          category,
+          tags: uniqueTags(item.categories || []),
+          priority: ['high', 'low'].includes(item.importance) ? item.importance : 'normal',
+          completed: item.status === 'completed',
+          createdAt: toISO(item.createdDateTime),
+          updatedAt: toISO(item.lastModifiedDateTime),
+          position: tasks.length
+        };
+
+        report.map('列表 → 分类');
+        if (task.tags.length > 0) report.map('类别 → 标签', task.tags.length);
+        if (task.priority !== 'normal') report.map('重要性 → 优先级');
+        if (task.completed) {
+          task.completedAt = parseGraphDate(item.completedDateTime) || task.updatedAt || new Date().toISOString();
+          report.map('已完成 → 已完成');
+        } else if (item.status && item.status !== 'notStarted') {
+          report.drop(`状态"${item.status}"不保留，导入为未完成`, text);
+        }
+
+        if (item.body && item.body.content && item.body.content.trim()) {
+          task.description = item.body.contentType === 'html' ? stripHtml(item.body.content) : item.body.content.trim();
+          if (task.description) report.map('正文 → 描述');
+        }
+
+        // To Do 的到期日期没有时间，取日期部分
+        const due = item.dueDateTime && String(item.dueDateTime.dateTime || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (due) {
+          task.dueDate = endOfDay(Number(due[1]), Number(due[2]), Number(due[3]));
+          if (task.dueDate) {
+            report.map('到期日期 → 到期时间');
+          } else {
+            report.drop('无法识别的日期', `${text}（${item.dueDateTime.dateTime}）`);
+          }
+        }
+
+        if (item.recurrence) {
+          const rule = parseGraphRecurrence(item.recurrence);
+          if (rule) {
+            task.recurrence = rule;
+            report.map('重复 → 重复规则');
+          } else {
+            report.drop('不支持的重复方式（按第几个星期几重复）', text);
+          }
+        }
+
+        if (item.isReminderOn && item.reminderDateTime) report.drop('提醒不支持导入', text);
+        if (item.hasAttachments || (item.attachments || []).length > 0) report.drop('附件不支持导入', text);
+        if ((item.linkedResources || []).length > 0) report.drop('关联链接（如来源邮件）不支持导入', text);
+
+        tasks.push(task);
+
+        (item.checklistItems || []).forEach(step => {
+          const stepText = String(step.displayName || '').trim();
+          if (!stepText) return;
+
+          tasks.push({
+            id: step.id ? `mstodo-${step.id}` : createId(),
+            text: stepText,
+            category,
+            parentId: task.id,
+            completed: Boolean(step.isChecked),
+            completedAt: step.isChecked ? (toISO(step.checkedDateTime) || new Date().toISOString()) : null,
+            createdAt: toISO(step.createdDateTime),
+            position: tasks.length
+          });
+          report.map('步骤 → 子任务');
+        });
+      });
+    });
+
+    return tasks;
+  }
+};
+
+/**
+ * 找出 To Do 导出中的列表，不是 To Do 格式时返回 null
+ */
+function getMicrosoftLists(input) {
+  const data = input.json;
+  if (!data) return null;
+
+  const isTask = item => item && typeof item.title === 'string' && ('importance' in item || 'status' in item);
+  const isList = item => item && typeof item.displayName === 'string' && Array.isArray(item.tasks);
+
+  const candidates = Array.isArray(data) ? data : (data.value || data.lists || data.taskLists);
+  if (!Array.isArray(candidates) || candidates.length === 0) return null;
+
+  if (candidates.every(isList)) return candidates;
+  // 单个列表的任务数组，用文件名作为列表名称
+  if (candidates.every(isTask)) {
+    return [{ displayName: data.displayName || input.name.replace(/\.[^.]+$/, ''), tasks: candidates }];
+  }
+  return null;
+}
+
+/**
+ * Graph 的 dateTimeTimeZone：{ dateTime: '2026-10-20T08:00:00.0000000', timeZone: 'UTC' }
+ * 无法识别的时区按本地时间处理
+ */
+function parseGraphDate(value) {
+  if (!value || !value.dateTime) return null;
+  const match = String(value.dateTime).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return toISO(value.dateTime);
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  if (!isValidDate(year, month, day) || hours > 23 || minutes > 59 || seconds > 59) return null;
+  const utc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const zone = value.timeZone || 'UTC';
+  if (/^(utc|gmt|etc\/utc)$/i.test(zone)) return new Date(utc).toISOString();
+
+  const offset = ICalendar.getZoneOffset(zone, utc);
+  if (offset !== null) return new Date(utc - offset * 60 * 1000).toISOString();
+  return new Date(year, month - 1, day, hours, minutes, seconds).toISOString();
+}
+
+/**
+ * Graph 的 patternedRecurrence 转换为重复规则
+ * @returns {Object|null} 按第几个星期几（relative*）重复时返回 null
+ */
+function parseGraphRecurrence(recurrence) {
+  const pattern = recurrence.pattern || {};
+  const range = recurrence.range || {};
+  const interval = parseInt(pattern.interval, 10) || 1;
+  let rule;
+
+  switch (pattern.type) {
+    case 'daily':
+      rule = { type: 'daily', interval };
+      break;
+    case 'weekly':
+      rule = {
+        type: 'weekly',
+        interval,
+        weekdays: (pattern.daysOfWeek || []).map(day => WEEKDAYS.indexOf(String(day).toLowerCase())).filter(day => day >= 0)
+      };
+      break;
+    case 'absoluteMonthly':
+      rule = { type: 'monthly', interval, monthDay: pattern.dayOfMonth };
+      break;
+    case 'absoluteYearly':
+      rule = { type: 'monthly', interval: interval * 12, monthDay: pattern.dayOfMonth };
+      break;
+    default:
+      return null;
+  }
+
+  if (range.type === 'endDate' && range.endDate) rule.until = parseDue(range.endDate);
+  if (range.type === 'numbered' && range.numberOfOccurrences > 0) rule.count = range.numberOfOccurrences;
+  return rule;
+}
+
+/**
+ * 内置的导入器，按顺序检测
+ */
+const DEFAULT_IMPORTERS = [trelloImporter, todoistJSONImporter, todoistCSVImporter, microsoftTodoImporter];
+
+export { ImportReport, DEFAULT_IMPORTERS, parseRecurrenceText };
+export default DEFAULT_IMPORTERS;
@@ -0,0 +1,160 @@
+/**
+ * Epic Todo List - Markdown渲染模块
+ * 作者: 乔帅
+ * 功能: 将任务描述中的常用Markdown语法安全地渲染为HTML
+ */
+
+/**
+ * Markdown渲染器 - 只支持任务描述常用的语法子集
+ *
+ * 支持：标题(#)、无序/有序列表、任务列表(- [ ])、引用(>)、代码块(```)、
+ *       行内代码、粗体、斜体、删除线、链接（仅 http/https/mailto）
+ * 所有文本先转义再替换，不会输出原始HTML
+ */
+class Markdown {
+  /**
+   * 渲染为HTML
+   * @param {string} text - Markdown文本
+   * @returns {string} HTML
+   */
+  static render(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let list = null;      // 'ul' | 'ol'
+    let paragraph = [];
+    let codeBlock = null; // 代码块内的行
+
+    const closeParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map(line => Markdown.renderInline(line)).join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+    const closeList = () => {
+      if (list) {
+        html.push(`</${list}>`);
+        list = null;
+      }
+    };
+    const openList = (type) => {
+      if (list !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        list = type;
+      }
+    };
+
+    lines.forEach(line => {
+      if (codeBlock) {
+        if (/^```/.test(line.trim())) {
+          html.push(`<pre><code>${codeBlock.map(Markdown.escape).join('\n')}</code></pre>`);
+          codeBlock = null;
+        } else {
+          codeBlock.push(line);
+        }
+        return;
+      }
+
+      let match;
+      if (/^```/.test(line.trim())) {
+        closeParagraph();
+        closeList();
+        codeBlock = [];
+      } else if (!line.trim()) {
+        closeParagraph();
+        closeList();
+      } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+        closeParagraph();
+        closeList();
+        // 描述中的标题降级显示，避免比任务标题更醒目
+        const level = Math.min(match[1].length + 2, 6);
+        html.push(`<h${level}>${Markdown.renderInline(match[2])}</h${level}>`);
+      } else if ((match = line.match(/^\s*[-*+]\s+\[([ xX])\]\s+(.*)$/))) {
+        closeParagraph();
+        openList('ul');
+        const checked = match[1].toLowerCase() === 'x';
+        html.push(`<li class="md-task"><input type="checkbox" disabled ${checked ? 'checked' : ''}> ${Markdown.renderInline(match[2])}</li>`);
+      } else if ((match = line.match(/^\s*[-*+]\s+(.*)$/))) {
+        closeParagraph();
+        openList('ul');
+        html.push(`<li>${Markdown.renderInline(match[1])}</li>`);
+      } else if ((match = line.match(/^\s*\d+[.)]\s+(.*)$/))) {
+        closeParagraph();
+        openList('ol');
+        html.push(`<li>${Markdown.renderInline(match[1])}</li>`);
+      } else if ((match = line.match(/^>\s?(.*)$/))) {
+        closeParagraph();
+        closeList();
+        html.push(`<blockquote>${Markdown.renderInline(match[1])}</blockquote>`);
+      } else {
+        closeList();
+        paragraph.push(line.trim());
+      }
+    });
+
+    if (codeBlock) {
+      html.push(`<pre><code>${codeBlock.map(Markdown.escape).join('\n')}</code></pre>`);
+    }
+    closeParagraph();
+    closeList();
+
+    return html.join('');
+  }
+
+  /**
+   * 渲染行内语法
+   */
+  static renderInline(text) {
+    const codes = [];
+
+    // 先取出行内代码，避免其中的内容被继续替换
+    let result = Markdown.escape(text).replace(/`([^`]+)`/g, (match, code) => {
+      codes.push(code);
+      return `\u0000${codes.length - 1}\u0000`;
+    });
+
+    result = result
+      .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g,
+        '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+      .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_([^_]+)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${codes[index]}</code>`);
+  }
+
+  /**
+   * 转义HTML特殊字符
+   */
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 去掉Markdown标记，得到纯文本（用于摘要）
+   */
+  static toPlainText(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    return text
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+      .replace(/^\s*(#{1,6}|>|[-*+](\s+\[[ xX]\])?|\d+[.)])\s+/gm, '')
+      .replace(/(\*\*|__|~~|\*|_)/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+export { Markdown };
+export default Markdown;
@@ -0,0 +1,250 @@
+/**
+ * Epic Todo List - 快速添加解析模块
+ * 作者: 乔帅
+ * 功能: 从任务输入中识别到期时间、标签、优先级和分类
+ */
+
+const CN_WEEKDAYS = { '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '日': 0, '天': 0, '1': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 0 };
+const EN_WEEKDAYS = {
+  sunday: 0, sun: 0, monday: 1, mon: 1, tuesday: 2, tue: 2, tues: 2, wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4, friday: 5, fri: 5, saturday: 6, sat: 6
+};
+// 缩写容易与普通单词混淆（sun、sat、wed），需要触发词或紧跟时间才识别
+const EN_WEEKDAY_ABBREVIATIONS = new Set(['sun', 'mon', 'tue', 'tues', 'wed', 'thu', 'thur', 'thurs', 'fri', 'sat']);
+const PRIORITY_ALIASES = {
+  high: 'high', h: 'high', '高': 'high', urgent: 'high', '紧急': 'high',
+  normal: 'normal', n: 'normal', medium: 'normal', '中': 'normal', '普通': 'normal',
+  low: 'low', l: 'low', '低': 'low'
+};
+
+/**
+ * 快速添加解析器
+ *
+ * 支持的语法：
+ * - 标签: #work
+ * - 优先级: !high / !高 / !low / !低
+ * - 分类: @项目A
+ * - 日期: 今天、明天、后天、下周五、周三、3天后、11月1日、2026-11-01、
+ *         today、tomorrow、next friday、friday、on fri、fri 3pm、in 2 days
+ * - 时间: 下午3点、3点半、15:30、3pm、3:30pm
+ */
+class QuickAddParser {
+  /**
+   * 解析输入
+   * @param {string} input - 原始输入
+   * @param {Date} now - 当前时间（便于测试）
+   * @returns {Object} { text, dueDate, tags, priority, category, tokens }
+   */
+  parse(input, now = new Date()) {
+    const result = {
+      text: '',
+      dueDate: null,
+      tags: [],
+      priority: null,
+      category: null,
+      tokens: []
+    };
+
+    if (!input || typeof input !== 'string') return result;
+
+    let rest = ` ${input} `;
+    const take = (regex, handler) => {
+      rest = rest.replace(regex, (...args) => (handler(...args) === false ? args[0] : ' '));
+    };
+
+    // 标签
+    take(/(^|\s)#([\p{L}\p{N}_\-/]+)/gu, (match, lead, tag) => {
+      const value = tag.toLowerCase();
+      if (!result.tags.includes(value)) {
+        result.tags.push(value);
+        result.tokens.push({ type: 'tag', value, label: `#${value}` });
+      }
+    });
+
+    // 优先级
+    take(/(^|\s)!([\p{L}]+)/gu, (match, lead, word) => {
+      const priority = PRIORITY_ALIASES[word.toLowerCase()];
+      if (!priority) return false;
+      result.priority = priority;
+      result.tokens.push({ type: 'priority', value: priority, label: `!${word}` });
+    });
+
+    // 分类
+    take(/(^|\s)@([\p{L}\p{N}_\-]+)/gu, (match, lead, category) => {
+      result.category = category;
+      result.tokens.push({ type: 'category', value: category, label: `@${category}` });
+    });
+
+    // 日期与时间
+    let date = null;
+    let time = null;
+    const setDate = (value, label) => {
+      if (!date && value) {
+        date = value;
+        result.tokens.push({ type: 'date', value: value.toISOString(), label });
+      }
+    };
+
+    take(/(\d{4})[-/年](\d{1,2})[-/月](\d{1,2})[日号]?/, (match, y, m, d) => {
+      setDate(this.makeDate(parseInt(y, 10), parseInt(m, 10) - 1, parseInt(d, 10)), match);
+    });
+
+    take(/(\d{1,2})月(\d{1,2})[日号]/, (match, m, d) => {
+      let value = this.makeDate(now.getFullYear(), parseInt(m, 10) - 1, parseInt(d, 10));
+      if (value < this.startOfDay(now)) {
+        value = this.makeDate(now.getFullYear() + 1, parseInt(m, 10) - 1, parseInt(d, 10));
+      }
+      setDate(value, match);
+    });
+
+    take(/大后天|后天|明天|明日|今天|今日|今晚/, (match) => {
+      const offsets = { '今天': 0, '今日': 0, '今晚': 0, '明天': 1, '明日': 1, '后天': 2, '大后天': 3 };
+      setDate(this.addDays(this.startOfDay(now), offsets[match]), match);
+      if (match === '今晚' && !time) {
+        time = { hours: 20, minutes: 0 };
+      }
+    });
+
+    take(/(下下|下|本|这)?(?:周|星期|礼拜)([一二三四五六日天1-7])/, (match, prefix, day) => {
+      setDate(this.resolveWeekday(now, CN_WEEKDAYS[day], { '下': 1, '下下': 2, '本': 0, '这': 0 }[prefix]), match);
+    });
+
+    take(/(\d+)\s*(天|周|个月)(?:后|以后|之后)/, (match, amount, unit) => {
+      setDate(this.addAmount(this.startOfDay(now), parseInt(amount, 10), unit), match);
+    });
+
+    take(/\bday after tomorrow\b/i, (match) => {
+      setDate(this.addDays(this.startOfDay(now), 2), match);
+    });
+
+    take(/\b(today|tonight|tomorrow|tmr)\b/i, (match, word) => {
+      const offset = /^to(day|night)$/i.test(word) ? 0 : 1;
+      setDate(this.addDays(this.startOfDay(now), offset), match);
+      if (/^tonight$/i.test(word) && !time) {
+        time = { hours: 20, minutes: 0 };
+      }
+    });
+
+    let weekdayTaken = false;
+    take(/\b(?:(next|this|on|by)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|wed|thurs|thur|thu|fri|sat)\b/gi, (match, prefix, day, offset, source) => {
+      const trigger = prefix ? prefix.toLowerCase() : null;
+      const ambiguous = !trigger && EN_WEEKDAY_ABBREVIATIONS.has(day.toLowerCase())
+        && !this.isFollowedByTime(source, offset + match.length);
+      if (weekdayTaken || ambiguous) return false;
+      weekdayTaken = true;
+      const weeksAhead = { next: 1, this: 0 }[trigger];
+      setDate(this.resolveWeekday(now, EN_WEEKDAYS[day.toLowerCase()], weeksAhead), match.trim());
+    });
+
+    take(/\bin\s+(\d+)\s+(days?|weeks?|months?)\b/i, (match, amount, unit) => {
+      const units = { day: '天', week: '周', month: '个月' };
+      setDate(this.addAmount(this.startOfDay(now), parseInt(amount, 10), units[unit.toLowerCase().replace(/s$/, '')]), match);
+    });
+
+    take(/(?:\bat\s+)?(上午|早上|中午|下午|傍晚|晚上|凌晨)?\s*(\d{1,2})(?:[:：](\d{2})|点(?:(半)|(\d{1,2})分?)?)/, (match, period, h, m1, half, m2) => {
+      if (time) return false;
+      let hours = parseInt(h, 10);
+      const minutes = m1 ? parseInt(m1, 10) : (half ? 30 : (m2 ? parseInt(m2, 10) : 0));
+      if (['下午', '傍晚', '晚上'].includes(period) && hours < 12) hours += 12;
+      if (period === '中午' && hours < 11) hours += 12;
+      // 没有时段的 "3点" 通常指下午
+      if (!period && !m1 && hours >= 1 && hours <= 6) hours += 12;
+      if (hours > 23 || minutes > 59) return false;
+      time = { hours, minutes };
+      result.tokens.push({ type: 'time', value: `${hours}:${String(minutes).padStart(2, '0')}`, label: match.trim() });
+    });
+
+    take(/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i, (match, h, m, meridiem) => {
+      if (time) return false;
+      let hours = parseInt(h, 10) % 12;
+      if (meridiem.toLowerCase() === 'pm') hours += 12;
+      const minutes = m ? parseInt(m, 10) : 0;
+      if (hours > 23 || minutes > 59) return false;
+      time = { hours, minutes };
+      result.tokens.push({ type: 'time', value: `${hours}:${String(minutes).padStart(2, '0')}`, label: match.trim() });
+    });
+
+    // 组合日期与时间：只有时间时取今天（已过则取明天），只有日期时取当天结束
+    if (date || time) {
+      let dueDate = date ? new Date(date.getTime()) : this.startOfDay(now);
+      if (time) {
+        dueDate.setHours(time.hours, time.minutes, 0, 0);
+        if (!date && dueDate <= now) {
+          dueDate = this.addDays(dueDate, 1);
+        }
+      } else {
+        dueDate.setHours(23, 59, 0, 0);
+      }
+      result.dueDate = dueDate.toISOString();
+    }
+
+    result.text = rest.replace(/\s+/g, ' ').trim();
+    if (!result.text) {
+      // 全部内容都被识别时保留原文，避免生成空任务
+      result.text = input.trim();
+    }
+
+    return result;
+  }
+
+  /**
+   * 指定位置之后是否紧跟时间（如 "fri 3pm"、"sat at 10:30"）
+   * @param {string} source - 输入
+   * @param {number} index - 开始位置
+   */
+  isFollowedByTime(source, index) {
+    return /^\s+(?:at\s+)?\d{1,2}(?:[:：]\d{2}|\s*(?:am|pm)\b|点)/i.test(source.slice(index));
+  }
+
+  /**
+   * 日期工具
+   */
+  makeDate(year, month, day) {
+    return new Date(year, month, day);
+  }
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  addAmount(date, amount, unit) {
+    if (unit === '周') return this.addDays(date, amount * 7);
+    if (unit === '个月') {
+      const result = new Date(date.getTime());
+      result.setMonth(result.getMonth() + amount);
+      return result;
+    }
+    return this.addDays(date, amount);
+  }
+
+  /**
+   * 计算星期几对应的日期
+   * @param {Date} now - 当前时间
+   * @param {number} weekday - 0=周日
+   * @param {number} weeksAhead - 0=本周，1=下周；未指定时取最近的一个（不含今天）
+   */
+  resolveWeekday(now, weekday, weeksAhead) {
+    const today = this.startOfDay(now);
+
+    if (weeksAhead === undefined) {
+      const diff = (weekday - today.getDay() + 7) % 7 || 7;
+      return this.addDays(today, diff);
+    }
+
+    // 以周一为一周的开始
+    const mondayOffset = (today.getDay() + 6) % 7;
+    const monday = this.addDays(today, -mondayOffset + weeksAhead * 7);
+    return this.addDays(monday, (weekday + 6) % 7);
+  }
+}
+
+const quickAddParser = new QuickAddParser();
+
+export { QuickAddParser, PRIORITY_ALIASES };
+export default quickAddParser;
@@ -0,0 +1,220 @@
+/**
+ * Epic Todo List - 重复规则模块
+ * 作者: 乔帅
+ * 功能: 重复规则校验、下次日期计算、规则描述
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+/**
+ * 重复规则
+ *
+ * 规则对象结构：
+ * {
+ *   type: 'daily' | 'weekly' | 'monthly' | 'afterCompletion',
+ *   interval: 1,          // 每N天/周/月，afterCompletion 为完成后N天
+ *   weekdays: [1, 3],     // weekly 使用，0=周日
+ *   monthDay: 15,         // monthly 使用，超出当月天数时取月末
+ *   until: null,          // 结束日期 (ISO字符串)
+ *   count: null,          // 总次数
+ *   occurrence: 1         // 当前是第几次
+ * }
+ */
+class RecurrenceRule {
+  static get TYPES() {
+    return ['daily', 'weekly', 'monthly', 'afterCompletion'];
+  }
+
+  /**
+   * 校验并规范化规则
+   * @param {Object} rule - 原始规则
+   * @returns {Object|null} 规范化后的规则，无效时返回null
+   */
+  static normalize(rule) {
+    if (!rule || typeof rule !== 'object' || !RecurrenceRule.TYPES.includes(rule.type)) {
+      return null;
+    }
+
+    const interval = parseInt(rule.interval, 10);
+    const normalized = {
+      type: rule.type,
+      interval: interval > 0 ? interval : 1,
+      weekdays: [],
+      monthDay: null,
+      until: null,
+      count: null,
+      occurrence: parseInt(rule.occurrence, 10) > 0 ? parseInt(rule.occurrence, 10) : 1
+    };
+
+    if (rule.type === 'weekly') {
+      const weekdays = Array.isArray(rule.weekdays) ? rule.weekdays : [];
+      normalized.weekdays = [...new Set(weekdays.map(day => parseInt(day, 10)))]
+        .filter(day => day >= 0 && day <= 6)
+        .sort((a, b) => a - b);
+    }
+
+    if (rule.type === 'monthly') {
+      const monthDay = parseInt(rule.monthDay, 10);
+      normalized.monthDay = monthDay >= 1 && monthDay <= 31 ? monthDay : null;
+    }
+
+    if (rule.until && !isNaN(new Date(rule.until).getTime())) {
+      normalized.until = new Date(rule.until).toISOString();
+    }
+
+    const count = parseInt(rule.count, 10);
+    if (count > 0) {
+      normalized.count = count;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * 计算下一次的日期
+   * @param {Object} rule - 规范化后的规则
+   * @param {string|Date} fromDate - 当前到期日期（afterCompletion 为完成时间）
+   * @returns {Date|null} 下次日期，规则已结束时返回null
+   */
+  static getNextDate(rule, fromDate) {
+    if (!rule) return null;
+    if (rule.count && rule.occurrence >= rule.count) return null;
+
+    const base = fromDate ? new Date(fromDate) : new Date();
+    if (isNaN(base.getTime())) return null;
+
+    let next;
+    switch (rule.type) {
+      case 'daily':
+      case 'afterCompletion':
+        next = new Date(base.getTime());
+        next.setDate(next.getDate() + rule.interval);
+        break;
+      case 'weekly':
+        next = RecurrenceRule.getNextWeekday(rule, base);
+        break;
+      case 'monthly':
+        next = RecurrenceRule.getNextMonthDay(rule, base);
+        break;
+      default:
+        return null;
+    }
+
+    if (rule.until && next > new Date(rule.until)) {
+      return null;
+    }
+
+    return next;
+  }
+
+  /**
+   * 每N周的指定星期几
+   */
+  static getNextWeekday(rule, base) {
+    const weekdays = rule.weekdays.length > 0 ? rule.weekdays : [base.getDay()];
+    const baseWeekStart = RecurrenceRule.startOfWeek(base);
+
+    for (let offset = 1; offset <= 7 * rule.interval + 7; offset++) {
+      const candidate = new Date(base.getTime());
+      candidate.setDate(candidate.getDate() + offset);
+
+      const weeksApart = Math.round((RecurrenceRule.startOfWeek(candidate) - baseWeekStart) / (7 * DAY_MS));
+      if (weekdays.includes(candidate.getDay()) && weeksApart % rule.interval === 0) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 每N个月的第N天
+   * 当前日期还没到本月的第N天时，下一次就是本月的第N天
+   */
+  static getNextMonthDay(rule, base) {
+    const monthDay = rule.monthDay || base.getDate();
+    const dayInMonth = date => Math.min(monthDay, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate());
+
+    if (dayInMonth(base) > base.getDate()) {
+      const next = new Date(base.getTime());
+      next.setDate(dayInMonth(base));
+      return next;
+    }
+
+    const next = new Date(base.getTime());
+    next.setDate(1);
+    next.setMonth(next.getMonth() + rule.interval);
+    next.setDate(dayInMonth(next));
+    return next;
+  }
+
+  static startOfWeek(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - start.getDay());
+    return start;
+  }
+
+  /**
+   * 没有指定日期的每月规则以首次到期日的日期为准，
+   * 避免经过短月份后一直停在月末前的某天（1月31日 → 2月28日 → 3月28日）
+   * @param {Object|null} rule - 规范化后的规则
+   * @param {string|Date|null} date - 首次到期日期
+   * @returns {Object|null} 补上 monthDay 的规则
+   */
+  static anchor(rule, date) {
+    if (!rule || rule.type !== 'monthly' || rule.monthDay || !date) return rule;
+
+    const base = new Date(date);
+    return isNaN(base.getTime()) ? rule : { ...rule, monthDay: base.getDate() };
+  }
+
+  /**
+   * 生成下一次的规则（次数加一）
+   */
+  static advance(rule) {
+    return { ...rule, weekdays: [...rule.weekdays], occurrence: rule.occurrence + 1 };
+  }
+
+  /**
+   * 规则的文字描述
+   */
+  static describe(rule) {
+    if (!rule) return '';
+
+    let text;
+    switch (rule.type) {
+      case 'daily':
+        text = rule.interval === 1 ? '每天' : `每 ${rule.interval} 天`;
+        break;
+      case 'weekly': {
+        const prefix = rule.interval === 1 ? '每周' : `每 ${rule.interval} 周`;
+        text = rule.weekdays.length > 0
+          ? `${prefix}${rule.weekdays.map(day => WEEKDAY_NAMES[day]).join('、')}`
+          : prefix;
+        break;
+      }
+      case 'monthly': {
+        const prefix = rule.interval === 1 ? '每月' : `每 ${rule.interval} 个月`;
+        text = rule.monthDay ? `${prefix} ${rule.monthDay} 日` : prefix;
+        break;
+      }
+      case 'afterCompletion':
+        text = `完成后 ${rule.interval} 天`;
+        break;
+      default:
+        return '';
+    }
+
+    if (rule.count) {
+      text += ` (第 ${rule.occurrence}/${rule.count} 次)`;
+    } else if (rule.until) {
+      text += ` (至 ${new Date(rule.until).toLocaleDateString('zh-CN')})`;
+    }
+
+    return text;
+  }
+}
+
+export { RecurrenceRule, WEEKDAY_NAMES };
+export default RecurrenceRule;
@@ -0,0 +1,385 @@
+/**
+ * Epic Todo List - 搜索查询模块
+ * 作者: 乔帅
+ * 功能: 解析搜索框中的查询语法，并判断任务是否匹配
+ */
+
+import { PRIORITY_ALIASES } from './quickAdd.js';
+
+const FIELDS = ['tag', 'priority', 'category', 'due', 'created', 'completed', 'is'];
+const DATE_FIELDS = { due: 'dueDate', created: 'createdAt', completed: 'completedAt' };
+const STATES = {
+  overdue: (task) => task.isOverdue(),
+  completed: (task) => task.completed,
+  done: (task) => task.completed,
+  active: (task) => !task.completed,
+  open: (task) => !task.completed,
+  blocked: (task, context) => context.isBlocked(task.id),
+  recurring: (task) => Boolean(task.recurrence),
+  subtask: (task) => Boolean(task.parentId)
+};
+
+/**
+ * 创建带出错位置的解析错误
+ * @param {string} message - 错误描述
+ * @param {number} position - 出错的字符位置（从0开始）
+ */
+function parseError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
+
+/**
+ * 搜索查询解析器
+ *
+ * 支持的语法：
+ * - 关键词: 会议、huiyi、hy （匹配标题、描述和标签，支持拼音和模糊匹配）
+ * - 短语: "exact phrase" （只做精确匹配）
+ * - 字段: tag:work、#work、priority:high、category:ops、is:overdue
+ * - 日期: due:<2026-11-01、due:>=today、due:<=+7d、due:none、created:2026-10-01、completed:>-2w
+ * - 排除: -tag:home、NOT is:completed
+ * - 组合: 空格表示并且，OR 或 | 表示或者，括号分组
+ *
+ * 语法树节点: { type: 'and' | 'or', items } / { type: 'not', item } /
+ *            { type: 'text', value, exact? } / { type: 'field', field, op, value }
+ */
+class SearchQueryParser {
+  /**
+   * 解析查询
+   * @param {string} input - 查询字符串
+   * @returns {Object|null} 语法树，空查询返回 null
+   * @throws {Error} 语法错误，error.position 为出错位置
+   */
+  parse(input) {
+    const tokens = this.tokenize(input || '');
+    if (tokens.length === 0) return null;
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    const parseOr = () => {
+      const items = [parseAnd()];
+      while (peek() && peek().type === 'or') {
+        const operator = next();
+        if (!peek() || peek().type === 'or' || peek().type === 'close') {
+          throw parseError('OR 后面缺少搜索条件', operator.position);
+        }
+        items.push(parseAnd());
+      }
+      return items.length === 1 ? items[0] : { type: 'or', items };
+    };
+
+    const parseAnd = () => {
+      const items = [];
+      while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+        items.push(parseUnary());
+      }
+      if (items.length === 0) {
+        const token = peek();
+        throw parseError(token ? 'OR 前面缺少搜索条件' : '缺少搜索条件', token ? token.position : input.length);
+      }
+      return items.length === 1 ? items[0] : { type: 'and', items };
+    };
+
+    const parseUnary = () => {
+      const token = next();
+      if (token.type === 'not') {
+        if (!peek() || peek().type === 'or' || peek().type === 'close') {
+          throw parseError('排除符号后面缺少搜索条件', token.position);
+        }
+        return { type: 'not', item: parseUnary() };
+      }
+      if (token.type === 'open') {
+        const node = parseOr();
+        if (!peek() || peek().type !== 'close') {
+          throw parseError('括号没有闭合', token.position);
+        }
+        next();
+        return node;
+      }
+      return this.parseTerm(token);
+    };
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+      throw parseError('多余的右括号', tokens[index].position);
+    }
+    return ast;
+  }
+
+  /**
+   * 把查询拆分为词法单元
+   * @returns {Array} [{ type: 'word' | 'phrase' | 'or' | 'not' | 'open' | 'close', value, position, field? }]
+   */
+  tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const char = input[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char === '(' ? 'open' : 'close', position: i });
+        i++;
+      } else if (char === '|') {
+        tokens.push({ type: 'or', position: i });
+        i++;
+      } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+        tokens.push({ type: 'not', position: i });
+        i++;
+      } else if (char === '"') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          throw parseError('引号没有闭合', i);
+        }
+        tokens.push({ type: 'phrase', value: input.slice(i + 1, end), position: i });
+        i = end + 1;
+      } else {
+        const start = i;
+        let value = '';
+        let field = null;
+        while (i < input.length && !/[\s()|]/.test(input[i])) {
+          // 字段值可以用引号包含空格，如 category:"my project"
+          if (input[i] === '"' && value.endsWith(':') && field === null) {
+            const end = input.indexOf('"', i + 1);
+            if (end === -1) {
+              throw parseError('引号没有闭合', i);
+            }
+            field = value.slice(0, -1);
+            value = input.slice(i + 1, end);
+            i = end + 1;
+            break;
+          }
+          value += input[i];
+          i++;
+        }
+
+        if (field !== null) {
+          tokens.push({ type: 'word', field, value, position: start });
+        } else if (value === 'OR') {
+          tokens.push({ type: 'or', position: start });
+        } else if (value === 'NOT') {
+          tokens.push({ type: 'not', position: start });
+        } else if (value !== 'AND') {
+          tokens.push({ type: 'word', value, position: start });
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 把单个词解析为语法树节点
+   */
+  parseTerm(token) {
+    if (token.type === 'close') {
+      throw parseError('多余的右括号', token.position);
+    }
+    if (token.type === 'or') {
+      throw parseError('OR 前面缺少搜索条件', token.position);
+    }
+    if (token.type === 'phrase') {
+      return { type: 'text', value: token.value.toLowerCase(), exact: true };
+    }
+
+    let field = token.field;
+    let raw = token.value;
+    if (field === undefined) {
+      if (raw.startsWith('#') && raw.length > 1) {
+        return { type: 'field', field: 'tag', op: '=', value: raw.slice(1).toLowerCase() };
+      }
+
+      const match = raw.match(/^([a-zA-Z]+):(.*)$/);
+      if (!match) {
+        return { type: 'text', value: raw.toLowerCase() };
+      }
+      field = match[1];
+      raw = match[2];
+    }
+
+    field = field.toLowerCase();
+    if (!FIELDS.includes(field)) {
+      throw parseError(`未知的搜索字段 "${field}"`, token.position);
+    }
+    if (!raw) {
+      throw parseError(`${field}: 后面缺少搜索值`, token.position);
+    }
+
+    const value = raw.toLowerCase();
+    switch (field) {
+      case 'priority': {
+        const priority = PRIORITY_ALIASES[value];
+        if (!priority) {
+          throw parseError(`无效的优先级 "${raw}"，可用 high、normal、low`, token.position);
+        }
+        return { type: 'field', field, op: '=', value: priority };
+      }
+      case 'is':
+        if (!STATES[value]) {
+          throw parseError(`无效的状态 "${raw}"，可用 ${Object.keys(STATES).join('、')}`, token.position);
+        }
+        return { type: 'field', field, op: '=', value };
+      case 'due':
+      case 'created':
+      case 'completed':
+        return this.parseDateTerm(field, raw, token.position);
+      default:
+        return { type: 'field', field, op: '=', value };
+    }
+  }
+
+  /**
+   * 解析日期条件，如 <2026-11-01、>=today、none
+   * 这里只校验日期，today、+7d 等相对日期在匹配时才换算，保存的查询跨过零点后仍然正确
+   */
+  parseDateTerm(field, raw, position) {
+    const [, op = '=', rest] = raw.match(/^(<=|>=|<|>|=)?(.*)$/);
+    const value = rest.toLowerCase();
+
+    if (value === 'none' || value === 'any') {
+      if (op !== '=') {
+        throw parseError(`${field}:${value} 不能和比较符一起使用`, position);
+      }
+      return { type: 'field', field, op, value };
+    }
+
+    if (!this.resolveDate(value)) {
+      throw parseError(`无效的日期 "${rest}"，请使用 YYYY-MM-DD、today、tomorrow、yesterday 或 +7d`, position);
+    }
+    return { type: 'field', field, op, value };
+  }
+
+  /**
+   * 把日期值解析为当天零点
+   * 支持 YYYY-MM-DD、today、tomorrow、yesterday，以及相对今天的 +7d、-2w
+   * @returns {Date|null}
+   */
+  resolveDate(value, now = new Date()) {
+    const fromToday = days => new Date(now.getFullYear(), now.getMonth(), now.getDate() + days);
+    const relative = { today: 0, tomorrow: 1, yesterday: -1 };
+    if (value in relative) {
+      return fromToday(relative[value]);
+    }
+
+    const offset = value.match(/^([+-]\d{1,4})([dw])$/);
+    if (offset) {
+      return fromToday(parseInt(offset[1], 10) * (offset[2] === 'w' ? 7 : 1));
+    }
+
+    const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * 判断任务是否匹配语法树
+   * @param {Object|null} ast - parse() 的结果
+   * @param {Task} task - 任务
+   * @param {Object} context - 提供 isBlocked(taskId) 的对象（通常是 TaskManager），
+   *                           提供 matchText(task, value, options) 时用它匹配关键词
+   */
+  matches(ast, task, context) {
+    if (!ast) return true;
+
+    switch (ast.type) {
+      case 'and':
+        return ast.items.every(item => this.matches(item, task, context));
+      case 'or':
+        return ast.items.some(item => this.matches(item, task, context));
+      case 'not':
+        return !this.matches(ast.item, task, context);
+      case 'text':
+        return this.matchesText(ast, task, context);
+      case 'field':
+        return this.matchesField(ast, task, context);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 判断任务是否匹配关键词，没有搜索索引时退回到包含匹配
+   */
+  matchesText(node, task, context) {
+    if (context && typeof context.matchText === 'function') {
+      return Boolean(context.matchText(task, node.value, { exact: node.exact }));
+    }
+    return task.text.toLowerCase().includes(node.value) ||
+      task.description.toLowerCase().includes(node.value) ||
+      task.tags.some(tag => tag.includes(node.value));
+  }
+
+  /**
+   * 获取语法树中需要计算相关度和高亮的关键词（排除的关键词除外）
+   * @returns {Array<Object>} text 节点列表
+   */
+  getTextTerms(ast) {
+    if (!ast) return [];
+
+    switch (ast.type) {
+      case 'text':
+        return [ast];
+      case 'and':
+      case 'or':
+        return ast.items.flatMap(item => this.getTextTerms(item));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * 判断任务是否匹配字段条件
+   */
+  matchesField(node, task, context) {
+    switch (node.field) {
+      case 'tag':
+        return task.tags.includes(node.value);
+      case 'priority':
+        return task.priority === node.value;
+      case 'category':
+        return (task.category || 'default').toLowerCase() === node.value;
+      case 'is':
+        return STATES[node.value](task, context);
+      default:
+        return this.matchesDate(task[DATE_FIELDS[node.field]], node);
+    }
+  }
+
+  /**
+   * 按天比较日期：<D 表示 D 之前，<=D 表示 D 当天或之前，依此类推
+   * @param {string} value - 任务的日期字段
+   * @param {Object} node - 日期条件节点
+   * @param {Date} now - 当前时间，用于换算相对日期（便于测试）
+   */
+  matchesDate(value, node, now = new Date()) {
+    if (node.value === 'none') return !value;
+    if (node.value === 'any') return Boolean(value);
+    if (!value) return false;
+
+    const day = this.resolveDate(node.value, now);
+    const time = new Date(value).getTime();
+    const start = day.getTime();
+    const end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+
+    switch (node.op) {
+      case '<': return time < start;
+      case '<=': return time < end;
+      case '>': return time >= end;
+      case '>=': return time >= start;
+      default: return time >= start && time < end;
+    }
+  }
+}
+
+const searchQueryParser = new SearchQueryParser();
+
+export { SearchQueryParser };
+export default searchQueryParser;
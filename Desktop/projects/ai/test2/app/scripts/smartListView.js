@@ -0,0 +1,205 @@
+/**
+ * Epic Todo List - 智能列表侧边栏模块
+ * 作者: 乔帅
+ * 功能: 显示智能列表及实时任务数，支持切换、拖动排序、重命名和删除
+ */
+
+/**
+ * 智能列表侧边栏
+ *
+ * 键盘操作：Enter 打开列表，Alt + ↑/↓ 调整顺序
+ */
+class SmartListView {
+  /**
+   * @param {SmartListManager} smartLists - 智能列表管理器
+   * @param {HTMLElement} container - 侧边栏容器
+   * @param {Object} handlers - { onApply(list), onSave(), onRename(list), onDelete(list), onError(error) }
+   */
+  constructor(smartLists, container, handlers = {}) {
+    this.smartLists = smartLists;
+    this.container = container;
+    this.handlers = handlers;
+    this.draggedListId = null;
+
+    this.list = this.container.querySelector('.smart-list-items');
+    this.container.querySelector('.smart-list-save').addEventListener('click', () => {
+      if (this.handlers.onSave) this.handlers.onSave();
+    });
+
+    this.list.addEventListener('click', (e) => this.handleClick(e));
+    this.list.addEventListener('keydown', (e) => this.handleKeydown(e));
+    this.list.addEventListener('dragstart', (e) => this.handleDragStart(e));
+    this.list.addEventListener('dragover', (e) => this.handleDragOver(e));
+    this.list.addEventListener('dragleave', (e) => this.clearDropIndicator(e));
+    this.list.addEventListener('drop', (e) => this.handleDrop(e));
+    this.list.addEventListener('dragend', () => {
+      this.draggedListId = null;
+      this.clearDropIndicator();
+    });
+
+    // 任务或视图变化时刷新计数和选中状态，同一帧内的多次变化只刷新一次
+    this.renderFrame = null;
+    const taskManager = this.smartLists.taskManager;
+    ['tasksChanged', 'filterChanged', 'searchChanged', 'sortingChanged'].forEach(type => {
+      taskManager.addEventListener(type, () => this.scheduleRender());
+    });
+    this.smartLists.addEventListener('listsChanged', () => this.render());
+  }
+
+  /**
+   * 在下一帧渲染
+   */
+  scheduleRender() {
+    if (this.renderFrame) return;
+
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * 渲染侧边栏
+   */
+  render() {
+    const focusedId = this.list.contains(document.activeElement)
+      ? document.activeElement.closest('.smart-list-item')?.dataset.listId
+      : null;
+    const lists = this.smartLists.getLists();
+
+    this.list.innerHTML = lists.length === 0
+      ? '<li class="smart-list-empty">点击 ＋ 把当前的筛选、搜索和排序保存为列表</li>'
+      : lists.map(list => this.renderItem(list)).join('');
+
+    if (focusedId) {
+      const link = this.list.querySelector(`.smart-list-item[data-list-id="${CSS.escape(focusedId)}"] .smart-list-link`);
+      if (link) link.focus();
+    }
+  }
+
+  /**
+   * 渲染单个列表项
+   */
+  renderItem(list) {
+    const isActive = this.smartLists.isActive(list);
+    const count = this.smartLists.count(list);
+    const title = list.searchQuery ? `${list.name}：${list.searchQuery}` : list.name;
+
+    return `
+      <li class="smart-list-item ${isActive ? 'active' : ''}" data-list-id="${this.escapeHtml(list.id)}" draggable="true">
+        <button class="smart-list-link" ${isActive ? 'aria-current="true"' : ''} title="${this.escapeHtml(title)}">
+          <span class="smart-list-icon" aria-hidden="true">${this.escapeHtml(list.icon)}</span>
+          <span class="smart-list-name">${this.escapeHtml(list.name)}</span>
+          <span class="smart-list-count" aria-label="${count} 个任务">${count}</span>
+        </button>
+        <button class="smart-list-action rename" aria-label="重命名列表 ${this.escapeHtml(list.name)}" title="重命名">✏️</button>
+        <button class="smart-list-action delete" aria-label="删除列表 ${this.escapeHtml(list.name)}" title="删除">🗑️</button>
+      </li>
+    `;
+  }
+
+  /**
+   * 获取事件所在的列表
+   */
+  getListFromEvent(e) {
+    const item = e.target.closest('.smart-list-item');
+    return item ? this.smartLists.lists.find(list => list.id === item.dataset.listId) : null;
+  }
+
+  /**
+   * 点击：打开、重命名或删除列表
+   */
+  handleClick(e) {
+    const list = this.getListFromEvent(e);
+    if (!list) return;
+
+    if (e.target.closest('.rename')) {
+      if (this.handlers.onRename) this.handlers.onRename(list);
+    } else if (e.target.closest('.delete')) {
+      if (this.handlers.onDelete) this.handlers.onDelete(list);
+    } else if (e.target.closest('.smart-list-link')) {
+      if (this.handlers.onApply) this.handlers.onApply(list);
+    }
+  }
+
+  /**
+   * Alt + ↑/↓ 调整顺序
+   */
+  handleKeydown(e) {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+
+    const list = this.getListFromEvent(e);
+    if (!list) return;
+
+    e.preventDefault();
+    this.run(() => this.smartLists.moveBy(list.id, e.key === 'ArrowUp' ? -1 : 1));
+  }
+
+  handleDragStart(e) {
+    const list = this.getListFromEvent(e);
+    if (!list) return;
+
+    this.draggedListId = list.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', list.id);
+  }
+
+  handleDragOver(e) {
+    const item = e.target.closest('.smart-list-item');
+    if (!this.draggedListId || !item || item.dataset.listId === this.draggedListId) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = item.getBoundingClientRect();
+    const placement = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+
+    this.clearDropIndicator();
+    item.classList.add(`drop-${placement}`);
+  }
+
+  clearDropIndicator(e) {
+    if (e && this.list.contains(e.relatedTarget)) return;
+    this.list.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+      item.classList.remove('drop-before', 'drop-after');
+    });
+  }
+
+  handleDrop(e) {
+    const item = e.target.closest('.smart-list-item');
+    const draggedId = this.draggedListId;
+    const placement = item && item.classList.contains('drop-after') ? 'after' : 'before';
+
+    e.preventDefault();
+    this.draggedListId = null;
+    this.clearDropIndicator();
+    if (!item || !draggedId || item.dataset.listId === draggedId) return;
+
+    this.run(() => this.smartLists.move(draggedId, item.dataset.listId, placement));
+  }
+
+  /**
+   * 执行操作，出错时交给 onError
+   */
+  run(action) {
+    try {
+      action();
+    } catch (error) {
+      if (this.handlers.onError) this.handlers.onError(error);
+    }
+  }
+
+  /**
+   * HTML转义（包括引号，可用于属性值）
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+export { SmartListView };
+export default SmartListView;
@@ -0,0 +1,217 @@
+/**
+ * Epic Todo List - 智能列表模块
+ * 作者: 乔帅
+ * 功能: 保存常用的过滤、搜索和排序组合，一键切换
+ */
+
+import searchQueryParser from './searchQuery.js';
+
+/**
+ * 内置智能列表（首次使用时创建，之后可以像自定义列表一样重命名、排序和删除）
+ * 标签、分类、优先级等条件都写在 searchQuery 中，使用搜索框的查询语法
+ */
+const BUILT_IN_SMART_LISTS = [
+  { id: 'builtin-today', name: '今天', icon: '☀️', filter: 'all', searchQuery: 'due:today is:active', sortBy: 'priority', sortOrder: 'desc' },
+  { id: 'builtin-overdue', name: '已过期', icon: '⏰', filter: 'all', searchQuery: 'is:overdue', sortBy: 'dueDate', sortOrder: 'asc' },
+  { id: 'builtin-next7', name: '未来7天', icon: '📆', filter: 'all', searchQuery: 'is:active due:>=today due:<=+7d', sortBy: 'dueDate', sortOrder: 'asc' },
+  { id: 'builtin-nodue', name: '无到期时间', icon: '📭', filter: 'all', searchQuery: 'is:active due:none', sortBy: 'createdAt', sortOrder: 'desc' }
+];
+
+/**
+ * 智能列表管理器
+ *
+ * 列表结构: { id, name, icon, filter, searchQuery, sortBy, sortOrder }
+ * 变更时触发 listsChanged 事件，由应用保存到设置中
+ */
+class SmartListManager extends EventTarget {
+  /**
+   * @param {TaskManager} taskManager - 任务管理器
+   */
+  constructor(taskManager) {
+    super();
+    this.taskManager = taskManager;
+    this.lists = BUILT_IN_SMART_LISTS.map(list => ({ ...list }));
+  }
+
+  /**
+   * 从设置中加载列表
+   * @param {Array|null} lists - 保存的列表，为空时使用内置列表
+   */
+  load(lists) {
+    if (!Array.isArray(lists)) return;
+
+    this.lists = lists
+      .filter(list => list && list.id && typeof list.name === 'string')
+      .map(list => this.normalize(list));
+  }
+
+  /**
+   * 获取所有列表
+   */
+  getLists() {
+    return [...this.lists];
+  }
+
+  /**
+   * 获取列表
+   */
+  getList(listId) {
+    const list = this.lists.find(l => l.id === listId);
+    if (!list) {
+      throw new Error('智能列表不存在');
+    }
+    return list;
+  }
+
+  /**
+   * 把当前视图保存为智能列表
+   * @param {string} name - 列表名称
+   * @returns {Object} 新列表
+   */
+  saveCurrent(name) {
+    const { filter, searchQuery, sortBy, sortOrder, searchError } = this.taskManager;
+    if (searchError) {
+      throw new Error(`搜索条件有误: ${searchError.message}`);
+    }
+
+    const list = this.normalize({
+      id: 'list-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      name: this.validateName(name),
+      icon: '🔖',
+      filter,
+      searchQuery,
+      sortBy,
+      sortOrder
+    });
+
+    this.lists.push(list);
+    this.notifyChanged();
+    return list;
+  }
+
+  /**
+   * 重命名列表
+   */
+  rename(listId, name) {
+    const list = this.getList(listId);
+    list.name = this.validateName(name);
+    this.notifyChanged();
+    return list;
+  }
+
+  /**
+   * 删除列表
+   */
+  remove(listId) {
+    const list = this.getList(listId);
+    this.lists = this.lists.filter(l => l !== list);
+    this.notifyChanged();
+    return list;
+  }
+
+  /**
+   * 调整列表顺序
+   * @param {string} listId - 要移动的列表
+   * @param {string} targetId - 目标列表
+   * @param {string} placement - 'before' 或 'after'
+   */
+  move(listId, targetId, placement = 'before') {
+    const list = this.getList(listId);
+    const target = this.getList(targetId);
+    if (list === target) return;
+
+    this.lists = this.lists.filter(l => l !== list);
+    const index = this.lists.indexOf(target) + (placement === 'after' ? 1 : 0);
+    this.lists.splice(index, 0, list);
+    this.notifyChanged();
+  }
+
+  /**
+   * 把列表上移或下移一位
+   * @param {number} offset - -1 上移，1 下移
+   * @returns {boolean} 是否移动
+   */
+  moveBy(listId, offset) {
+    const index = this.lists.indexOf(this.getList(listId));
+    const target = this.lists[index + offset];
+    if (!target) return false;
+
+    this.move(listId, target.id, offset < 0 ? 'before' : 'after');
+    return true;
+  }
+
+  /**
+   * 应用列表：切换到保存的过滤器、搜索和排序
+   */
+  apply(listId) {
+    const list = this.getList(listId);
+    this.taskManager.setFilter(list.filter);
+    this.taskManager.setSorting(list.sortBy, list.sortOrder);
+    this.taskManager.setSearchQuery(list.searchQuery);
+    return list;
+  }
+
+  /**
+   * 当前视图是否正是该列表
+   */
+  isActive(list) {
+    const { filter, searchQuery, sortBy, sortOrder } = this.taskManager;
+    return list.filter === filter &&
+      list.searchQuery === searchQuery &&
+      list.sortBy === sortBy &&
+      (list.sortBy === 'position' || list.sortOrder === sortOrder);
+  }
+
+  /**
+   * 统计列表中的任务数
+   */
+  count(list) {
+    return this.taskManager.countTasks(list);
+  }
+
+  /**
+   * 校验列表名称
+   */
+  validateName(name) {
+    const value = typeof name === 'string' ? name.trim() : '';
+    if (value.length === 0 || value.length > 30) {
+      throw new Error('列表名称必须为1-30个字符');
+    }
+    return value;
+  }
+
+  /**
+   * 补全列表字段，丢弃无效的查询
+   */
+  normalize(list) {
+    let searchQuery = typeof list.searchQuery === 'string' ? list.searchQuery.trim() : '';
+    try {
+      searchQueryParser.parse(searchQuery);
+    } catch (error) {
+      console.warn(`智能列表"${list.name}"的搜索条件无效，已忽略:`, error);
+      searchQuery = '';
+    }
+
+    return {
+      id: String(list.id),
+      name: list.name.trim().slice(0, 30) || '未命名',
+      icon: list.icon || '🔖',
+      filter: list.filter || 'all',
+      searchQuery,
+      sortBy: list.sortBy || 'createdAt',
+      sortOrder: list.sortOrder === 'asc' ? 'asc' : 'desc'
+    };
+  }
+
+  /**
+   * 通知列表变化
+   */
+  notifyChanged() {
+    this.dispatchEvent(new CustomEvent('listsChanged', {
+      detail: { lists: this.getLists() }
+    }));
+  }
+}
+
+export { SmartListManager, BUILT_IN_SMART_LISTS };
+export default SmartListManager;
@@ -4,11 +4,204 @@
  * 功能: 本地存储管理、数据持久化、导入导出
  */
 
+import { MemoryAdapter, LocalStorageAdapter, IndexedDBAdapter } from './storageAdapters.js';
+import CSV from './csv.js';
+import MarkdownChecklist from './checklist.js';
+import TodoTxt from './todoTxt.js';
+import ICalendar from './icalendar.js';
+import { ImportReport, DEFAULT_IMPORTERS } from './importers.js';
+
+/**
+ * 日期字段统一为ISO字符串，无法解析的置为null
+ */
+function normalizeDateField(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
 class StorageManager {
   constructor() {
     this.storageKey = 'epic-todo-list-data';
     this.settingsKey = 'epic-todo-list-settings';
+    this.historyKey = 'epic-todo-list-history';
+    this.syncStateKey = 'epic-todo-list-sync-state';
+    this.journalKey = 'epic-todo-list-journal';
     this.isLocalStorageAvailable = this.checkLocalStorageAvailability();
+    this.adapter = null;
+    this.readyPromise = null;
+    this.migrations = [];
+    this.importers = [];
+    this.lastMigration = null;
+    this.loadError = null;
+    this.isReadOnly = false;
+    
+    this.registerDefaultMigrations();
+    DEFAULT_IMPORTERS.forEach(importer => this.registerImporter(importer));
+  }
+
+  /**
+   * 当前数据结构版本（最后一个迁移步骤的版本）
+   */
+  get schemaVersion() {
+    return this.migrations.length > 0
+      ? this.migrations[this.migrations.length - 1].version
+      : '1.0.0';
+  }
+
+  /**
+   * 注册数据迁移步骤
+   * @param {string} version - 迁移后的版本号
+   * @param {string} description - 迁移说明
+   * @param {Function} migrate - 接收单个任务对象（及其在列表中的位置）并返回迁移后对象的函数
+   */
+  registerMigration(version, description, migrate) {
+    if (this.migrations.some(step => step.version === version)) {
+      throw new Error(`迁移版本 ${version} 已存在`);
+    }
+    
+    this.migrations.push({ version, description, migrate });
+    this.migrations.sort((a, b) => this.compareVersions(a.version, b.version));
+  }
+
+  /**
+   * 内置的迁移步骤
+   */
+  registerDefaultMigrations() {
+    this.registerMigration('1.1.0', '补充子任务、重复规则和依赖字段', task => ({
+      ...task,
+      parentId: task.parentId || null,
+      collapsed: task.collapsed || false,
+      recurrence: task.recurrence || null,
+      blockedBy: task.blockedBy || []
+    }));
+    
+    this.registerMigration('1.2.0', '旧字段 list/project 重命名为 category，统一日期和标签格式', task => {
+      const migrated = { ...task };
+      
+      if (migrated.category === undefined || migrated.category === null) {
+        migrated.category = migrated.list || migrated.project || 'default';
+      }
+      delete migrated.list;
+      delete migrated.project;
+      
+      ['createdAt', 'updatedAt', 'completedAt', 'dueDate'].forEach(field => {
+        if (field in migrated) {
+          migrated[field] = normalizeDateField(migrated[field]);
+        }
+      });
+      
+      if (typeof migrated.tags === 'string') {
+        migrated.tags = migrated.tags.split(',');
+      }
+      migrated.tags = Array.isArray(migrated.tags)
+        ? [...new Set(migrated.tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))]
+        : [];
+      
+      return migrated;
+    });
+    
+    this.registerMigration('1.3.0', '按保存顺序补充手动排序位置', (task, index) => ({
+      ...task,
+      position: typeof task.position === 'number' ? task.position : index
+    }));
+    
+    this.registerMigration('1.4.0', '补充回收站删除时间', (task) => ({
+      ...task,
+      deletedAt: task.deletedAt || null
+    }));
+    
+    this.registerMigration('1.5.0', '补充归档时间', (task) => ({
+      ...task,
+      archivedAt: task.archivedAt || null
+    }));
+    
+    this.registerMigration('1.6.0', '补充重复任务的来源', (task) => ({
+      ...task,
+      recurredFrom: task.recurredFrom || null
+    }));
+  }
+
+  /**
+   * 注册第三方导入器
+   * @param {Object} importer - { id, name, detect(input), parse(input, report) }
+   *   input 为 { name: 文件名, text: 文件内容, json: 解析后的JSON（不是JSON时为null） }，
+   *   parse 返回任务数据数组，并通过 report.map / report.drop 记录转换和丢弃的内容
+   */
+  registerImporter(importer) {
+    if (!importer || !importer.id || typeof importer.detect !== 'function' || typeof importer.parse !== 'function') {
+      throw new Error('导入器需要提供 id、detect 和 parse');
+    }
+    if (this.importers.some(item => item.id === importer.id)) {
+      throw new Error(`导入器 ${importer.id} 已存在`);
+    }
+    
+    this.importers.push(importer);
+  }
+
+  /**
+   * 找出能识别该文件的导入器
+   * @param {Object} input - { name, text, json }
+   * @returns {Object|null} 导入器，没有匹配时返回 null
+   */
+  detectImporter(input) {
+    return this.importers.find(importer => {
+      try {
+        return importer.detect(input);
+      } catch (error) {
+        console.error(`导入器 ${importer.id} 检测失败:`, error);
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * 比较版本号
+   * @returns {number} a>b 返回正数，a<b 返回负数，相等返回0
+   */
+  compareVersions(a, b) {
+    const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+    
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  /**
+   * 将任务数据从指定版本迁移到当前版本
+   * @param {Array} tasks - 任务数组
+   * @param {string} version - 数据版本，缺失时视为 1.0.0
+   * @returns {Object} { tasks, fromVersion, toVersion, applied: [{ version, description, changed }] }
+   */
+  migrateTasks(tasks, version) {
+    const fromVersion = version || '1.0.0';
+    const toVersion = this.schemaVersion;
+    
+    if (this.compareVersions(fromVersion, toVersion) > 0) {
+      throw new Error(`数据版本 ${fromVersion} 高于当前应用支持的版本 ${toVersion}，请升级应用后再试`);
+    }
+    
+    let migrated = tasks;
+    const applied = [];
+    
+    this.migrations
+      .filter(step => this.compareVersions(step.version, fromVersion) > 0)
+      .forEach(step => {
+        let changed = 0;
+        migrated = migrated.map((task, index) => {
+          const next = step.migrate({ ...task }, index);
+          if (JSON.stringify(next) !== JSON.stringify(task)) {
+            changed++;
+          }
+          return next;
+        });
+        applied.push({ version: step.version, description: step.description, changed });
+      });
+    
+    return { tasks: migrated, fromVersion, toVersion, applied };
   }
 
   /**
@@ -26,27 +219,108 @@ class StorageManager {
     }
   }
 
+  /**
+   * 初始化任务存储后端
+   * 优先使用IndexedDB，不可用时回退到LocalStorage，再回退到内存
+   * @returns {Promise} 初始化完成后的适配器
+   */
+  init() {
+    if (this.readyPromise) return this.readyPromise;
+
+    this.readyPromise = (async () => {
+      if (IndexedDBAdapter.isAvailable()) {
+        try {
+          const adapter = new IndexedDBAdapter();
+          await adapter.open();
+          this.adapter = adapter;
+          await this.migrateFromLocalStorage();
+          console.log('任务存储使用 IndexedDB');
+          return this.adapter;
+        } catch (error) {
+          console.warn('IndexedDB不可用，回退到LocalStorage:', error);
+        }
+      }
+
+      this.adapter = this.isLocalStorageAvailable
+        ? new LocalStorageAdapter(this.storageKey, this.historyKey)
+        : new MemoryAdapter();
+      console.log(`任务存储使用 ${this.adapter.type}`);
+      return this.adapter;
+    })();
+
+    return this.readyPromise;
+  }
+
+  /**
+   * 指定存储后端（用于测试或自定义后端）
+   * @param {StorageAdapter} adapter - 存储适配器
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    this.readyPromise = Promise.resolve(adapter);
+  }
+
+  /**
+   * 将旧版localStorage中的任务数据一次性迁移到IndexedDB
+   * IndexedDB中已有任务时合并（ID相同的以IndexedDB中的为准），
+   * 写入成功后才删除旧数据，失败时下次启动重试
+   */
+  async migrateFromLocalStorage() {
+    if (!this.isLocalStorageAvailable || !(this.adapter instanceof IndexedDBAdapter)) return false;
+    if (await this.adapter.getMeta('migratedFromLocalStorage')) return false;
+
+    const legacy = new LocalStorageAdapter(this.storageKey);
+    let legacyTasks;
+    try {
+      legacyTasks = await legacy.load();
+
+      if (legacyTasks.length > 0) {
+        const legacyVersion = (await legacy.getVersion()) || '1.0.0';
+        const existingTasks = await this.adapter.load();
+
+        if (existingTasks.length === 0) {
+          // 保留旧版本号，由 loadTasks 统一执行结构迁移
+          await this.adapter.save(legacyTasks, legacyVersion);
+        } else {
+          // 两边的版本可能不同，先各自迁移到当前版本再合并
+          const existing = this.migrateTasks(existingTasks, await this.adapter.getVersion()).tasks;
+          const ids = new Set(existing.map(task => task.id));
+          const added = this.migrateTasks(legacyTasks, legacyVersion).tasks.filter(task => !ids.has(task.id));
+          await this.adapter.save([...existing, ...added], this.schemaVersion);
+        }
+        console.log(`已将 ${legacyTasks.length} 个任务从LocalStorage迁移到IndexedDB`);
+      }
+    } catch (error) {
+      console.error('从LocalStorage迁移任务失败，保留旧数据:', error);
+      return false;
+    }
+
+    await this.adapter.setMeta('migratedFromLocalStorage', new Date().toISOString());
+    await legacy.clear();
+    return legacyTasks.length > 0;
+  }
+
   /**
    * 保存任务数据
+   * 提供变更列表且存储后端支持单条写入时，只写入变化的任务
    * @param {Array} tasks - 任务数组
+   * @param {Array|null} changes - 与上次保存相比的变更（HistoryManager.diff 的结果），列表顺序不变时才可提供
+   * @returns {Promise<boolean>} 是否保存成功
    */
-  saveTasks(tasks) {
+  async saveTasks(tasks, changes = null) {
+    if (this.isReadOnly) {
+      console.error('存储数据版本不兼容，已停止保存以免覆盖数据');
+      return false;
+    }
+    
     try {
-      const data = {
-        tasks: tasks,
-        version: '1.0.0',
-        lastModified: new Date().toISOString(),
-        timestamp: Date.now()
-      };
-
-      if (this.isLocalStorageAvailable) {
-        localStorage.setItem(this.storageKey, JSON.stringify(data));
-      } else {
-        // 如果localStorage不可用，存储在内存中
-        this._memoryStorage = data;
+      const adapter = await this.init();
+      if (changes && adapter.incremental) {
+        return this.saveTaskChanges(changes);
       }
+      await adapter.save(tasks, this.schemaVersion);
       
-      console.log(`已保存 ${tasks.length} 个任务到本地存储`);
+      console.log(`已保存 ${tasks.length} 个任务到${adapter.type}`);
       return true;
     } catch (error) {
       console.error('保存任务失败:', error);
@@ -56,32 +330,104 @@ class StorageManager {
 
   /**
    * 加载任务数据
-   * @returns {Array} 任务数组
+   * @returns {Promise<Array>} 任务数组
    */
-  loadTasks() {
+  async loadTasks() {
     try {
-      let data = null;
+      const adapter = await this.init();
+      const stored = await adapter.load();
+      const version = await adapter.getVersion();
       
-      if (this.isLocalStorageAvailable) {
-        const stored = localStorage.getItem(this.storageKey);
-        data = stored ? JSON.parse(stored) : null;
-      } else {
-        data = this._memoryStorage || null;
+      let tasks = stored;
+      if (stored.length > 0) {
+        const migration = this.migrateTasks(stored, version);
+        tasks = migration.tasks;
+        
+        if (migration.applied.some(step => step.changed > 0)) {
+          await adapter.save(tasks, this.schemaVersion);
+          this.lastMigration = migration;
+          console.log(`已将存储数据从 ${migration.fromVersion} 迁移到 ${migration.toVersion}`);
+        }
       }
 
-      if (data && data.tasks && Array.isArray(data.tasks)) {
-        console.log(`从本地存储加载了 ${data.tasks.length} 个任务`);
-        return data.tasks;
+      if (tasks.length > 0) {
+        console.log(`从${adapter.type}加载了 ${tasks.length} 个任务`);
+      } else {
+        console.log('未找到本地存储数据，返回空数组');
       }
-      
-      console.log('未找到本地存储数据，返回空数组');
-      return [];
+      return tasks;
     } catch (error) {
       console.error('加载任务失败:', error);
+      // 加载失败时禁止保存，避免空数据覆盖无法识别的存储内容
+      this.loadError = error;
+      this.isReadOnly = true;
       return [];
     }
   }
 
+  /**
+   * 逐个写入变化的任务
+   * 新任务都在列表最前面，从后往前依次放到最前，保持原来的顺序
+   * @param {Array} changes - HistoryManager.diff 的结果
+   * @returns {Promise<boolean>} 是否全部写入成功
+   */
+  async saveTaskChanges(changes) {
+    const results = [];
+    
+    for (const change of changes.filter(change => !change.after)) {
+      results.push(await this.deleteTask(change.id));
+    }
+    for (const change of changes.filter(change => change.before && change.after)) {
+      results.push(await this.putTask(change.after));
+    }
+    const added = changes
+      .filter(change => !change.before)
+      .sort((a, b) => b.afterIndex - a.afterIndex);
+    for (const change of added) {
+      results.push(await this.putTask(change.after));
+    }
+    
+    if (results.length > 0) {
+      console.log(`已保存 ${results.length} 个变化的任务`);
+    }
+    return results.every(Boolean);
+  }
+
+  /**
+   * 写入单个任务
+   * @param {Object} task - 任务数据
+   * @param {number} order - 任务位置（可选）
+   */
+  async putTask(task, order) {
+    if (this.isReadOnly) return false;
+    
+    try {
+      const adapter = await this.init();
+      await adapter.put(task, order);
+      return true;
+    } catch (error) {
+      console.error('保存任务失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 删除单个任务
+   * @param {string} taskId - 任务ID
+   */
+  async deleteTask(taskId) {
+    if (this.isReadOnly) return false;
+    
+    try {
+      const adapter = await this.init();
+      await adapter.delete(taskId);
+      return true;
+    } catch (error) {
+      console.error('删除任务失败:', error);
+      return false;
+    }
+  }
+
   /**
    * 保存应用设置
    * @param {Object} settings - 设置对象
@@ -128,7 +474,15 @@ class StorageManager {
         showCompletedTasks: true,
         taskAnimation: true,
         soundEffects: false,
-        lastFilter: 'all'
+        lastFilter: 'all',
+        layout: 'list',
+        boardGroupBy: 'status',
+        calendarMode: 'month',
+        sortBy: 'createdAt',
+        sortOrder: 'desc',
+        trashRetentionDays: 30,
+        autoArchiveDays: 0,
+        smartLists: null
       };
 
       return data ? { ...defaultSettings, ...data } : defaultSettings;
@@ -138,6 +492,158 @@ class StorageManager {
     }
   }
 
+  /**
+   * 保存操作历史
+   * @param {Object} history - 包含undo/redo栈的历史对象
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  async saveHistory(history) {
+    try {
+      const adapter = await this.init();
+      await adapter.saveHistory({
+        undo: history.undo || [],
+        redo: history.redo || [],
+        lastModified: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      console.error('保存操作历史失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 加载操作历史
+   * 旧版本保存在localStorage中的历史在首次加载时移到当前存储后端
+   * @returns {Promise<Object>} 包含undo/redo栈的历史对象
+   */
+  async loadHistory() {
+    try {
+      const adapter = await this.init();
+      let data = await adapter.loadHistory();
+
+      const usesLegacyKey = adapter instanceof LocalStorageAdapter && adapter.historyKey === this.historyKey;
+      if (!data && this.isLocalStorageAvailable && !usesLegacyKey) {
+        const stored = localStorage.getItem(this.historyKey);
+        if (stored) {
+          data = JSON.parse(stored);
+          await adapter.saveHistory(data);
+          localStorage.removeItem(this.historyKey);
+        }
+      }
+
+      return {
+        undo: data && Array.isArray(data.undo) ? data.undo : [],
+        redo: data && Array.isArray(data.redo) ? data.redo : []
+      };
+    } catch (error) {
+      console.error('加载操作历史失败:', error);
+      return { undo: [], redo: [] };
+    }
+  }
+
+  /**
+   * 保存服务器同步状态
+   * @param {Object} state - 同步队列、已同步版本等
+   */
+  saveSyncState(state) {
+    try {
+      const data = {
+        ...state,
+        lastModified: new Date().toISOString()
+      };
+
+      if (this.isLocalStorageAvailable) {
+        localStorage.setItem(this.syncStateKey, JSON.stringify(data));
+      } else {
+        this._memorySyncState = data;
+      }
+
+      return true;
+    } catch (error) {
+      console.error('保存同步状态失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 加载服务器同步状态
+   * @returns {Object} 同步状态
+   */
+  loadSyncState() {
+    const defaultState = {
+      endpoint: '',
+      queue: [],
+      syncedVersions: {},
+      conflicts: [],
+      lastSyncAt: null,
+      cursor: null
+    };
+
+    try {
+      let data = null;
+
+      if (this.isLocalStorageAvailable) {
+        const stored = localStorage.getItem(this.syncStateKey);
+        data = stored ? JSON.parse(stored) : null;
+      } else {
+        data = this._memorySyncState || null;
+      }
+
+      return data ? { ...defaultState, ...data } : defaultState;
+    } catch (error) {
+      console.error('加载同步状态失败:', error);
+      return defaultState;
+    }
+  }
+
+  /**
+   * 同步写入尚未保存的任务变更日志
+   * 关闭页面时异步保存可能来不及完成，下次加载时据此补回
+   * @param {Object} journal - { savedAt, upserts: [{ task, index }], removals: [{ id, removedAt }] }
+   */
+  saveJournal(journal) {
+    try {
+      if (this.isLocalStorageAvailable) {
+        localStorage.setItem(this.journalKey, JSON.stringify(journal));
+      } else {
+        this._memoryJournal = journal;
+      }
+      return true;
+    } catch (error) {
+      console.error('保存变更日志失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 读取变更日志
+   * @returns {Object|null} 变更日志，没有时返回 null
+   */
+  loadJournal() {
+    try {
+      if (this.isLocalStorageAvailable) {
+        const stored = localStorage.getItem(this.journalKey);
+        return stored ? JSON.parse(stored) : null;
+      }
+      return this._memoryJournal || null;
+    } catch (error) {
+      console.error('读取变更日志失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 变更写入存储后清除日志
+   */
+  clearJournal() {
+    if (this.isLocalStorageAvailable) {
+      localStorage.removeItem(this.journalKey);
+    } else {
+      delete this._memoryJournal;
+    }
+  }
+
   /**
    * 导出数据为JSON文件
    * @param {Array} tasks - 任务数组
@@ -146,7 +652,7 @@ class StorageManager {
   exportData(tasks, settings = {}) {
     try {
       const exportData = {
-        version: '1.0.0',
+        version: this.schemaVersion,
         exportDate: new Date().toISOString(),
         appName: 'Epic Todo List',
         author: '乔帅',
@@ -156,36 +662,227 @@ class StorageManager {
           metadata: {
             totalTasks: tasks.length,
             completedTasks: tasks.filter(task => task.completed).length,
-            activeTasks: tasks.filter(task => !task.completed).length
+            activeTasks: tasks.filter(task => !task.completed).length,
+            archivedTasks: tasks.filter(task => task.archivedAt && !task.deletedAt).length,
+            trashedTasks: tasks.filter(task => task.deletedAt).length
           }
         }
       };
 
       const dataStr = JSON.stringify(exportData, null, 2);
-      const blob = new Blob([dataStr], { type: 'application/json' });
+      this.downloadFile(dataStr, `epic-todo-list-backup-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
       
-      // 创建下载链接
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `epic-todo-list-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      console.log('数据导出成功');
+      return true;
+    } catch (error) {
+      console.error('导出数据失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 导出任务为CSV文件
+   * 带UTF-8 BOM，Excel可以直接正确显示中文
+   * @param {Array} tasks - 任务数组（Task.toJSON() 的结果）
+   */
+  exportCSV(tasks) {
+    try {
+      const csv = CSV.stringify(tasks);
+      this.downloadFile('\uFEFF' + csv, `epic-todo-list-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv;charset=utf-8');
       
-      // 触发下载
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      console.log(`CSV导出成功: ${tasks.length} 个任务`);
+      return true;
+    } catch (error) {
+      console.error('导出CSV失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 导出任务为Markdown清单
+   * @param {Array} tasks - 任务数组（Task.toJSON() 的结果），按显示顺序排列
+   */
+  exportMarkdown(tasks) {
+    try {
+      const markdown = MarkdownChecklist.stringify(tasks);
+      this.downloadFile(markdown, `epic-todo-list-${new Date().toISOString().slice(0, 10)}.md`, 'text/markdown;charset=utf-8');
       
-      // 清理URL对象
-      URL.revokeObjectURL(url);
+      console.log(`Markdown导出成功: ${tasks.length} 个任务`);
+      return true;
+    } catch (error) {
+      console.error('导出Markdown失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 导出为 todo.txt：工作区中的任务写入 todo.txt，已归档的任务写入 done.txt
+   * @param {Array} tasks - 任务数组（Task.toJSON() 的结果），不含回收站中的任务
+   */
+  exportTodoTxt(tasks) {
+    try {
+      const archived = tasks.filter(task => task.archivedAt);
+      this.downloadFile(TodoTxt.stringify(tasks.filter(task => !task.archivedAt)), 'todo.txt', 'text/plain;charset=utf-8');
+      if (archived.length > 0) {
+        this.downloadFile(TodoTxt.stringify(archived), 'done.txt', 'text/plain;charset=utf-8');
+      }
       
-      console.log('数据导出成功');
+      console.log(`todo.txt导出成功: ${tasks.length} 个任务`);
       return true;
     } catch (error) {
-      console.error('导出数据失败:', error);
+      console.error('导出todo.txt失败:', error);
       return false;
     }
   }
 
+  /**
+   * 读取 todo.txt / done.txt 文件，done.txt 中的已完成任务导入为已归档
+   * @param {Array<File>} files - 文件列表
+   * @returns {Promise<Array>} 任务数据
+   */
+  async readTodoTxt(files) {
+    const tasks = [];
+    for (const file of files) {
+      try {
+        const text = await file.text();
+        tasks.push(...TodoTxt.parse(text, { archived: /done/i.test(file.name) }));
+      } catch (error) {
+        throw new Error(`读取 ${file.name} 失败: ${error.message}`);
+      }
+    }
+    return tasks;
+  }
+
+  /**
+   * 导出任务为iCalendar文件（VTODO）
+   * @param {Array} tasks - 任务数组（Task.toJSON() 的结果）
+   */
+  exportICS(tasks) {
+    try {
+      const ics = ICalendar.stringify(tasks);
+      this.downloadFile(ics, `epic-todo-list-${new Date().toISOString().slice(0, 10)}.ics`, 'text/calendar;charset=utf-8');
+      
+      console.log(`iCalendar导出成功: ${tasks.length} 个任务`);
+      return true;
+    } catch (error) {
+      console.error('导出iCalendar失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 读取iCalendar文件中的 VTODO 和 VEVENT
+   * @param {File} file - 文件对象
+   * @returns {Promise<Array>} 任务数据
+   */
+  async readICS(file) {
+    if (!file) {
+      throw new Error('请选择要导入的文件');
+    }
+
+    try {
+      return ICalendar.parse(await file.text());
+    } catch (error) {
+      throw new Error('文件内容解析失败: ' + error.message);
+    }
+  }
+
+  /**
+   * 下载文本文件
+   * @param {string} content - 文件内容
+   * @param {string} filename - 文件名
+   * @param {string} type - MIME类型
+   */
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    
+    // 创建下载链接
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    // 触发下载
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // 清理URL对象
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 读取CSV文件，自动识别编码和分隔符
+   * @param {File} file - 文件对象
+   * @returns {Promise<Object>} { encoding, delimiter, headers, rows, text }
+   */
+  readCSV(file) {
+    return new Promise((resolve, reject) => {
+      if (!file) {
+        reject(new Error('请选择要导入的文件'));
+        return;
+      }
+
+      const reader = new FileReader();
+      
+      reader.onload = (event) => {
+        try {
+          const { text, encoding } = CSV.decode(event.target.result);
+          resolve({ ...CSV.read(text), encoding, text });
+        } catch (error) {
+          reject(new Error('文件内容解析失败: ' + error.message));
+        }
+      };
+
+      reader.onerror = () => {
+        reject(new Error('文件读取失败'));
+      };
+
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * 读取其他应用（Trello、Todoist、Microsoft To Do 等）的导出文件
+   * @param {File} file - 文件对象
+   * @returns {Promise<Object|null>} { importer, tasks, report }，不是已注册的格式时返回 null
+   */
+  async readExternal(file) {
+    if (!file) {
+      throw new Error('请选择要导入的文件');
+    }
+
+    let input;
+    try {
+      const { text } = CSV.decode(await file.arrayBuffer());
+      let json = null;
+      if (/^\s*[[{]/.test(text)) {
+        try {
+          json = JSON.parse(text);
+        } catch (error) {
+          json = null;
+        }
+      }
+      input = { name: file.name, text, json };
+    } catch (error) {
+      throw new Error('文件读取失败');
+    }
+
+    const importer = this.detectImporter(input);
+    if (!importer) return null;
+
+    const report = new ImportReport(importer.name, file.name);
+    let tasks;
+    try {
+      tasks = importer.parse(input, report);
+    } catch (error) {
+      throw new Error(`${importer.name} 数据解析失败: ${error.message}`);
+    }
+
+    console.log(`识别为 ${importer.name} 导出文件: ${tasks.length} 个任务`);
+    return { importer: importer.id, tasks, report: report.toJSON(tasks) };
+  }
+
   /**
    * 从文件导入数据
    * @param {File} file - 文件对象
@@ -199,7 +896,7 @@ class StorageManager {
       }
 
       if (file.type !== 'application/json' && !file.name.endsWith('.json')) {
-        reject(new Error('请选择有效的JSON文件'));
+        reject(new Error('请选择有效的JSON或CSV文件'));
         return;
       }
 
@@ -211,14 +908,24 @@ class StorageManager {
           
           // 验证数据结构
           if (!this.validateImportData(importData)) {
-            reject(new Error('文件格式无效或数据结构不正确'));
+            reject(new Error('文件格式无效或数据结构不正确（支持本应用的备份以及 Trello、Todoist、Microsoft To Do 的导出文件）'));
+            return;
+          }
+
+          // 升级旧版本数据，拒绝更新版本的数据
+          let migration;
+          try {
+            migration = this.migrateTasks(importData.data.tasks, importData.version);
+          } catch (error) {
+            reject(error);
             return;
           }
 
           const result = {
-            tasks: importData.data.tasks || [],
+            tasks: migration.tasks,
             settings: importData.data.settings || {},
-            metadata: importData.data.metadata || {}
+            metadata: importData.data.metadata || {},
+            migration
           };
 
           console.log(`导入数据成功: ${result.tasks.length} 个任务`);
@@ -266,15 +973,21 @@ class StorageManager {
   /**
    * 清除所有数据
    */
-  clearAllData() {
+  async clearAllData() {
     try {
+      const adapter = await this.init();
+      await adapter.clear();
+      await adapter.saveHistory(null);
+
       if (this.isLocalStorageAvailable) {
-        localStorage.removeItem(this.storageKey);
         localStorage.removeItem(this.settingsKey);
+        localStorage.removeItem(this.historyKey);
+        localStorage.removeItem(this.syncStateKey);
       } else {
-        delete this._memoryStorage;
         delete this._memorySettings;
+        delete this._memorySyncState;
       }
+      this.clearJournal();
       
       console.log('已清除所有本地数据');
       return true;
@@ -286,38 +999,23 @@ class StorageManager {
 
   /**
    * 获取存储使用情况
-   * @returns {Object} 存储信息
+   * @returns {Promise<Object>} 存储信息
    */
-  getStorageInfo() {
+  async getStorageInfo() {
     const info = {
       isAvailable: this.isLocalStorageAvailable,
-      type: this.isLocalStorageAvailable ? 'localStorage' : 'memory'
+      type: 'memory'
     };
 
-    if (this.isLocalStorageAvailable) {
-      try {
-        const tasksData = localStorage.getItem(this.storageKey);
-        const settingsData = localStorage.getItem(this.settingsKey);
-        
-        info.tasksSize = tasksData ? new Blob([tasksData]).size : 0;
-        info.settingsSize = settingsData ? new Blob([settingsData]).size : 0;
-        info.totalSize = info.tasksSize + info.settingsSize;
-        
-        // 估算localStorage总使用量
-        let totalUsed = 0;
-        for (let key in localStorage) {
-          if (localStorage.hasOwnProperty(key)) {
-            totalUsed += localStorage[key].length;
-          }
-        }
-        info.totalLocalStorageUsed = totalUsed;
-        
-        // localStorage大概限制（因浏览器而异，通常是5-10MB）
-        info.estimatedLimit = 5 * 1024 * 1024; // 5MB
-        info.usagePercentage = ((info.totalLocalStorageUsed / info.estimatedLimit) * 100).toFixed(2);
-      } catch (error) {
-        console.error('获取存储信息失败:', error);
-      }
+    try {
+      const adapter = await this.init();
+      Object.assign(info, await adapter.info());
+
+      const settingsData = this.isLocalStorageAvailable ? localStorage.getItem(this.settingsKey) : null;
+      info.settingsSize = settingsData ? new Blob([settingsData]).size : 0;
+      info.totalSize = (info.tasksSize || 0) + info.settingsSize;
+    } catch (error) {
+      console.error('获取存储信息失败:', error);
     }
 
     return info;
@@ -343,4 +1041,5 @@ class StorageManager {
 const storageManager = new StorageManager();
 
 // 导出模块
+export { StorageManager };
 export default storageManager;
\ No newline at end of file
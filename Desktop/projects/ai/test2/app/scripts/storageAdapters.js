@@ -0,0 +1,451 @@
+/**
+ * Epic Todo List - 存储适配器模块
+ * 作者: 乔帅
+ * 功能: 存储后端抽象、IndexedDB/LocalStorage/内存实现
+ */
+
+/**
+ * 存储适配器基类 - 定义所有存储后端需要实现的接口
+ * 所有方法均返回Promise，任务以 Task.toJSON() 的普通对象形式读写
+ */
+class StorageAdapter {
+  constructor() {
+    this.type = 'base';
+    this.incremental = false; // put/delete 是否只写入单个任务（否则整体保存更快）
+  }
+
+  /**
+   * 加载全部任务（保持保存时的顺序）
+   * @returns {Promise<Array>} 任务数组
+   */
+  async load() {
+    throw new Error(`${this.type} 适配器未实现 load()`);
+  }
+
+  /**
+   * 用给定任务整体替换已存储的任务
+   * @param {Array} tasks - 任务数组
+   * @param {string} version - 数据结构版本
+   */
+  async save(tasks, version) {
+    throw new Error(`${this.type} 适配器未实现 save()`);
+  }
+
+  /**
+   * 获取已存储数据的结构版本
+   * @returns {Promise<string|null>} 版本号，没有记录时返回null
+   */
+  async getVersion() {
+    return null;
+  }
+
+  /**
+   * 写入单个任务，已存在时覆盖
+   * @param {Object} task - 任务数据
+   * @param {number} order - 任务在列表中的位置（可选）
+   */
+  async put(task, order) {
+    throw new Error(`${this.type} 适配器未实现 put()`);
+  }
+
+  /**
+   * 删除单个任务
+   * @param {string} taskId - 任务ID
+   */
+  async delete(taskId) {
+    throw new Error(`${this.type} 适配器未实现 delete()`);
+  }
+
+  /**
+   * 清除全部任务
+   */
+  async clear() {
+    throw new Error(`${this.type} 适配器未实现 clear()`);
+  }
+
+  /**
+   * 读取操作历史
+   * @returns {Promise<Object|null>} { undo, redo }，没有记录时返回null
+   */
+  async loadHistory() {
+    return null;
+  }
+
+  /**
+   * 保存操作历史
+   * @param {Object|null} history - { undo, redo }，null 表示删除
+   */
+  async saveHistory(history) {
+    throw new Error(`${this.type} 适配器未实现 saveHistory()`);
+  }
+
+  /**
+   * 获取存储使用情况
+   * @returns {Promise<Object>} 存储信息
+   */
+  async info() {
+    return { type: this.type };
+  }
+}
+
+/**
+ * 内存适配器 - 其他存储都不可用时使用，刷新后数据丢失
+ */
+class MemoryAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.type = 'memory';
+    this.incremental = true;
+    this.tasks = [];
+    this.version = null;
+    this.history = null;
+  }
+
+  async load() {
+    return this.tasks.map(task => ({ ...task }));
+  }
+
+  async save(tasks, version) {
+    this.tasks = tasks.map(task => ({ ...task }));
+    this.version = version || this.version;
+    return true;
+  }
+
+  async getVersion() {
+    return this.version;
+  }
+
+  async put(task, order) {
+    const index = this.tasks.findIndex(t => t.id === task.id);
+    if (index > -1) {
+      this.tasks[index] = { ...task };
+    } else {
+      this.tasks.splice(typeof order === 'number' ? order : 0, 0, { ...task });
+    }
+    return true;
+  }
+
+  async delete(taskId) {
+    this.tasks = this.tasks.filter(task => task.id !== taskId);
+    return true;
+  }
+
+  async clear() {
+    this.tasks = [];
+    return true;
+  }
+
+  async loadHistory() {
+    return this.history;
+  }
+
+  async saveHistory(history) {
+    this.history = history;
+    return true;
+  }
+
+  async info() {
+    return {
+      type: this.type,
+      taskCount: this.tasks.length,
+      tasksSize: new Blob([JSON.stringify(this.tasks)]).size
+    };
+  }
+}
+
+/**
+ * LocalStorage适配器 - 兼容旧版本，所有任务存放在同一个JSON对象中
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {string} storageKey - 任务数据的键
+   * @param {string} historyKey - 操作历史的键
+   */
+  constructor(storageKey, historyKey = `${storageKey}-history`) {
+    super();
+    this.type = 'localStorage';
+    this.storageKey = storageKey;
+    this.historyKey = historyKey;
+  }
+
+  async load() {
+    const stored = localStorage.getItem(this.storageKey);
+    const data = stored ? JSON.parse(stored) : null;
+    return data && Array.isArray(data.tasks) ? data.tasks : [];
+  }
+
+  async save(tasks, version) {
+    const data = {
+      tasks: tasks,
+      version: version || (await this.getVersion()) || '1.0.0',
+      lastModified: new Date().toISOString(),
+      timestamp: Date.now()
+    };
+    localStorage.setItem(this.storageKey, JSON.stringify(data));
+    return true;
+  }
+
+  async getVersion() {
+    const stored = localStorage.getItem(this.storageKey);
+    const data = stored ? JSON.parse(stored) : null;
+    return data && data.version ? data.version : null;
+  }
+
+  async put(task, order) {
+    const tasks = await this.load();
+    const index = tasks.findIndex(t => t.id === task.id);
+    if (index > -1) {
+      tasks[index] = task;
+    } else {
+      tasks.splice(typeof order === 'number' ? order : 0, 0, task);
+    }
+    return this.save(tasks);
+  }
+
+  async delete(taskId) {
+    const tasks = await this.load();
+    return this.save(tasks.filter(task => task.id !== taskId));
+  }
+
+  async clear() {
+    localStorage.removeItem(this.storageKey);
+    return true;
+  }
+
+  async loadHistory() {
+    const stored = localStorage.getItem(this.historyKey);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async saveHistory(history) {
+    if (history) {
+      localStorage.setItem(this.historyKey, JSON.stringify(history));
+    } else {
+      localStorage.removeItem(this.historyKey);
+    }
+    return true;
+  }
+
+  async info() {
+    const tasksData = localStorage.getItem(this.storageKey);
+    const info = {
+      type: this.type,
+      tasksSize: tasksData ? new Blob([tasksData]).size : 0
+    };
+
+    // 估算localStorage总使用量
+    let totalUsed = 0;
+    for (let key in localStorage) {
+      if (localStorage.hasOwnProperty(key)) {
+        totalUsed += localStorage[key].length;
+      }
+    }
+    info.totalUsed = totalUsed;
+
+    // localStorage大概限制（因浏览器而异，通常是5-10MB）
+    info.estimatedLimit = 5 * 1024 * 1024; // 5MB
+    info.usagePercentage = ((totalUsed / info.estimatedLimit) * 100).toFixed(2);
+
+    return info;
+  }
+}
+
+/**
+ * IndexedDB适配器 - 每个任务存为独立记录，不受localStorage容量限制
+ *
+ * tasks 仓库记录结构: { id, order, task }
+ * meta 仓库记录结构: { key, value }，保存结构版本、迁移标记和操作历史
+ */
+class IndexedDBAdapter extends StorageAdapter {
+  constructor(dbName = 'epic-todo-list', dbVersion = 1) {
+    super();
+    this.type = 'indexedDB';
+    this.incremental = true;
+    this.dbName = dbName;
+    this.dbVersion = dbVersion;
+    this.dbPromise = null;
+  }
+
+  /**
+   * 检查IndexedDB可用性
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * 打开数据库（只打开一次）
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('tasks')) {
+          const store = db.createObjectStore('tasks', { keyPath: 'id' });
+          store.createIndex('order', 'order');
+        }
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('IndexedDB打开失败'));
+      request.onblocked = () => reject(new Error('IndexedDB被其他页面占用'));
+    });
+
+    // 打开失败后允许重试
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * 将IDBRequest包装为Promise
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 等待事务完成
+   */
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(true);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB事务已中止'));
+    });
+  }
+
+  async load() {
+    const db = await this.open();
+    const transaction = db.transaction('tasks', 'readonly');
+    const records = await IndexedDBAdapter.request(transaction.objectStore('tasks').index('order').getAll());
+    return records.map(record => record.task);
+  }
+
+  async save(tasks, version) {
+    const db = await this.open();
+    const transaction = db.transaction(['tasks', 'meta'], 'readwrite');
+    const store = transaction.objectStore('tasks');
+
+    // 在同一事务中清空并写入，保证原子性
+    store.clear();
+    tasks.forEach((task, order) => {
+      store.put({ id: task.id, order, task });
+    });
+
+    if (version) {
+      transaction.objectStore('meta').put({ key: 'schemaVersion', value: version });
+    }
+
+    return IndexedDBAdapter.complete(transaction);
+  }
+
+  async getVersion() {
+    return this.getMeta('schemaVersion');
+  }
+
+  async put(task, order) {
+    const db = await this.open();
+    const transaction = db.transaction('tasks', 'readwrite');
+    const store = transaction.objectStore('tasks');
+
+    if (typeof order === 'number') {
+      store.put({ id: task.id, order, task });
+    } else {
+      // 未指定位置时保留原位置，新任务放在最前面
+      const existing = await IndexedDBAdapter.request(store.get(task.id));
+      if (existing) {
+        store.put({ id: task.id, order: existing.order, task });
+      } else {
+        const cursor = await IndexedDBAdapter.request(store.index('order').openCursor());
+        store.put({ id: task.id, order: cursor ? cursor.value.order - 1 : 0, task });
+      }
+    }
+
+    return IndexedDBAdapter.complete(transaction);
+  }
+
+  async delete(taskId) {
+    const db = await this.open();
+    const transaction = db.transaction('tasks', 'readwrite');
+    transaction.objectStore('tasks').delete(taskId);
+    return IndexedDBAdapter.complete(transaction);
+  }
+
+  /**
+   * 只清除任务，结构版本、迁移标记等元数据保留
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction('tasks', 'readwrite');
+    transaction.objectStore('tasks').clear();
+    return IndexedDBAdapter.complete(transaction);
+  }
+
+  async loadHistory() {
+    return this.getMeta('history');
+  }
+
+  async saveHistory(history) {
+    if (history) {
+      return this.setMeta('history', history);
+    }
+
+    const db = await this.open();
+    const transaction = db.transaction('meta', 'readwrite');
+    transaction.objectStore('meta').delete('history');
+    return IndexedDBAdapter.complete(transaction);
+  }
+
+  /**
+   * 读取元数据
+   */
+  async getMeta(key) {
+    const db = await this.open();
+    const transaction = db.transaction('meta', 'readonly');
+    const record = await IndexedDBAdapter.request(transaction.objectStore('meta').get(key));
+    return record ? record.value : null;
+  }
+
+  /**
+   * 写入元数据
+   */
+  async setMeta(key, value) {
+    const db = await this.open();
+    const transaction = db.transaction('meta', 'readwrite');
+    transaction.objectStore('meta').put({ key, value });
+    return IndexedDBAdapter.complete(transaction);
+  }
+
+  async info() {
+    const db = await this.open();
+    const transaction = db.transaction('tasks', 'readonly');
+    const info = {
+      type: this.type,
+      taskCount: await IndexedDBAdapter.request(transaction.objectStore('tasks').count())
+    };
+
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+      const estimate = await navigator.storage.estimate();
+      info.totalUsed = estimate.usage;
+      info.estimatedLimit = estimate.quota;
+      info.usagePercentage = estimate.quota ? ((estimate.usage / estimate.quota) * 100).toFixed(2) : '0.00';
+    }
+
+    return info;
+  }
+}
+
+export { StorageAdapter, MemoryAdapter, LocalStorageAdapter, IndexedDBAdapter };
@@ -0,0 +1,415 @@
+/**
+ * Epic Todo List - 服务器同步模块
+ * 作者: 乔帅
+ * 功能: 推送/拉取任务变更、离线操作队列、冲突检测与解决
+ */
+
+import storageManager from './storage.js';
+import HistoryManager from './history.js';
+
+/**
+ * 同步引擎 - 与自建 REST 服务器（见 server/syncServer.js）同步任务
+ *
+ * 接口约定：
+ * GET  {endpoint}/tasks?since=<cursor>      => { tasks, deleted: [{ id, deletedAt }], cursor, serverTime }
+ * POST {endpoint}/sync  { ops }              => { applied: [{ id, updatedAt }], conflicts: [{ id, server, serverVersion }], serverTime }
+ *
+ * 本地操作结构：
+ * { opId, op: 'upsert' | 'delete', id, task, deletedAt, baseUpdatedAt }
+ * baseUpdatedAt 为该任务上次与服务器同步时的版本，服务器据此检测冲突。
+ */
+class SyncEngine extends EventTarget {
+  constructor(taskManager, options = {}) {
+    super();
+    this.taskManager = taskManager;
+    this.endpoint = options.endpoint || '';
+    this.interval = options.interval || 60 * 1000;
+    this.pushDelay = options.pushDelay || 2000;
+
+    this.queue = [];
+    this.syncedVersions = {};
+    this.conflicts = [];
+    this.lastSyncAt = null;
+    this.cursor = null;
+    this.lastError = null;
+
+    this.status = 'disabled'; // disabled, idle, syncing, offline, error, conflict
+    this.isSyncing = false;
+    this.syncPending = false;
+    this.isStarted = false;
+    this.snapshot = null;
+    this.timer = null;
+    this.pushTimer = null;
+
+    this.handleTasksChanged = this.handleTasksChanged.bind(this);
+    this.loadState();
+  }
+
+  /**
+   * 开始记录本地变更并定时同步
+   */
+  start() {
+    if (this.isStarted) return;
+
+    this.snapshot = HistoryManager.snapshot(this.taskManager.tasks);
+    this.taskManager.addEventListener('tasksChanged', this.handleTasksChanged);
+    this.isStarted = true;
+
+    if (this.endpoint) {
+      this.timer = setInterval(() => this.sync(), this.interval);
+      this.sync();
+    } else {
+      this.setStatus('disabled');
+    }
+  }
+
+  /**
+   * 停止同步
+   */
+  stop() {
+    this.taskManager.removeEventListener('tasksChanged', this.handleTasksChanged);
+    clearInterval(this.timer);
+    clearTimeout(this.pushTimer);
+    this.timer = null;
+    this.isStarted = false;
+  }
+
+  /**
+   * 设置服务器地址
+   * @param {string} endpoint - 服务器地址，空字符串表示关闭同步
+   */
+  setEndpoint(endpoint) {
+    const normalized = (endpoint || '').trim().replace(/\/+$/, '');
+    if (normalized && !/^https?:\/\//.test(normalized)) {
+      throw new Error('服务器地址必须以 http:// 或 https:// 开头');
+    }
+
+    // 更换服务器后需要重新完整同步
+    if (normalized !== this.endpoint) {
+      this.lastSyncAt = null;
+      this.cursor = null;
+      this.syncedVersions = {};
+      this.conflicts = [];
+      this.queue = this.taskManager.tasks.map(task => this.createOp('upsert', task.toJSON()));
+    }
+
+    this.endpoint = normalized;
+    this.saveState();
+
+    if (this.isStarted) {
+      clearInterval(this.timer);
+      this.timer = this.endpoint ? setInterval(() => this.sync(), this.interval) : null;
+    }
+
+    if (this.endpoint) {
+      this.sync();
+    } else {
+      this.setStatus('disabled');
+    }
+  }
+
+  /**
+   * 本地任务变化时把差异加入队列
+   */
+  handleTasksChanged(e) {
+    const current = HistoryManager.snapshot(this.taskManager.tasks);
+    const previous = this.snapshot;
+    this.snapshot = current;
+
+    // 来自服务器或其他标签页的变更不再推送
+    if (e.detail && e.detail.remote) return;
+
+    const changes = HistoryManager.diff(previous, current);
+    if (changes.length === 0) return;
+
+    changes.forEach(change => {
+      this.enqueue(change.after
+        ? this.createOp('upsert', change.after)
+        : this.createOp('delete', change.before));
+    });
+    this.saveState();
+    this.schedulePush();
+  }
+
+  /**
+   * 创建队列操作
+   */
+  createOp(op, task) {
+    return {
+      opId: 'op-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      op,
+      id: task.id,
+      task: op === 'upsert' ? task : null,
+      deletedAt: op === 'delete' ? new Date().toISOString() : null,
+      baseUpdatedAt: this.syncedVersions[task.id] || null
+    };
+  }
+
+  /**
+   * 加入队列，同一任务只保留最新的操作
+   */
+  enqueue(op) {
+    this.queue = this.queue.filter(queued => queued.id !== op.id);
+    this.queue.push(op);
+  }
+
+  /**
+   * 延迟推送，合并短时间内的多次修改
+   */
+  schedulePush() {
+    if (!this.endpoint) return;
+
+    clearTimeout(this.pushTimer);
+    this.pushTimer = setTimeout(() => this.sync(), this.pushDelay);
+  }
+
+  /**
+   * 执行一次完整同步：先推送本地队列，再拉取远程变更
+   * 同步进行中再次调用时，在本次结束后补做一次
+   */
+  async sync() {
+    if (!this.endpoint) return false;
+    if (this.isSyncing) {
+      this.syncPending = true;
+      return false;
+    }
+
+    if (this.isOffline()) {
+      this.setStatus('offline');
+      return false;
+    }
+
+    this.isSyncing = true;
+    this.setStatus('syncing');
+
+    try {
+      await this.push();
+      await this.pull();
+      this.lastError = null;
+      this.setStatus(this.conflicts.length > 0 ? 'conflict' : 'idle');
+      this.dispatchEvent(new CustomEvent('synced', {
+        detail: { lastSyncAt: this.lastSyncAt, pending: this.queue.length }
+      }));
+      return true;
+    } catch (error) {
+      console.error('同步失败:', error);
+      this.lastError = error;
+      this.setStatus(this.isOffline() ? 'offline' : 'error');
+      return false;
+    } finally {
+      this.isSyncing = false;
+      this.saveState();
+
+      if (this.syncPending) {
+        this.syncPending = false;
+        this.sync();
+      }
+    }
+  }
+
+  /**
+   * 浏览器是否处于离线状态
+   */
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * 推送本地队列
+   */
+  async push() {
+    const ops = this.queue.filter(op => !this.hasConflict(op.id));
+    if (ops.length === 0) return;
+
+    const result = await this.request('/sync', {
+      method: 'POST',
+      body: JSON.stringify({ ops })
+    });
+
+    (result.applied || []).forEach(({ id, updatedAt }) => {
+      if (updatedAt) {
+        this.syncedVersions[id] = updatedAt;
+      } else {
+        delete this.syncedVersions[id];
+      }
+    });
+
+    (result.conflicts || []).forEach(({ id, server, serverVersion }) => {
+      this.addConflict(id, server || null, serverVersion || null);
+    });
+
+    // 只移除已发送的操作，请求期间产生的新操作保留
+    const sentIds = new Set(ops.map(op => op.opId));
+    this.queue = this.queue.filter(op => !sentIds.has(op.opId) || this.hasConflict(op.id));
+  }
+
+  /**
+   * 拉取远程变更
+   */
+  async pull() {
+    const query = this.cursor !== null ? `?since=${encodeURIComponent(this.cursor)}` : '';
+    const result = await this.request(`/tasks${query}`);
+    const pendingIds = new Set(this.queue.map(op => op.id));
+    const upserts = [];
+    const removals = [];
+
+    (result.tasks || []).forEach(task => {
+      // 跳过本地已是该版本的任务（例如自己刚推送的）
+      const local = this.taskManager.tasks.find(t => t.id === task.id);
+      if (local && local.updatedAt === task.updatedAt && this.syncedVersions[task.id] === task.updatedAt) {
+        return;
+      }
+
+      if (pendingIds.has(task.id) || this.hasConflict(task.id)) {
+        // 本地有未推送的修改，服务器也修改了该任务
+        if (task.updatedAt !== this.syncedVersions[task.id]) {
+          this.addConflict(task.id, task, task.updatedAt);
+        }
+        return;
+      }
+      upserts.push({ task, index: 0 });
+      this.syncedVersions[task.id] = task.updatedAt;
+    });
+
+    (result.deleted || []).forEach(({ id, deletedAt }) => {
+      if (pendingIds.has(id) || this.hasConflict(id)) {
+        this.addConflict(id, null, deletedAt);
+        return;
+      }
+      removals.push({ id, removedAt: deletedAt });
+      delete this.syncedVersions[id];
+    });
+
+    // 本地没有未同步修改的任务以服务器为准
+    if (upserts.length > 0 || removals.length > 0) {
+      this.taskManager.applyRemoteChanges(upserts, removals, { force: true });
+    }
+
+    this.cursor = result.cursor !== undefined ? result.cursor : null;
+    this.lastSyncAt = result.serverTime || new Date().toISOString();
+  }
+
+  /**
+   * 发送请求
+   */
+  async request(path, options = {}) {
+    const response = await fetch(this.endpoint + path, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(options.headers || {})
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`服务器返回 ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * 冲突管理
+   */
+  hasConflict(taskId) {
+    return this.conflicts.some(conflict => conflict.id === taskId);
+  }
+
+  addConflict(taskId, remote, remoteVersion) {
+    const local = this.taskManager.tasks.find(task => task.id === taskId);
+    const conflict = {
+      id: taskId,
+      local: local ? local.toJSON() : null,
+      remote,
+      remoteVersion,
+      detectedAt: new Date().toISOString()
+    };
+
+    this.conflicts = this.conflicts.filter(existing => existing.id !== taskId);
+    this.conflicts.push(conflict);
+    this.dispatchEvent(new CustomEvent('conflict', { detail: { conflict } }));
+  }
+
+  /**
+   * 解决冲突
+   * @param {string} taskId - 任务ID
+   * @param {string} choice - local 保留本地版本，remote 使用服务器版本
+   */
+  resolveConflict(taskId, choice) {
+    const conflict = this.conflicts.find(existing => existing.id === taskId);
+    if (!conflict) {
+      throw new Error('冲突不存在');
+    }
+
+    this.conflicts = this.conflicts.filter(existing => existing.id !== taskId);
+    this.queue = this.queue.filter(op => op.id !== taskId);
+
+    if (choice === 'local') {
+      // 以服务器当前版本为基准重新推送本地版本
+      this.syncedVersions[taskId] = conflict.remoteVersion;
+      const local = this.taskManager.tasks.find(task => task.id === taskId);
+      this.enqueue(local
+        ? this.createOp('upsert', local.toJSON())
+        : this.createOp('delete', { id: taskId }));
+    } else if (choice === 'remote') {
+      if (conflict.remote) {
+        this.syncedVersions[taskId] = conflict.remote.updatedAt;
+        this.taskManager.applyRemoteChanges([{ task: conflict.remote, index: 0 }], [], { force: true });
+      } else {
+        delete this.syncedVersions[taskId];
+        this.taskManager.applyRemoteChanges([], [{ id: taskId, removedAt: new Date().toISOString() }], { force: true });
+      }
+    } else {
+      throw new Error('无效的冲突解决方式');
+    }
+
+    this.saveState();
+    this.dispatchEvent(new CustomEvent('conflictResolved', { detail: { taskId, choice } }));
+
+    if (this.conflicts.length === 0) {
+      this.sync();
+    }
+  }
+
+  /**
+   * 更新同步状态
+   */
+  setStatus(status) {
+    this.status = status;
+    this.dispatchEvent(new CustomEvent('statusChanged', {
+      detail: {
+        status,
+        pending: this.queue.length,
+        conflicts: this.conflicts.length,
+        lastSyncAt: this.lastSyncAt,
+        error: this.lastError
+      }
+    }));
+  }
+
+  /**
+   * 持久化同步状态（队列、已同步版本、冲突）
+   */
+  saveState() {
+    storageManager.saveSyncState({
+      endpoint: this.endpoint,
+      queue: this.queue,
+      syncedVersions: this.syncedVersions,
+      conflicts: this.conflicts,
+      lastSyncAt: this.lastSyncAt,
+      cursor: this.cursor
+    });
+  }
+
+  loadState() {
+    const state = storageManager.loadSyncState();
+    this.endpoint = this.endpoint || state.endpoint || '';
+    this.queue = state.queue;
+    this.syncedVersions = state.syncedVersions;
+    this.conflicts = state.conflicts;
+    this.lastSyncAt = state.lastSyncAt;
+    this.cursor = state.cursor;
+  }
+}
+
+export { SyncEngine };
+export default SyncEngine;
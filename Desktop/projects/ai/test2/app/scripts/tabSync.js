@@ -0,0 +1,163 @@
+/**
+ * Epic Todo List - 多标签页同步模块
+ * 作者: 乔帅
+ * 功能: 标签页间变更广播、按任务合并远程变更
+ */
+
+import HistoryManager from './history.js';
+
+/**
+ * 标签页同步器 - 通过 BroadcastChannel（不支持时退回 storage 事件）
+ * 把本标签页的任务变更发送给其他标签页，并合并其他标签页的变更
+ *
+ * 消息结构：
+ * { type: 'changes', tabId, sentAt, upserts: [{ task, index }], removals: [{ id, removedAt }] }
+ */
+class TabSync {
+  constructor(taskManager, channelName = 'epic-todo-list-sync') {
+    this.taskManager = taskManager;
+    this.channelName = channelName;
+    this.tabId = 'tab-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    this.channel = null;
+    this.snapshot = null;
+    this.isStarted = false;
+
+    this.handleTasksChanged = this.handleTasksChanged.bind(this);
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+  }
+
+  /**
+   * 开始同步
+   */
+  start() {
+    if (this.isStarted) return;
+
+    this.snapshot = HistoryManager.snapshot(this.taskManager.tasks);
+    this.taskManager.addEventListener('tasksChanged', this.handleTasksChanged);
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (e) => this.receive(e.data);
+    } else {
+      window.addEventListener('storage', this.handleStorageEvent);
+    }
+
+    this.isStarted = true;
+    console.log(`多标签页同步已启动 (${this.channel ? 'BroadcastChannel' : 'storage事件'})`);
+  }
+
+  /**
+   * 停止同步
+   */
+  stop() {
+    if (!this.isStarted) return;
+
+    this.taskManager.removeEventListener('tasksChanged', this.handleTasksChanged);
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    } else {
+      window.removeEventListener('storage', this.handleStorageEvent);
+    }
+
+    this.isStarted = false;
+  }
+
+  /**
+   * 本地任务变化时计算差异并广播
+   */
+  handleTasksChanged(e) {
+    const current = HistoryManager.snapshot(this.taskManager.tasks);
+    const previous = this.snapshot;
+    this.snapshot = current;
+
+    // 来自其他标签页的变更不再回传
+    if (e.detail && e.detail.remote) return;
+
+    const changes = HistoryManager.diff(previous, current);
+    if (changes.length === 0) return;
+
+    const removedAt = new Date().toISOString();
+    this.send({
+      type: 'changes',
+      tabId: this.tabId,
+      sentAt: removedAt,
+      upserts: changes
+        .filter(change => change.after)
+        .map(change => ({ task: change.after, index: change.afterIndex })),
+      removals: changes
+        .filter(change => !change.after)
+        .map(change => ({ id: change.id, removedAt }))
+    });
+  }
+
+  /**
+   * 发送消息
+   */
+  send(message) {
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // storage 事件只在值变化时触发，sentAt 保证每条消息都不同
+        localStorage.setItem(this.channelName, JSON.stringify(message));
+      }
+    } catch (error) {
+      console.warn('同步消息发送失败:', error);
+    }
+  }
+
+  /**
+   * storage 事件回退方案
+   */
+  handleStorageEvent(e) {
+    if (e.key !== this.channelName || !e.newValue) return;
+
+    try {
+      this.receive(JSON.parse(e.newValue));
+    } catch (error) {
+      console.warn('同步消息解析失败:', error);
+    }
+  }
+
+  /**
+   * 接收其他标签页的消息
+   */
+  receive(message) {
+    if (!message || message.type !== 'changes' || message.tabId === this.tabId) return;
+
+    const result = this.taskManager.applyRemoteChanges(message.upserts || [], message.removals || []);
+    if (result.applied > 0) {
+      console.log(`已合并其他标签页的 ${result.applied} 个变更，忽略 ${result.skipped} 个较旧的变更`);
+    }
+
+    // 本地版本更新时回传，让发送方也收敛到胜出的版本
+    if (result.kept.length > 0) {
+      this.sendLocalVersions(result.kept);
+    }
+  }
+
+  /**
+   * 广播指定任务的本地版本
+   * @param {Array} taskIds - 任务ID列表
+   */
+  sendLocalVersions(taskIds) {
+    const tasks = this.taskManager.tasks;
+    const upserts = taskIds
+      .map(id => tasks.findIndex(t => t.id === id))
+      .filter(index => index !== -1)
+      .map(index => ({ task: tasks[index].toJSON(), index }));
+    if (upserts.length === 0) return;
+
+    this.send({
+      type: 'changes',
+      tabId: this.tabId,
+      sentAt: new Date().toISOString(),
+      upserts,
+      removals: []
+    });
+  }
+}
+
+export { TabSync };
+export default TabSync;
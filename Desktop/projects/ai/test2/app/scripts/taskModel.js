@@ -5,6 +5,10 @@
  */
 
 import storageManager from './storage.js';
+import HistoryManager from './history.js';
+import RecurrenceRule from './recurrence.js';
+import searchQueryParser from './searchQuery.js';
+import SearchIndex, { mergeRanges } from './fuzzySearch.js';
 
 /**
  * 任务类 - 表示单个任务
@@ -22,6 +26,14 @@ class Task {
     this.tags = options.tags || [];
     this.dueDate = options.dueDate || null;
     this.description = options.description || '';
+    this.parentId = options.parentId || null; // 父任务ID，顶层任务为null
+    this.collapsed = options.collapsed || false; // 子任务是否折叠
+    this.recurrence = RecurrenceRule.anchor(RecurrenceRule.normalize(options.recurrence), this.dueDate); // 重复规则，不重复为null
+    this.blockedBy = options.blockedBy || []; // 前置任务ID列表
+    this.position = typeof options.position === 'number' ? options.position : 0; // 手动排序位置，越小越靠前
+    this.deletedAt = options.deletedAt || null; // 移入回收站的时间，未删除为null
+    this.archivedAt = options.archivedAt || null; // 归档时间，未归档为null
+    this.recurredFrom = options.recurredFrom || null; // 由哪个重复任务完成时生成，其他任务为null
   }
 
   /**
@@ -93,12 +105,58 @@ class Task {
     return false;
   }
 
+  /**
+   * 批量设置标签，逐个通过 addTag/removeTag 更新
+   * @param {Array<string>} tags - 新的标签列表
+   */
+  setTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return false;
+    }
+
+    const nextTags = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    [...this.tags].forEach(tag => {
+      if (!nextTags.includes(tag)) this.removeTag(tag);
+    });
+    nextTags.forEach(tag => this.addTag(tag));
+    return true;
+  }
+
+  /**
+   * 设置分类
+   */
+  setCategory(category) {
+    if (!Task.isValidCategory(category)) {
+      return false;
+    }
+
+    this.category = category.trim();
+    this.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * 检查分类名称是否有效
+   */
+  static isValidCategory(category) {
+    return typeof category === 'string' && category.trim().length > 0 && category.trim().length <= 30;
+  }
+
+  /**
+   * 检查到期时间是否有效（null表示清除）
+   */
+  static isValidDueDate(date) {
+    if (date === null) return true;
+    if (!(date instanceof Date) && (typeof date !== 'string' || !date)) return false;
+    return !isNaN(new Date(date).getTime());
+  }
+
   /**
    * 设置到期时间
    */
   setDueDate(date) {
-    if (date instanceof Date || (typeof date === 'string' && date)) {
-      this.dueDate = date instanceof Date ? date.toISOString() : date;
+    if (date !== null && Task.isValidDueDate(date)) {
+      this.dueDate = new Date(date).toISOString();
       this.updatedAt = new Date().toISOString();
       return true;
     } else if (date === null) {
@@ -109,6 +167,79 @@ class Task {
     return false;
   }
 
+  /**
+   * 设置重复规则
+   * @param {Object|null} rule - 重复规则，null表示不重复
+   */
+  setRecurrence(rule) {
+    if (rule === null) {
+      this.recurrence = null;
+      this.updatedAt = new Date().toISOString();
+      return true;
+    }
+
+    const normalized = RecurrenceRule.anchor(RecurrenceRule.normalize(rule), this.dueDate);
+    if (normalized) {
+      this.recurrence = normalized;
+      this.updatedAt = new Date().toISOString();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 获取下一次重复的到期日期
+   */
+  getNextOccurrenceDate() {
+    if (!this.recurrence) return null;
+
+    const from = this.recurrence.type === 'afterCompletion'
+      ? (this.completedAt || new Date().toISOString())
+      : (this.dueDate || this.completedAt || new Date().toISOString());
+    return RecurrenceRule.getNextDate(this.recurrence, from);
+  }
+
+  /**
+   * 生成下一次重复的任务
+   * @returns {Task|null} 新任务，规则已结束时返回null
+   */
+  createNextOccurrence() {
+    const nextDate = this.getNextOccurrenceDate();
+    if (!nextDate) return null;
+
+    return new Task(this.text, {
+      priority: this.priority,
+      category: this.category,
+      tags: [...this.tags],
+      description: this.description,
+      parentId: this.parentId,
+      dueDate: nextDate.toISOString(),
+      recurrence: RecurrenceRule.advance(RecurrenceRule.anchor(this.recurrence, this.dueDate || this.completedAt)),
+      recurredFrom: this.id
+    });
+  }
+
+  /**
+   * 是否在回收站中
+   */
+  isDeleted() {
+    return Boolean(this.deletedAt);
+  }
+
+  /**
+   * 是否已归档
+   */
+  isArchived() {
+    return Boolean(this.archivedAt);
+  }
+
+  /**
+   * 是否不在工作区中显示（已删除或已归档）
+   */
+  isHidden() {
+    return this.isDeleted() || this.isArchived();
+  }
+
   /**
    * 检查任务是否过期
    */
@@ -142,7 +273,15 @@ class Task {
       category: this.category,
       tags: [...this.tags],
       dueDate: this.dueDate,
-      description: this.description
+      description: this.description,
+      parentId: this.parentId,
+      collapsed: this.collapsed,
+      recurrence: this.recurrence ? { ...this.recurrence, weekdays: [...this.recurrence.weekdays] } : null,
+      blockedBy: [...this.blockedBy],
+      position: this.position,
+      deletedAt: this.deletedAt,
+      archivedAt: this.archivedAt,
+      recurredFrom: this.recurredFrom
     };
   }
 
@@ -160,7 +299,15 @@ class Task {
       category: data.category,
       tags: data.tags,
       dueDate: data.dueDate,
-      description: data.description
+      description: data.description,
+      parentId: data.parentId,
+      collapsed: data.collapsed,
+      recurrence: data.recurrence,
+      blockedBy: Array.isArray(data.blockedBy) ? data.blockedBy : [],
+      position: data.position,
+      deletedAt: data.deletedAt,
+      archivedAt: data.archivedAt,
+      recurredFrom: data.recurredFrom
     });
   }
 }
@@ -173,13 +320,27 @@ class TaskManager extends EventTarget {
     super();
     this.tasks = [];
     this.nextId = 1;
-    this.filter = 'all'; // all, active, completed
+    this.filter = 'all'; // all, active, completed, blocked, trash, archive
     this.searchQuery = '';
+    this.searchAst = null; // 搜索查询的语法树
+    this.searchError = null; // 搜索查询的语法错误
+    this.searchIndex = new SearchIndex(); // 搜索索引（拼音和模糊匹配）
+    this.trashRetentionDays = 30; // 回收站保留天数
+    this.autoArchiveDays = 0; // 完成多少天后自动归档，0 表示不自动归档
+    this.archiveRange = { from: null, to: null }; // 归档视图按完成日期浏览的范围
     this.sortBy = 'createdAt'; // createdAt, updatedAt, priority, text
     this.sortOrder = 'desc'; // asc, desc
+    this.history = new HistoryManager();
+    this.isRecording = false;
+    this.activeTransaction = null; // 进行中的事务，期间的事件和保存推迟到提交时
+    this.saveTimer = null; // 延迟保存的定时器
+    this.savedSnapshot = null; // 上次保存时的任务快照，用于只写入变化的任务
+    this.persistedSnapshot = null; // 已确认写入存储的任务快照，关闭页面时据此记录未保存的变更
+    this.journalPending = false; // 变更日志是否等待下一次保存成功后清除
+    this.saveDelay = 300; // 延迟保存的时间（毫秒），连续变更只写入一次
     
-    // 加载数据
-    this.loadTasks();
+    // 加载数据（异步，使用前需等待 ready）
+    this.ready = this.loadTasks();
   }
 
   /**
@@ -190,10 +351,25 @@ class TaskManager extends EventTarget {
       throw new Error('任务内容不能为空');
     }
 
+    if (options.parentId) {
+      const parent = this.getTask(options.parentId); // 父任务必须存在
+      if (parent.isDeleted()) {
+        throw new Error('父任务在回收站中');
+      }
+      if (parent.isArchived()) {
+        throw new Error('父任务已归档');
+      }
+    }
+
     const task = new Task(text, options);
-    this.tasks.unshift(task); // 新任务添加到顶部
+    if (typeof options.position !== 'number') {
+      task.position = this.getTopPosition(task.parentId); // 手动排序时新任务排在同级最前面
+    }
+    this.recordChange(task.parentId ? '添加子任务' : '添加任务', () => {
+      this.tasks.unshift(task); // 新任务添加到顶部
+    });
     
-    this.saveTasks();
+    this.scheduleSave();
     this.dispatchEvent(new CustomEvent('taskAdded', { detail: { task } }));
     this.dispatchEvent(new CustomEvent('tasksChanged'));
     
@@ -201,24 +377,149 @@ class TaskManager extends EventTarget {
   }
 
   /**
-   * 删除任务
+   * 删除任务（移入回收站，子任务一并移入）
    */
   removeTask(taskId) {
-    const index = this.tasks.findIndex(task => task.id === taskId);
-    if (index === -1) {
-      throw new Error('任务不存在');
+    const task = this.getTask(taskId);
+    if (task.isDeleted()) {
+      throw new Error('任务已在回收站中');
     }
 
-    const task = this.tasks[index];
-    this.tasks.splice(index, 1);
+    const descendants = this.getDescendants(taskId, true).filter(t => !t.isDeleted());
+    const deletedAt = new Date().toISOString();
     
-    this.saveTasks();
-    this.dispatchEvent(new CustomEvent('taskRemoved', { detail: { task } }));
+    // 级联删除：子任务随父任务一起移入回收站，共用同一个删除时间以便一起恢复
+    this.recordChange('删除任务', () => {
+      [task, ...descendants].forEach(t => {
+        t.deletedAt = deletedAt;
+        t.updatedAt = deletedAt;
+      });
+    });
+    
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('taskRemoved', { detail: { task, descendants, trashed: true } }));
     this.dispatchEvent(new CustomEvent('tasksChanged'));
     
     return task;
   }
 
+  /**
+   * 从回收站恢复任务
+   * 同一次删除的子任务一并恢复；父任务仍在回收站时也一并恢复，保证层级完整
+   */
+  restoreTask(taskId) {
+    const task = this.getTask(taskId);
+    if (!task.isDeleted()) return task;
+
+    const restored = [
+      task,
+      ...this.getDescendants(taskId, true).filter(t => t.deletedAt === task.deletedAt),
+      ...this.getAncestors(taskId).filter(t => t.isDeleted())
+    ];
+
+    this.recordChange('恢复任务', () => {
+      const now = new Date().toISOString();
+      restored.forEach(t => {
+        t.deletedAt = null;
+        t.updatedAt = now;
+      });
+    });
+
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('taskRestored', { detail: { task, restored } }));
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+
+    return task;
+  }
+
+  /**
+   * 彻底删除回收站中的任务（包括其子任务）
+   */
+  deleteTaskPermanently(taskId) {
+    const task = this.getTask(taskId);
+    if (!task.isDeleted()) {
+      throw new Error('只能彻底删除回收站中的任务');
+    }
+
+    return this.purgeTasks([task], '彻底删除')[0];
+  }
+
+  /**
+   * 从任务列表中移除任务及其所有子任务
+   * @param {Array<Task>} tasks - 要移除的任务
+   * @param {string|null} label - 操作历史描述，null 表示不记录历史
+   * @returns {Array<Task>} 被移除的任务
+   */
+  purgeTasks(tasks, label) {
+    const removedIds = new Set();
+    tasks.forEach(task => {
+      removedIds.add(task.id);
+      this.getDescendants(task.id, true).forEach(descendant => removedIds.add(descendant.id));
+    });
+    if (removedIds.size === 0) return [];
+
+    const purged = this.tasks.filter(t => removedIds.has(t.id));
+    const purge = () => {
+      this.tasks = this.tasks.filter(t => !removedIds.has(t.id));
+      removedIds.forEach(id => this.searchIndex.remove(id));
+      this.normalizeHierarchy();
+      this.cleanupDependencies();
+    };
+
+    if (label) {
+      this.recordChange(label, purge);
+    } else {
+      purge();
+    }
+
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('tasksPurged', { detail: { tasks: purged } }));
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+
+    return purged;
+  }
+
+  /**
+   * 清空回收站
+   */
+  emptyTrash() {
+    return this.purgeTasks(this.getTrashedTasks(), '清空回收站');
+  }
+
+  /**
+   * 自动清理超过保留天数的回收站任务（不记录到操作历史）
+   * @returns {Array<Task>} 被清理的任务
+   */
+  purgeExpiredTrash() {
+    const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    const expired = this.getTrashedTasks().filter(task => new Date(task.deletedAt).getTime() < cutoff);
+    return expired.length > 0 ? this.purgeTasks(expired, null) : [];
+  }
+
+  /**
+   * 设置回收站保留天数，并立即清理过期任务
+   * @param {number} days - 1-365 天
+   */
+  setTrashRetention(days) {
+    const value = parseInt(days, 10);
+    if (!Number.isFinite(value) || value < 1 || value > 365) {
+      throw new Error('保留天数必须在 1-365 之间');
+    }
+
+    this.trashRetentionDays = value;
+    this.dispatchEvent(new CustomEvent('trashRetentionChanged', { detail: { days: value } }));
+    return this.purgeExpiredTrash();
+  }
+
+  /**
+   * 获取回收站中的任务，最近删除的在前
+   */
+  getTrashedTasks() {
+    return this.tasks
+      .filter(task => task.isDeleted())
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
   /**
    * 更新任务
    */
@@ -230,25 +531,80 @@ class TaskManager extends EventTarget {
 
     const oldTask = { ...task };
     
+    if (Object.prototype.hasOwnProperty.call(updates, 'parentId')) {
+      this.validateParent(taskId, updates.parentId);
+    }
+    
+    if (Object.prototype.hasOwnProperty.call(updates, 'blockedBy')) {
+      this.validateDependencies(taskId, updates.blockedBy);
+    }
+    
+    if (Object.prototype.hasOwnProperty.call(updates, 'dueDate') && !Task.isValidDueDate(updates.dueDate)) {
+      throw new Error('到期时间无效');
+    }
+    
+    if (Object.prototype.hasOwnProperty.call(updates, 'category') && !Task.isValidCategory(updates.category)) {
+      throw new Error('分类名称必须为1-30个字符');
+    }
+    
+    if (Object.prototype.hasOwnProperty.call(updates, 'tags') && !Array.isArray(updates.tags)) {
+      throw new Error('标签必须是数组');
+    }
+    
+    // 被阻塞的任务不能完成
+    if (updates.completed === true && !task.completed && this.isBlocked(taskId)) {
+      const blockers = this.getBlockers(taskId).map(t => `"${t.text}"`).join('、');
+      throw new Error(`任务被 ${blockers} 阻塞，请先完成前置任务`);
+    }
+    
+    // 完成父任务会一并完成子任务，子任务被阻塞时同样不能完成
+    if (updates.completed === true && !task.completed) {
+      const blocked = this.getBlockedDescendants(taskId);
+      if (blocked.length > 0) {
+        const names = blocked.map(t => `"${t.text}"`).join('、');
+        throw new Error(`子任务 ${names} 被阻塞，请先完成其前置任务`);
+      }
+    }
+    
     // 更新属性
-    Object.keys(updates).forEach(key => {
-      if (key === 'text' && updates[key]) {
-        task.updateText(updates[key]);
-      } else if (key === 'priority') {
-        task.setPriority(updates[key]);
-      } else if (key === 'dueDate') {
-        task.setDueDate(updates[key]);
-      } else if (key === 'completed') {
-        if (updates[key] !== task.completed) {
-          task.toggle();
+    this.recordChange('更新任务', () => {
+      Object.keys(updates).forEach(key => {
+        if (key === 'text' && updates[key]) {
+          task.updateText(updates[key]);
+        } else if (key === 'priority') {
+          task.setPriority(updates[key]);
+        } else if (key === 'dueDate') {
+          task.setDueDate(updates[key]);
+        } else if (key === 'tags') {
+          task.setTags(updates[key]);
+        } else if (key === 'category') {
+          task.setCategory(updates[key]);
+        } else if (key === 'recurrence') {
+          task.setRecurrence(updates[key]);
+        } else if (key === 'completed') {
+          if (updates[key] !== task.completed) {
+            task.toggle();
+            this.cascadeCompletion(task);
+            if (task.completed) {
+              this.spawnNextOccurrence(task);
+            } else {
+              this.revertNextOccurrence(task);
+            }
+          }
+        } else if (key === 'parentId') {
+          task.parentId = updates[key] || null;
+          task.updatedAt = new Date().toISOString();
+        } else if (key === 'blockedBy') {
+          task.blockedBy = [...new Set(updates[key])];
+          task.updatedAt = new Date().toISOString();
+        } else if (task.hasOwnProperty(key)) {
+          task[key] = updates[key];
+          task.updatedAt = new Date().toISOString();
         }
-      } else if (task.hasOwnProperty(key)) {
-        task[key] = updates[key];
-        task.updatedAt = new Date().toISOString();
-      }
+      });
     });
 
-    this.saveTasks();
+    this.scheduleSave();
     this.dispatchEvent(new CustomEvent('taskUpdated', { 
       detail: { task, oldTask } 
     }));
@@ -278,219 +634,1345 @@ class TaskManager extends EventTarget {
   }
 
   /**
-   * 获取所有任务
+   * 获取所有任务（不含回收站和归档中的任务）
    */
   getAllTasks() {
-    return [...this.tasks];
+    return this.tasks.filter(task => !task.isHidden());
+  }
+
+  /**
+   * 获取所有已使用的标签，按使用次数排序
+   * @returns {Array} [{ tag, count }]
+   */
+  getAllTags() {
+    const counts = new Map();
+    this.getAllTasks().forEach(task => {
+      task.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * 获取所有已使用的分类（不含默认分类）
+   * @returns {Array<string>} 分类名称
+   */
+  getCategories() {
+    return [...new Set(this.getAllTasks().map(task => task.category))]
+      .filter(category => category && category !== 'default')
+      .sort((a, b) => a.localeCompare(b, 'zh-CN'));
   }
 
   /**
    * 获取过滤后的任务
    */
   getFilteredTasks() {
-    let filtered = [...this.tasks];
+    // 回收站按删除时间平铺显示
+    if (this.filter === 'trash') {
+      return this.getTrashedTasks().filter(task => this.matchesSearch(task));
+    }
 
-    // 应用状态过滤
-    switch (this.filter) {
-      case 'active':
-        filtered = filtered.filter(task => !task.completed);
-        break;
-      case 'completed':
-        filtered = filtered.filter(task => task.completed);
-        break;
-      default:
-        // 'all' - 不过滤
-        break;
+    // 归档按完成时间平铺显示，可按日期范围浏览
+    if (this.filter === 'archive') {
+      return this.getArchivedTasks(this.archiveRange).filter(task => this.matchesSearch(task));
     }
 
+    // 应用状态过滤
+    let filtered = this.getAllTasks().filter(task => this.matchesFilter(task, this.filter));
+
     // 应用搜索过滤
     if (this.searchQuery) {
-      const query = this.searchQuery.toLowerCase();
-      filtered = filtered.filter(task => 
-        task.text.toLowerCase().includes(query) ||
-        task.description.toLowerCase().includes(query) ||
-        task.tags.some(tag => tag.includes(query))
-      );
-    }
-
-    // 应用排序
-    filtered.sort((a, b) => {
-      let aVal, bVal;
-      
-      switch (this.sortBy) {
-        case 'priority':
-          const priorityOrder = { high: 3, normal: 2, low: 1 };
-          aVal = priorityOrder[a.priority] || 2;
-          bVal = priorityOrder[b.priority] || 2;
-          break;
-        case 'text':
-          aVal = a.text.toLowerCase();
-          bVal = b.text.toLowerCase();
-          break;
-        case 'updatedAt':
-          aVal = new Date(a.updatedAt).getTime();
-          bVal = new Date(b.updatedAt).getTime();
-          break;
-        case 'createdAt':
-        default:
-          aVal = new Date(a.createdAt).getTime();
-          bVal = new Date(b.createdAt).getTime();
-          break;
-      }
+      filtered = filtered.filter(task => this.matchesSearch(task));
+    }
 
-      if (typeof aVal === 'string') {
-        return this.sortOrder === 'asc' ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
-      } else {
-        return this.sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
-      }
+    // 保留匹配任务的祖先，使子任务始终显示在父任务之下
+    const visibleIds = new Set(filtered.map(task => task.id));
+    filtered.forEach(task => {
+      this.getAncestors(task.id)
+        .filter(ancestor => !ancestor.isHidden())
+        .forEach(ancestor => visibleIds.add(ancestor.id));
     });
+    const visible = this.tasks.filter(task => visibleIds.has(task.id));
+
+    // 应用排序（同级任务之间排序），有搜索关键词时按相关度排序
+    if (this.getSearchTerms().length > 0) {
+      const scores = new Map(visible.map(task => [task.id, this.getSearchScore(task)]));
+      visible.sort((a, b) => scores.get(b.id) - scores.get(a.id) || this.compareTasks(a, b));
+    } else {
+      visible.sort((a, b) => this.compareTasks(a, b));
+    }
 
-    return filtered;
+    // 搜索时展开所有层级，方便看到匹配结果
+    return this.flattenTree(visible, !this.searchQuery);
   }
 
   /**
-   * 设置过滤器
+   * 检查工作区中的任务是否匹配状态过滤器
+   * @param {Task} task - 任务
+   * @param {string} filter - all, active, completed, blocked
    */
-  setFilter(filter) {
-    const validFilters = ['all', 'active', 'completed'];
-    if (validFilters.includes(filter)) {
-      this.filter = filter;
-      this.dispatchEvent(new CustomEvent('filterChanged', { detail: { filter } }));
-      return true;
+  matchesFilter(task, filter) {
+    switch (filter) {
+      case 'active':
+        return !task.completed;
+      case 'completed':
+        return task.completed;
+      case 'blocked':
+        return this.isBlocked(task.id);
+      default:
+        // 'all' - 不过滤
+        return true;
     }
-    return false;
   }
 
   /**
-   * 设置搜索查询
+   * 统计符合过滤器和查询的任务数（不改变当前视图）
+   * @param {Object} view - { filter, searchQuery }
+   * @returns {number} 任务数，查询无效时为 0
    */
-  setSearchQuery(query) {
-    this.searchQuery = query.trim();
-    this.dispatchEvent(new CustomEvent('searchChanged', { detail: { query: this.searchQuery } }));
+  countTasks({ filter = 'all', searchQuery = '' } = {}) {
+    let ast;
+    try {
+      ast = searchQueryParser.parse(searchQuery);
+    } catch (error) {
+      return 0;
+    }
+
+    let source;
+    if (filter === 'trash') {
+      source = this.getTrashedTasks();
+    } else if (filter === 'archive') {
+      source = this.getArchivedTasks();
+    } else {
+      source = this.getAllTasks().filter(task => this.matchesFilter(task, filter));
+    }
+
+    return source.filter(task => searchQueryParser.matches(ast, task, this)).length;
   }
 
   /**
-   * 设置排序方式
+   * 检查任务是否匹配当前搜索关键词
    */
-  setSorting(sortBy, sortOrder = 'desc') {
-    const validSortBy = ['createdAt', 'updatedAt', 'priority', 'text'];
-    const validSortOrder = ['asc', 'desc'];
-    
-    if (validSortBy.includes(sortBy)) {
-      this.sortBy = sortBy;
-    }
-    
-    if (validSortOrder.includes(sortOrder)) {
-      this.sortOrder = sortOrder;
+  matchesSearch(task) {
+    if (!this.searchQuery) return true;
+
+    if (!this.searchError) {
+      return searchQueryParser.matches(this.searchAst, task, this);
     }
-    
-    this.dispatchEvent(new CustomEvent('sortingChanged', { 
-      detail: { sortBy: this.sortBy, sortOrder: this.sortOrder } 
-    }));
+
+    // 查询有语法错误（如正在输入引号）时退回到关键词匹配
+    const [term] = this.getSearchTerms();
+    return Boolean(term && this.matchText(task, term.value));
   }
 
   /**
-   * 批量操作
+   * 模糊匹配关键词（标题、描述和标签，支持拼音全拼和首字母）
+   * @param {Task} task - 任务
+   * @param {string} value - 小写关键词
+   * @param {Object} options - { exact: 只做精确匹配 }
+   * @returns {Object|null} { score, ranges }
    */
-  bulkComplete(taskIds) {
-    const updatedTasks = [];
-    taskIds.forEach(taskId => {
-      try {
-        const task = this.getTask(taskId);
-        if (!task.completed) {
-          this.toggleTask(taskId);
-          updatedTasks.push(task);
-        }
-      } catch (error) {
-        console.warn(`批量完成任务失败: ${taskId}`, error);
-      }
-    });
-    return updatedTasks;
-  }
-
-  bulkDelete(taskIds) {
-    const deletedTasks = [];
-    taskIds.forEach(taskId => {
-      try {
-        const task = this.removeTask(taskId);
-        deletedTasks.push(task);
-      } catch (error) {
-        console.warn(`批量删除任务失败: ${taskId}`, error);
-      }
-    });
-    return deletedTasks;
+  matchText(task, value, options = {}) {
+    return this.searchIndex.match(task, value, options);
   }
 
   /**
-   * 清除已完成的任务
+   * 获取当前搜索中的关键词（不含字段条件和排除的关键词）
+   * @returns {Array<Object>} [{ value, exact }]
    */
-  clearCompleted() {
-    const completedTasks = this.tasks.filter(task => task.completed);
-    this.tasks = this.tasks.filter(task => !task.completed);
-    
-    this.saveTasks();
-    this.dispatchEvent(new CustomEvent('completedCleared', { 
-      detail: { count: completedTasks.length } 
-    }));
-    this.dispatchEvent(new CustomEvent('tasksChanged'));
-    
-    return completedTasks;
+  getSearchTerms() {
+    if (!this.searchQuery) return [];
+
+    if (this.searchError) {
+      const value = this.searchQuery.replace(/"/g, '').toLowerCase().trim();
+      return value ? [{ value, exact: false }] : [];
+    }
+    return searchQueryParser.getTextTerms(this.searchAst);
   }
 
   /**
-   * 获取统计信息
+   * 计算任务与当前搜索的相关度，越大越相关
    */
-  getStats() {
-    const total = this.tasks.length;
-    const completed = this.tasks.filter(task => task.completed).length;
-    const active = total - completed;
-    const overdue = this.tasks.filter(task => task.isOverdue()).length;
-    
-    return {
-      total,
-      completed,
-      active,
-      overdue,
-      completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
-    };
+  getSearchScore(task) {
+    return this.getSearchTerms().reduce((score, term) => {
+      const match = this.matchText(task, term.value, { exact: term.exact });
+      return score + (match ? match.score : 0);
+    }, 0);
   }
 
   /**
-   * 保存任务到存储
+   * 获取任务标题中与当前搜索匹配的范围，用于高亮显示
+   * @returns {Array<Array<number>>} 按位置排序且不重叠的 [start, end) 范围
    */
-  saveTasks() {
-    const taskData = this.tasks.map(task => task.toJSON());
-    storageManager.saveTasks(taskData);
+  getSearchHighlights(task) {
+    const ranges = this.getSearchTerms().flatMap(term => {
+      const match = this.matchText(task, term.value, { exact: term.exact });
+      return match ? match.ranges : [];
+    });
+    return mergeRanges(ranges);
   }
 
   /**
-   * 从存储加载任务
+   * 按查询语法搜索任务（不含回收站和归档中的任务）
+   * @param {string} queryString - 查询，如 'tag:work is:overdue -priority:low'
+   * @returns {Array<Task>} 匹配的任务，按当前排序方式排列
+   * @throws {Error} 查询语法错误，error.position 为出错位置
    */
-  loadTasks() {
-    try {
-      const taskData = storageManager.loadTasks();
-      this.tasks = taskData.map(data => Task.fromJSON(data));
-      this.dispatchEvent(new CustomEvent('tasksLoaded', { 
-        detail: { count: this.tasks.length } 
-      }));
-      this.dispatchEvent(new CustomEvent('tasksChanged'));
-    } catch (error) {
-      console.error('加载任务失败:', error);
-      this.tasks = [];
-    }
+  query(queryString) {
+    const ast = searchQueryParser.parse(queryString);
+    return this.getAllTasks()
+      .filter(task => searchQueryParser.matches(ast, task, this))
+      .sort((a, b) => this.compareTasks(a, b));
   }
 
   /**
-   * 重置所有数据
+   * 按当前排序方式比较两个任务
    */
-  reset() {
-    this.tasks = [];
-    this.filter = 'all';
-    this.searchQuery = '';
-    this.sortBy = 'createdAt';
-    this.sortOrder = 'desc';
+  compareTasks(a, b) {
+    let aVal, bVal;
     
+    switch (this.sortBy) {
+      case 'position':
+        // 手动排序始终按位置升序
+        return a.position - b.position;
+      case 'priority':
+        const priorityOrder = { high: 3, normal: 2, low: 1 };
+        aVal = priorityOrder[a.priority] || 2;
+        bVal = priorityOrder[b.priority] || 2;
+        break;
+      case 'text':
+        aVal = a.text.toLowerCase();
+        bVal = b.text.toLowerCase();
+        break;
+      case 'updatedAt':
+        aVal = new Date(a.updatedAt).getTime();
+        bVal = new Date(b.updatedAt).getTime();
+        break;
+      case 'dueDate':
+        // 没有到期时间的任务始终排在最后
+        if (!a.dueDate || !b.dueDate) {
+          return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+        }
+        aVal = new Date(a.dueDate).getTime();
+        bVal = new Date(b.dueDate).getTime();
+        break;
+      case 'createdAt':
+      default:
+        aVal = new Date(a.createdAt).getTime();
+        bVal = new Date(b.createdAt).getTime();
+        break;
+    }
+
+    if (typeof aVal === 'string') {
+      return this.sortOrder === 'asc' ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
+    } else {
+      return this.sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
+    }
+  }
+
+  /**
+   * 将已排序的任务按层级展开为深度优先的列表
+   * @param {Array} tasks - 已排序的任务
+   * @param {boolean} respectCollapsed - 是否跳过已折叠任务的子任务
+   */
+  flattenTree(tasks, respectCollapsed = true) {
+    const ids = new Set(tasks.map(task => task.id));
+    const byParent = new Map();
+
+    tasks.forEach(task => {
+      const key = task.parentId && ids.has(task.parentId) ? task.parentId : null;
+      if (!byParent.has(key)) {
+        byParent.set(key, []);
+      }
+      byParent.get(key).push(task);
+    });
+
+    const result = [];
+    const visit = (parentId) => {
+      (byParent.get(parentId) || []).forEach(task => {
+        result.push(task);
+        if (!(respectCollapsed && task.collapsed)) {
+          visit(task.id);
+        }
+      });
+    };
+    visit(null);
+
+    return result;
+  }
+
+  /**
+   * 层级关系
+   */
+  getChildren(taskId, includeHidden = false) {
+    return this.tasks.filter(task => task.parentId === taskId && (includeHidden || !task.isHidden()));
+  }
+
+  getDescendants(taskId, includeHidden = false) {
+    const descendants = [];
+    const queue = [taskId];
+    const visited = new Set(queue);
+
+    while (queue.length > 0) {
+      const currentId = queue.shift();
+      this.getChildren(currentId, includeHidden).forEach(child => {
+        if (!visited.has(child.id)) {
+          visited.add(child.id);
+          descendants.push(child);
+          queue.push(child.id);
+        }
+      });
+    }
+
+    return descendants;
+  }
+
+  getAncestors(taskId) {
+    const ancestors = [];
+    const visited = new Set([taskId]);
+    let current = this.tasks.find(t => t.id === taskId);
+
+    while (current && current.parentId && !visited.has(current.parentId)) {
+      visited.add(current.parentId);
+      current = this.tasks.find(t => t.id === current.parentId);
+      if (current) {
+        ancestors.push(current);
+      }
+    }
+
+    return ancestors;
+  }
+
+  getDepth(taskId) {
+    return this.getAncestors(taskId).length;
+  }
+
+  /**
+   * 获取子任务完成进度
+   * @returns {Object} { completed, total }
+   */
+  getProgress(taskId) {
+    const children = this.getChildren(taskId);
+    return {
+      completed: children.filter(child => child.completed).length,
+      total: children.length
+    };
+  }
+
+  /**
+   * 检查父任务是否有效（存在且不会形成循环）
+   */
+  validateParent(taskId, parentId) {
+    if (!parentId) return true;
+
+    this.getTask(parentId);
+    if (parentId === taskId || this.getDescendants(taskId).some(t => t.id === parentId)) {
+      throw new Error('不能将任务移动到自身或其子任务之下');
+    }
+    return true;
+  }
+
+  /**
+   * 移动任务到新的父任务下
+   */
+  setParent(taskId, parentId) {
+    return this.updateTask(taskId, { parentId: parentId || null });
+  }
+
+  /**
+   * 级联完成状态：完成父任务时完成所有子任务，
+   * 子任务恢复未完成时父任务也恢复未完成
+   */
+  cascadeCompletion(task) {
+    if (task.completed) {
+      this.getDescendants(task.id).forEach(descendant => {
+        if (!descendant.completed) {
+          descendant.toggle();
+          this.spawnNextOccurrence(descendant);
+        }
+      });
+    } else {
+      this.getAncestors(task.id).forEach(ancestor => {
+        if (ancestor.completed) {
+          ancestor.toggle();
+          this.revertNextOccurrence(ancestor);
+        }
+      });
+    }
+  }
+
+  /**
+   * 依赖关系
+   */
+  getPrerequisites(taskId) {
+    const task = this.getTask(taskId);
+    return task.blockedBy
+      .map(id => this.tasks.find(t => t.id === id))
+      .filter(prerequisite => prerequisite && !prerequisite.isDeleted());
+  }
+
+  getBlockers(taskId) {
+    return this.getPrerequisites(taskId).filter(task => !task.completed);
+  }
+
+  /**
+   * 完成该任务时会被一并完成、但被子树以外的未完成任务阻塞的子任务
+   */
+  getBlockedDescendants(taskId) {
+    const descendants = this.getDescendants(taskId).filter(t => !t.completed);
+    const subtree = new Set([taskId, ...descendants.map(t => t.id)]);
+    return descendants.filter(descendant =>
+      this.getBlockers(descendant.id).some(blocker => !subtree.has(blocker.id))
+    );
+  }
+
+  getDependents(taskId) {
+    return this.getAllTasks().filter(task => task.blockedBy.includes(taskId));
+  }
+
+  isBlocked(taskId) {
+    const task = this.tasks.find(t => t.id === taskId);
+    if (!task || task.completed) return false;
+    return this.getBlockers(taskId).length > 0;
+  }
+
+  /**
+   * 检查前置任务列表是否有效（存在、不含自身且不会形成循环）
+   */
+  validateDependencies(taskId, prerequisiteIds) {
+    if (!Array.isArray(prerequisiteIds)) {
+      throw new Error('前置任务格式错误');
+    }
+
+    prerequisiteIds.forEach(prerequisiteId => {
+      this.getTask(prerequisiteId);
+      if (prerequisiteId === taskId) {
+        throw new Error('任务不能依赖自身');
+      }
+      if (this.dependsOn(prerequisiteId, taskId)) {
+        throw new Error('添加该依赖会形成循环依赖');
+      }
+    });
+    return true;
+  }
+
+  /**
+   * 检查任务是否直接或间接依赖另一个任务
+   */
+  dependsOn(taskId, targetId) {
+    const visited = new Set();
+    const stack = [taskId];
+
+    while (stack.length > 0) {
+      const currentId = stack.pop();
+      if (currentId === targetId) return true;
+      if (visited.has(currentId)) continue;
+      visited.add(currentId);
+
+      const current = this.tasks.find(t => t.id === currentId);
+      if (current) {
+        stack.push(...current.blockedBy);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * 添加依赖：taskId 被 prerequisiteId 阻塞
+   */
+  addDependency(taskId, prerequisiteId) {
+    const task = this.getTask(taskId);
+    if (task.blockedBy.includes(prerequisiteId)) return task;
+    return this.updateTask(taskId, { blockedBy: [...task.blockedBy, prerequisiteId] });
+  }
+
+  /**
+   * 移除依赖
+   */
+  removeDependency(taskId, prerequisiteId) {
+    const task = this.getTask(taskId);
+    return this.updateTask(taskId, { blockedBy: task.blockedBy.filter(id => id !== prerequisiteId) });
+  }
+
+  /**
+   * 移除指向不存在任务的依赖
+   */
+  cleanupDependencies() {
+    const ids = new Set(this.tasks.map(task => task.id));
+    this.tasks.forEach(task => {
+      const blockedBy = task.blockedBy.filter(id => ids.has(id) && id !== task.id);
+      if (blockedBy.length !== task.blockedBy.length) {
+        task.blockedBy = blockedBy;
+        task.updatedAt = new Date().toISOString();
+      }
+    });
+  }
+
+  /**
+   * 完成重复任务时生成下一次任务，重复规则随之转移到新任务上
+   * @returns {Task|null} 新生成的任务
+   */
+  spawnNextOccurrence(task) {
+    const next = task.createNextOccurrence();
+    if (!next) return null;
+
+    const index = this.tasks.indexOf(task);
+    next.position = task.position;
+    this.tasks.splice(index > -1 ? index : 0, 0, next);
+    task.recurrence = null;
+
+    this.dispatchEvent(new CustomEvent('taskRecurred', { detail: { task, next } }));
+    return next;
+  }
+
+  /**
+   * 重复任务恢复未完成时撤回完成时生成的下一次任务，重复规则回到原任务上
+   * 下一次任务已完成或已有子任务时保留，重复由它继续
+   * @returns {boolean} 是否撤回
+   */
+  revertNextOccurrence(task) {
+    const next = this.tasks.find(t => t.recurredFrom === task.id && !t.isHidden());
+    if (!next || next.completed || !next.recurrence || this.tasks.some(t => t.parentId === next.id)) {
+      return false;
+    }
+
+    this.tasks.splice(this.tasks.indexOf(next), 1);
+    this.searchIndex.remove(next.id);
+    task.recurrence = { ...next.recurrence, occurrence: Math.max(next.recurrence.occurrence - 1, 1) };
+    this.cleanupDependencies();
+
+    this.dispatchEvent(new CustomEvent('taskRecurrenceReverted', { detail: { task, next } }));
+    return true;
+  }
+
+  /**
+   * 获取同级任务中最靠前的位置减一
+   * @param {string|null} parentId - 父任务ID
+   */
+  getTopPosition(parentId = null) {
+    const siblings = this.tasks.filter(task => (task.parentId || null) === (parentId || null));
+    return siblings.length > 0 ? Math.min(...siblings.map(task => task.position)) - 1 : 0;
+  }
+
+  /**
+   * 获取按手动顺序排列的同级任务
+   */
+  getOrderedSiblings(parentId = null) {
+    return this.getAllTasks()
+      .filter(task => (task.parentId || null) === (parentId || null))
+      .sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * 调整任务的手动顺序
+   * @param {string} taskId - 要移动的任务ID
+   * @param {string} targetId - 参照任务ID，必须是同级任务
+   * @param {string} placement - before 放在参照任务之前，after 放在之后
+   */
+  reorderTask(taskId, targetId, placement = 'before') {
+    const task = this.getTask(taskId);
+    const target = this.getTask(targetId);
+    if (taskId === targetId) return task;
+
+    if ((task.parentId || null) !== (target.parentId || null)) {
+      throw new Error('只能在同一层级内调整顺序');
+    }
+
+    this.recordChange('调整顺序', () => {
+      const siblings = this.getOrderedSiblings(task.parentId).filter(t => t.id !== taskId);
+      const targetIndex = siblings.indexOf(target);
+      siblings.splice(placement === 'after' ? targetIndex + 1 : targetIndex, 0, task);
+
+      // 重新编号同级任务，只更新位置发生变化的任务
+      siblings.forEach((sibling, position) => {
+        if (sibling.position !== position) {
+          sibling.position = position;
+          sibling.updatedAt = new Date().toISOString();
+        }
+      });
+    });
+
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('taskReordered', { detail: { task, target, placement } }));
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+
+    return task;
+  }
+
+  /**
+   * 切换子任务折叠状态（仅影响展示，不记录到操作历史）
+   */
+  toggleCollapsed(taskId) {
+    const task = this.getTask(taskId);
+    task.collapsed = !task.collapsed;
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+    return task;
+  }
+
+  /**
+   * 修复层级关系：父任务不存在或形成循环的任务提升为顶层任务
+   */
+  normalizeHierarchy() {
+    const ids = new Set(this.tasks.map(task => task.id));
+    this.tasks.forEach(task => {
+      if (task.parentId && !ids.has(task.parentId)) {
+        task.parentId = null;
+      }
+    });
+
+    this.tasks.forEach(task => {
+      const visited = new Set([task.id]);
+      let current = task;
+      while (current && current.parentId) {
+        if (visited.has(current.parentId)) {
+          task.parentId = null;
+          break;
+        }
+        visited.add(current.parentId);
+        current = this.tasks.find(t => t.id === current.parentId);
+      }
+    });
+  }
+
+  /**
+   * 设置过滤器
+   */
+  setFilter(filter) {
+    const validFilters = ['all', 'active', 'completed', 'blocked', 'trash', 'archive'];
+    if (validFilters.includes(filter)) {
+      this.filter = filter;
+      this.dispatchEvent(new CustomEvent('filterChanged', { detail: { filter } }));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 设置搜索查询
+   */
+  setSearchQuery(query) {
+    this.searchQuery = query.trim();
+
+    try {
+      this.searchAst = searchQueryParser.parse(this.searchQuery);
+      this.searchError = null;
+    } catch (error) {
+      this.searchAst = null;
+      this.searchError = error;
+    }
+
+    this.dispatchEvent(new CustomEvent('searchChanged', {
+      detail: { query: this.searchQuery, error: this.searchError }
+    }));
+  }
+
+  /**
+   * 设置排序方式
+   */
+  setSorting(sortBy, sortOrder = 'desc') {
+    const validSortBy = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'text', 'position'];
+    const validSortOrder = ['asc', 'desc'];
+    
+    if (validSortBy.includes(sortBy)) {
+      this.sortBy = sortBy;
+    }
+    
+    if (validSortOrder.includes(sortOrder)) {
+      this.sortOrder = sortOrder;
+    }
+    
+    this.dispatchEvent(new CustomEvent('sortingChanged', { 
+      detail: { sortBy: this.sortBy, sortOrder: this.sortOrder } 
+    }));
+  }
+
+  /**
+   * 批量操作
+   */
+  bulkComplete(taskIds) {
+    const updatedTasks = [];
+    this.transaction(() => {
+      taskIds.forEach(taskId => {
+        try {
+          const task = this.getTask(taskId);
+          if (!task.completed) {
+            this.toggleTask(taskId);
+            updatedTasks.push(task);
+          }
+        } catch (error) {
+          console.warn(`批量完成任务失败: ${taskId}`, error);
+        }
+      });
+    }, '批量完成');
+    return updatedTasks;
+  }
+
+  bulkDelete(taskIds) {
+    const deletedTasks = [];
+    this.transaction(() => {
+      taskIds.forEach(taskId => {
+        // 已随父任务一起移入回收站的子任务直接跳过
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || task.isDeleted()) return;
+        try {
+          deletedTasks.push(this.removeTask(taskId));
+        } catch (error) {
+          console.warn(`批量删除任务失败: ${taskId}`, error);
+        }
+      });
+    }, '批量删除');
+    return deletedTasks;
+  }
+
+  bulkRestore(taskIds) {
+    const restoredTasks = [];
+    this.transaction(() => {
+      taskIds.forEach(taskId => {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !task.isDeleted()) return;
+        restoredTasks.push(this.restoreTask(taskId));
+      });
+    }, '批量恢复');
+    return restoredTasks;
+  }
+
+  bulkDeletePermanently(taskIds) {
+    const tasks = taskIds
+      .map(taskId => this.tasks.find(t => t.id === taskId))
+      .filter(task => task && task.isDeleted());
+    return this.transaction(() => this.purgeTasks(tasks, '批量彻底删除'), '批量彻底删除');
+  }
+
+  /**
+   * 清除已完成的任务（移入回收站）
+   */
+  clearCompleted() {
+    const completedTasks = this.getAllTasks().filter(task => task.completed);
+    this.transaction(() => {
+      const deletedAt = new Date().toISOString();
+      completedTasks.forEach(task => {
+        [task, ...this.getDescendants(task.id)].forEach(t => {
+          t.deletedAt = deletedAt;
+          t.updatedAt = deletedAt;
+        });
+      });
+
+      this.dispatchEvent(new CustomEvent('completedCleared', { 
+        detail: { count: completedTasks.length } 
+      }));
+    }, '清除已完成');
+    
+    return completedTasks;
+  }
+
+  /**
+   * 归档已完成的任务（子任务一并归档）
+   */
+  archiveTask(taskId) {
+    const task = this.getTask(taskId);
+    if (task.isHidden()) {
+      throw new Error(task.isDeleted() ? '任务已在回收站中' : '任务已归档');
+    }
+    if (!task.completed) {
+      throw new Error('只能归档已完成的任务');
+    }
+
+    this.recordChange('归档任务', () => this.markArchived([task]));
+
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('tasksArchived', { detail: { tasks: [task] } }));
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+
+    return task;
+  }
+
+  /**
+   * 归档所有已完成的任务
+   * @returns {Array<Task>} 被归档的任务
+   */
+  archiveCompleted() {
+    const completedTasks = this.getAllTasks().filter(task => task.completed);
+    if (completedTasks.length === 0) return [];
+
+    this.transaction(() => {
+      this.markArchived(completedTasks);
+      this.dispatchEvent(new CustomEvent('tasksArchived', { detail: { tasks: completedTasks } }));
+    }, '归档已完成');
+
+    return completedTasks;
+  }
+
+  /**
+   * 自动归档完成超过指定天数的任务（不记录到操作历史）
+   * @returns {Array<Task>} 被归档的任务
+   */
+  autoArchive() {
+    if (!this.autoArchiveDays) return [];
+
+    const cutoff = Date.now() - this.autoArchiveDays * 24 * 60 * 60 * 1000;
+    const expired = this.getAllTasks().filter(task =>
+      task.completed && task.completedAt && new Date(task.completedAt).getTime() < cutoff
+    );
+    if (expired.length === 0) return [];
+
+    this.markArchived(expired);
+
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('tasksArchived', { detail: { tasks: expired, auto: true } }));
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+
+    return expired;
+  }
+
+  /**
+   * 把任务及其子任务标记为归档，同一批共用一个归档时间以便一起取消归档
+   */
+  markArchived(tasks) {
+    const archivedAt = new Date().toISOString();
+    tasks.forEach(task => {
+      [task, ...this.getDescendants(task.id)].forEach(t => {
+        t.archivedAt = archivedAt;
+        t.updatedAt = archivedAt;
+      });
+    });
+  }
+
+  /**
+   * 取消归档
+   * 同一批归档的子任务一并取消；父任务仍在归档中时也一并取消，保证层级完整
+   */
+  unarchiveTask(taskId) {
+    const task = this.getTask(taskId);
+    if (!task.isArchived()) return task;
+
+    const unarchived = [
+      task,
+      ...this.getDescendants(taskId, true).filter(t => t.archivedAt === task.archivedAt && !t.isDeleted()),
+      ...this.getAncestors(taskId).filter(t => t.isArchived())
+    ];
+
+    this.recordChange('取消归档', () => {
+      const now = new Date().toISOString();
+      unarchived.forEach(t => {
+        t.archivedAt = null;
+        t.updatedAt = now;
+      });
+    });
+
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('taskUnarchived', { detail: { task, unarchived } }));
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+
+    return task;
+  }
+
+  bulkUnarchive(taskIds) {
+    const unarchivedTasks = [];
+    this.transaction(() => {
+      taskIds.forEach(taskId => {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !task.isArchived()) return;
+        unarchivedTasks.push(this.unarchiveTask(taskId));
+      });
+    }, '批量取消归档');
+    return unarchivedTasks;
+  }
+
+  /**
+   * 获取归档中的任务，最近完成的在前
+   * @param {Object} range - { from, to } 按完成日期筛选，格式为 YYYY-MM-DD，均包含当天
+   */
+  getArchivedTasks(range = {}) {
+    const completedTime = task => new Date(task.completedAt || task.archivedAt).getTime();
+    const from = range.from ? new Date(`${range.from}T00:00:00`).getTime() : -Infinity;
+    const to = range.to ? new Date(`${range.to}T23:59:59.999`).getTime() : Infinity;
+
+    return this.tasks
+      .filter(task => task.isArchived() && !task.isDeleted())
+      .filter(task => completedTime(task) >= from && completedTime(task) <= to)
+      .sort((a, b) => completedTime(b) - completedTime(a));
+  }
+
+  /**
+   * 设置归档视图的日期范围
+   * @param {Object} range - { from, to }，格式为 YYYY-MM-DD，为空表示不限
+   */
+  setArchiveRange(range = {}) {
+    const isDateKey = value => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDateKey(range.from) || !isDateKey(range.to)) {
+      throw new Error('日期格式无效');
+    }
+    if (range.from && range.to && range.from > range.to) {
+      throw new Error('开始日期不能晚于结束日期');
+    }
+
+    this.archiveRange = { from: range.from || null, to: range.to || null };
+    this.dispatchEvent(new CustomEvent('archiveRangeChanged', { detail: { ...this.archiveRange } }));
+  }
+
+  /**
+   * 设置自动归档天数，并立即归档符合条件的任务
+   * @param {number} days - 0-365 天，0 表示不自动归档
+   */
+  setAutoArchiveDays(days) {
+    const value = parseInt(days, 10);
+    if (!Number.isFinite(value) || value < 0 || value > 365) {
+      throw new Error('自动归档天数必须在 0-365 之间');
+    }
+
+    this.autoArchiveDays = value;
+    this.dispatchEvent(new CustomEvent('autoArchiveChanged', { detail: { days: value } }));
+    return this.autoArchive();
+  }
+
+  /**
+   * 在事务中执行一组变更
+   *
+   * 事务中的变更要么全部生效，要么在出错时全部回滚；期间不保存、不触发事件，
+   * 提交时只记录一条操作历史，按顺序补发推迟的事件，再触发一次 tasksChanged，
+   * 其 detail 为 { added, updated, removed } 三组任务ID。嵌套的事务并入最外层。
+   * @param {Function} fn - 执行变更的函数，可以调用任意修改任务的方法
+   * @param {string|null} label - 操作历史描述，null 表示不记录历史
+   * @returns {*} fn 的返回值
+   * @throws {Error} fn 抛出的错误（此时所有变更已回滚）
+   */
+  transaction(fn, label = '批量操作') {
+    if (this.activeTransaction) {
+      return fn();
+    }
+
+    const before = HistoryManager.snapshot(this.tasks);
+    const nextId = this.nextId;
+    const wasRecording = this.isRecording;
+    const transaction = { events: [] };
+    this.activeTransaction = transaction;
+    // 事务内部的 recordChange 不再单独记录历史
+    this.isRecording = true;
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this.activeTransaction = null;
+      this.isRecording = wasRecording;
+      this.rollback(before);
+      this.nextId = nextId;
+      throw error;
+    }
+
+    this.activeTransaction = null;
+    this.isRecording = wasRecording;
+
+    const changes = HistoryManager.diff(before, HistoryManager.snapshot(this.tasks));
+    if (changes.length > 0 && label && !wasRecording) {
+      const entry = this.history.push(label, changes);
+      if (entry) {
+        this.dispatchEvent(new CustomEvent('historyChanged', { detail: { entry } }));
+      }
+    }
+
+    transaction.events.forEach(event => this.dispatchEvent(event));
+
+    if (changes.length > 0) {
+      this.scheduleSave();
+      this.dispatchEvent(new CustomEvent('tasksChanged', {
+        detail: {
+          added: changes.filter(change => !change.before).map(change => change.id),
+          updated: changes.filter(change => change.before && change.after).map(change => change.id),
+          removed: changes.filter(change => !change.after).map(change => change.id)
+        }
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * 把任务恢复到快照时的状态
+   * 只处理有变化的任务：修改过的在原对象上恢复字段，界面和调用方持有的引用继续有效；
+   * 新增的移除，删除的重新加回
+   * @param {Map} snapshot - HistoryManager.snapshot() 的结果
+   */
+  rollback(snapshot) {
+    const byId = new Map(this.tasks.map(task => [task.id, task]));
+
+    HistoryManager.diff(snapshot, HistoryManager.snapshot(this.tasks)).forEach(change => {
+      const task = byId.get(change.id);
+      if (!change.before) {
+        byId.delete(change.id);
+        this.searchIndex.remove(change.id);
+      } else if (task) {
+        Object.assign(task, Task.fromJSON(change.before));
+      } else {
+        byId.set(change.id, Task.fromJSON(change.before));
+      }
+    });
+
+    this.tasks = [...snapshot.values()]
+      .sort((a, b) => a.index - b.index)
+      .map(entry => byId.get(entry.data.id));
+  }
+
+  /**
+   * 触发事件；事务进行中推迟到提交时触发，tasksChanged 合并为一次
+   */
+  dispatchEvent(event) {
+    if (this.activeTransaction) {
+      if (event.type !== 'tasksChanged') {
+        this.activeTransaction.events.push(event);
+      }
+      return true;
+    }
+    return super.dispatchEvent(event);
+  }
+
+  /**
+   * 记录一次变更到操作历史
+   * 嵌套调用时只由最外层记录，批量操作因此只占用一条历史
+   * @param {string} label - 操作描述
+   * @param {Function} mutator - 执行变更的函数
+   */
+  recordChange(label, mutator) {
+    if (this.isRecording) {
+      return mutator();
+    }
+
+    const before = HistoryManager.snapshot(this.tasks);
+    this.isRecording = true;
+    try {
+      return mutator();
+    } finally {
+      this.isRecording = false;
+      const entry = this.history.push(label, HistoryManager.diff(before, HistoryManager.snapshot(this.tasks)));
+      if (entry) {
+        this.dispatchEvent(new CustomEvent('historyChanged', { detail: { entry } }));
+      }
+    }
+  }
+
+  /**
+   * 撤销上一次操作
+   * @returns {Object|null} 被撤销的历史记录
+   */
+  undo() {
+    const entry = this.history.popUndo();
+    if (!entry) return null;
+
+    this.applyChanges(entry.changes, 'undo');
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('historyUndone', { detail: { entry } }));
+    this.dispatchEvent(new CustomEvent('historyChanged', { detail: { entry } }));
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+
+    return entry;
+  }
+
+  /**
+   * 重做上一次撤销的操作
+   * @returns {Object|null} 被重做的历史记录
+   */
+  redo() {
+    const entry = this.history.popRedo();
+    if (!entry) return null;
+
+    this.applyChanges(entry.changes, 'redo');
+    this.scheduleSave();
+    this.dispatchEvent(new CustomEvent('historyRedone', { detail: { entry } }));
+    this.dispatchEvent(new CustomEvent('historyChanged', { detail: { entry } }));
+    this.dispatchEvent(new CustomEvent('tasksChanged'));
+
+    return entry;
+  }
+
+  canUndo() {
+    return this.history.canUndo();
+  }
+
+  canRedo() {
+    return this.history.canRedo();
+  }
+
+  /**
+   * 将历史变更应用到任务集合
+   * @param {Array} changes - 变更列表
+   * @param {string} direction - undo 恢复变更前状态，redo 恢复变更后状态
+   */
+  applyChanges(changes, direction) {
+    const useBefore = direction === 'undo';
+    const indexOf = change => (useBefore ? change.beforeIndex : change.afterIndex);
+    // 只记录了变化字段的修改，在当前任务上换回对应的值
+    const targetOf = change => {
+      if (!change.fields) return useBefore ? change.before : change.after;
+
+      const current = this.tasks.find(t => t.id === change.id);
+      if (!current) return null;
+      const data = current.toJSON();
+      Object.entries(change.fields).forEach(([key, values]) => {
+        data[key] = values[useBefore ? 0 : 1];
+      });
+      return data;
+    };
+    const isRemoval = change => !change.fields && !targetOf(change);
+
+    // 先移除目标状态中不存在的任务
+    changes.filter(isRemoval).forEach(change => {
+      const index = this.tasks.findIndex(t => t.id === change.id);
+      if (index > -1) {
+        this.tasks.splice(index, 1);
+      }
+    });
+
+    // 再按原位置从前到后恢复或更新任务
+    changes
+      .filter(change => !isRemoval(change))
+      .sort((a, b) => indexOf(a) - indexOf(b))
+      .forEach(change => {
+        const data = targetOf(change);
+        if (!data) return;
+
+        const task = Task.fromJSON(data);
+        const index = this.tasks.findIndex(t => t.id === change.id);
+        if (index > -1) {
+          this.tasks[index] = task;
+        } else {
+          this.tasks.splice(Math.min(indexOf(change), this.tasks.length), 0, task);
+        }
+      });
+  }
+
+  /**
+   * 合并来自其他来源（如其他标签页）的任务变更
+   * 按任务的 updatedAt 解决冲突：只有更新的版本才会覆盖本地任务
+   * @param {Array} upserts - [{ task, index }] 新增或修改的任务
+   * @param {Array} removals - [{ id, removedAt }] 删除的任务
+   * @param {Object} options - { force: true } 时忽略 updatedAt 比较，直接以远程为准
+   * @returns {Object} { applied, skipped, kept } kept 为本地版本胜出的任务ID
+   */
+  applyRemoteChanges(upserts = [], removals = [], options = {}) {
+    const { force = false } = options;
+    let applied = 0;
+    let skipped = 0;
+    const kept = [];
+    const timeOf = value => new Date(value).getTime() || 0;
+
+    removals.forEach(({ id, removedAt }) => {
+      const index = this.tasks.findIndex(t => t.id === id);
+      if (index === -1) return;
+
+      // 本地在删除之后又修改过的任务予以保留
+      if (!force && timeOf(this.tasks[index].updatedAt) > timeOf(removedAt)) {
+        skipped++;
+        kept.push(id);
+        return;
+      }
+      this.tasks.splice(index, 1);
+      applied++;
+    });
+
+    upserts
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ task: data, index }) => {
+        const localIndex = this.tasks.findIndex(t => t.id === data.id);
+        if (localIndex === -1) {
+          this.tasks.splice(Math.min(Math.max(index, 0), this.tasks.length), 0, Task.fromJSON(data));
+          applied++;
+        } else if (force || timeOf(data.updatedAt) >= timeOf(this.tasks[localIndex].updatedAt)) {
+          this.tasks[localIndex] = Task.fromJSON(data);
+          applied++;
+        } else {
+          skipped++;
+          kept.push(data.id);
+        }
+      });
+
+    if (applied > 0) {
+      this.normalizeHierarchy();
+      this.cleanupDependencies();
+      this.dispatchEvent(new CustomEvent('remoteChangesApplied', {
+        detail: { applied, skipped }
+      }));
+      this.dispatchEvent(new CustomEvent('tasksChanged', { detail: { remote: true } }));
+    }
+
+    return { applied, skipped, kept };
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    const tasks = this.getAllTasks();
+    const total = tasks.length;
+    const completed = tasks.filter(task => task.completed).length;
+    const active = total - completed;
+    const overdue = tasks.filter(task => task.isOverdue()).length;
+    const blocked = tasks.filter(task => this.isBlocked(task.id)).length;
+    
+    return {
+      total,
+      completed,
+      active,
+      overdue,
+      blocked,
+      archived: this.tasks.filter(task => task.isArchived() && !task.isDeleted()).length,
+      trashed: this.tasks.filter(task => task.isDeleted()).length,
+      completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
+    };
+  }
+
+  /**
+   * 立即保存任务到存储（取消等待中的延迟保存）
+   */
+  saveTasks() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const snapshot = HistoryManager.snapshot(this.tasks);
+    const previous = this.savedSnapshot;
+    this.savedSnapshot = snapshot;
+
+    const taskData = [...snapshot.values()].map(entry => entry.data);
+    const changes = previous && TaskManager.isOrderKept(previous, snapshot)
+      ? HistoryManager.diff(previous, snapshot)
+      : null;
+    const clearsJournal = this.journalPending;
+    this.journalPending = false;
+
+    return storageManager.saveTasks(taskData, changes).then(saved => {
+      if (saved) {
+        this.persistedSnapshot = snapshot;
+        if (clearsJournal) storageManager.clearJournal();
+      } else {
+        // 保存失败时不知道存储中的状态，下次整体保存
+        if (this.savedSnapshot === snapshot) this.savedSnapshot = null;
+        if (clearsJournal) this.journalPending = true;
+      }
+      return saved;
+    });
+  }
+
+  /**
+   * 把尚未确认写入存储的变更同步记入日志
+   * 关闭页面时调用：异步保存可能来不及完成，下次加载时由 replayJournal 补回
+   * @returns {boolean} 是否写入了日志
+   */
+  writeJournal() {
+    const changes = HistoryManager.diff(this.persistedSnapshot || new Map(), HistoryManager.snapshot(this.tasks));
+    if (changes.length === 0) return false;
+
+    const savedAt = new Date().toISOString();
+    this.journalPending = storageManager.saveJournal({
+      savedAt,
+      upserts: changes
+        .filter(change => change.after)
+        .map(change => ({ task: change.after, index: change.afterIndex })),
+      removals: changes
+        .filter(change => !change.after)
+        .map(change => ({ id: change.id, removedAt: savedAt }))
+    });
+    return this.journalPending;
+  }
+
+  /**
+   * 合并上次关闭页面时没来得及保存的变更，按 updatedAt 不覆盖存储中更新的版本
+   * @param {Object} journal - storageManager.loadJournal() 的结果
+   */
+  replayJournal(journal) {
+    const result = this.applyRemoteChanges(journal.upserts || [], journal.removals || []);
+    if (result.applied === 0) {
+      storageManager.clearJournal();
+      return;
+    }
+
+    console.log(`已恢复 ${result.applied} 个上次未保存的变更`);
+    this.journalPending = true;
     this.saveTasks();
+  }
+
+  /**
+   * 两次保存之间任务的相对顺序是否不变：原有任务顺序不变，新任务都在最前面
+   * 满足时可以只写入变化的任务
+   * @param {Map} previous - 上次保存时的快照
+   * @param {Map} current - 当前快照
+   */
+  static isOrderKept(previous, current) {
+    const kept = [...previous.keys()].filter(id => current.has(id));
+    const added = [...current.keys()].filter(id => !previous.has(id));
+
+    if (added.some(id => current.get(id).index >= added.length)) return false;
+    return kept.every((id, order) => current.get(id).index === added.length + order);
+  }
+
+  /**
+   * 延迟保存：短时间内的多次变更只写入一次存储
+   * 事务进行中不保存，由事务提交时统一安排
+   */
+  scheduleSave() {
+    if (this.activeTransaction) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveTasks();
+    }, this.saveDelay);
+  }
+
+  /**
+   * 是否有尚未写入存储的变更
+   */
+  hasPendingSave() {
+    return this.saveTimer !== null;
+  }
+
+  /**
+   * 从存储加载任务
+   */
+  async loadTasks() {
+    try {
+      const taskData = await storageManager.loadTasks();
+      this.tasks = taskData.map(data => Task.fromJSON(data));
+      this.searchIndex.clear();
+      this.normalizeHierarchy();
+      this.cleanupDependencies();
+      // 存储为空时第一次保存需要整体写入，同时记录数据结构版本
+      this.persistedSnapshot = HistoryManager.snapshot(this.tasks);
+      this.savedSnapshot = this.tasks.length > 0 ? this.persistedSnapshot : null;
+
+      const journal = storageManager.loadJournal();
+      if (journal) {
+        this.replayJournal(journal);
+      }
+      this.dispatchEvent(new CustomEvent('tasksLoaded', { 
+        detail: { count: this.tasks.length } 
+      }));
+      this.dispatchEvent(new CustomEvent('tasksChanged'));
+    } catch (error) {
+      console.error('加载任务失败:', error);
+      this.tasks = [];
+    }
+  }
+
+  /**
+   * 重置所有数据
+   */
+  reset() {
+    this.recordChange('重置数据', () => {
+      this.tasks = [];
+    });
+    this.searchIndex.clear();
+    this.filter = 'all';
+    this.searchQuery = '';
+    this.searchAst = null;
+    this.searchError = null;
+    this.sortBy = 'createdAt';
+    this.sortOrder = 'desc';
+    
+    this.scheduleSave();
     this.dispatchEvent(new CustomEvent('tasksReset'));
     this.dispatchEvent(new CustomEvent('tasksChanged'));
   }
@@ -504,29 +1986,40 @@ class TaskManager extends EventTarget {
         throw new Error('导入数据格式错误');
       }
 
-      const importedTasks = tasksData.map(data => Task.fromJSON(data));
-      
-      if (merge) {
-        // 合并模式：避免重复ID
-        const existingIds = new Set(this.tasks.map(t => t.id));
-        const newTasks = importedTasks.filter(t => !existingIds.has(t.id));
-        this.tasks = [...this.tasks, ...newTasks];
-      } else {
-        // 替换模式：完全替换现有任务
-        this.tasks = importedTasks;
-      }
+      return this.transaction(() => {
+        const importedTasks = tasksData.map(data => Task.fromJSON(data));
 
-      this.saveTasks();
-      this.dispatchEvent(new CustomEvent('tasksImported', { 
-        detail: { 
-          count: importedTasks.length, 
-          merge,
-          total: this.tasks.length 
-        } 
-      }));
-      this.dispatchEvent(new CustomEvent('tasksChanged'));
-      
-      return true;
+        if (merge) {
+          // 合并模式：避免重复ID
+          const existingIds = new Set(this.tasks.map(t => t.id));
+          const newTasks = importedTasks.filter(t => !existingIds.has(t.id));
+          
+          // 导入的任务保持原有相对顺序，排在现有任务之后
+          const offset = this.tasks.reduce((max, t) => Math.max(max, t.position), -1) + 1;
+          [...newTasks]
+            .sort((a, b) => a.position - b.position)
+            .forEach((t, rank) => {
+              t.position = offset + rank;
+            });
+          this.tasks = [...this.tasks, ...newTasks];
+        } else {
+          // 替换模式：完全替换现有任务
+          this.tasks = importedTasks;
+          this.searchIndex.prune(this.tasks);
+        }
+        this.normalizeHierarchy();
+        this.cleanupDependencies();
+
+        this.dispatchEvent(new CustomEvent('tasksImported', { 
+          detail: { 
+            count: importedTasks.length, 
+            merge,
+            total: this.tasks.length 
+          } 
+        }));
+
+        return true;
+      }, '导入任务');
     } catch (error) {
       console.error('导入任务失败:', error);
       throw error;
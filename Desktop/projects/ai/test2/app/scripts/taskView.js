@@ -4,6 +4,16 @@
  * 功能: DOM操作、UI渲染、交互反馈
  */
 
+import RecurrenceRule, { WEEKDAY_NAMES } from './recurrence.js';
+import quickAddParser from './quickAdd.js';
+import Markdown from './markdown.js';
+import BoardView, { BOARD_GROUPINGS } from './boardView.js';
+import CalendarView from './calendarView.js';
+import SmartListView from './smartListView.js';
+import VirtualList from './virtualList.js';
+import CSV, { CSV_COLUMNS, CSV_FIELD_LABELS } from './csv.js';
+import MarkdownChecklist from './checklist.js';
+
 /**
  * Toast通知管理器
  */
@@ -19,10 +29,11 @@ class ToastManager {
    * @param {string} message - 消息内容
    * @param {string} type - 类型 success/warning/error/info
    * @param {number} duration - 显示时长(毫秒)
+   * @param {Object} action - 可选操作按钮 { text, handler }
    */
-  show(message, type = 'info', duration = 3000) {
+  show(message, type = 'info', duration = 3000, action = null) {
     const id = 'toast-' + Date.now();
-    const toast = this.createToast(id, message, type);
+    const toast = this.createToast(id, message, type, action);
     
     // 如果Toast过多，移除最老的
     if (this.toasts.size >= this.maxToasts) {
@@ -49,7 +60,7 @@ class ToastManager {
   /**
    * 创建Toast元素
    */
-  createToast(id, message, type) {
+  createToast(id, message, type, action = null) {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.id = id;
@@ -68,9 +79,19 @@ class ToastManager {
         <div class="toast-title">${icons[type] || icons.info}</div>
         <div class="toast-message">${this.escapeHtml(message)}</div>
       </div>
+      ${action ? `<button class="toast-action">${this.escapeHtml(action.text)}</button>` : ''}
       <button class="toast-close" aria-label="关闭通知">&times;</button>
     `;
     
+    // 添加操作按钮事件
+    if (action) {
+      const actionBtn = toast.querySelector('.toast-action');
+      actionBtn.addEventListener('click', () => {
+        this.remove(id);
+        action.handler();
+      });
+    }
+    
     // 添加关闭事件
     const closeBtn = toast.querySelector('.toast-close');
     closeBtn.addEventListener('click', () => this.remove(id));
@@ -98,9 +119,8 @@ class ToastManager {
    * 转义HTML
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    // 引号也要转义，结果会放进 title、value 等属性值
+    return Markdown.escape(text === null || text === undefined ? '' : text);
   }
 }
 
@@ -236,9 +256,8 @@ class ModalManager {
    * 转义HTML
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    // 引号也要转义，结果会放进 title、value 等属性值
+    return Markdown.escape(text === null || text === undefined ? '' : text);
   }
 }
 
@@ -257,6 +276,36 @@ class TaskView {
     // 选中的任务
     this.selectedTasks = new Set();
     
+    // 正在拖动调整顺序的任务
+    this.draggedTaskId = null;
+    
+    // 任务列表：按任务ID复用元素，任务很多时只渲染可见部分
+    this.renderFrame = null;
+    this.virtualList = new VirtualList(this.elements.taskList, {
+      getKey: (task) => task.id,
+      renderItem: (task) => this.getTaskItemState(task),
+      updateElement: (element, state) => this.applyTaskItemState(element, state)
+    });
+    
+    // 当前布局: list, board, calendar
+    this.layout = 'list';
+    this.board = new BoardView(this.taskManager, this.elements.taskBoard, {
+      onEdit: (task) => this.editTask(task),
+      onMoved: (task, column) => {
+        this.toast.show(`已移动到"${column.title}"`, 'success', 2000, this.getUndoAction());
+      },
+      onError: (error) => this.toast.show(`移动失败: ${error.message}`, 'error')
+    });
+    this.calendar = new CalendarView(this.taskManager, this.elements.taskCalendar, {
+      onEdit: (task) => this.editTask(task),
+      onCreate: (date) => this.addTaskOnDate(date),
+      onMoved: (task, date) => {
+        this.toast.show(`已改期到 ${date.toLocaleDateString('zh-CN')}`, 'success', 2000, this.getUndoAction());
+      },
+      onModeChange: () => this.notifyLayoutChanged(),
+      onError: (error) => this.toast.show(`改期失败: ${error.message}`, 'error')
+    });
+    
     // 初始化
     this.init();
   }
@@ -267,26 +316,47 @@ class TaskView {
   cacheElements() {
     return {
       taskList: document.getElementById('taskList'),
+      taskBoard: document.getElementById('taskBoard'),
+      taskCalendar: document.getElementById('taskCalendar'),
+      layoutButtons: document.querySelectorAll('.view-btn'),
+      boardGroupBy: document.getElementById('boardGroupBy'),
+      sortSelect: document.getElementById('sortSelect'),
       emptyState: document.getElementById('emptyState'),
       taskForm: document.getElementById('taskForm'),
       taskInput: document.getElementById('taskInput'),
+      quickAddPreview: document.getElementById('quickAddPreview'),
       searchInput: document.getElementById('searchInput'),
+      searchError: document.getElementById('searchError'),
+      syncStatus: document.getElementById('syncStatus'),
       filterTabs: document.querySelectorAll('.filter-tab'),
+      trashBar: document.getElementById('trashBar'),
+      archiveBar: document.getElementById('archiveBar'),
+      archiveFrom: document.getElementById('archiveFrom'),
+      archiveTo: document.getElementById('archiveTo'),
+      archiveRangeClear: document.getElementById('archiveRangeClear'),
+      archiveCount: document.getElementById('archiveCount'),
+      autoArchiveDays: document.getElementById('autoArchiveDays'),
+      trashRetention: document.getElementById('trashRetention'),
+      emptyTrash: document.getElementById('emptyTrash'),
       bulkActions: document.getElementById('bulkActions'),
       bulkSelectors: {
         complete: document.getElementById('completeSelected'),
+        restore: document.getElementById('restoreSelected'),
         delete: document.getElementById('deleteSelected'),
         clear: document.getElementById('clearSelection')
       },
       stats: {
         total: document.getElementById('totalTasks'),
         completed: document.getElementById('completedTasks'),
-        remaining: document.getElementById('remainingTasks')
+        remaining: document.getElementById('remainingTasks'),
+        archived: document.getElementById('archivedTasks')
       },
       footerButtons: {
-        clearCompleted: document.getElementById('clearCompleted'),
+        archiveCompleted: document.getElementById('archiveCompleted'),
         exportData: document.getElementById('exportData'),
-        importData: document.getElementById('importData')
+        importData: document.getElementById('importData'),
+        exportTodoTxt: document.getElementById('exportTodoTxt'),
+        importTodoTxt: document.getElementById('importTodoTxt')
       }
     };
   }
@@ -307,9 +377,36 @@ class TaskView {
     // 表单提交
     this.elements.taskForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
     
+    // 快速添加预览
+    this.elements.taskInput.addEventListener('input', () => this.renderQuickAddPreview());
+    this.elements.taskInput.addEventListener('paste', (e) => this.handleTaskInputPaste(e));
+    
     // 搜索输入
     this.elements.searchInput.addEventListener('input', (e) => this.handleSearch(e));
     
+    // 视图切换
+    this.elements.layoutButtons.forEach(button => {
+      button.addEventListener('click', () => this.setLayout(button.dataset.layout));
+    });
+    this.elements.boardGroupBy.addEventListener('change', (e) => {
+      this.setLayout('board', { groupBy: e.target.value });
+    });
+    
+    // 排序方式
+    this.elements.sortSelect.addEventListener('change', (e) => this.handleSortChange(e));
+    
+    // 任务列表的事件统一委托到列表上
+    this.elements.taskList.addEventListener('click', (e) => this.handleTaskListClick(e));
+    this.elements.taskList.addEventListener('change', (e) => this.handleTaskListChange(e));
+    
+    // 手动排序：拖放和 Alt + ↑/↓
+    this.elements.taskList.addEventListener('dragstart', (e) => this.handleReorderDragStart(e));
+    this.elements.taskList.addEventListener('dragend', (e) => this.handleReorderDragEnd(e));
+    this.elements.taskList.addEventListener('dragover', (e) => this.handleReorderDragOver(e));
+    this.elements.taskList.addEventListener('dragleave', (e) => this.clearDropIndicator(e));
+    this.elements.taskList.addEventListener('drop', (e) => this.handleReorderDrop(e));
+    this.elements.taskList.addEventListener('keydown', (e) => this.handleReorderKeydown(e));
+    
     // 过滤标签
     this.elements.filterTabs.forEach(tab => {
       tab.addEventListener('click', (e) => this.handleFilterChange(e));
@@ -317,22 +414,73 @@ class TaskView {
     
     // 批量操作
     this.elements.bulkSelectors.complete.addEventListener('click', () => this.handleBulkComplete());
+    this.elements.bulkSelectors.restore.addEventListener('click', () => this.handleBulkRestore());
     this.elements.bulkSelectors.delete.addEventListener('click', () => this.handleBulkDelete());
     this.elements.bulkSelectors.clear.addEventListener('click', () => this.clearSelection());
     
+    // 回收站
+    this.elements.trashRetention.addEventListener('change', (e) => this.handleTrashRetentionChange(e));
+    this.elements.emptyTrash.addEventListener('click', () => this.handleEmptyTrash());
+    
+    // 归档
+    this.elements.archiveFrom.addEventListener('change', () => this.handleArchiveRangeChange());
+    this.elements.archiveTo.addEventListener('change', () => this.handleArchiveRangeChange());
+    this.elements.archiveRangeClear.addEventListener('click', () => {
+      this.elements.archiveFrom.value = '';
+      this.elements.archiveTo.value = '';
+      this.handleArchiveRangeChange();
+    });
+    this.elements.autoArchiveDays.addEventListener('change', (e) => this.handleAutoArchiveChange(e));
+    
     // 底部按钮
-    this.elements.footerButtons.clearCompleted.addEventListener('click', () => this.handleClearCompleted());
+    this.elements.footerButtons.archiveCompleted.addEventListener('click', () => this.handleArchiveCompleted());
     this.elements.footerButtons.exportData.addEventListener('click', () => this.handleExportData());
     this.elements.footerButtons.importData.addEventListener('click', () => this.handleImportData());
+    this.elements.footerButtons.exportTodoTxt.addEventListener('click', () => this.handleExportTodoTxt());
+    this.elements.footerButtons.importTodoTxt.addEventListener('click', () => this.handleImportTodoTxt());
     
     // 任务管理器事件
-    this.taskManager.addEventListener('tasksChanged', () => {
-      this.render();
-      this.updateStats();
+    this.taskManager.addEventListener('tasksChanged', () => this.scheduleRender());
+    
+    this.taskManager.addEventListener('remoteChangesApplied', (e) => {
+      this.toast.show(`其他标签页更新了 ${e.detail.applied} 个任务，已同步`, 'info', 2500);
+    });
+    
+    this.taskManager.addEventListener('taskRecurred', (e) => {
+      const { next } = e.detail;
+      this.toast.show(`已生成下一次重复任务，到期 ${new Date(next.dueDate).toLocaleDateString('zh-CN')}`, 'info', 3000);
+    });
+    
+    this.taskManager.addEventListener('trashRetentionChanged', (e) => {
+      this.elements.trashRetention.value = e.detail.days;
+    });
+    
+    this.taskManager.addEventListener('autoArchiveChanged', (e) => {
+      this.elements.autoArchiveDays.value = e.detail.days;
+    });
+    
+    this.taskManager.addEventListener('tasksArchived', (e) => {
+      if (e.detail.auto) {
+        this.toast.show(`已自动归档 ${e.detail.tasks.length} 个完成超过 ${this.taskManager.autoArchiveDays} 天的任务`, 'info', 3000);
+      }
     });
     
-    this.taskManager.addEventListener('filterChanged', () => this.render());
-    this.taskManager.addEventListener('searchChanged', () => this.render());
+    this.taskManager.addEventListener('archiveRangeChanged', () => this.render());
+    
+    this.taskManager.addEventListener('filterChanged', (e) => {
+      this.syncFilterTabs(e.detail.filter);
+      this.clearSelection();
+      this.render();
+    });
+    this.taskManager.addEventListener('sortingChanged', (e) => {
+      const { sortBy, sortOrder } = e.detail;
+      this.elements.sortSelect.value = sortBy === 'position' ? 'position' : `${sortBy}:${sortOrder}`;
+      this.render();
+    });
+    this.taskManager.addEventListener('searchChanged', (e) => {
+      this.renderSearchError(e.detail.error);
+      this.render();
+    });
     
     // 键盘快捷键
     document.addEventListener('keydown', (e) => this.handleKeyboard(e));
@@ -351,14 +499,56 @@ class TaskView {
     }
     
     try {
-      this.taskManager.addTask(text);
+      const parsed = quickAddParser.parse(text);
+      const options = {};
+      ['dueDate', 'priority', 'category'].forEach(key => {
+        if (parsed[key]) options[key] = parsed[key];
+      });
+      if (parsed.tags.length > 0) options.tags = parsed.tags;
+      
+      this.taskManager.addTask(parsed.text, options);
       this.elements.taskInput.value = '';
-      this.toast.show('任务添加成功', 'success', 2000);
+      this.renderQuickAddPreview();
+      this.toast.show('任务添加成功', 'success', 2000, this.getUndoAction());
     } catch (error) {
       this.toast.show(`添加失败: ${error.message}`, 'error');
     }
   }
 
+  /**
+   * 渲染快速添加预览：显示从输入中识别出的日期、标签、优先级和分类
+   */
+  renderQuickAddPreview() {
+    const preview = this.elements.quickAddPreview;
+    if (!preview) return;
+    
+    const parsed = quickAddParser.parse(this.elements.taskInput.value);
+    const chips = [];
+    
+    if (parsed.dueDate) {
+      chips.push({ type: 'date', text: `📅 ${this.formatDueDate(parsed.dueDate)}` });
+    }
+    if (parsed.priority) {
+      chips.push({ type: `priority priority-${parsed.priority}`, text: this.getPriorityText(parsed.priority) });
+    }
+    if (parsed.category) {
+      chips.push({ type: 'category', text: `📁 ${parsed.category}` });
+    }
+    parsed.tags.forEach(tag => chips.push({ type: 'tag', text: `#${tag}` }));
+    
+    if (chips.length === 0) {
+      preview.hidden = true;
+      preview.innerHTML = '';
+      return;
+    }
+    
+    preview.hidden = false;
+    preview.innerHTML = `
+      <span class="quick-add-text">${this.escapeHtml(parsed.text)}</span>
+      ${chips.map(chip => `<span class="quick-add-chip ${chip.type}">${this.escapeHtml(chip.text)}</span>`).join('')}
+    `;
+  }
+
   /**
    * 处理搜索
    */
@@ -367,24 +557,142 @@ class TaskView {
     this.taskManager.setSearchQuery(query);
   }
 
+  /**
+   * 在搜索框下方显示查询语法错误，并标出出错位置
+   * @param {Error|null} error - 语法错误
+   */
+  renderSearchError(error) {
+    const { searchInput, searchError } = this.elements;
+    searchInput.setAttribute('aria-invalid', error ? 'true' : 'false');
+    searchError.hidden = !error;
+    if (!error) {
+      searchError.innerHTML = '';
+      return;
+    }
+    
+    // 显示出错位置附近的查询片段
+    const query = searchInput.value.trim();
+    const position = Math.min(error.position || 0, query.length);
+    const start = Math.max(0, position - 12);
+    const excerpt = `${start > 0 ? '…' : ''}${query.slice(start, position + 12)}`;
+    const caret = `${' '.repeat(position - start + (start > 0 ? 1 : 0))}^`;
+    
+    searchError.innerHTML = `
+      <div>${this.escapeHtml(error.message)}（按关键词搜索）</div>
+      <code>${this.escapeHtml(excerpt)}\n${caret}</code>
+    `;
+  }
+
+  /**
+   * 处理排序方式变更
+   */
+  handleSortChange(e) {
+    const [sortBy, sortOrder = 'asc'] = e.target.value.split(':');
+    this.taskManager.setSorting(sortBy, sortOrder);
+  }
+
+  /**
+   * 拖动经过任务时显示放置位置
+   */
+  handleReorderDragOver(e) {
+    if (!this.draggedTaskId) return;
+    
+    const item = e.target.closest('.task-item');
+    if (!item || item.dataset.taskId === this.draggedTaskId) return;
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    
+    const rect = item.getBoundingClientRect();
+    const placement = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    this.elements.taskList.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+      if (el !== item) el.classList.remove('drop-before', 'drop-after');
+    });
+    item.classList.toggle('drop-before', placement === 'before');
+    item.classList.toggle('drop-after', placement === 'after');
+  }
+
+  clearDropIndicator(e) {
+    if (e && this.elements.taskList.contains(e.relatedTarget)) return;
+    this.elements.taskList.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+      el.classList.remove('drop-before', 'drop-after');
+    });
+  }
+
+  /**
+   * 放下任务，调整手动顺序
+   */
+  handleReorderDrop(e) {
+    const item = e.target.closest('.task-item');
+    const taskId = this.draggedTaskId;
+    if (!item || !taskId) return;
+    
+    e.preventDefault();
+    const placement = item.classList.contains('drop-before') ? 'before' : 'after';
+    this.clearDropIndicator();
+    this.draggedTaskId = null;
+    
+    if (item.dataset.taskId !== taskId) {
+      this.reorderTask(taskId, item.dataset.taskId, placement);
+    }
+  }
+
+  /**
+   * Alt + ↑/↓ 与相邻的同级任务交换位置
+   */
+  handleReorderKeydown(e) {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    
+    const item = e.target.closest('.task-item');
+    if (!item) return;
+    e.preventDefault();
+    
+    if (this.taskManager.sortBy !== 'position') {
+      this.toast.show('切换到"手动排序"后可调整任务顺序', 'info', 2500);
+      return;
+    }
+    
+    // 在当前显示的任务中查找相邻的同级任务，过滤和搜索时跳过隐藏的任务
+    const task = this.taskManager.getTask(item.dataset.taskId);
+    const siblings = this.taskManager.getFilteredTasks().filter(t => (t.parentId || null) === (task.parentId || null));
+    const index = siblings.findIndex(t => t.id === task.id);
+    const neighbor = siblings[index + (e.key === 'ArrowUp' ? -1 : 1)];
+    if (!neighbor) return;
+    
+    // 重新渲染时任务元素会被复用并保持焦点
+    this.reorderTask(task.id, neighbor.id, e.key === 'ArrowUp' ? 'before' : 'after');
+  }
+
+  /**
+   * 调整任务顺序
+   */
+  reorderTask(taskId, targetId, placement) {
+    try {
+      this.taskManager.reorderTask(taskId, targetId, placement);
+    } catch (error) {
+      this.toast.show(`调整顺序失败: ${error.message}`, 'error');
+    }
+  }
+
   /**
    * 处理过滤器变更
    */
   handleFilterChange(e) {
     e.preventDefault();
-    const filter = e.target.dataset.filter;
     
-    // 更新UI状态
+    // 更新数据过滤器，标签状态在 filterChanged 中同步
+    this.taskManager.setFilter(e.currentTarget.dataset.filter);
+  }
+
+  /**
+   * 同步过滤标签的选中状态
+   */
+  syncFilterTabs(filter) {
     this.elements.filterTabs.forEach(tab => {
-      tab.classList.remove('active');
-      tab.setAttribute('aria-selected', 'false');
+      const isActive = tab.dataset.filter === filter;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
     });
-    
-    e.target.classList.add('active');
-    e.target.setAttribute('aria-selected', 'true');
-    
-    // 更新数据过滤器
-    this.taskManager.setFilter(filter);
   }
 
   /**
@@ -392,7 +700,7 @@ class TaskView {
    */
   handleKeyboard(e) {
     // Ctrl/Cmd + A: 全选
-    if ((e.ctrlKey || e.metaKey) && e.key === 'a' && !e.target.matches('input, textarea')) {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'a' && this.layout === 'list' && !e.target.matches('input, textarea')) {
       e.preventDefault();
       this.selectAll();
     }
@@ -403,19 +711,147 @@ class TaskView {
       this.handleBulkDelete();
     }
     
+    // Ctrl/Cmd + Z: 撤销，Ctrl/Cmd + Shift + Z: 重做
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !e.target.matches('input, textarea')) {
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.handleRedo();
+      } else {
+        this.handleUndo();
+      }
+    }
+    
     // Escape: 清除选择
     if (e.key === 'Escape') {
       this.clearSelection();
     }
   }
 
+  /**
+   * 撤销上一次操作
+   */
+  handleUndo() {
+    try {
+      const entry = this.taskManager.undo();
+      if (entry) {
+        this.toast.show(`已撤销: ${entry.label}`, 'info', 2000, {
+          text: '重做',
+          handler: () => this.handleRedo()
+        });
+      } else {
+        this.toast.show('没有可撤销的操作', 'info', 1500);
+      }
+    } catch (error) {
+      this.toast.show(`撤销失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 重做上一次撤销的操作
+   */
+  handleRedo() {
+    try {
+      const entry = this.taskManager.redo();
+      if (entry) {
+        this.toast.show(`已重做: ${entry.label}`, 'info', 2000);
+      } else {
+        this.toast.show('没有可重做的操作', 'info', 1500);
+      }
+    } catch (error) {
+      this.toast.show(`重做失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 成功提示中的撤销按钮
+   */
+  getUndoAction() {
+    return {
+      text: '撤销',
+      handler: () => this.handleUndo()
+    };
+  }
+
+  /**
+   * 切换布局
+   * @param {string} layout - list 列表，board 看板，calendar 日历
+   * @param {Object} options - { groupBy: 看板分组方式, calendarMode: month/week }（可选）
+   */
+  setLayout(layout, options = {}) {
+    if (!['list', 'board', 'calendar'].includes(layout)) {
+      throw new Error('无效的视图类型');
+    }
+    
+    const previous = `${this.layout}/${this.board.groupBy}/${this.calendar.mode}`;
+    if (options.groupBy) {
+      this.board.setGroupBy(BOARD_GROUPINGS[options.groupBy] ? options.groupBy : 'status');
+    }
+    if (options.calendarMode) {
+      this.calendar.setMode(options.calendarMode === 'week' ? 'week' : 'month');
+    }
+    this.layout = layout;
+    
+    this.elements.layoutButtons.forEach(button => {
+      const isActive = button.dataset.layout === layout;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+    this.elements.boardGroupBy.value = this.board.groupBy;
+    this.elements.boardGroupBy.hidden = layout !== 'board';
+    
+    if (layout !== 'list') {
+      this.clearSelection();
+    }
+    
+    this.render();
+    
+    if (previous !== `${this.layout}/${this.board.groupBy}/${this.calendar.mode}`) {
+      this.notifyLayoutChanged();
+    }
+  }
+
+  /**
+   * 通知布局变化（由应用保存到设置中）
+   */
+  notifyLayoutChanged() {
+    document.dispatchEvent(new CustomEvent('layoutChanged', {
+      detail: {
+        layout: this.layout,
+        groupBy: this.board.groupBy,
+        calendarMode: this.calendar.mode
+      }
+    }));
+  }
+
   /**
    * 渲染任务列表
    */
   render() {
     const tasks = this.taskManager.getFilteredTasks();
+    const isTrash = this.isTrashView();
+    const isArchive = this.isArchiveView();
+    // 回收站和归档始终以列表显示
+    const layout = isTrash || isArchive ? 'list' : this.layout;
+    
+    this.elements.trashBar.hidden = !isTrash;
+    this.elements.archiveBar.hidden = !isArchive;
+    if (isArchive) {
+      this.elements.archiveCount.textContent = `共 ${tasks.length} 个任务`;
+    }
+    this.elements.taskBoard.hidden = layout !== 'board';
+    this.elements.taskCalendar.hidden = layout !== 'calendar';
+    this.elements.emptyTrash.disabled = tasks.length === 0 || Boolean(this.taskManager.searchQuery);
+    
+    if (layout !== 'list') {
+      this.elements.taskList.style.display = 'none';
+      this.elements.emptyState.style.display = 'none';
+      this.elements.bulkActions.style.display = 'none';
+      this[layout === 'board' ? 'board' : 'calendar'].render(tasks);
+      return;
+    }
     
     if (tasks.length === 0) {
+      this.renderTaskList([]);
       this.showEmptyState();
       return;
     }
@@ -426,14 +862,22 @@ class TaskView {
   }
 
   /**
-   * 渲染任务列表
+   * 渲染任务列表（按任务ID复用元素，只更新有变化的任务）
    */
   renderTaskList(tasks) {
-    this.elements.taskList.innerHTML = '';
+    this.virtualList.setItems(tasks);
+  }
+
+  /**
+   * 在下一帧渲染，合并同一时间内的多次任务变化（如批量操作逐个修改任务）
+   */
+  scheduleRender() {
+    if (this.renderFrame) return;
     
-    tasks.forEach(task => {
-      const taskElement = this.createTaskElement(task);
-      this.elements.taskList.appendChild(taskElement);
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+      this.updateStats();
     });
   }
 
@@ -442,13 +886,65 @@ class TaskView {
    */
   createTaskElement(task) {
     const li = document.createElement('li');
-    li.className = `task-item ${task.completed ? 'completed' : ''}`;
-    li.setAttribute('data-task-id', task.id);
-    li.setAttribute('role', 'listitem');
-    
+    this.applyTaskItemState(li, this.getTaskItemState(task));
+    return li;
+  }
+
+  /**
+   * 计算任务元素的渲染状态，signature 相同时可以复用已有元素
+   * @returns {Object} { className, attributes, depth, html, signature }
+   */
+  getTaskItemState(task) {
+    const state = this.isTrashView() || this.isArchiveView()
+      ? this.getStoredTaskItemState(task)
+      : this.getActiveTaskItemState(task);
+    state.signature = `${state.className}|${JSON.stringify(state.attributes)}|${state.depth}|${state.html}`;
+    return state;
+  }
+
+  /**
+   * 把渲染状态应用到任务元素上
+   */
+  applyTaskItemState(li, state) {
+    ['draggable', 'title', 'aria-expanded'].forEach(name => li.removeAttribute(name));
+    li.className = state.className;
+    Object.entries(state.attributes).forEach(([name, value]) => li.setAttribute(name, value));
+    li.style.setProperty('--task-depth', state.depth);
+    li.innerHTML = state.html;
+  }
+
+  /**
+   * 工作区中的任务
+   */
+  getActiveTaskItemState(task) {
+    const depth = this.taskManager.getDepth(task.id);
+    const progress = this.taskManager.getProgress(task.id);
+    const hasChildren = progress.total > 0;
+    const blockers = this.taskManager.isBlocked(task.id) ? this.taskManager.getBlockers(task.id) : [];
     const isSelected = this.selectedTasks.has(task.id);
+    const attributes = {
+      'data-task-id': task.id,
+      role: 'listitem'
+    };
+    let className = `task-item ${task.completed ? 'completed' : ''} ${depth > 0 ? 'subtask' : ''} ${blockers.length > 0 ? 'blocked' : ''}`;
+    
+    // 手动排序时可拖动调整顺序
+    if (this.taskManager.sortBy === 'position') {
+      attributes.draggable = 'true';
+      attributes.title = '拖动或按 Alt + ↑/↓ 调整顺序';
+      className += ' reorderable';
+    }
+    
+    if (hasChildren) {
+      attributes['aria-expanded'] = task.collapsed ? 'false' : 'true';
+    }
     
-    li.innerHTML = `
+    const html = `
+      ${hasChildren ? `
+        <button class="task-collapse-btn" aria-label="${task.collapsed ? '展开子任务' : '折叠子任务'}" title="${task.collapsed ? '展开' : '折叠'}">
+          ${task.collapsed ? '▸' : '▾'}
+        </button>
+      ` : '<span class="task-collapse-spacer" aria-hidden="true"></span>'}
       <input 
         type="checkbox" 
         class="task-checkbox" 
@@ -456,15 +952,24 @@ class TaskView {
         aria-label="选择任务"
       >
       <div class="task-content">
-        <span class="task-text">${this.escapeHtml(task.text)}</span>
+        <span class="task-text">${this.renderTaskText(task)}</span>
         <div class="task-meta">
+          ${hasChildren ? `<span class="task-progress" title="子任务进度">${progress.completed}/${progress.total}</span>` : ''}
           <span class="task-date">创建于 ${this.formatDate(task.createdAt)}</span>
           ${task.completedAt ? `<span class="completion-date">完成于 ${this.formatDate(task.completedAt)}</span>` : ''}
+          ${task.dueDate ? `<span class="task-due ${task.isOverdue() ? 'overdue' : ''}" title="到期时间">📅 ${this.formatDueDate(task.dueDate)}</span>` : ''}
+          ${task.description ? `<span class="task-description-indicator" title="${this.escapeHtml(Markdown.toPlainText(task.description).slice(0, 120))}">📝</span>` : ''}
+          ${task.category && task.category !== 'default' ? `<span class="task-category">📁 ${this.escapeHtml(task.category)}</span>` : ''}
           ${task.priority !== 'normal' ? `<span class="priority priority-${task.priority}">${this.getPriorityText(task.priority)}</span>` : ''}
-          ${task.tags.length > 0 ? `<span class="tags">${task.tags.map(tag => `#${tag}`).join(' ')}</span>` : ''}
+          ${task.tags.length > 0 ? `<span class="tags">${task.tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ')}</span>` : ''}
+          ${task.recurrence ? this.renderRecurrenceMeta(task) : ''}
+          ${blockers.length > 0 ? this.renderBlockedBadge(blockers) : ''}
         </div>
       </div>
       <div class="task-actions">
+        <button class="task-action-btn add-subtask" aria-label="添加子任务" title="添加子任务">
+          ➕
+        </button>
         <button class="task-action-btn edit" aria-label="编辑任务" title="编辑">
           ✏️
         </button>
@@ -474,264 +979,1850 @@ class TaskView {
       </div>
     `;
     
-    // 添加事件监听器
-    this.attachTaskEvents(li, task);
-    
-    return li;
+    return { className, attributes, depth, html };
   }
 
   /**
-   * 为任务元素添加事件监听器
+   * 回收站或归档中的任务：按时间平铺显示，不能编辑
    */
-  attachTaskEvents(element, task) {
-    const checkbox = element.querySelector('.task-checkbox');
-    const editBtn = element.querySelector('.edit');
-    const deleteBtn = element.querySelector('.delete');
-    const taskText = element.querySelector('.task-text');
+  getStoredTaskItemState(task) {
+    const isTrash = this.isTrashView();
+    const parent = task.parentId ? this.taskManager.tasks.find(t => t.id === task.parentId) : null;
+    const isSelected = this.selectedTasks.has(task.id);
     
-    // 选择框事件
-    checkbox.addEventListener('change', (e) => {
-      e.stopPropagation();
-      if (e.target.checked) {
-        this.selectedTasks.add(task.id);
-      } else {
-        this.selectedTasks.delete(task.id);
-      }
-      this.updateBulkActions();
-    });
+    const html = `
+      <span class="task-collapse-spacer" aria-hidden="true"></span>
+      <input 
+        type="checkbox" 
+        class="task-checkbox" 
+        ${isSelected ? 'checked' : ''}
+        aria-label="选择任务"
+      >
+      <div class="task-content">
+        <span class="task-text">${this.renderTaskText(task)}</span>
+        <div class="task-meta">
+          ${parent ? `<span class="task-parent">↳ ${this.escapeHtml(parent.text)}</span>` : ''}
+          ${isTrash
+            ? `<span class="task-deleted-date">删除于 ${this.formatDate(task.deletedAt)}</span>`
+            : `<span class="completion-date">完成于 ${new Date(task.completedAt || task.archivedAt).toLocaleDateString('zh-CN')}</span>`}
+          ${task.category && task.category !== 'default' ? `<span class="task-category">📁 ${this.escapeHtml(task.category)}</span>` : ''}
+          ${task.priority !== 'normal' ? `<span class="priority priority-${task.priority}">${this.getPriorityText(task.priority)}</span>` : ''}
+          ${task.tags.length > 0 ? `<span class="tags">${task.tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ')}</span>` : ''}
+        </div>
+      </div>
+      <div class="task-actions">
+        ${isTrash ? `
+          <button class="task-action-btn restore" aria-label="恢复任务" title="恢复">
+            ♻️
+          </button>
+          <button class="task-action-btn delete-permanently" aria-label="彻底删除任务" title="彻底删除">
+            ❌
+          </button>
+        ` : `
+          <button class="task-action-btn unarchive" aria-label="取消归档" title="取消归档">
+            📤
+          </button>
+          <button class="task-action-btn delete" aria-label="删除任务" title="移到回收站">
+            🗑️
+          </button>
+        `}
+      </div>
+    `;
     
-    // 点击任务文本切换完成状态
-    taskText.addEventListener('click', () => {
-      try {
-        this.taskManager.toggleTask(task.id);
-        const action = task.completed ? '取消完成' : '完成';
-        this.toast.show(`任务${action}成功`, 'success', 1500);
-      } catch (error) {
-        this.toast.show(`操作失败: ${error.message}`, 'error');
-      }
-    });
+    return {
+      className: `task-item ${isTrash ? 'trashed' : 'archived'} ${task.completed ? 'completed' : ''}`,
+      attributes: { 'data-task-id': task.id, role: 'listitem' },
+      depth: 0,
+      html
+    };
+  }
+
+  /**
+   * 是否正在查看回收站
+   */
+  isTrashView() {
+    return this.taskManager.filter === 'trash';
+  }
+
+  /**
+   * 是否正在查看归档
+   */
+  isArchiveView() {
+    return this.taskManager.filter === 'archive';
+  }
+
+  /**
+   * 获取事件所在的任务
+   */
+  getTaskFromEvent(e) {
+    const item = e.target.closest('.task-item');
+    return item ? this.taskManager.tasks.find(t => t.id === item.dataset.taskId) || null : null;
+  }
+
+  /**
+   * 任务列表中的点击（事件委托，列表项上不单独绑定监听器）
+   */
+  handleTaskListClick(e) {
+    const task = this.getTaskFromEvent(e);
+    if (!task) return;
     
-    // 编辑按钮
-    editBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
+    const target = e.target;
+    if (target.closest('.task-collapse-btn')) {
+      this.taskManager.toggleCollapsed(task.id);
+    } else if (target.closest('.add-subtask')) {
+      this.addSubtask(task);
+    } else if (target.closest('.edit')) {
       this.editTask(task);
-    });
-    
-    // 删除按钮
-    deleteBtn.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      const confirmed = await this.modal.confirm(
-        `确定要删除任务"${task.text}"吗？`,
-        '删除任务'
-      );
-      
-      if (confirmed) {
-        try {
-          this.taskManager.removeTask(task.id);
-          this.selectedTasks.delete(task.id);
-          this.toast.show('任务删除成功', 'success', 1500);
-        } catch (error) {
-          this.toast.show(`删除失败: ${error.message}`, 'error');
-        }
+    } else if (target.closest('.restore')) {
+      this.restoreTrashedTask(task);
+    } else if (target.closest('.delete-permanently')) {
+      this.confirmDeletePermanently(task);
+    } else if (target.closest('.unarchive')) {
+      this.unarchiveTask(task);
+    } else if (target.closest('.delete')) {
+      if (this.isArchiveView()) {
+        this.trashTask(task);
+      } else {
+        this.confirmTrashTask(task);
       }
-    });
+    } else if (target.closest('.task-text') && !this.isTrashView() && !this.isArchiveView()) {
+      // 点击任务文本切换完成状态
+      this.toggleTaskCompletion(task);
+    }
   }
 
   /**
-   * 编辑任务
+   * 选择框变化
    */
-  editTask(task) {
-    const form = `
-      <form id="editTaskForm">
+  handleTaskListChange(e) {
+    if (!e.target.matches('.task-checkbox')) return;
+    
+    const task = this.getTaskFromEvent(e);
+    if (!task) return;
+    
+    if (e.target.checked) {
+      this.selectedTasks.add(task.id);
+    } else {
+      this.selectedTasks.delete(task.id);
+    }
+    this.updateBulkActions();
+  }
+
+  /**
+   * 开始拖动调整顺序
+   */
+  handleReorderDragStart(e) {
+    const item = e.target.closest('.task-item');
+    if (!item || !item.draggable) return;
+    
+    this.draggedTaskId = item.dataset.taskId;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.taskId);
+    item.classList.add('dragging');
+  }
+
+  handleReorderDragEnd(e) {
+    const item = e.target.closest('.task-item');
+    if (item) item.classList.remove('dragging');
+    this.draggedTaskId = null;
+    this.clearDropIndicator();
+  }
+
+  /**
+   * 切换任务完成状态
+   */
+  toggleTaskCompletion(task) {
+    try {
+      this.taskManager.toggleTask(task.id);
+      const action = task.completed ? '完成' : '取消完成';
+      this.toast.show(`任务${action}成功`, 'success', 3000, this.getUndoAction());
+    } catch (error) {
+      this.toast.show(`操作失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 确认后把任务移到回收站
+   */
+  async confirmTrashTask(task) {
+    const descendantCount = this.taskManager.getDescendants(task.id).length;
+    const confirmed = await this.modal.confirm(
+      descendantCount > 0
+        ? `确定要把任务"${task.text}"及其 ${descendantCount} 个子任务移到回收站吗？`
+        : `确定要把任务"${task.text}"移到回收站吗？`,
+      '删除任务'
+    );
+    
+    if (confirmed) {
+      this.trashTask(task);
+    }
+  }
+
+  /**
+   * 把任务移到回收站
+   */
+  trashTask(task) {
+    try {
+      this.taskManager.removeTask(task.id);
+      this.selectedTasks.delete(task.id);
+      this.toast.show('任务已移到回收站', 'success', 5000, this.getUndoAction());
+    } catch (error) {
+      this.toast.show(`删除失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 从回收站恢复任务
+   */
+  restoreTrashedTask(task) {
+    try {
+      this.taskManager.restoreTask(task.id);
+      this.selectedTasks.delete(task.id);
+      this.toast.show('任务已恢复', 'success', 3000, this.getUndoAction());
+    } catch (error) {
+      this.toast.show(`恢复失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 确认后彻底删除回收站中的任务
+   */
+  async confirmDeletePermanently(task) {
+    const confirmed = await this.modal.confirm(
+      `确定要彻底删除任务"${task.text}"吗？`,
+      '彻底删除'
+    );
+    
+    if (confirmed) {
+      try {
+        this.taskManager.deleteTaskPermanently(task.id);
+        this.selectedTasks.delete(task.id);
+        this.toast.show('任务已彻底删除', 'success', 5000, this.getUndoAction());
+      } catch (error) {
+        this.toast.show(`删除失败: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * 取消归档
+   */
+  unarchiveTask(task) {
+    try {
+      this.taskManager.unarchiveTask(task.id);
+      this.selectedTasks.delete(task.id);
+      this.toast.show('已取消归档', 'success', 3000, this.getUndoAction());
+    } catch (error) {
+      this.toast.show(`取消归档失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 添加子任务
+   */
+  addSubtask(parent) {
+    const form = `
+      <form id="subtaskForm">
+        <p class="form-hint">父任务: ${this.escapeHtml(parent.text)}</p>
         <div class="form-group">
-          <label for="editTaskText">任务内容:</label>
+          <label for="subtaskText">子任务内容:</label>
           <input 
             type="text" 
-            id="editTaskText" 
-            value="${this.escapeHtml(task.text)}" 
+            id="subtaskText" 
             maxlength="200"
             required
           >
         </div>
+      </form>
+    `;
+    
+    const submit = () => {
+      const text = document.getElementById('subtaskText').value.trim();
+      
+      if (!text) {
+        this.toast.show('请输入任务内容', 'warning');
+        return;
+      }
+      
+      try {
+        // 添加子任务时自动展开父任务
+        if (parent.collapsed) {
+          this.taskManager.toggleCollapsed(parent.id);
+        }
+        this.taskManager.addTask(text, { parentId: parent.id });
+        this.modal.close();
+        this.toast.show('子任务添加成功', 'success', 2000, this.getUndoAction());
+      } catch (error) {
+        this.toast.show(`添加失败: ${error.message}`, 'error');
+      }
+    };
+    
+    this.modal.show({
+      title: '添加子任务',
+      body: form,
+      buttons: [
+        {
+          text: '取消',
+          action: () => this.modal.close()
+        },
+        {
+          text: '添加',
+          primary: true,
+          action: submit
+        }
+      ]
+    });
+    
+    document.getElementById('subtaskForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit();
+    });
+    
+    setTimeout(() => {
+      const input = document.getElementById('subtaskText');
+      if (input) {
+        input.focus();
+      }
+    }, 100);
+  }
+
+  /**
+   * 在日历上的某一天添加任务，到期时间默认为当天结束
+   * @param {Date} date - 日期
+   */
+  addTaskOnDate(date) {
+    const label = date.toLocaleDateString('zh-CN', { month: 'long', day: 'numeric', weekday: 'short' });
+    const form = `
+      <form id="dateTaskForm">
+        <p class="form-hint">到期日期: ${label}（可在内容中写时间，如 "下午3点"）</p>
         <div class="form-group">
-          <label for="editTaskPriority">优先级:</label>
-          <select id="editTaskPriority">
-            <option value="low" ${task.priority === 'low' ? 'selected' : ''}>低</option>
-            <option value="normal" ${task.priority === 'normal' ? 'selected' : ''}>普通</option>
-            <option value="high" ${task.priority === 'high' ? 'selected' : ''}>高</option>
-          </select>
+          <label for="dateTaskText">任务内容:</label>
+          <input 
+            type="text" 
+            id="dateTaskText" 
+            maxlength="200"
+            required
+          >
         </div>
+      </form>
+    `;
+    
+    const submit = () => {
+      const text = document.getElementById('dateTaskText').value.trim();
+      
+      if (!text) {
+        this.toast.show('请输入任务内容', 'warning');
+        return;
+      }
+      
+      try {
+        const parsed = quickAddParser.parse(text);
+        const dueDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59);
+        
+        // 内容中只写了时间时使用这一天的该时刻，写了其他日期时以内容为准
+        const dateToken = parsed.tokens.find(token => token.type === 'date');
+        const timeToken = parsed.tokens.find(token => token.type === 'time');
+        if (dateToken) {
+          dueDate.setTime(new Date(parsed.dueDate).getTime());
+        } else if (timeToken) {
+          const [hours, minutes] = timeToken.value.split(':').map(Number);
+          dueDate.setHours(hours, minutes);
+        }
+        
+        const options = { dueDate: dueDate.toISOString() };
+        if (parsed.priority) options.priority = parsed.priority;
+        if (parsed.category) options.category = parsed.category;
+        if (parsed.tags.length > 0) options.tags = parsed.tags;
+        
+        this.taskManager.addTask(parsed.text, options);
+        this.modal.close();
+        this.toast.show('任务添加成功', 'success', 2000, this.getUndoAction());
+      } catch (error) {
+        this.toast.show(`添加失败: ${error.message}`, 'error');
+      }
+    };
+    
+    this.modal.show({
+      title: '添加任务',
+      body: form,
+      buttons: [
+        {
+          text: '取消',
+          action: () => this.modal.close()
+        },
+        {
+          text: '添加',
+          primary: true,
+          action: submit
+        }
+      ]
+    });
+    
+    document.getElementById('dateTaskForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit();
+    });
+    
+    setTimeout(() => {
+      const input = document.getElementById('dateTaskText');
+      if (input) input.focus();
+    }, 100);
+  }
+
+  /**
+   * 编辑任务
+   */
+  editTask(task) {
+    const form = `
+      <form id="editTaskForm">
         <div class="form-group">
-          <label for="editTaskDescription">描述 (可选):</label>
-          <textarea 
-            id="editTaskDescription" 
-            maxlength="500"
-            rows="3"
-          >${this.escapeHtml(task.description)}</textarea>
+          <label for="editTaskText">任务内容:</label>
+          <input 
+            type="text" 
+            id="editTaskText" 
+            value="${this.escapeHtml(task.text)}" 
+            maxlength="200"
+            required
+          >
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="editTaskPriority">优先级:</label>
+            <select id="editTaskPriority">
+              <option value="low" ${task.priority === 'low' ? 'selected' : ''}>低</option>
+              <option value="normal" ${task.priority === 'normal' ? 'selected' : ''}>普通</option>
+              <option value="high" ${task.priority === 'high' ? 'selected' : ''}>高</option>
+            </select>
+          </div>
+          ${this.renderCategoryEditor(task.category)}
         </div>
+        ${this.renderDueDateEditor(task.dueDate)}
+        ${this.renderTagEditor(task.tags)}
+        ${this.renderDescriptionEditor(task.description)}
+        ${this.renderDependencyEditor(task)}
+        ${this.renderRecurrenceEditor(task.recurrence)}
       </form>
     `;
     
     this.modal.show({
-      title: '编辑任务',
-      body: form,
+      title: '编辑任务',
+      body: form,
+      buttons: [
+        {
+          text: '取消',
+          action: () => this.modal.close()
+        },
+        {
+          text: '保存',
+          primary: true,
+          action: () => {
+            const text = document.getElementById('editTaskText').value.trim();
+            const priority = document.getElementById('editTaskPriority').value;
+            const description = document.getElementById('editTaskDescription').value.trim();
+            const category = this.readCategoryEditor();
+            const dueDate = this.readDueDateEditor();
+            const tags = this.readTagEditor();
+            const recurrence = this.readRecurrenceEditor();
+            const blockedBy = [...document.getElementById('editTaskBlockedBy').selectedOptions].map(option => option.value);
+            
+            if (!text) {
+              this.toast.show('请输入任务内容', 'warning');
+              return;
+            }
+            
+            if (!category) {
+              this.toast.show('请输入新分类的名称', 'warning');
+              return;
+            }
+            
+            if (dueDate === undefined) {
+              this.toast.show('请填写有效的到期日期', 'warning');
+              return;
+            }
+            
+            if (recurrence && recurrence.type === 'weekly' && recurrence.weekdays.length === 0) {
+              this.toast.show('请至少选择一个重复的星期', 'warning');
+              return;
+            }
+            
+            try {
+              this.taskManager.updateTask(task.id, {
+                text,
+                priority,
+                category,
+                dueDate,
+                tags,
+                description,
+                recurrence,
+                blockedBy
+              });
+              this.modal.close();
+              this.toast.show('任务更新成功', 'success', 3000, this.getUndoAction());
+            } catch (error) {
+              this.toast.show(`更新失败: ${error.message}`, 'error');
+            }
+          }
+        }
+      ]
+    });
+    
+    this.bindCategoryEditor();
+    this.bindDueDateEditor();
+    this.bindTagEditor(task.tags);
+    this.bindDescriptionEditor();
+    this.bindRecurrenceEditor();
+    
+    // 聚焦到输入框
+    setTimeout(() => {
+      const input = document.getElementById('editTaskText');
+      if (input) {
+        input.focus();
+        input.select();
+      }
+    }, 100);
+  }
+
+  /**
+   * 渲染分类选择器，最后一项用于新建分类
+   */
+  renderCategoryEditor(category) {
+    const categories = this.taskManager.getCategories();
+    
+    return `
+      <div class="form-group">
+        <label for="editTaskCategory">分类:</label>
+        <select id="editTaskCategory">
+          <option value="default" ${category === 'default' ? 'selected' : ''}>未分类</option>
+          ${categories.map(name => `
+            <option value="${this.escapeHtml(name)}" ${name === category ? 'selected' : ''}>${this.escapeHtml(name)}</option>
+          `).join('')}
+          <option value="__new__">+ 新建分类…</option>
+        </select>
+        <input type="text" id="editTaskNewCategory" maxlength="30" placeholder="新分类名称" hidden>
+      </div>
+    `;
+  }
+
+  bindCategoryEditor() {
+    const select = document.getElementById('editTaskCategory');
+    const input = document.getElementById('editTaskNewCategory');
+    if (!select || !input) return;
+    
+    select.addEventListener('change', () => {
+      input.hidden = select.value !== '__new__';
+      if (!input.hidden) input.focus();
+    });
+  }
+
+  /**
+   * 读取分类，新建分类为空时返回null
+   */
+  readCategoryEditor() {
+    const select = document.getElementById('editTaskCategory');
+    if (select.value !== '__new__') return select.value;
+    
+    const name = document.getElementById('editTaskNewCategory').value.trim();
+    return name || null;
+  }
+
+  /**
+   * 渲染到期时间选择器（日期 + 可选时间）
+   */
+  renderDueDateEditor(dueDate) {
+    const date = dueDate ? new Date(dueDate) : null;
+    const pad = (value) => String(value).padStart(2, '0');
+    const dateValue = date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '';
+    // 23:59 表示只设置了日期
+    const timeValue = date && !(date.getHours() === 23 && date.getMinutes() === 59)
+      ? `${pad(date.getHours())}:${pad(date.getMinutes())}`
+      : '';
+    
+    return `
+      <div class="form-group">
+        <label for="editTaskDueDate">到期时间:</label>
+        <div class="due-date-editor">
+          <input type="date" id="editTaskDueDate" value="${dateValue}">
+          <input type="time" id="editTaskDueTime" value="${timeValue}" aria-label="到期时刻（可选）">
+          <button type="button" class="due-date-clear" id="clearDueDate">清除</button>
+        </div>
+      </div>
+    `;
+  }
+
+  bindDueDateEditor() {
+    const clearButton = document.getElementById('clearDueDate');
+    if (!clearButton) return;
+    
+    clearButton.addEventListener('click', () => {
+      document.getElementById('editTaskDueDate').value = '';
+      document.getElementById('editTaskDueTime').value = '';
+    });
+  }
+
+  /**
+   * 读取到期时间
+   * @returns {string|null|undefined} ISO时间，未设置返回null，输入无效返回undefined
+   */
+  readDueDateEditor() {
+    const dateValue = document.getElementById('editTaskDueDate').value;
+    const timeValue = document.getElementById('editTaskDueTime').value;
+    
+    if (!dateValue) {
+      return timeValue ? undefined : null;
+    }
+    
+    const date = new Date(`${dateValue}T${timeValue || '23:59'}`);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+
+  /**
+   * 渲染标签输入框
+   */
+  renderTagEditor(tags) {
+    const suggestions = this.taskManager.getAllTags();
+    
+    return `
+      <div class="form-group">
+        <label for="editTaskTagInput">标签:</label>
+        <div class="tag-editor" id="editTaskTags">
+          <span class="tag-chips"></span>
+          <input 
+            type="text" 
+            id="editTaskTagInput" 
+            list="editTaskTagSuggestions" 
+            maxlength="30"
+            placeholder="${tags.length > 0 ? '' : '输入后按回车添加'}"
+            autocomplete="off"
+          >
+        </div>
+        <datalist id="editTaskTagSuggestions">
+          ${suggestions.map(({ tag, count }) => `<option value="${this.escapeHtml(tag)}">${count} 个任务</option>`).join('')}
+        </datalist>
+      </div>
+    `;
+  }
+
+  /**
+   * 标签输入：回车/逗号添加，退格删除最后一个，点击 × 删除
+   */
+  bindTagEditor(initialTags) {
+    const editor = document.getElementById('editTaskTags');
+    if (!editor) return;
+    
+    const input = editor.querySelector('#editTaskTagInput');
+    const chips = editor.querySelector('.tag-chips');
+    const tags = [...initialTags];
+    editor.tags = tags;
+    
+    const render = () => {
+      chips.innerHTML = tags.map(tag => `
+        <span class="tag-chip">#${this.escapeHtml(tag)}<button type="button" data-tag="${this.escapeHtml(tag)}" aria-label="移除标签 ${this.escapeHtml(tag)}">×</button></span>
+      `).join('');
+    };
+    
+    const commit = () => {
+      this.parseTagInput(input.value).forEach(tag => {
+        if (!tags.includes(tag)) tags.push(tag);
+      });
+      input.value = '';
+      render();
+    };
+    
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',' || e.key === '，') {
+        e.preventDefault();
+        commit();
+      } else if (e.key === 'Backspace' && !input.value && tags.length > 0) {
+        tags.pop();
+        render();
+      }
+    });
+    
+    // 从自动补全列表中选择时直接添加
+    input.addEventListener('input', (e) => {
+      if (e.inputType === 'insertReplacementText' || e.inputType === undefined) {
+        const options = [...document.querySelectorAll('#editTaskTagSuggestions option')].map(option => option.value);
+        if (options.includes(input.value)) commit();
+      }
+    });
+    
+    input.addEventListener('blur', commit);
+    
+    chips.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-tag]');
+      if (!button) return;
+      tags.splice(tags.indexOf(button.dataset.tag), 1);
+      render();
+      input.focus();
+    });
+    
+    render();
+  }
+
+  readTagEditor() {
+    const editor = document.getElementById('editTaskTags');
+    const input = document.getElementById('editTaskTagInput');
+    if (!editor || !editor.tags) return [];
+    
+    // 输入框中尚未确认的内容也算作标签
+    const pending = this.parseTagInput(input.value);
+    return [...new Set([...editor.tags, ...pending])];
+  }
+
+  /**
+   * 把标签输入拆分为标签，只保留与快速添加 #标签 相同的字符（字母、数字、_、-、/）
+   * @param {string} value - 输入内容
+   * @returns {Array<string>} 标签列表
+   */
+  parseTagInput(value) {
+    return value
+      .split(/[,，\s]+/)
+      .map(part => part.replace(/[^\p{L}\p{N}_\-/]/gu, '').toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * 渲染描述编辑器（Markdown，可切换预览）
+   */
+  renderDescriptionEditor(description) {
+    return `
+      <div class="form-group description-editor">
+        <div class="description-editor-header">
+          <label for="editTaskDescription">描述 (可选，支持 Markdown):</label>
+          <div class="description-tabs" role="tablist">
+            <button type="button" class="description-tab active" data-mode="write" role="tab" aria-selected="true">编辑</button>
+            <button type="button" class="description-tab" data-mode="preview" role="tab" aria-selected="false">预览</button>
+          </div>
+        </div>
+        <textarea 
+          id="editTaskDescription" 
+          maxlength="2000"
+          rows="5"
+        >${this.escapeHtml(description)}</textarea>
+        <div class="markdown-body description-preview" id="editTaskDescriptionPreview" hidden></div>
+      </div>
+    `;
+  }
+
+  bindDescriptionEditor() {
+    const textarea = document.getElementById('editTaskDescription');
+    const preview = document.getElementById('editTaskDescriptionPreview');
+    if (!textarea || !preview) return;
+    
+    document.querySelectorAll('.description-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        const isPreview = tab.dataset.mode === 'preview';
+        document.querySelectorAll('.description-tab').forEach(other => {
+          other.classList.toggle('active', other === tab);
+          other.setAttribute('aria-selected', other === tab ? 'true' : 'false');
+        });
+        
+        if (isPreview) {
+          preview.innerHTML = Markdown.render(textarea.value) || '<p class="form-hint">没有内容</p>';
+        }
+        preview.hidden = !isPreview;
+        textarea.hidden = isPreview;
+      });
+    });
+  }
+
+  /**
+   * 渲染阻塞标记
+   */
+  renderBlockedBadge(blockers) {
+    const names = blockers.map(blocker => blocker.text).join('、');
+    return `<span class="task-blocked" title="被以下任务阻塞: ${this.escapeHtml(names)}">⛔ 被阻塞: ${this.escapeHtml(names)}</span>`;
+  }
+
+  /**
+   * 渲染前置任务选择器
+   */
+  renderDependencyEditor(task) {
+    const candidates = this.taskManager.getAllTasks().filter(candidate => candidate.id !== task.id);
+    
+    return `
+      <div class="form-group">
+        <label for="editTaskBlockedBy">前置任务 (按住 Ctrl/Cmd 多选):</label>
+        <select id="editTaskBlockedBy" multiple size="${Math.min(Math.max(candidates.length, 2), 6)}">
+          ${candidates.map(candidate => `
+            <option value="${candidate.id}" ${task.blockedBy.includes(candidate.id) ? 'selected' : ''}>
+              ${candidate.completed ? '✓ ' : ''}${this.escapeHtml(candidate.text)}
+            </option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染任务列表中的重复信息
+   */
+  renderRecurrenceMeta(task) {
+    const nextDate = task.getNextOccurrenceDate();
+    const nextText = nextDate ? ` · 下次 ${nextDate.toLocaleDateString('zh-CN')}` : ' · 最后一次';
+    return `<span class="task-recurrence" title="重复任务">🔁 ${this.escapeHtml(RecurrenceRule.describe(task.recurrence))}${nextText}</span>`;
+  }
+
+  /**
+   * 渲染重复规则编辑器
+   */
+  renderRecurrenceEditor(rule) {
+    const type = rule ? rule.type : 'none';
+    const interval = rule ? rule.interval : 1;
+    const weekdays = rule ? rule.weekdays : [];
+    const monthDay = rule && rule.monthDay ? rule.monthDay : new Date().getDate();
+    const endType = rule && rule.count ? 'count' : (rule && rule.until ? 'until' : 'never');
+    
+    return `
+      <fieldset class="form-group recurrence-editor" id="recurrenceEditor">
+        <legend>重复:</legend>
+        <div class="recurrence-row">
+          <select id="recurrenceType" aria-label="重复方式">
+            <option value="none" ${type === 'none' ? 'selected' : ''}>不重复</option>
+            <option value="daily" ${type === 'daily' ? 'selected' : ''}>按天</option>
+            <option value="weekly" ${type === 'weekly' ? 'selected' : ''}>按周</option>
+            <option value="monthly" ${type === 'monthly' ? 'selected' : ''}>按月</option>
+            <option value="afterCompletion" ${type === 'afterCompletion' ? 'selected' : ''}>完成后间隔</option>
+          </select>
+          <label class="recurrence-interval" data-recurrence-for="daily weekly monthly afterCompletion">
+            每 <input type="number" id="recurrenceInterval" min="1" max="365" value="${interval}"> <span id="recurrenceUnit"></span>
+          </label>
+        </div>
+        <div class="recurrence-row recurrence-weekdays" data-recurrence-for="weekly">
+          ${WEEKDAY_NAMES.map((name, day) => `
+            <label><input type="checkbox" name="recurrenceWeekday" value="${day}" ${weekdays.includes(day) ? 'checked' : ''}>${name}</label>
+          `).join('')}
+        </div>
+        <div class="recurrence-row" data-recurrence-for="monthly">
+          <label>每月第 <input type="number" id="recurrenceMonthDay" min="1" max="31" value="${monthDay}"> 天</label>
+        </div>
+        <div class="recurrence-row" data-recurrence-for="daily weekly monthly afterCompletion">
+          <select id="recurrenceEnd" aria-label="结束条件">
+            <option value="never" ${endType === 'never' ? 'selected' : ''}>永不结束</option>
+            <option value="until" ${endType === 'until' ? 'selected' : ''}>截止日期</option>
+            <option value="count" ${endType === 'count' ? 'selected' : ''}>重复次数</option>
+          </select>
+          <input type="date" id="recurrenceUntil" value="${rule && rule.until ? rule.until.slice(0, 10) : ''}" aria-label="截止日期">
+          <input type="number" id="recurrenceCount" min="1" max="999" value="${rule && rule.count ? rule.count : 10}" aria-label="重复次数">
+        </div>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * 根据重复方式显示对应的编辑项
+   */
+  bindRecurrenceEditor() {
+    const editor = document.getElementById('recurrenceEditor');
+    if (!editor) return;
+    
+    const typeSelect = editor.querySelector('#recurrenceType');
+    const endSelect = editor.querySelector('#recurrenceEnd');
+    const units = { daily: '天', weekly: '周', monthly: '个月', afterCompletion: '天' };
+    
+    const update = () => {
+      const type = typeSelect.value;
+      editor.querySelectorAll('[data-recurrence-for]').forEach(row => {
+        row.style.display = row.dataset.recurrenceFor.split(' ').includes(type) ? '' : 'none';
+      });
+      editor.querySelector('#recurrenceUnit').textContent = units[type] || '';
+      editor.querySelector('#recurrenceUntil').style.display = endSelect.value === 'until' ? '' : 'none';
+      editor.querySelector('#recurrenceCount').style.display = endSelect.value === 'count' ? '' : 'none';
+    };
+    
+    typeSelect.addEventListener('change', update);
+    endSelect.addEventListener('change', update);
+    update();
+  }
+
+  /**
+   * 读取重复规则编辑器
+   * @returns {Object|null} 重复规则，不重复时返回null
+   */
+  readRecurrenceEditor() {
+    const editor = document.getElementById('recurrenceEditor');
+    if (!editor) return null;
+    
+    const type = editor.querySelector('#recurrenceType').value;
+    if (type === 'none') return null;
+    
+    const endType = editor.querySelector('#recurrenceEnd').value;
+    const untilValue = editor.querySelector('#recurrenceUntil').value;
+    
+    return RecurrenceRule.normalize({
+      type,
+      interval: editor.querySelector('#recurrenceInterval').value,
+      weekdays: [...editor.querySelectorAll('input[name="recurrenceWeekday"]:checked')].map(input => input.value),
+      monthDay: editor.querySelector('#recurrenceMonthDay').value,
+      until: endType === 'until' && untilValue ? `${untilValue}T23:59:59` : null,
+      count: endType === 'count' ? editor.querySelector('#recurrenceCount').value : null
+    });
+  }
+
+  /**
+   * 批量操作处理
+   */
+  async handleBulkComplete() {
+    if (this.selectedTasks.size === 0) return;
+    
+    try {
+      const updatedTasks = this.taskManager.bulkComplete([...this.selectedTasks]);
+      this.clearSelection();
+      this.toast.show(`成功完成 ${updatedTasks.length} 个任务`, 'success', 5000, this.getUndoAction());
+    } catch (error) {
+      this.toast.show(`批量操作失败: ${error.message}`, 'error');
+    }
+  }
+
+  async handleBulkDelete() {
+    if (this.selectedTasks.size === 0) return;
+    
+    const isTrash = this.isTrashView();
+    const confirmed = await this.modal.confirm(
+      isTrash
+        ? `确定要彻底删除选中的 ${this.selectedTasks.size} 个任务吗？此操作会同时删除它们的子任务。`
+        : `确定要把选中的 ${this.selectedTasks.size} 个任务移到回收站吗？`,
+      isTrash ? '彻底删除' : '批量删除'
+    );
+    
+    if (confirmed) {
+      try {
+        const selected = [...this.selectedTasks];
+        const deletedTasks = isTrash
+          ? this.taskManager.bulkDeletePermanently(selected)
+          : this.taskManager.bulkDelete(selected);
+        this.clearSelection();
+        this.toast.show(
+          isTrash ? `已彻底删除 ${deletedTasks.length} 个任务` : `已将 ${deletedTasks.length} 个任务移到回收站`,
+          'success', 5000, this.getUndoAction()
+        );
+      } catch (error) {
+        this.toast.show(`批量删除失败: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  handleBulkRestore() {
+    if (this.selectedTasks.size === 0) return;
+    
+    const isArchive = this.isArchiveView();
+    try {
+      const selected = [...this.selectedTasks];
+      const restoredTasks = isArchive
+        ? this.taskManager.bulkUnarchive(selected)
+        : this.taskManager.bulkRestore(selected);
+      this.clearSelection();
+      this.toast.show(
+        `成功${isArchive ? '取消归档' : '恢复'} ${restoredTasks.length} 个任务`,
+        'success', 5000, this.getUndoAction()
+      );
+    } catch (error) {
+      this.toast.show(`${isArchive ? '批量取消归档' : '批量恢复'}失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 清空回收站
+   */
+  async handleEmptyTrash() {
+    const count = this.taskManager.getTrashedTasks().length;
+    if (count === 0) return;
+    
+    const confirmed = await this.modal.confirm(
+      `确定要彻底删除回收站中的 ${count} 个任务吗？`,
+      '清空回收站'
+    );
+    
+    if (confirmed) {
+      try {
+        const purged = this.taskManager.emptyTrash();
+        this.clearSelection();
+        this.toast.show(`已清空回收站（${purged.length} 个任务）`, 'success', 5000, this.getUndoAction());
+      } catch (error) {
+        this.toast.show(`清空失败: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * 修改回收站保留天数
+   */
+  handleTrashRetentionChange(e) {
+    try {
+      const purged = this.taskManager.setTrashRetention(e.target.value);
+      this.toast.show(
+        purged.length > 0
+          ? `回收站保留天数已更新，清理了 ${purged.length} 个过期任务`
+          : '回收站保留天数已更新',
+        'success', 2000
+      );
+    } catch (error) {
+      e.target.value = this.taskManager.trashRetentionDays;
+      this.toast.show(error.message, 'warning');
+    }
+  }
+
+  /**
+   * 修改归档视图的日期范围
+   */
+  handleArchiveRangeChange() {
+    try {
+      this.taskManager.setArchiveRange({
+        from: this.elements.archiveFrom.value,
+        to: this.elements.archiveTo.value
+      });
+    } catch (error) {
+      this.toast.show(error.message, 'warning');
+    }
+  }
+
+  /**
+   * 修改自动归档天数
+   */
+  handleAutoArchiveChange(e) {
+    try {
+      const archived = this.taskManager.setAutoArchiveDays(e.target.value);
+      this.toast.show(
+        archived.length > 0
+          ? `自动归档设置已更新，归档了 ${archived.length} 个任务`
+          : '自动归档设置已更新',
+        'success', 2000
+      );
+    } catch (error) {
+      e.target.value = this.taskManager.autoArchiveDays;
+      this.toast.show(error.message, 'warning');
+    }
+  }
+
+  /**
+   * 归档已完成的任务
+   */
+  handleArchiveCompleted() {
+    const stats = this.taskManager.getStats();
+    if (stats.completed === 0) {
+      this.toast.show('没有已完成的任务', 'info');
+      return;
+    }
+    
+    try {
+      const archivedTasks = this.taskManager.archiveCompleted();
+      this.toast.show(`已归档 ${archivedTasks.length} 个已完成任务`, 'success', 5000, this.getUndoAction());
+    } catch (error) {
+      this.toast.show(`归档失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 导出数据
+   */
+  async handleExportData() {
+    try {
+      const options = await this.askExportOptions();
+      if (options === null) return;
+      
+      const tasks = options.scope === 'filtered'
+        ? this.taskManager.getFilteredTasks()
+        : this.taskManager.tasks.filter(task => options.includeTrash || !task.isDeleted());
+      const settings = {}; // 可以从设置管理器获取
+      
+      // 使用storageManager导出
+      const success = await import('./storage.js').then(module => {
+        const data = tasks.map(t => t.toJSON());
+        if (options.format === 'csv') return module.default.exportCSV(data);
+        if (options.format === 'markdown') return module.default.exportMarkdown(data);
+        if (options.format === 'ics') return module.default.exportICS(data);
+        return module.default.exportData(data, settings);
+      });
+      
+      if (success) {
+        const formatNames = { csv: 'CSV', markdown: 'Markdown清单', ics: 'iCalendar' };
+        this.toast.show(formatNames[options.format] ? `已导出 ${tasks.length} 个任务到${formatNames[options.format]}` : '数据导出成功', 'success');
+      } else {
+        throw new Error('导出失败');
+      }
+    } catch (error) {
+      this.toast.show(`导出失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 询问导出格式和范围
+   * JSON备份总是包含全部任务；CSV和iCalendar可以只导出当前视图中的任务；Markdown清单导出当前视图
+   * iCalendar 不包含回收站中的任务
+   * @returns {Promise<Object|null>} { format, scope, includeTrash }，取消导出时为 null
+   */
+  askExportOptions() {
+    const trashed = this.taskManager.getTrashedTasks().length;
+    const filtered = this.taskManager.getFilteredTasks().length;
+    
+    return new Promise(resolve => {
+      const finish = (value) => {
+        this.modal.close();
+        resolve(value);
+      };
+      
+      this.modal.show({
+        title: '导出数据',
+        body: `
+          <form id="exportForm">
+            <div class="form-group">
+              <label><input type="radio" name="exportFormat" value="json" checked> JSON备份（可完整恢复）</label>
+              <label><input type="radio" name="exportFormat" value="csv"> CSV表格（可用Excel打开）</label>
+              <label><input type="radio" name="exportFormat" value="markdown"> Markdown清单（当前视图中的 ${filtered} 个任务）</label>
+              <label><input type="radio" name="exportFormat" value="ics"> iCalendar日历（.ics，可导入日历应用）</label>
+            </div>
+            <div class="form-group" id="exportScope" hidden>
+              <label><input type="radio" name="exportScope" value="all" checked> 所有任务</label>
+              <label><input type="radio" name="exportScope" value="filtered"> 当前视图中的 ${filtered} 个任务</label>
+            </div>
+            ${trashed > 0 ? `
+              <div class="form-group" id="exportTrash">
+                <label><input type="checkbox" id="exportIncludeTrash"> 同时导出回收站中的 ${trashed} 个任务</label>
+              </div>
+            ` : ''}
+          </form>
+        `,
+        buttons: [
+          { text: '取消', action: () => finish(null) },
+          {
+            text: '导出',
+            primary: true,
+            action: () => {
+              const form = document.getElementById('exportForm');
+              const format = form.elements.exportFormat.value;
+              const includeTrash = document.getElementById('exportIncludeTrash');
+              const scopes = { csv: form.elements.exportScope.value, ics: form.elements.exportScope.value, markdown: 'filtered' };
+              finish({
+                format,
+                scope: scopes[format] || 'all',
+                includeTrash: includeTrash && format !== 'ics' ? includeTrash.checked : false
+              });
+            }
+          }
+        ]
+      });
+      
+      // 只导出当前视图或导出日历时不再单独询问回收站
+      const form = document.getElementById('exportForm');
+      form.addEventListener('change', () => {
+        const format = form.elements.exportFormat.value;
+        const hasScope = format === 'csv' || format === 'ics';
+        const isFiltered = format === 'markdown' || (hasScope && form.elements.exportScope.value === 'filtered');
+        document.getElementById('exportScope').hidden = !hasScope;
+        const trash = document.getElementById('exportTrash');
+        if (trash) trash.hidden = isFiltered || format === 'ics';
+      });
+    });
+  }
+
+  /**
+   * 导入数据
+   */
+  handleImportData() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.csv,.md,.markdown,.ics';
+    
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      // 先检测是否为其他应用的导出文件
+      if (/\.(json|csv)$/i.test(file.name)) {
+        try {
+          const storageModule = await import('./storage.js');
+          const external = await storageModule.default.readExternal(file);
+          if (external) {
+            this.showImportReport(external);
+            return;
+          }
+        } catch (error) {
+          this.toast.show(`导入失败: ${error.message}`, 'error');
+          return;
+        }
+      }
+      
+      if (file.type === 'text/csv' || file.name.toLowerCase().endsWith('.csv')) {
+        this.handleImportCSV(file);
+        return;
+      }
+      if (/\.(md|markdown)$/i.test(file.name)) {
+        this.handleImportMarkdown(file);
+        return;
+      }
+      if (file.type === 'text/calendar' || /\.ics$/i.test(file.name)) {
+        this.handleImportICS(file);
+        return;
+      }
+      
+      try {
+        const storageModule = await import('./storage.js');
+        const result = await storageModule.default.importData(file);
+        this.showMigrationReport(result.migration);
+        
+        const merge = await this.modal.confirm(
+          '是否合并导入数据？\n\n选择"确定"将合并数据，选择"取消"将替换所有现有数据。',
+          '导入选项'
+        );
+        
+        await this.taskManager.importTasks(result.tasks, merge);
+        this.toast.show(`成功导入 ${result.tasks.length} 个任务`, 'success', 5000, this.getUndoAction());
+      } catch (error) {
+        this.toast.show(`导入失败: ${error.message}`, 'error');
+      }
+    };
+    
+    input.click();
+  }
+
+  /**
+   * 导出 todo.txt（已归档的任务另存为 done.txt，不含回收站）
+   */
+  async handleExportTodoTxt() {
+    try {
+      const tasks = this.taskManager.tasks.filter(task => !task.isDeleted());
+      const storageModule = await import('./storage.js');
+      
+      if (storageModule.default.exportTodoTxt(tasks.map(t => t.toJSON()))) {
+        this.toast.show(`已导出 ${tasks.length} 个任务到 todo.txt`, 'success');
+      } else {
+        throw new Error('导出失败');
+      }
+    } catch (error) {
+      this.toast.show(`导出失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 导入 todo.txt / done.txt，可同时选择两个文件
+   */
+  handleImportTodoTxt() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.txt,text/plain';
+    input.multiple = true;
+    
+    input.onchange = async (e) => {
+      const files = [...e.target.files];
+      if (files.length === 0) return;
+      
+      try {
+        const storageModule = await import('./storage.js');
+        const tasks = await storageModule.default.readTodoTxt(files);
+        if (tasks.length === 0) {
+          this.toast.show('文件中没有任务', 'warning');
+          return;
+        }
+        
+        const merge = await this.modal.confirm(
+          `读取到 ${tasks.length} 个任务。是否合并导入？\n\n选择"确定"将合并数据，选择"取消"将替换所有现有数据。`,
+          '导入 todo.txt'
+        );
+        
+        this.taskManager.importTasks(tasks, merge);
+        this.toast.show(`成功导入 ${tasks.length} 个任务`, 'success', 5000, this.getUndoAction());
+      } catch (error) {
+        this.toast.show(`导入失败: ${error.message}`, 'error');
+      }
+    };
+    
+    input.click();
+  }
+
+  /**
+   * 导入iCalendar文件中的待办和事件，合并到现有任务
+   * UID 相同的任务已存在时跳过，重复导入同一个日历不会产生重复任务
+   */
+  async handleImportICS(file) {
+    try {
+      const storageModule = await import('./storage.js');
+      const tasks = await storageModule.default.readICS(file);
+      if (tasks.length === 0) {
+        this.toast.show('日历中没有待办或事件', 'warning');
+        return;
+      }
+      
+      const confirmed = await this.modal.confirm(`从 ${file.name} 导入 ${tasks.length} 个待办和事件？`, '导入iCalendar');
+      if (!confirmed) return;
+      
+      const before = this.taskManager.tasks.length;
+      this.taskManager.importTasks(tasks, true);
+      const added = this.taskManager.tasks.length - before;
+      this.toast.show(
+        `成功导入 ${added} 个任务${added < tasks.length ? `，${tasks.length - added} 个已存在` : ''}`,
+        'success', 5000, this.getUndoAction()
+      );
+    } catch (error) {
+      this.toast.show(`导入失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 导入Markdown清单文件，合并到现有任务
+   */
+  async handleImportMarkdown(file) {
+    try {
+      const text = await file.text();
+      const tasks = MarkdownChecklist.parse(text);
+      if (tasks.length === 0) {
+        this.toast.show('文件中没有找到任务清单项（- [ ] 或 - [x]）', 'warning');
+        return;
+      }
+      
+      const confirmed = await this.modal.confirm(`从 ${file.name} 导入 ${tasks.length} 个任务？`, '导入Markdown清单');
+      if (!confirmed) return;
+      
+      this.taskManager.importTasks(tasks, true);
+      this.toast.show(`成功导入 ${tasks.length} 个任务`, 'success', 5000, this.getUndoAction());
+    } catch (error) {
+      this.toast.show(`导入失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 在输入框中粘贴Markdown清单时一次添加多个任务
+   */
+  handleTaskInputPaste(e) {
+    const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+    if (!MarkdownChecklist.isChecklist(text)) return;
+    
+    e.preventDefault();
+    try {
+      const tasks = MarkdownChecklist.parse(text);
+      if (tasks.length === 0) return;
+      
+      this.taskManager.importTasks(tasks, true);
+      this.toast.show(`已从Markdown清单添加 ${tasks.length} 个任务`, 'success', 5000, this.getUndoAction());
+    } catch (error) {
+      this.toast.show(`添加失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 导入CSV文件：识别编码和分隔符后显示列映射对话框
+   */
+  async handleImportCSV(file) {
+    try {
+      const storageModule = await import('./storage.js');
+      const data = await storageModule.default.readCSV(file);
+      this.showCSVImportDialog(data);
+    } catch (error) {
+      this.toast.show(`导入失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * CSV导入对话框
+   * 可调整分隔符和每一列对应的字段，实时预览将要导入的任务和有问题的行
+   * @param {Object} data - storageManager.readCSV() 的结果
+   */
+  showCSVImportDialog(data) {
+    const delimiters = [[',', '逗号'], [';', '分号'], ['\t', '制表符'], ['|', '竖线']];
+    let csv = data;
+    let mapping = CSV.guessMapping(csv.headers);
+    let result = null;
+    
+    const renderMapping = () => csv.headers.map((header, column) => `
+      <div class="csv-mapping-row">
+        <label for="csvColumn${column}" class="csv-mapping-header">
+          ${this.escapeHtml(header || `第 ${column + 1} 列`)}
+        </label>
+        <select id="csvColumn${column}" data-column="${column}">
+          <option value="">不导入</option>
+          ${CSV_COLUMNS.map(field => `
+            <option value="${field}" ${mapping[column] === field ? 'selected' : ''}>${CSV_FIELD_LABELS[field]}</option>
+          `).join('')}
+        </select>
+      </div>
+    `).join('');
+    
+    // 表头来自用户选择的文件，完整表头通过 DOM 设置为提示，不拼进属性
+    const setHeaderTitles = () => {
+      document.querySelectorAll('#csvMapping .csv-mapping-header').forEach((label, column) => {
+        label.title = csv.headers[column] || '';
+      });
+    };
+    
+    const renderPreview = () => {
+      const preview = document.getElementById('csvPreview');
+      const importButton = this.modal.footer.querySelector('.primary');
+      
+      try {
+        result = CSV.toTasks(csv.rows, mapping);
+      } catch (error) {
+        result = null;
+        preview.innerHTML = `<p class="csv-import-error" role="alert">${this.escapeHtml(error.message)}</p>`;
+        importButton.disabled = true;
+        importButton.textContent = '导入';
+        return;
+      }
+      
+      const { tasks, errors } = result;
+      const shown = tasks.slice(0, 5);
+      preview.innerHTML = `
+        <p class="form-hint">将导入 ${tasks.length} 个任务${errors.length > 0 ? `，跳过 ${errors.length} 行` : ''}${tasks.length > shown.length ? `，以下为前 ${shown.length} 个` : ''}</p>
+        ${shown.length > 0 ? `
+          <table class="csv-preview-table">
+            <thead><tr><th>任务内容</th><th>优先级</th><th>到期时间</th><th>标签</th><th>完成</th></tr></thead>
+            <tbody>
+              ${shown.map(task => `
+                <tr>
+                  <td>${this.escapeHtml(task.text)}</td>
+                  <td>${{ high: '高', normal: '中', low: '低' }[task.priority || 'normal']}</td>
+                  <td>${task.dueDate ? this.formatDueDate(task.dueDate) : ''}</td>
+                  <td>${this.escapeHtml((task.tags || []).join(', '))}</td>
+                  <td>${task.completed ? '✓' : ''}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+        ${errors.length > 0 ? `
+          <ul class="csv-import-errors" role="alert">
+            ${errors.slice(0, 10).map(error => `<li>第 ${error.row} 行：${this.escapeHtml(error.message)}</li>`).join('')}
+            ${errors.length > 10 ? `<li>还有 ${errors.length - 10} 行有问题</li>` : ''}
+          </ul>
+        ` : ''}
+      `;
+      importButton.disabled = tasks.length === 0;
+      importButton.textContent = `导入 ${tasks.length} 个任务`;
+    };
+    
+    const submit = () => {
+      if (!result || result.tasks.length === 0) return;
+      
+      const { tasks, errors } = result;
+      const merge = document.getElementById('csvMerge').checked;
+      try {
+        this.taskManager.importTasks(tasks, merge);
+        this.modal.close();
+        this.toast.show(
+          `成功导入 ${tasks.length} 个任务${errors.length > 0 ? `，跳过 ${errors.length} 行` : ''}`,
+          'success', 5000, this.getUndoAction()
+        );
+      } catch (error) {
+        this.toast.show(`导入失败: ${error.message}`, 'error');
+      }
+    };
+    
+    this.modal.show({
+      title: '导入CSV',
+      body: `
+        <form id="csvImportForm" class="csv-import">
+          <div class="form-group csv-import-options">
+            <span class="form-hint">编码: ${csv.encoding}，共 ${csv.rows.filter(row => !CSV.isBlank(row)).length} 行</span>
+            <label for="csvDelimiter">分隔符:</label>
+            <select id="csvDelimiter">
+              ${delimiters.map(([delimiter, name], index) => `
+                <option value="${index}" ${csv.delimiter === delimiter ? 'selected' : ''}>${name}</option>
+              `).join('')}
+            </select>
+          </div>
+          <fieldset class="csv-mapping">
+            <legend>列对应的字段</legend>
+            <div id="csvMapping">${renderMapping()}</div>
+          </fieldset>
+          <div id="csvPreview" class="csv-preview" aria-live="polite"></div>
+          <div class="form-group">
+            <label><input type="checkbox" id="csvMerge" checked> 合并到现有任务（不勾选将替换所有任务）</label>
+          </div>
+        </form>
+      `,
       buttons: [
-        {
-          text: '取消',
-          action: () => this.modal.close()
-        },
-        {
-          text: '保存',
-          primary: true,
-          action: () => {
-            const form = document.getElementById('editTaskForm');
-            const formData = new FormData(form);
-            const text = document.getElementById('editTaskText').value.trim();
-            const priority = document.getElementById('editTaskPriority').value;
-            const description = document.getElementById('editTaskDescription').value.trim();
-            
-            if (!text) {
-              this.toast.show('请输入任务内容', 'warning');
-              return;
-            }
-            
-            try {
-              this.taskManager.updateTask(task.id, {
-                text,
-                priority,
-                description
-              });
-              this.modal.close();
-              this.toast.show('任务更新成功', 'success', 1500);
-            } catch (error) {
-              this.toast.show(`更新失败: ${error.message}`, 'error');
-            }
-          }
+        { text: '取消', action: () => this.modal.close() },
+        { text: '导入', primary: true, action: submit }
+      ]
+    });
+    
+    const form = document.getElementById('csvImportForm');
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('change', (e) => {
+      if (e.target.id === 'csvDelimiter') {
+        // 换分隔符后表头会变化，重新猜测映射
+        try {
+          csv = { ...csv, ...CSV.read(csv.text, delimiters[Number(e.target.value)][0]) };
+        } catch (error) {
+          this.toast.show(error.message, 'warning');
+          return;
         }
+        mapping = CSV.guessMapping(csv.headers);
+        document.getElementById('csvMapping').innerHTML = renderMapping();
+        setHeaderTitles();
+      } else if (e.target.dataset.column !== undefined) {
+        mapping[Number(e.target.dataset.column)] = e.target.value || null;
+      } else {
+        return;
+      }
+      renderPreview();
+    });
+    setHeaderTitles();
+    renderPreview();
+  }
+
+  /**
+   * 其他应用导出文件的导入报告
+   * 列出转换成了哪些字段、哪些内容没有导入及原因，确认后导入
+   * @param {Object} result - storageManager.readExternal() 的结果
+   */
+  showImportReport(result) {
+    const { tasks, report } = result;
+    
+    const submit = () => {
+      const merge = document.getElementById('importReportMerge').checked;
+      try {
+        const before = merge ? this.taskManager.tasks.length : 0;
+        this.taskManager.importTasks(tasks, merge);
+        this.modal.close();
+        
+        // 合并时已存在的任务（之前导入过）会跳过
+        const added = this.taskManager.tasks.length - before;
+        this.toast.show(
+          `成功从 ${report.source} 导入 ${added} 个任务${added < tasks.length ? `，${tasks.length - added} 个已存在` : ''}`,
+          'success', 5000, this.getUndoAction()
+        );
+      } catch (error) {
+        this.toast.show(`导入失败: ${error.message}`, 'error');
+      }
+    };
+    
+    this.modal.show({
+      title: `从 ${report.source} 导入`,
+      body: `
+        <div class="import-report">
+          <p class="form-hint">${this.escapeHtml(report.fileName)} 识别为 ${this.escapeHtml(report.source)} 导出文件，可导入 ${report.total} 个任务</p>
+          ${report.mapped.length > 0 ? `
+            <section class="import-report-section">
+              <h4>已转换</h4>
+              <ul class="import-report-list">
+                ${report.mapped.map(item => `
+                  <li><span>${this.escapeHtml(item.label)}</span><span class="import-report-count">${item.count}</span></li>
+                `).join('')}
+              </ul>
+            </section>
+          ` : ''}
+          ${report.dropped.length > 0 ? `
+            <section class="import-report-section">
+              <h4>未导入</h4>
+              <ul class="import-report-list import-report-dropped">
+                ${report.dropped.map(item => `
+                  <li>
+                    <span>${this.escapeHtml(item.reason)}</span><span class="import-report-count">${item.count}</span>
+                    <div class="import-report-items">
+                      ${this.escapeHtml(item.items.join('、'))}${item.count > item.items.length ? ` 等 ${item.count} 项` : ''}
+                    </div>
+                  </li>
+                `).join('')}
+              </ul>
+            </section>
+          ` : ''}
+          <div class="form-group">
+            <label><input type="checkbox" id="importReportMerge" checked> 合并到现有任务（不勾选将替换所有任务）</label>
+          </div>
+        </div>
+      `,
+      buttons: [
+        { text: '取消', action: () => this.modal.close() },
+        { text: `导入 ${tasks.length} 个任务`, primary: true, action: submit }
       ]
     });
     
-    // 聚焦到输入框
-    setTimeout(() => {
-      const input = document.getElementById('editTaskText');
-      if (input) {
-        input.focus();
-        input.select();
+    this.modal.footer.querySelector('.primary').disabled = tasks.length === 0;
+  }
+
+  /**
+   * 绑定智能列表，在侧边栏显示并提供保存、重命名和删除入口
+   * @param {SmartListManager} smartLists - 智能列表管理器
+   */
+  bindSmartLists(smartLists) {
+    this.smartLists = smartLists;
+    this.smartListView = new SmartListView(smartLists, document.getElementById('smartLists'), {
+      onApply: (list) => {
+        smartLists.apply(list.id);
+        this.elements.searchInput.value = list.searchQuery;
+      },
+      onSave: () => this.saveSmartList(),
+      onRename: (list) => this.renameSmartList(list),
+      onDelete: (list) => this.deleteSmartList(list),
+      onError: (error) => this.toast.show(`操作失败: ${error.message}`, 'error')
+    });
+    this.smartListView.render();
+  }
+
+  /**
+   * 把当前视图保存为智能列表
+   */
+  saveSmartList() {
+    const { searchQuery } = this.taskManager;
+    this.promptSmartListName({
+      title: '保存为智能列表',
+      hint: `保存当前的筛选、排序${searchQuery ? `和搜索条件 "${searchQuery}"` : ''}`,
+      submit: (name) => {
+        this.smartLists.saveCurrent(name);
+        this.toast.show(`已保存智能列表"${name}"`, 'success', 2000);
       }
-    }, 100);
+    });
   }
 
   /**
-   * 批量操作处理
+   * 重命名智能列表
    */
-  async handleBulkComplete() {
-    if (this.selectedTasks.size === 0) return;
+  renameSmartList(list) {
+    this.promptSmartListName({
+      title: '重命名智能列表',
+      value: list.name,
+      submit: (name) => this.smartLists.rename(list.id, name)
+    });
+  }
+
+  /**
+   * 删除智能列表
+   */
+  async deleteSmartList(list) {
+    const confirmed = await this.modal.confirm(`确定要删除智能列表"${list.name}"吗？`, '删除智能列表');
+    if (!confirmed) return;
     
     try {
-      const updatedTasks = this.taskManager.bulkComplete([...this.selectedTasks]);
-      this.clearSelection();
-      this.toast.show(`成功完成 ${updatedTasks.length} 个任务`, 'success');
+      this.smartLists.remove(list.id);
+      this.toast.show('智能列表已删除', 'success', 2000);
     } catch (error) {
-      this.toast.show(`批量操作失败: ${error.message}`, 'error');
+      this.toast.show(`删除失败: ${error.message}`, 'error');
     }
   }
 
-  async handleBulkDelete() {
-    if (this.selectedTasks.size === 0) return;
-    
-    const confirmed = await this.modal.confirm(
-      `确定要删除选中的 ${this.selectedTasks.size} 个任务吗？`,
-      '批量删除'
-    );
-    
-    if (confirmed) {
+  /**
+   * 输入智能列表名称的对话框
+   * @param {Object} options - { title, hint, value, submit(name) }
+   */
+  promptSmartListName({ title, hint = '', value = '', submit }) {
+    const save = () => {
+      const name = document.getElementById('smartListName').value.trim();
       try {
-        const deletedTasks = this.taskManager.bulkDelete([...this.selectedTasks]);
-        this.clearSelection();
-        this.toast.show(`成功删除 ${deletedTasks.length} 个任务`, 'success');
+        submit(name);
+        this.modal.close();
       } catch (error) {
-        this.toast.show(`批量删除失败: ${error.message}`, 'error');
+        this.toast.show(error.message, 'warning');
       }
-    }
+    };
+    
+    this.modal.show({
+      title,
+      body: `
+        <form id="smartListForm">
+          ${hint ? `<p class="form-hint">${this.escapeHtml(hint)}</p>` : ''}
+          <div class="form-group">
+            <label for="smartListName">列表名称:</label>
+            <input type="text" id="smartListName" maxlength="30" required>
+          </div>
+        </form>
+      `,
+      buttons: [
+        { text: '取消', action: () => this.modal.close() },
+        { text: '保存', primary: true, action: save }
+      ]
+    });
+    
+    const input = document.getElementById('smartListName');
+    input.value = value;
+    document.getElementById('smartListForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      save();
+    });
+    setTimeout(() => input.select(), 100);
   }
 
   /**
-   * 清除完成的任务
+   * 绑定日历订阅，在同步设置中显示订阅地址
+   * @param {CalendarFeed} calendarFeed - 日历订阅
    */
-  async handleClearCompleted() {
-    const stats = this.taskManager.getStats();
-    if (stats.completed === 0) {
-      this.toast.show('没有已完成的任务', 'info');
-      return;
-    }
+  bindCalendarFeed(calendarFeed) {
+    this.calendarFeed = calendarFeed;
+  }
+
+  /**
+   * 绑定服务器同步引擎，显示同步状态并提供设置与冲突处理入口
+   * @param {SyncEngine} syncEngine - 同步引擎
+   */
+  bindSyncEngine(syncEngine) {
+    this.syncEngine = syncEngine;
     
-    const confirmed = await this.modal.confirm(
-      `确定要清除所有 ${stats.completed} 个已完成的任务吗？`,
-      '清除已完成任务'
-    );
+    syncEngine.addEventListener('statusChanged', (e) => this.updateSyncStatus(e.detail));
+    syncEngine.addEventListener('conflict', () => {
+      this.toast.show('检测到同步冲突，请点击顶部同步状态处理', 'warning', 4000);
+    });
     
-    if (confirmed) {
-      try {
-        const clearedTasks = this.taskManager.clearCompleted();
-        this.toast.show(`成功清除 ${clearedTasks.length} 个已完成任务`, 'success');
-      } catch (error) {
-        this.toast.show(`清除失败: ${error.message}`, 'error');
+    this.elements.syncStatus.addEventListener('click', () => {
+      if (syncEngine.conflicts.length > 0) {
+        this.showSyncConflicts();
+      } else {
+        this.showSyncSettings();
       }
-    }
+    });
+    
+    this.updateSyncStatus({
+      status: syncEngine.status,
+      pending: syncEngine.queue.length,
+      conflicts: syncEngine.conflicts.length,
+      lastSyncAt: syncEngine.lastSyncAt
+    });
   }
 
   /**
-   * 导出数据
+   * 更新头部同步状态
    */
-  async handleExportData() {
-    try {
-      const tasks = this.taskManager.getAllTasks();
-      const settings = {}; // 可以从设置管理器获取
-      
-      // 使用storageManager导出
-      const success = await import('./storage.js').then(module => 
-        module.default.exportData(tasks.map(t => t.toJSON()), settings)
-      );
-      
-      if (success) {
-        this.toast.show('数据导出成功', 'success');
-      } else {
-        throw new Error('导出失败');
+  updateSyncStatus({ status, pending = 0, conflicts = 0, lastSyncAt = null, error = null }) {
+    const indicator = this.elements.syncStatus;
+    const states = {
+      disabled: { icon: '☁️', text: '未同步' },
+      idle: { icon: '✅', text: '已同步' },
+      syncing: { icon: '🔄', text: '同步中…' },
+      offline: { icon: '📴', text: pending > 0 ? `离线 (${pending} 项待同步)` : '离线' },
+      error: { icon: '⚠️', text: '同步失败' },
+      conflict: { icon: '⚡', text: `${conflicts} 个冲突` }
+    };
+    const state = states[status] || states.disabled;
+    
+    indicator.dataset.status = status;
+    indicator.querySelector('.sync-status-icon').textContent = state.icon;
+    indicator.querySelector('.sync-status-text').textContent = state.text;
+    indicator.title = [
+      lastSyncAt ? `上次同步: ${new Date(lastSyncAt).toLocaleString('zh-CN')}` : '尚未同步',
+      error ? `错误: ${error.message}` : ''
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * 同步设置对话框
+   */
+  showSyncSettings() {
+    const syncEngine = this.syncEngine;
+    const form = `
+      <form id="syncSettingsForm">
+        <div class="form-group">
+          <label for="syncEndpoint">同步服务器地址:</label>
+          <input 
+            type="url" 
+            id="syncEndpoint" 
+            value="${this.escapeHtml(syncEngine.endpoint)}" 
+            placeholder="http://localhost:3001"
+          >
+        </div>
+        <p class="form-hint">留空则关闭同步。待同步操作: ${syncEngine.queue.length} 项${syncEngine.lastSyncAt ? `，上次同步: ${new Date(syncEngine.lastSyncAt).toLocaleString('zh-CN')}` : ''}</p>
+        ${this.calendarFeed && this.calendarFeed.url ? `
+          <div class="form-group">
+            <label for="calendarFeedUrl">日历订阅地址（任务变化时自动更新）:</label>
+            <input type="url" id="calendarFeedUrl" value="${this.escapeHtml(this.calendarFeed.url)}" readonly>
+          </div>
+        ` : ''}
+      </form>
+    `;
+    
+    const save = () => {
+      try {
+        syncEngine.setEndpoint(document.getElementById('syncEndpoint').value);
+        this.modal.close();
+        this.toast.show(syncEngine.endpoint ? '同步设置已保存' : '已关闭同步', 'success', 2000);
+      } catch (error) {
+        this.toast.show(`保存失败: ${error.message}`, 'error');
       }
-    } catch (error) {
-      this.toast.show(`导出失败: ${error.message}`, 'error');
-    }
+    };
+    
+    this.modal.show({
+      title: '服务器同步',
+      body: form,
+      buttons: [
+        {
+          text: '取消',
+          action: () => this.modal.close()
+        },
+        {
+          text: '立即同步',
+          action: async () => {
+            const success = await syncEngine.sync();
+            this.toast.show(success ? '同步完成' : '同步未完成，请检查服务器地址和网络', success ? 'success' : 'warning', 2500);
+          }
+        },
+        {
+          text: '保存',
+          primary: true,
+          action: save
+        }
+      ]
+    });
+    
+    document.getElementById('syncSettingsForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      save();
+    });
   }
 
   /**
-   * 导入数据
+   * 同步冲突处理对话框
    */
-  handleImportData() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
+  showSyncConflicts() {
+    const syncEngine = this.syncEngine;
+    const describe = (task) => task
+      ? `${this.escapeHtml(task.text)}${task.completed ? ' (已完成)' : ''}<br><small>修改于 ${new Date(task.updatedAt).toLocaleString('zh-CN')}</small>`
+      : '<em>已删除</em>';
     
-    input.onchange = async (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
+    const body = `
+      <ul class="sync-conflict-list">
+        ${syncEngine.conflicts.map(conflict => `
+          <li class="sync-conflict" data-task-id="${this.escapeHtml(conflict.id)}">
+            <div class="sync-conflict-version">
+              <strong>本地</strong>
+              <p>${describe(conflict.local)}</p>
+              <button class="footer-btn" data-choice="local">保留本地</button>
+            </div>
+            <div class="sync-conflict-version">
+              <strong>服务器</strong>
+              <p>${describe(conflict.remote)}</p>
+              <button class="footer-btn" data-choice="remote">使用服务器</button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+    
+    this.modal.show({
+      title: `同步冲突 (${syncEngine.conflicts.length})`,
+      body,
+      buttons: [{ text: '稍后处理', action: () => this.modal.close() }]
+    });
+    
+    this.modal.body.querySelector('.sync-conflict-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-choice]');
+      if (!button) return;
       
+      const item = button.closest('.sync-conflict');
       try {
-        const storageModule = await import('./storage.js');
-        const result = await storageModule.default.importData(file);
-        
-        const merge = await this.modal.confirm(
-          '是否合并导入数据？\n\n选择"确定"将合并数据，选择"取消"将替换所有现有数据。',
-          '导入选项'
-        );
-        
-        await this.taskManager.importTasks(result.tasks, merge);
-        this.toast.show(`成功导入 ${result.tasks.length} 个任务`, 'success');
+        syncEngine.resolveConflict(item.dataset.taskId, button.dataset.choice);
+        item.remove();
+        if (syncEngine.conflicts.length === 0) {
+          this.modal.close();
+          this.toast.show('所有冲突已解决', 'success', 2000);
+        }
       } catch (error) {
-        this.toast.show(`导入失败: ${error.message}`, 'error');
+        this.toast.show(`处理冲突失败: ${error.message}`, 'error');
       }
-    };
+    });
+  }
+
+  /**
+   * 显示数据迁移结果
+   * @param {Object} migration - storageManager.migrateTasks 的返回值
+   */
+  showMigrationReport(migration) {
+    if (!migration) return;
     
-    input.click();
+    const steps = migration.applied.filter(step => step.changed > 0);
+    if (steps.length === 0) return;
+    
+    const details = steps.map(step => `${step.description} (${step.changed} 个任务)`).join('；');
+    this.toast.show(
+      `数据已从 ${migration.fromVersion} 升级到 ${migration.toVersion}：${details}`,
+      'info',
+      6000
+    );
   }
 
   /**
@@ -764,8 +2855,17 @@ class TaskView {
     
     if (hasSelection) {
       const selectedCount = this.selectedTasks.size;
+      const isTrash = this.isTrashView();
+      const isArchive = this.isArchiveView();
+      this.elements.bulkSelectors.complete.hidden = isTrash || isArchive;
+      this.elements.bulkSelectors.restore.hidden = !(isTrash || isArchive);
       this.elements.bulkSelectors.complete.textContent = `✓ 完成选中 (${selectedCount})`;
-      this.elements.bulkSelectors.delete.textContent = `🗑 删除选中 (${selectedCount})`;
+      this.elements.bulkSelectors.restore.textContent = isArchive
+        ? `📤 取消归档 (${selectedCount})`
+        : `♻ 恢复选中 (${selectedCount})`;
+      this.elements.bulkSelectors.delete.textContent = isTrash
+        ? `🗑 彻底删除 (${selectedCount})`
+        : `🗑 删除选中 (${selectedCount})`;
     }
   }
 
@@ -773,6 +2873,15 @@ class TaskView {
    * 显示/隐藏空状态
    */
   showEmptyState() {
+    const [icon, title, message] = this.isTrashView()
+      ? ['🗑️', '回收站是空的', `删除的任务会在这里保留 ${this.taskManager.trashRetentionDays} 天`]
+      : this.isArchiveView()
+        ? ['🗄️', '没有归档的任务', '完成的任务归档后会出现在这里，方便回顾']
+        : ['📝', '还没有任务', '添加你的第一个任务来开始高效工作吧！'];
+    this.elements.emptyState.querySelector('.empty-icon').textContent = icon;
+    this.elements.emptyState.querySelector('.empty-title').textContent = title;
+    this.elements.emptyState.querySelector('.empty-message').textContent = message;
+    
     this.elements.taskList.style.display = 'none';
     this.elements.emptyState.style.display = 'flex';
   }
@@ -791,18 +2900,35 @@ class TaskView {
     this.elements.stats.total.textContent = stats.total;
     this.elements.stats.completed.textContent = stats.completed;
     this.elements.stats.remaining.textContent = stats.active;
+    this.elements.stats.archived.textContent = stats.archived;
     
-    // 更新清除按钮状态
-    this.elements.footerButtons.clearCompleted.disabled = stats.completed === 0;
+    // 更新归档按钮状态
+    this.elements.footerButtons.archiveCompleted.disabled = stats.completed === 0;
   }
 
   /**
    * 工具方法
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    // 引号也要转义，结果会放进 title、value 等属性值
+    return Markdown.escape(text === null || text === undefined ? '' : text);
+  }
+
+  /**
+   * 渲染任务标题，高亮与搜索匹配的部分
+   */
+  renderTaskText(task) {
+    const ranges = this.taskManager.getSearchHighlights(task);
+    let html = '';
+    let last = 0;
+
+    ranges.forEach(([start, end]) => {
+      html += this.escapeHtml(task.text.slice(last, start));
+      html += `<mark class="search-highlight">${this.escapeHtml(task.text.slice(start, end))}</mark>`;
+      last = end;
+    });
+
+    return html + this.escapeHtml(task.text.slice(last));
   }
 
   formatDate(dateString) {
@@ -822,6 +2948,19 @@ class TaskView {
     }
   }
 
+  /**
+   * 格式化到期时间，当天结束（23:59）视为只有日期
+   */
+  formatDueDate(dateString) {
+    const date = new Date(dateString);
+    const dateText = date.toLocaleDateString('zh-CN', { month: 'numeric', day: 'numeric', weekday: 'short' });
+    
+    if (date.getHours() === 23 && date.getMinutes() === 59) {
+      return dateText;
+    }
+    return `${dateText} ${date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
   getPriorityText(priority) {
     const priorities = {
       low: '低优先级',
@@ -0,0 +1,262 @@
+/**
+ * Epic Todo List - todo.txt格式模块
+ * 作者: 乔帅
+ * 功能: 任务与 todo.txt / done.txt 互相转换
+ */
+
+const PRIORITY_TO_LETTER = { high: 'A', low: 'C' };
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * todo.txt 格式（http://todotxt.org）
+ *
+ * 标准部分：完成标记 x、完成日期、优先级 (A)、创建日期、+项目、@上下文。
+ * 映射：(A)→高，(B)或无→普通，(C)及以后→低；+项目→分类；@上下文→标签。
+ * 其他字段写为 key:value 扩展，值中的空白和 % 按URL编码：
+ *   due: / due-time:   到期日期和时间（只有日期时为当天 23:59）
+ *   pri:               已完成任务的优先级（todo.txt 约定完成时去掉优先级）
+ *   id: / parent: / blocked: / pos: / collapsed:
+ *   desc:              描述
+ *   rec:               重复规则，+1d/+2w/+1m 按到期日期，1d 按完成日期；
+ *                      rec-days:（周几，0=周日）/ rec-day:（每月几号）/ rec-until: / rec-count: / rec-n: 补充其余设置
+ *   archived: / deleted:
+ * done.txt 中的任务导入后为已归档。
+ */
+class TodoTxt {
+  /**
+   * 把任务转换为 todo.txt 文本
+   * @param {Array<Object>} tasks - Task.toJSON() 的结果
+   * @returns {string} 每行一个任务
+   */
+  static stringify(tasks) {
+    return tasks.map(task => TodoTxt.formatTask(task)).join('\n') + (tasks.length > 0 ? '\n' : '');
+  }
+
+  /**
+   * 转换单个任务
+   */
+  static formatTask(task) {
+    const parts = [];
+    const letter = PRIORITY_TO_LETTER[task.priority];
+
+    if (task.completed) {
+      parts.push('x');
+      if (task.completedAt) parts.push(TodoTxt.formatDate(task.completedAt));
+    } else if (letter) {
+      parts.push(`(${letter})`);
+    }
+    // 已完成但没有完成日期时不能写创建日期，否则会被当作完成日期
+    if (task.createdAt && (!task.completed || task.completedAt)) {
+      parts.push(TodoTxt.formatDate(task.createdAt));
+    }
+
+    parts.push(task.text.replace(/\s+/g, ' '));
+
+    if (task.category && task.category !== 'default') parts.push(`+${TodoTxt.encode(task.category)}`);
+    (task.tags || []).forEach(tag => parts.push(`@${TodoTxt.encode(tag)}`));
+
+    const extensions = [];
+    const add = (key, value) => extensions.push(`${key}:${TodoTxt.encode(String(value))}`);
+
+    if (task.dueDate) {
+      const due = new Date(task.dueDate);
+      add('due', TodoTxt.formatDate(due));
+      if (due.getHours() !== 23 || due.getMinutes() !== 59) {
+        add('due-time', `${String(due.getHours()).padStart(2, '0')}:${String(due.getMinutes()).padStart(2, '0')}`);
+      }
+    }
+    if (task.completed && letter) add('pri', letter);
+    if (task.recurrence) TodoTxt.formatRecurrence(task.recurrence, add);
+    if (task.id) add('id', task.id);
+    if (task.parentId) add('parent', task.parentId);
+    if (task.blockedBy && task.blockedBy.length > 0) add('blocked', task.blockedBy.join(','));
+    if (typeof task.position === 'number') add('pos', task.position);
+    if (task.collapsed) add('collapsed', 1);
+    if (task.description) add('desc', task.description);
+    if (task.archivedAt) add('archived', TodoTxt.formatDate(task.archivedAt));
+    if (task.deletedAt) add('deleted', TodoTxt.formatDate(task.deletedAt));
+
+    return [...parts, ...extensions].join(' ');
+  }
+
+  /**
+   * 重复规则写为 rec: 及补充字段
+   */
+  static formatRecurrence(rule, add) {
+    const units = { daily: 'd', afterCompletion: 'd', weekly: 'w', monthly: 'm' };
+    add('rec', `${rule.type === 'afterCompletion' ? '' : '+'}${rule.interval}${units[rule.type]}`);
+    if (rule.weekdays && rule.weekdays.length > 0) add('rec-days', rule.weekdays.join(','));
+    if (rule.monthDay) add('rec-day', rule.monthDay);
+    if (rule.until) add('rec-until', TodoTxt.formatDate(rule.until));
+    if (rule.count) add('rec-count', rule.count);
+    if (rule.occurrence > 1) add('rec-n', rule.occurrence);
+  }
+
+  /**
+   * 解析 todo.txt 文本
+   * @param {string} text - 文件内容
+   * @param {Object} options - { archived: 是否为 done.txt }
+   * @returns {Array<Object>} 任务数据（可交给 importTasks）
+   */
+  static parse(text, options = {}) {
+    const tasks = [];
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+      const task = TodoTxt.parseLine(line);
+      if (!task) return;
+
+      if (typeof task.position !== 'number') task.position = tasks.length;
+      if (options.archived && task.completed && !task.archivedAt) {
+        task.archivedAt = task.completedAt || new Date().toISOString();
+      }
+      tasks.push(task);
+    });
+    return tasks;
+  }
+
+  /**
+   * 解析一行
+   * @returns {Object|null} 任务数据，空行返回 null
+   */
+  static parseLine(line) {
+    const tokens = line.trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return null;
+
+    const task = { tags: [] };
+    let priority = null;
+
+    if (tokens[0] === 'x') {
+      tokens.shift();
+      task.completed = true;
+      if (DATE.test(tokens[0])) {
+        task.completedAt = TodoTxt.parseDate(tokens.shift());
+        if (DATE.test(tokens[0])) task.createdAt = TodoTxt.parseDate(tokens.shift());
+      }
+    } else {
+      const match = tokens[0].match(/^\(([A-Z])\)$/);
+      if (match) {
+        priority = match[1];
+        tokens.shift();
+      }
+      if (DATE.test(tokens[0])) task.createdAt = TodoTxt.parseDate(tokens.shift());
+    }
+
+    const words = [];
+    const extensions = {};
+    tokens.forEach(token => {
+      const project = token.match(/^\+(\S+)$/);
+      const context = token.match(/^@(\S+)$/);
+      const extension = token.match(/^([^\s:]+):([^\s/][^\s]*)$/);
+
+      if (project) {
+        // 第一个项目作为分类，其余作为标签
+        const name = TodoTxt.decode(project[1]);
+        if (!task.category && name.length <= 30) {
+          task.category = name;
+        } else {
+          task.tags.push(name.toLowerCase());
+        }
+      } else if (context) {
+        task.tags.push(TodoTxt.decode(context[1]).toLowerCase());
+      } else if (extension && TodoTxt.isKnownKey(extension[1])) {
+        extensions[extension[1]] = TodoTxt.decode(extension[2]);
+      } else {
+        words.push(token);
+      }
+    });
+
+    task.text = words.join(' ');
+    if (!task.text) return null;
+    task.tags = [...new Set(task.tags)];
+
+    if (task.completed && extensions.pri) priority = extensions.pri.toUpperCase();
+    if (priority) task.priority = priority === 'A' ? 'high' : (priority === 'B' ? 'normal' : 'low');
+
+    TodoTxt.applyExtensions(task, extensions);
+    return task;
+  }
+
+  /**
+   * 识别的扩展字段，其他 key:value 保留在任务内容中
+   */
+  static isKnownKey(key) {
+    return ['due', 'due-time', 'pri', 'id', 'parent', 'blocked', 'pos', 'collapsed', 'desc',
+      'rec', 'rec-days', 'rec-day', 'rec-until', 'rec-count', 'rec-n', 'archived', 'deleted'].includes(key);
+  }
+
+  /**
+   * 把扩展字段写入任务数据
+   */
+  static applyExtensions(task, extensions) {
+    const dueDate = extensions.due ? TodoTxt.parseDate(extensions.due) : null;
+    if (dueDate) {
+      // 时间无效时按只有日期处理
+      const time = TIME.test(extensions['due-time'] || '') ? extensions['due-time'] : '23:59';
+      const [hours, minutes] = time.split(':').map(Number);
+      const due = new Date(dueDate);
+      due.setHours(hours, minutes);
+      task.dueDate = due.toISOString();
+    }
+
+    if (extensions.id) task.id = extensions.id;
+    if (extensions.parent) task.parentId = extensions.parent;
+    if (extensions.blocked) task.blockedBy = extensions.blocked.split(',').filter(Boolean);
+    if (extensions.pos && Number.isFinite(Number(extensions.pos))) task.position = Number(extensions.pos);
+    if (extensions.collapsed) task.collapsed = extensions.collapsed === '1';
+    if (extensions.desc) task.description = extensions.desc;
+    if (extensions.archived) task.archivedAt = TodoTxt.parseDate(extensions.archived);
+    if (extensions.deleted) task.deletedAt = TodoTxt.parseDate(extensions.deleted);
+
+    const rec = extensions.rec && extensions.rec.match(/^(\+?)(\d+)([dwmy])$/i);
+    if (rec) {
+      const unit = rec[3].toLowerCase();
+      const types = { d: 'daily', w: 'weekly', m: 'monthly' };
+      task.recurrence = {
+        // 按完成日期重复只支持按天；按年重复换算为12个月
+        type: !rec[1] && unit === 'd' ? 'afterCompletion' : (types[unit] || 'monthly'),
+        interval: parseInt(rec[2], 10) * (unit === 'y' ? 12 : 1),
+        weekdays: extensions['rec-days'] ? extensions['rec-days'].split(',').map(Number) : [],
+        monthDay: extensions['rec-day'] ? Number(extensions['rec-day']) : null,
+        until: extensions['rec-until'] ? TodoTxt.parseDate(extensions['rec-until']) : null,
+        count: extensions['rec-count'] ? Number(extensions['rec-count']) : null,
+        occurrence: extensions['rec-n'] ? Number(extensions['rec-n']) : 1
+      };
+    }
+  }
+
+  /**
+   * 本地日期 YYYY-MM-DD
+   */
+  static formatDate(value) {
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * 解析本地日期 YYYY-MM-DD，无效时（包括 2026-02-30 这类溢出日期）返回 null
+   */
+  static parseDate(value) {
+    if (!DATE.test(value)) return null;
+    const date = new Date(`${value}T00:00:00`);
+    return isNaN(date.getTime()) || TodoTxt.formatDate(date) !== value ? null : date.toISOString();
+  }
+
+  /**
+   * 编码扩展字段的值：空白和 % 转为 %XX，保证整个值是一个词
+   */
+  static encode(value) {
+    return value.replace(/[%\s]/g, char => encodeURIComponent(char));
+  }
+
+  static decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+}
+
+export { TodoTxt };
+export default TodoTxt;
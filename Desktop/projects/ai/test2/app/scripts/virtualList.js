@@ -0,0 +1,282 @@
+/**
+ * Epic Todo List - 虚拟列表模块
+ * 作者: 乔帅
+ * 功能: 按键值复用列表项，只更新有变化的元素；任务很多时只渲染可见区域附近的任务
+ */
+
+/**
+ * 虚拟列表
+ *
+ * 列表页面随窗口滚动，可见区域由容器相对视口的位置计算。
+ * 未渲染的部分用上下两个占位元素撑开高度，保持滚动条和滚动位置不变。
+ */
+class VirtualList {
+  /**
+   * @param {HTMLElement} container - 列表容器（ul/ol）
+   * @param {Object} options
+   * @param {Function} options.getKey - (item) => 唯一键
+   * @param {Function} options.renderItem - (item) => 渲染状态 { signature, ... }，signature 相同的元素直接复用
+   * @param {Function} options.updateElement - (element, state) => 把渲染状态应用到元素上
+   * @param {number} options.threshold - 超过多少项时启用窗口化渲染
+   * @param {number} options.estimatedHeight - 未测量过的列表项的估计高度（px）
+   * @param {number} options.overscan - 可见区域上下额外渲染的项数
+   */
+  constructor(container, options) {
+    this.container = container;
+    this.getKey = options.getKey;
+    this.renderItem = options.renderItem;
+    this.updateElement = options.updateElement;
+    this.threshold = options.threshold || 200;
+    this.estimatedHeight = options.estimatedHeight || 64;
+    this.overscan = typeof options.overscan === 'number' ? options.overscan : 10;
+
+    this.items = [];
+    this.keys = [];
+    this.rendered = new Map(); // key -> { element, signature }
+    this.heights = new Map(); // key -> 测量到的高度
+    this.range = { start: 0, end: 0 };
+    this.frame = null;
+
+    this.topSpacer = this.createSpacer();
+    this.bottomSpacer = this.createSpacer();
+
+    const onViewportChange = () => this.scheduleUpdate();
+    window.addEventListener('scroll', onViewportChange, { passive: true });
+    window.addEventListener('resize', onViewportChange);
+  }
+
+  /**
+   * 设置列表数据并更新DOM
+   * @param {Array} items - 按显示顺序排列的数据
+   */
+  setItems(items) {
+    this.items = items;
+    this.keys = items.map(item => this.getKey(item));
+
+    // 不再存在的任务不需要保留测量结果
+    if (this.heights.size > items.length * 2) {
+      const keys = new Set(this.keys);
+      [...this.heights.keys()].forEach(key => {
+        if (!keys.has(key)) this.heights.delete(key);
+      });
+    }
+
+    this.update(true);
+  }
+
+  /**
+   * 是否启用了窗口化渲染
+   */
+  isVirtualized() {
+    return this.items.length > this.threshold;
+  }
+
+  /**
+   * 滚动或窗口大小变化时在下一帧更新可见范围
+   */
+  scheduleUpdate() {
+    if (!this.isVirtualized() || this.frame !== null) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update(false);
+    });
+  }
+
+  /**
+   * 计算可见范围并同步DOM
+   * @param {boolean} force - 数据已变化，需要重新比较所有可见项
+   */
+  update(force) {
+    // 列表被隐藏时（看板、日历视图）无法计算可见区域
+    if (!force && this.container.offsetParent === null) return;
+
+    const range = this.computeRange();
+    if (!force && range.start === this.range.start && range.end === this.range.end) return;
+
+    this.range = range;
+    this.reconcile();
+  }
+
+  /**
+   * 计算需要渲染的项的范围 [start, end)
+   */
+  computeRange() {
+    const count = this.items.length;
+    if (!this.isVirtualized()) {
+      return { start: 0, end: count };
+    }
+
+    this.offsets = this.computeOffsets();
+    const rect = this.container.getBoundingClientRect();
+    const viewTop = Math.max(0, -rect.top);
+    const viewBottom = viewTop + window.innerHeight;
+
+    const start = Math.max(0, this.findIndex(viewTop) - this.overscan);
+    const end = Math.min(count, this.findIndex(viewBottom) + 1 + this.overscan);
+    return { start, end };
+  }
+
+  /**
+   * 计算每一项的顶部位置，offsets[i] 为第 i 项之前的总高度
+   */
+  computeOffsets() {
+    const offsets = new Array(this.items.length + 1);
+    offsets[0] = 0;
+    this.keys.forEach((key, i) => {
+      offsets[i + 1] = offsets[i] + (this.heights.get(key) || this.estimatedHeight);
+    });
+    return offsets;
+  }
+
+  /**
+   * 二分查找位置所在的项
+   */
+  findIndex(position) {
+    let low = 0;
+    let high = this.items.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.offsets[mid] <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return Math.max(0, low);
+  }
+
+  /**
+   * 按键值比较新旧列表，只创建、更新或移动有变化的元素
+   */
+  reconcile() {
+    const { start, end } = this.range;
+    const focus = this.captureFocus();
+    const virtualized = this.isVirtualized();
+    const next = new Map();
+    const elements = [];
+
+    for (let i = start; i < end; i++) {
+      const key = this.keys[i];
+      const state = this.renderItem(this.items[i]);
+      let entry = this.rendered.get(key);
+
+      if (!entry) {
+        entry = { element: document.createElement('li'), signature: null };
+      }
+      if (entry.signature !== state.signature) {
+        this.updateElement(entry.element, state);
+        entry.signature = state.signature;
+      }
+
+      if (virtualized) {
+        entry.element.setAttribute('aria-setsize', this.items.length);
+        entry.element.setAttribute('aria-posinset', i + 1);
+      } else {
+        entry.element.removeAttribute('aria-setsize');
+        entry.element.removeAttribute('aria-posinset');
+      }
+
+      next.set(key, entry);
+      elements.push(entry.element);
+    }
+
+    // 移除不再显示的元素
+    this.rendered.forEach((entry, key) => {
+      if (!next.has(key)) entry.element.remove();
+    });
+    this.rendered = next;
+
+    // 按顺序放置元素，位置没变的元素不移动
+    const ordered = virtualized ? [this.topSpacer, ...elements, this.bottomSpacer] : elements;
+    if (!virtualized) {
+      this.topSpacer.remove();
+      this.bottomSpacer.remove();
+    }
+    let cursor = this.container.firstChild;
+    ordered.forEach(element => {
+      if (element === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        this.container.insertBefore(element, cursor);
+      }
+    });
+    // 清除容器中其他残留的节点
+    while (cursor) {
+      const nextSibling = cursor.nextSibling;
+      cursor.remove();
+      cursor = nextSibling;
+    }
+
+    if (virtualized) {
+      this.measure();
+    }
+    this.restoreFocus(focus);
+  }
+
+  /**
+   * 测量已渲染项的实际高度，并调整占位元素
+   */
+  measure() {
+    const { start, end } = this.range;
+    this.rendered.forEach((entry, key) => {
+      const height = entry.element.offsetHeight;
+      if (height > 0) this.heights.set(key, height);
+    });
+
+    this.offsets = this.computeOffsets();
+    this.topSpacer.style.height = `${this.offsets[start]}px`;
+    this.bottomSpacer.style.height = `${this.offsets[this.items.length] - this.offsets[end]}px`;
+  }
+
+  /**
+   * 记录列表中获得焦点的元素（所属项的键值和元素的类名）
+   */
+  captureFocus() {
+    const active = document.activeElement;
+    if (!active || !this.container.contains(active)) return null;
+
+    for (const [key, entry] of this.rendered) {
+      if (entry.element.contains(active)) {
+        const selector = [...active.classList].map(c => `.${CSS.escape(c)}`).join('');
+        return { key, active, selector: active === entry.element ? null : selector || null };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 元素被移动或重建后恢复焦点
+   */
+  restoreFocus(focus) {
+    if (!focus || (document.activeElement === focus.active && focus.active.isConnected)) return;
+
+    const entry = this.rendered.get(focus.key);
+    if (!entry) return;
+
+    const target = focus.selector ? entry.element.querySelector(focus.selector) : entry.element;
+    if (target) target.focus({ preventScroll: true });
+  }
+
+  /**
+   * 获取已渲染的元素（不在可见范围内时返回 null）
+   */
+  getElement(key) {
+    const entry = this.rendered.get(key);
+    return entry ? entry.element : null;
+  }
+
+  /**
+   * 创建撑开未渲染部分高度的占位元素
+   */
+  createSpacer() {
+    const spacer = document.createElement('li');
+    spacer.className = 'virtual-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.setAttribute('role', 'presentation');
+    return spacer;
+  }
+}
+
+export { VirtualList };
+export default VirtualList;
@@ -0,0 +1,94 @@
+/**
+ * Epic Todo List - 归档测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import taskManager, { Task } from '../scripts/taskModel.js';
+
+await taskManager.ready;
+
+test.beforeEach(() => {
+  taskManager.tasks = [];
+  taskManager.autoArchiveDays = 0;
+});
+
+test('归档已完成的任务及其子任务，取消归档时一起恢复', () => {
+  const parent = taskManager.addTask('发布');
+  const child = taskManager.addTask('写说明', { parentId: parent.id });
+  taskManager.updateTask(parent.id, { completed: true });
+
+  taskManager.archiveTask(parent.id);
+  assert.ok(parent.isArchived());
+  assert.equal(child.archivedAt, parent.archivedAt);
+  assert.deepEqual(taskManager.getAllTasks(), []);
+  assert.deepEqual(taskManager.getArchivedTasks().map(task => task.id).sort(), [parent.id, child.id].sort());
+
+  // 取消归档子任务时父任务也恢复
+  taskManager.unarchiveTask(child.id);
+  assert.ok(!child.isArchived());
+  assert.ok(!parent.isArchived());
+
+  taskManager.archiveTask(parent.id);
+  taskManager.undo();
+  assert.ok(!taskManager.getTask(parent.id).isArchived());
+  assert.ok(!taskManager.getTask(child.id).isArchived());
+});
+
+test('归档状态随任务数据保存和恢复', () => {
+  const task = taskManager.addTask('已完成');
+  taskManager.updateTask(task.id, { completed: true });
+  taskManager.archiveTask(task.id);
+
+  const restored = Task.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+  assert.equal(restored.archivedAt, task.archivedAt);
+  assert.ok(restored.isHidden());
+});
+
+test('不能归档未完成或已隐藏的任务', () => {
+  const task = taskManager.addTask('未完成');
+  assert.throws(() => taskManager.archiveTask(task.id), /只能归档已完成的任务/);
+
+  taskManager.updateTask(task.id, { completed: true });
+  taskManager.archiveTask(task.id);
+  assert.throws(() => taskManager.archiveTask(task.id), /任务已归档/);
+  assert.throws(() => taskManager.archiveTask('missing'), /任务不存在/);
+
+  assert.deepEqual(taskManager.archiveCompleted(), []);
+  assert.deepEqual(taskManager.bulkUnarchive(['missing']), []);
+});
+
+test('自动归档完成超过指定天数的任务', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const old = taskManager.addTask('很久以前', { completed: true, completedAt: new Date(Date.now() - 10 * day).toISOString() });
+  const recent = taskManager.addTask('昨天', { completed: true, completedAt: new Date(Date.now() - day).toISOString() });
+
+  assert.deepEqual(taskManager.setAutoArchiveDays('7'), [old]);
+  assert.ok(!recent.isArchived());
+  assert.deepEqual(taskManager.setAutoArchiveDays(0), []);
+
+  assert.throws(() => taskManager.setAutoArchiveDays(-1), /0-365/);
+  assert.throws(() => taskManager.setAutoArchiveDays(366), /0-365/);
+  assert.throws(() => taskManager.setAutoArchiveDays('abc'), /0-365/);
+});
+
+test('按完成日期筛选归档', () => {
+  const completed = date => {
+    const task = taskManager.addTask(date, { completed: true, completedAt: new Date(`${date}T12:00:00`).toISOString() });
+    taskManager.archiveTask(task.id);
+    return task;
+  };
+  completed('2026-09-30');
+  completed('2026-10-01');
+  completed('2026-10-15');
+
+  const texts = range => taskManager.getArchivedTasks(range).map(task => task.text);
+  assert.deepEqual(texts({ from: '2026-10-01', to: '2026-10-15' }), ['2026-10-15', '2026-10-01']);
+  assert.deepEqual(texts({ to: '2026-09-30' }), ['2026-09-30']);
+
+  assert.throws(() => taskManager.setArchiveRange({ from: '2026/10/01' }), /日期格式无效/);
+  assert.throws(() => taskManager.setArchiveRange({ from: '2026-10-02', to: '2026-10-01' }), /开始日期不能晚于结束日期/);
+});
@@ -0,0 +1,102 @@
+/**
+ * Epic Todo List - 日历订阅测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import CalendarFeed from '../scripts/calendarFeed.js';
+import ICalendar from '../scripts/icalendar.js';
+import { Task } from '../scripts/taskModel.js';
+
+function createFeed(tasks, endpoint = 'http://sync.test') {
+  const taskManager = Object.assign(new EventTarget(), { tasks });
+  const syncEngine = Object.assign(new EventTarget(), { endpoint });
+  return { feed: new CalendarFeed(taskManager, syncEngine), taskManager, syncEngine };
+}
+
+/**
+ * 替换 fetch，记录上传内容
+ */
+function stubFetch(t, status = 200) {
+  const requests = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, ...options });
+    return { ok: status >= 200 && status < 300, status };
+  };
+  t.after(() => {
+    globalThis.fetch = original;
+  });
+  return requests;
+}
+
+test('日历只包含工作区中的任务，顺序与任务列表无关', t => {
+  stubFetch(t);
+  const first = new Task('先创建', { createdAt: '2026-10-01T00:00:00.000Z' });
+  const second = new Task('后创建', { createdAt: '2026-10-02T00:00:00.000Z' });
+  const deleted = new Task('已删除', { deletedAt: '2026-10-03T00:00:00.000Z' });
+
+  const { feed } = createFeed([second, deleted, first]);
+  feed.regenerate();
+  const texts = ICalendar.parse(feed.ics).map(task => task.text);
+  assert.deepEqual(texts, ['先创建', '后创建']);
+
+  const reordered = createFeed([first, second, deleted]).feed;
+  reordered.regenerate();
+  assert.equal(reordered.ics, feed.ics);
+  assert.equal(feed.url, 'http://sync.test/calendar.ics');
+});
+
+test('内容不变时不重复上传，任务变化后重新上传', async t => {
+  const requests = stubFetch(t);
+  const task = new Task('写周报');
+  const { feed, taskManager } = createFeed([task]);
+
+  let changes = 0;
+  feed.addEventListener('feedChanged', () => changes++);
+  feed.start();
+  t.after(() => feed.stop());
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  taskManager.dispatchEvent(new CustomEvent('tasksChanged'));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, 'http://sync.test/calendar.ics');
+  assert.equal(requests[0].method, 'PUT');
+  assert.equal(requests[0].body, feed.ics);
+
+  taskManager.tasks.push(new Task('新任务'));
+  taskManager.dispatchEvent(new CustomEvent('tasksChanged'));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(changes, 2);
+  assert.equal(requests.length, 2);
+  assert.ok(requests[1].body.includes('SUMMARY:新任务'));
+});
+
+test('上传失败或未配置服务器时，服务器状态变化后补发', async t => {
+  const requests = stubFetch(t, 500);
+  const originalError = console.error;
+  console.error = () => {};
+  t.after(() => {
+    console.error = originalError;
+  });
+
+  const { feed, syncEngine } = createFeed([new Task('任务')], '');
+  feed.start();
+  t.after(() => feed.stop());
+  assert.equal(feed.url, '');
+  assert.equal(requests.length, 0);
+
+  syncEngine.endpoint = 'http://sync.test';
+  syncEngine.dispatchEvent(new CustomEvent('statusChanged'));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(requests.length, 1);
+  assert.equal(feed.published.ics, null);
+
+  syncEngine.dispatchEvent(new CustomEvent('statusChanged'));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(requests.length, 2);
+});
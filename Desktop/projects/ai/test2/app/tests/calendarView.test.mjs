@@ -0,0 +1,74 @@
+/**
+ * Epic Todo List - 日历视图测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import CalendarView from '../scripts/calendarView.js';
+import taskManager from '../scripts/taskModel.js';
+
+await taskManager.ready;
+
+test.beforeEach(() => {
+  taskManager.tasks = [];
+});
+
+function createView(handlers = {}) {
+  const view = new CalendarView(taskManager, { addEventListener() {} }, handlers);
+  view.cursor = new Date(2026, 9, 19);
+  return view;
+}
+
+test('月视图固定显示6周，从周一开始', () => {
+  const view = createView();
+  const days = view.getVisibleDays().map(CalendarView.dateKey);
+  assert.equal(days.length, 42);
+  assert.equal(days[0], '2026-09-28');
+  assert.equal(days[41], '2026-11-08');
+  assert.equal(view.getTitle(view.getVisibleDays()), '2026年10月');
+
+  // 1日正好是周一时不显示上个月
+  view.cursor = new Date(2026, 5, 15);
+  assert.equal(CalendarView.dateKey(view.getVisibleDays()[0]), '2026-06-01');
+});
+
+test('周视图和跨年的周', () => {
+  const view = createView();
+  view.setMode('week');
+  const days = view.getVisibleDays();
+  assert.deepEqual([days[0], days[6]].map(CalendarView.dateKey), ['2026-10-19', '2026-10-25']);
+
+  view.cursor = new Date(2027, 0, 1);
+  const newYear = view.getVisibleDays();
+  assert.equal(view.getTitle(newYear), '2026年12月28日 - 1月3日');
+
+  assert.throws(() => view.setMode('year'), /无效的日历模式/);
+  assert.equal(view.mode, 'week');
+});
+
+test('改期只修改日期，保留原来的时刻', () => {
+  const moved = [];
+  const view = createView({ onMoved: (task, date) => moved.push(CalendarView.dateKey(date)) });
+  const task = taskManager.addTask('开会', { dueDate: new Date(2026, 9, 20, 14, 30).toISOString() });
+
+  assert.equal(view.reschedule(task.id, new Date(2026, 10, 3)), true);
+  const due = new Date(taskManager.getTask(task.id).dueDate);
+  assert.deepEqual([CalendarView.dateKey(due), due.getHours(), due.getMinutes()], ['2026-11-03', 14, 30]);
+  assert.deepEqual(moved, ['2026-11-03']);
+
+  // 同一天、没有到期时间或不存在的任务不改期
+  assert.equal(view.reschedule(task.id, new Date(2026, 10, 3, 8)), false);
+  assert.equal(view.reschedule(taskManager.addTask('无日期').id, new Date(2026, 10, 3)), false);
+  assert.equal(view.reschedule('missing', new Date(2026, 10, 3)), false);
+  assert.deepEqual(moved, ['2026-11-03']);
+});
+
+test('日期工具在月末和闰年正确换算', () => {
+  assert.equal(CalendarView.dateKey(CalendarView.addDays(new Date(2028, 1, 28), 1)), '2028-02-29');
+  assert.equal(CalendarView.dateKey(CalendarView.addDays(new Date(2026, 0, 31), 1)), '2026-02-01');
+  assert.equal(CalendarView.dateKey(CalendarView.startOfWeek(new Date(2026, 9, 25, 23, 59))), '2026-10-19');
+  assert.equal(CalendarView.startOfDay(new Date(2026, 9, 19, 15, 30)).getHours(), 0);
+});
@@ -0,0 +1,84 @@
+/**
+ * Epic Todo List - Markdown清单测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import MarkdownChecklist from '../scripts/checklist.js';
+import { Task } from '../scripts/taskModel.js';
+
+const now = new Date(2026, 9, 14, 9, 0);
+
+test('导出后再导入保留层级、分类、标签、优先级和到期时间', () => {
+  const parent = new Task('准备发布', { category: '项目A', priority: 'high', tags: ['release'], dueDate: new Date(2026, 10, 1, 23, 59).toISOString() });
+  const child = new Task('写更新日志', { category: '项目A', parentId: parent.id, dueDate: new Date(2026, 9, 30, 15, 30).toISOString() });
+  const done = new Task('买牛奶', { completed: true, priority: 'low' });
+
+  const text = MarkdownChecklist.stringify([parent, child, done].map(task => task.toJSON()));
+  assert.equal(text, [
+    '## 项目A',
+    '',
+    '- [ ] 准备发布 #release !高 📅 2026-11-01',
+    '  - [ ] 写更新日志 📅 2026-10-30 15:30',
+    '',
+    '## 未分类',
+    '',
+    '- [x] 买牛奶 !低',
+    ''
+  ].join('\n'));
+
+  const tasks = MarkdownChecklist.parse(text, now);
+  assert.equal(tasks.length, 3);
+  assert.deepEqual(tasks.map(task => task.text), ['准备发布', '写更新日志', '买牛奶']);
+  assert.equal(tasks[0].category, '项目A');
+  assert.deepEqual(tasks[0].tags, ['release']);
+  assert.equal(tasks[0].priority, 'high');
+  assert.equal(tasks[0].dueDate, parent.dueDate);
+  assert.equal(tasks[1].parentId, tasks[0].id);
+  assert.equal(tasks[1].dueDate, child.dueDate);
+  assert.equal(tasks[2].category, 'default');
+  assert.equal(tasks[2].completed, true);
+  assert.equal(tasks[2].priority, 'low');
+});
+
+test('忽略代码块、普通列表和空清单项', () => {
+  const tasks = MarkdownChecklist.parse([
+    '说明文字',
+    '- 普通列表',
+    '```',
+    '- [ ] 代码块里的示例',
+    '```',
+    '- [ ]    ',
+    '* [X] 星号和大写 X',
+    '1. [ ] 有序列表',
+    '\t- [ ] Tab 缩进的子任务'
+  ].join('\r\n'), now);
+
+  assert.deepEqual(tasks.map(task => task.text), ['星号和大写 X', '有序列表', 'Tab 缩进的子任务']);
+  assert.equal(tasks[0].completed, true);
+  assert.equal(tasks[2].parentId, tasks[1].id);
+});
+
+test('过长的标题不作为分类，标题之间的缩进不跨段继承', () => {
+  const tasks = MarkdownChecklist.parse([
+    `## ${'很长'.repeat(20)}`,
+    '- [ ] 父任务',
+    '## 另一组',
+    '  - [ ] 缩进但没有父任务'
+  ].join('\n'), now);
+
+  assert.equal(tasks[0].category, 'default');
+  assert.equal(tasks[1].category, '另一组');
+  assert.equal(tasks[1].parentId, null);
+});
+
+test('识别完成日期标记', () => {
+  const [task] = MarkdownChecklist.parse('- [x] 交报告 ✅ 2026-10-01', now);
+  assert.equal(task.text, '交报告');
+  assert.equal(task.completedAt, new Date(2026, 9, 1).toISOString());
+  assert.equal(MarkdownChecklist.isChecklist('普通文本\n- 列表'), false);
+  assert.equal(MarkdownChecklist.isChecklist('- [ ] 清单'), true);
+});
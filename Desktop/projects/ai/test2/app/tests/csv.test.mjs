@@ -0,0 +1,99 @@
+/**
+ * Epic Todo List - CSV导入导出测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import CSV, { CSV_COLUMNS } from '../scripts/csv.js';
+import { Task } from '../scripts/taskModel.js';
+
+test('导出后再导入得到相同的任务', () => {
+  const tasks = [
+    new Task('带 "引号", 逗号的任务', {
+      description: '第一行\r\n第二行\n第三行',
+      tags: ['work', 'a/b'],
+      priority: 'high',
+      category: '项目A',
+      dueDate: new Date(2026, 10, 1, 18, 30).toISOString(),
+      recurrence: { type: 'monthly', interval: 1, monthDay: 15 }
+    }),
+    new Task('  前后有空格  ', { completed: true, completedAt: new Date(2026, 9, 1).toISOString() })
+  ].map(task => task.toJSON());
+
+  const text = CSV.stringify(tasks);
+  const { headers, rows } = CSV.read(text);
+  assert.deepEqual(headers, CSV_COLUMNS);
+
+  const result = CSV.toTasks(rows, CSV.guessMapping(headers));
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.tasks.length, 2);
+
+  const [first, second] = result.tasks;
+  assert.equal(first.id, tasks[0].id);
+  assert.equal(first.text, tasks[0].text);
+  assert.equal(first.description, tasks[0].description);
+  assert.deepEqual(first.tags, ['work', 'a/b']);
+  assert.equal(first.dueDate, tasks[0].dueDate);
+  assert.deepEqual(first.recurrence, tasks[0].recurrence);
+  // 单元格按去掉首尾空格后的内容导入
+  assert.equal(second.text, '前后有空格');
+  assert.equal(second.completed, true);
+  assert.equal(second.completedAt, tasks[1].completedAt);
+});
+
+test('解析带引号、转义引号和换行的单元格', () => {
+  const rows = CSV.parse('a,"b,1","say ""hi""","多\r\n行"\r\n,,\n"",x');
+  assert.deepEqual(rows, [
+    ['a', 'b,1', 'say "hi"', '多\r\n行'],
+    ['', '', ''],
+    ['', 'x']
+  ]);
+});
+
+test('引号未闭合时报错', () => {
+  assert.throws(() => CSV.parse('text\n"没有闭合,1\n'), /引号未闭合/);
+  assert.throws(() => CSV.read('   \n\n'), /CSV文件为空/);
+});
+
+test('识别分隔符时忽略引号内的字符', () => {
+  assert.equal(CSV.detectDelimiter('text;tags\n"a, b, c";x\n"d,e";y\n'), ';');
+  assert.equal(CSV.detectDelimiter('text\ttags\nA\tB\n'), '\t');
+
+  const excel = CSV.read('sep=|\ntext|priority\n任务|高\n');
+  assert.equal(excel.delimiter, '|');
+  assert.deepEqual(excel.headers, ['text', 'priority']);
+  assert.deepEqual(excel.rows, [['任务', '高']]);
+});
+
+test('有问题的行单独报错，其余行照常导入', () => {
+  const { headers, rows } = CSV.read([
+    '任务,到期时间,优先级,完成',
+    '正常,2026-11-01,高,否',
+    '坏日期,2026-02-30,,',
+    '坏优先级,,超级,',
+    ',2026-11-01,,',
+    '坏状态,,,也许'
+  ].join('\n'));
+  const result = CSV.toTasks(rows, CSV.guessMapping(headers));
+
+  assert.deepEqual(result.tasks.map(task => task.text), ['正常']);
+  assert.equal(new Date(result.tasks[0].dueDate).getHours(), 23);
+  assert.deepEqual(result.errors.map(error => error.row), [3, 4, 5, 6]);
+  assert.match(result.errors[0].message, /不是有效日期/);
+  assert.match(result.errors[1].message, /优先级/);
+  assert.match(result.errors[2].message, /任务内容为空/);
+  assert.match(result.errors[3].message, /无法识别/);
+});
+
+test('列映射缺少任务内容或重复时报错', () => {
+  assert.throws(() => CSV.toTasks([['x']], ['tags']), /任务内容/);
+  assert.throws(() => CSV.toTasks([['x', 'y']], ['text', 'text']), /对应了多列/);
+});
+
+test('带 BOM 的 UTF-8 文件去掉 BOM', () => {
+  const bytes = new Uint8Array([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode('任务\n')]);
+  assert.deepEqual(CSV.decode(bytes.buffer), { text: '任务\n', encoding: 'UTF-8' });
+});
@@ -0,0 +1,71 @@
+/**
+ * Epic Todo List - 任务依赖测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import taskManager from '../scripts/taskModel.js';
+
+await taskManager.ready;
+
+test.beforeEach(() => {
+  taskManager.tasks = [];
+});
+
+test('子任务被阻塞时不能完成父任务', () => {
+  const prerequisite = taskManager.addTask('申请预算');
+  const parent = taskManager.addTask('采购');
+  const child = taskManager.addTask('下单', { parentId: parent.id });
+  taskManager.addDependency(child.id, prerequisite.id);
+
+  assert.throws(() => taskManager.updateTask(parent.id, { completed: true }), /被阻塞/);
+  assert.equal(parent.completed, false);
+  assert.equal(child.completed, false);
+
+  taskManager.updateTask(prerequisite.id, { completed: true });
+  taskManager.updateTask(parent.id, { completed: true });
+  assert.equal(child.completed, true);
+});
+
+test('前置任务在同一棵子树中时可以一起完成', () => {
+  const parent = taskManager.addTask('发布');
+  const build = taskManager.addTask('构建', { parentId: parent.id });
+  const deploy = taskManager.addTask('部署', { parentId: parent.id });
+  taskManager.addDependency(deploy.id, build.id);
+
+  taskManager.updateTask(parent.id, { completed: true });
+  assert.equal(build.completed, true);
+  assert.equal(deploy.completed, true);
+});
+
+test('前置任务在回收站中时不再阻塞，恢复或撤销后依赖仍在', () => {
+  const prerequisite = taskManager.addTask('写方案');
+  const dependent = taskManager.addTask('评审方案');
+  taskManager.addDependency(dependent.id, prerequisite.id);
+  assert.equal(taskManager.isBlocked(dependent.id), true);
+
+  taskManager.removeTask(prerequisite.id);
+  assert.equal(taskManager.isBlocked(dependent.id), false);
+  assert.deepEqual(dependent.blockedBy, [prerequisite.id]);
+
+  taskManager.restoreTask(prerequisite.id);
+  assert.equal(taskManager.isBlocked(dependent.id), true);
+
+  taskManager.removeTask(prerequisite.id);
+  taskManager.undo();
+  assert.equal(taskManager.isBlocked(dependent.id), true);
+  assert.deepEqual(taskManager.getTask(dependent.id).blockedBy, [prerequisite.id]);
+});
+
+test('彻底删除前置任务时移除依赖', () => {
+  const prerequisite = taskManager.addTask('写方案');
+  const dependent = taskManager.addTask('评审方案');
+  taskManager.addDependency(dependent.id, prerequisite.id);
+
+  taskManager.removeTask(prerequisite.id);
+  taskManager.deleteTaskPermanently(prerequisite.id);
+  assert.deepEqual(taskManager.getTask(dependent.id).blockedBy, []);
+});
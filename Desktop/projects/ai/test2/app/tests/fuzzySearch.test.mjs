@@ -0,0 +1,108 @@
+/**
+ * Epic Todo List - 模糊搜索测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import SearchIndex, { getPinyin, matchField, prepareField, mergeRanges } from '../scripts/fuzzySearch.js';
+import { PINYIN_TABLE, POLYPHONES } from '../scripts/pinyinData.js';
+
+/**
+ * 匹配后按范围取出原文中高亮的部分
+ */
+function highlight(text, query) {
+  const match = matchField(prepareField(text), query);
+  return match ? match.ranges.map(([start, end]) => text.slice(start, end)) : null;
+}
+
+test('拼音数据：每个汉字只出现一次，多音字的主读音在拼音表中', () => {
+  const seen = new Map();
+  Object.entries(PINYIN_TABLE).forEach(([syllable, chars]) => {
+    assert.match(syllable, /^[a-z]+$/);
+    for (const char of chars) {
+      assert.match(char, /^\p{Script=Han}$/u, `${syllable} 中的 ${char}`);
+      assert.ok(!seen.has(char), `${char} 同时出现在 ${seen.get(char)} 和 ${syllable}`);
+      seen.set(char, syllable);
+    }
+  });
+  assert.equal(seen.size, 6763);
+
+  Object.entries(POLYPHONES).forEach(([char, syllables]) => {
+    assert.ok(seen.has(char), `多音字 ${char} 不在拼音表中`);
+    syllables.forEach(syllable => {
+      assert.match(syllable, /^[a-z]+$/);
+      assert.notEqual(syllable, seen.get(char));
+    });
+  });
+
+  assert.deepEqual(getPinyin('周'), ['zhou']);
+  assert.deepEqual(getPinyin('行'), ['xing', 'hang']);
+  assert.deepEqual(getPinyin('绿'), ['lv']);
+  assert.equal(getPinyin('a'), null);
+  assert.equal(getPinyin('😀'), null);
+});
+
+test('高亮范围对应原文中匹配的部分', () => {
+  assert.deepEqual(highlight('写 Weekly Report', 'report'), ['Report']);
+  assert.deepEqual(highlight('写周报', 'zhoubao'), ['周报']);
+  assert.deepEqual(highlight('写周报', 'zb'), ['周报']);
+  assert.deepEqual(highlight('写周报', 'zhoub'), ['周报']);
+  assert.deepEqual(highlight('去银行', 'yinhang'), ['银行']);
+  assert.deepEqual(highlight('买绿茶', 'lucha'), ['绿茶']);
+  assert.deepEqual(highlight('周工作报告', '周报'), ['周', '报']);
+  assert.deepEqual(highlight('meeting notes', 'meetnig'), ['meeting']);
+
+  // 码点和转小写后长度变化的字符不影响后面的位置
+  assert.deepEqual(highlight('😀😀 周报 draft', 'zb'), ['周报']);
+  assert.deepEqual(highlight('😀 draft', 'draft'), ['draft']);
+  assert.deepEqual(highlight('İstanbul trip', 'trip'), ['trip']);
+  assert.deepEqual(highlight('İstanbul tirp', 'trip'), ['tirp']);
+});
+
+test('相关度：精确匹配高于拼音，拼音高于首字母和子序列', () => {
+  const score = (text, query) => matchField(prepareField(text), query).score;
+  assert.ok(score('zb 周报', 'zb') > score('周报', 'zb'));
+  assert.ok(score('周报', 'zhoubao') > score('周报', 'zb'));
+  assert.ok(score('周报', 'zb') > score('周工作报告', '周报'));
+  assert.ok(score('report', 'report') > score('weekly report', 'report'));
+});
+
+test('无效或不匹配的输入', () => {
+  const field = prepareField('写周报');
+  assert.equal(matchField(field, ''), null);
+  assert.equal(matchField(field, 'z'), null);
+  assert.equal(matchField(field, 'zhoubao', { exact: true }), null);
+  assert.equal(matchField(field, 'xyz'), null);
+  assert.equal(matchField(field, '.*'), null);
+  assert.equal(matchField(field, 'zb'.repeat(500)), null);
+  assert.equal(matchField(prepareField(null), 'abc'), null);
+  assert.equal(matchField(prepareField(undefined), 'abc'), null);
+  assert.equal(matchField(prepareField('abc'), 'ab'.repeat(500)), null);
+
+  assert.deepEqual(mergeRanges([]), []);
+  assert.deepEqual(mergeRanges([[5, 6], [0, 2], [1, 3], [3, 4]]), [[0, 4], [5, 6]]);
+});
+
+test('搜索索引在任务内容变化时重建条目', () => {
+  const index = new SearchIndex();
+  const task = { id: 't1', text: '写周报', tags: [], description: undefined };
+
+  assert.deepEqual(index.match(task, 'zb').ranges, [[1, 3]]);
+  assert.equal(index.match(task, 'report'), null);
+
+  task.text = 'weekly report';
+  assert.deepEqual(index.match(task, 'report').ranges, [[7, 13]]);
+
+  // 标签和描述中匹配时标题不高亮，分数按字段权重降低
+  task.tags = ['周报'];
+  task.description = '每周五 report';
+  const tagMatch = index.match(task, 'zb');
+  assert.deepEqual(tagMatch.ranges, []);
+  assert.ok(tagMatch.score < matchField(prepareField('周报'), 'zb').score);
+
+  index.prune([]);
+  assert.equal(index.entries.size, 0);
+});
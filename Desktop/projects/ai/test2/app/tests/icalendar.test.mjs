@@ -0,0 +1,147 @@
+/**
+ * Epic Todo List - iCalendar测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import ICalendar from '../scripts/icalendar.js';
+import { Task } from '../scripts/taskModel.js';
+
+const wrap = body => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...body, 'END:VCALENDAR'].join('\r\n');
+
+test('导出后再导入保留任务字段', () => {
+  const parent = new Task('准备季度汇报', {
+    priority: 'high',
+    category: '工作',
+    tags: ['汇报', 'q4'],
+    description: '第一行; 包含分号, 逗号和 \\ 反斜杠\n第二行',
+    dueDate: new Date(2026, 10, 1, 15, 30).toISOString(),
+    recurrence: { type: 'monthly', interval: 2, monthDay: 1, count: 5 }
+  });
+  const child = new Task('整理数据, 画图表', {
+    parentId: parent.id,
+    priority: 'low',
+    completed: true,
+    completedAt: new Date(2026, 9, 20, 10).toISOString(),
+    dueDate: new Date(2026, 9, 21, 23, 59).toISOString()
+  });
+
+  const text = ICalendar.stringify([parent, child].map(task => task.toJSON()), { name: '我的; 任务' });
+  assert.ok(text.includes('X-WR-CALNAME:我的\\; 任务'));
+  assert.ok(text.includes('DUE;VALUE=DATE:20261021'));
+  assert.ok(text.includes('RRULE:FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=1;COUNT=5'));
+
+  const [first, second] = ICalendar.parse(text);
+  assert.equal(first.id, parent.id);
+  assert.equal(first.text, parent.text);
+  assert.equal(first.description, parent.description);
+  assert.equal(first.priority, 'high');
+  assert.equal(first.category, '工作');
+  assert.deepEqual(first.tags, ['汇报', 'q4']);
+  assert.equal(first.dueDate, parent.dueDate);
+  assert.deepEqual(first.recurrence, { type: 'monthly', interval: 2, monthDay: 1, count: 5 });
+
+  assert.equal(second.text, '整理数据, 画图表');
+  assert.equal(second.parentId, parent.id);
+  assert.equal(second.priority, 'low');
+  assert.equal(second.completed, true);
+  assert.equal(second.completedAt, child.completedAt);
+  assert.equal(second.dueDate, child.dueDate);
+});
+
+test('长行按75字节折行且不拆开多字节字符', () => {
+  const task = new Task('很长的任务标题'.repeat(20), { description: 'a'.repeat(100) + '中文' });
+  const text = ICalendar.stringify([task.toJSON()]);
+  const encoder = new TextEncoder();
+
+  text.split('\r\n').forEach(line => {
+    assert.ok(encoder.encode(line).length <= 75, line);
+    assert.ok(!line.includes('�'));
+  });
+  assert.ok(text.split('\r\n').some(line => line.startsWith(' ')));
+
+  const [parsed] = ICalendar.parse(text);
+  assert.equal(parsed.text, task.text);
+  assert.equal(parsed.description, task.description);
+});
+
+test('展开其他程序的折行并反转义文本', () => {
+  const [task] = ICalendar.parse(wrap([
+    'BEGIN:VTODO',
+    'UID:a\\,b',
+    'SUMMARY:分两行',
+    '\t写的标题',
+    'DESCRIPTION:第一行\\N第二行\\; 结束\\\\',
+    'CATEGORIES:Work,家里\\,公司',
+    'CATEGORIES:work',
+    'END:VTODO'
+  ]).replace(/\r\n/g, '\n'));
+
+  assert.equal(task.id, 'a,b');
+  assert.equal(task.text, '分两行写的标题');
+  assert.equal(task.description, '第一行\n第二行; 结束\\');
+  assert.deepEqual(task.tags, ['work', '家里,公司']);
+});
+
+test('带引号的参数和时区', () => {
+  const [event] = ICalendar.parse(wrap([
+    'BEGIN:VTIMEZONE',
+    'TZID:Custom Zone',
+    'BEGIN:STANDARD',
+    'TZOFFSETTO:+0800',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+    'BEGIN:VEVENT',
+    'SUMMARY:会议',
+    'DTSTART;TZID="Custom Zone";X-NOTE="a:b;c":20261101T090000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:上海',
+    'DTSTART;TZID=Asia/Shanghai:20261101T090000',
+    'END:VEVENT'
+  ]));
+  assert.equal(event.dueDate, '2026-11-01T01:00:00.000Z');
+  assert.equal(ICalendar.parse(wrap(['BEGIN:VEVENT', 'SUMMARY:上海', 'DTSTART;TZID=Asia/Shanghai:20261101T090000', 'END:VEVENT']))[0].dueDate, '2026-11-01T01:00:00.000Z');
+});
+
+test('格式错误的内容不导入', () => {
+  assert.throws(() => ICalendar.parse('BEGIN:VTODO\nSUMMARY:x\nEND:VTODO'), /不是有效的iCalendar文件/);
+  assert.throws(() => ICalendar.parse(''), /不是有效的iCalendar文件/);
+
+  const tasks = ICalendar.parse(wrap([
+    'END:VTODO',
+    '没有冒号的行',
+    'BEGIN:VTODO',
+    'SUMMARY:无效日期',
+    'DUE:20261345',
+    'CREATED:20261101T250000Z',
+    'PRIORITY:abc',
+    'RRULE:FREQ=YEARLY',
+    'END:VTODO',
+    'BEGIN:VTODO',
+    'SUMMARY:   ',
+    'END:VTODO',
+    'BEGIN:VEVENT',
+    'UID:repeat',
+    'RECURRENCE-ID:20261101T090000Z',
+    'SUMMARY:单独修改的一次',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'SUMMARY:没有结束'
+  ]));
+
+  assert.equal(tasks.length, 1);
+  assert.equal(tasks[0].text, '无效日期');
+  assert.equal(tasks[0].dueDate, null);
+  assert.equal(tasks[0].createdAt, null);
+  assert.equal(tasks[0].priority, undefined);
+  assert.equal(tasks[0].recurrence, null);
+
+  // 导入时交给 Task 规范化，无效字段不会进入任务
+  const task = new Task(tasks[0].text, tasks[0]);
+  assert.equal(task.dueDate, null);
+  assert.ok(!isNaN(new Date(task.createdAt).getTime()));
+});
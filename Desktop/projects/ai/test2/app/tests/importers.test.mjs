@@ -0,0 +1,232 @@
+/**
+ * Epic Todo List - 第三方导入测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRecurrenceText } from '../scripts/importers.js';
+import storageManager from '../scripts/storage.js';
+import { Task } from '../scripts/taskModel.js';
+
+/**
+ * 模拟 File，只提供 readExternal 用到的字段
+ */
+function createFile(name, content) {
+  const text = typeof content === 'string' ? content : JSON.stringify(content);
+  return { name, arrayBuffer: async () => new TextEncoder().encode(text).buffer };
+}
+
+const findDrop = (report, reason) => report.dropped.find(item => item.reason === reason);
+const findMapped = (report, label) => report.mapped.find(item => item.label === label);
+
+const trelloBoard = {
+  lists: [
+    { id: 'l2', name: '进行中' },
+    { id: 'l1', name: '待办' },
+    { id: 'l3', name: '旧列表', closed: true }
+  ],
+  labels: [{ id: 'lb1', name: 'Urgent Work', color: 'red' }, { id: 'lb2', name: '', color: 'green' }],
+  cards: [
+    { id: '5f5a3b000000000000000002', idList: 'l1', pos: 2, name: '第二张', idLabels: ['lb1', 'lb2'], due: '2026-11-01T09:00:00.000Z', dueComplete: true, dateLastActivity: '2026-10-10T00:00:00.000Z' },
+    { id: '5f5a3b000000000000000001', idList: 'l2', pos: 9, name: '  第一张  ', desc: '描述', badges: { attachments: 2 } },
+    { id: 'c3', idList: 'l1', pos: 1, name: '   ' },
+    { id: 'c4', idList: 'l1', pos: 3, name: '已归档卡片', closed: true },
+    { id: 'c5', idList: 'l3', pos: 1, name: '旧卡片' },
+    { id: 'c6', idList: 'l1', pos: 4, name: '无效日期', due: 'someday' }
+  ],
+  checklists: [
+    { id: 'k1', idCard: '5f5a3b000000000000000001', pos: 1, name: '清单', checkItems: [
+      { id: 'i2', name: '第二步', pos: 2, state: 'incomplete' },
+      { id: 'i1', name: '第一步', pos: 1, state: 'complete' },
+      { id: 'i3', name: ' ', pos: 3 }
+    ] }
+  ]
+};
+
+test('Trello 看板按列表顺序导入，重复导入的ID不变', async () => {
+  const result = await storageManager.readExternal(createFile('board.json', trelloBoard));
+  assert.equal(result.importer, 'trello');
+
+  const texts = result.tasks.map(task => task.text);
+  assert.deepEqual(texts, ['第一张', '第一步', '第二步', '第二张', '无效日期']);
+
+  const [first, step, , second, invalid] = result.tasks;
+  assert.equal(first.id, 'trello-5f5a3b000000000000000001');
+  assert.equal(first.category, '进行中');
+  assert.equal(first.createdAt, new Date(0x5f5a3b00 * 1000).toISOString());
+  assert.equal(step.parentId, first.id);
+  assert.equal(step.completed, true);
+  assert.deepEqual(second.tags, ['urgent-work', 'green']);
+  assert.equal(second.completed, true);
+  assert.equal(second.completedAt, '2026-10-10T00:00:00.000Z');
+  assert.equal(invalid.dueDate, null);
+
+  assert.deepEqual(findDrop(result.report, '卡片标题为空').items, ['c3']);
+  assert.deepEqual(findDrop(result.report, '卡片已在 Trello 中归档').items, ['已归档卡片']);
+  assert.deepEqual(findDrop(result.report, '所在列表已在 Trello 中归档').items, ['旧列表 / 旧卡片']);
+  assert.deepEqual(findDrop(result.report, '附件不支持导入').items, ['第一张（2 个）']);
+  assert.deepEqual(findDrop(result.report, '无法识别的日期').items, ['无效日期（someday）']);
+  assert.equal(findMapped(result.report, '到期日期 → 到期时间').count, 1);
+
+  const again = await storageManager.readExternal(createFile('board.json', trelloBoard));
+  assert.deepEqual(again.tasks.map(task => task.id), result.tasks.map(task => task.id));
+});
+
+test('Todoist CSV 模板的缩进、分区、评论和日期', async () => {
+  const csv = [
+    'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE',
+    'section,第一阶段,,,,,,,,',
+    'task,设计 @Design @design,"多行\n描述",1,1,,,2026-11-01,en,',
+    'note,"评论, 带逗号",,,,,,,,',
+    'task,画原型,,4,2,,someone,every monday,en,',
+    'task,孤立的深层缩进,,3,5,,,2026-02-30,en,',
+    'task,@only,,4,1,,,,,',
+    'folder,未知类型,,,,,,,,'
+  ].join('\n');
+
+  const result = await storageManager.readExternal(createFile('网站改版.csv', csv));
+  assert.equal(result.importer, 'todoist-csv');
+  assert.deepEqual(result.tasks.map(task => task.text), ['设计', '画原型', '孤立的深层缩进']);
+
+  const [design, prototype, orphan] = result.tasks;
+  assert.equal(design.category, '网站改版');
+  assert.deepEqual(design.tags, ['design', '第一阶段']);
+  assert.equal(design.priority, 'high');
+  assert.equal(design.description, '多行\n描述\n\n评论, 带逗号');
+  assert.equal(design.dueDate, new Date(2026, 10, 1, 23, 59).toISOString());
+
+  assert.equal(prototype.parentId, design.id);
+  assert.deepEqual(prototype.recurrence, { type: 'weekly', interval: 1, weekdays: [1] });
+  assert.equal(orphan.parentId, prototype.id);
+  assert.equal(orphan.priority, 'low');
+  assert.equal(orphan.dueDate, null);
+
+  assert.deepEqual(findDrop(result.report, '无法识别的日期').items, ['孤立的深层缩进（2026-02-30）']);
+  assert.deepEqual(findDrop(result.report, '任务内容为空').items, ['@only']);
+  assert.deepEqual(findDrop(result.report, '不支持的行类型 "folder"').items, ['未知类型']);
+  assert.deepEqual(findDrop(result.report, '负责人不支持导入').items, ['画原型']);
+});
+
+test('Todoist JSON 备份', async () => {
+  const backup = {
+    projects: [{ id: 2, name: '家里' }, { id: 1, name: '工作' }],
+    sections: [{ id: 10, name: '本周' }],
+    labels: [{ id: 7, name: 'Errand' }],
+    items: [
+      { id: 101, project_id: 1, content: '写报告', priority: 4, child_order: 1, section_id: 10, labels: [7], checked: true, completed_at: '2026-10-01T08:00:00Z', description: '说明' },
+      { id: 102, project_id: 1, parent_id: 101, content: '查资料', priority: 1, child_order: 2, due: { date: '2026-11-02T10:00:00', string: 'every 2 weeks', is_recurring: true } },
+      { id: 103, project_id: 2, content: '买菜', child_order: 1, parent_id: 999, due: { string: 'every full moon', is_recurring: true } },
+      { id: 104, project_id: 2, content: '删掉的', is_deleted: true },
+      { id: 105, project_id: 2, content: '' }
+    ],
+    notes: [{ item_id: 101, content: '评论' }, { item_id: 101, content: '删掉的评论', is_deleted: true }]
+  };
+
+  const result = await storageManager.readExternal(createFile('backup.json', backup));
+  assert.equal(result.importer, 'todoist-json');
+  assert.deepEqual(result.tasks.map(task => task.text), ['买菜', '写报告', '查资料']);
+
+  const [groceries, report, research] = result.tasks;
+  assert.equal(groceries.parentId, null);
+  assert.equal(groceries.recurrence, undefined);
+  assert.equal(report.id, 'todoist-101');
+  assert.equal(report.priority, 'high');
+  assert.deepEqual(report.tags, ['errand', '本周']);
+  assert.equal(report.description, '说明\n\n评论');
+  assert.equal(report.completedAt, '2026-10-01T08:00:00.000Z');
+  assert.equal(research.parentId, 'todoist-101');
+  assert.equal(research.dueDate, new Date(2026, 10, 2, 10).toISOString());
+  assert.deepEqual(research.recurrence, { type: 'weekly', interval: 2 });
+
+  assert.deepEqual(findDrop(result.report, '无法识别的重复日期').items, ['买菜（every full moon）']);
+  assert.deepEqual(findDrop(result.report, '任务已在 Todoist 中删除').items, ['删掉的']);
+  assert.deepEqual(findDrop(result.report, '任务内容为空').items, ['105']);
+});
+
+test('Microsoft To Do 列表', async () => {
+  const lists = {
+    value: [{
+      displayName: '购物',
+      tasks: [
+        {
+          id: 'm1', title: '买咖啡', importance: 'high', status: 'completed', categories: ['Red Category'],
+          completedDateTime: { dateTime: '2026-10-01T08:00:00.0000000', timeZone: 'UTC' },
+          body: { contentType: 'html', content: '<p>两包&amp;一盒</p><div>豆子 &lt;深烘&gt;</div>' },
+          dueDateTime: { dateTime: '2026-10-02T00:00:00.0000000', timeZone: 'UTC' },
+          recurrence: { pattern: { type: 'absoluteMonthly', interval: 1, dayOfMonth: 2 }, range: { type: 'numbered', numberOfOccurrences: 3 } },
+          checklistItems: [{ id: 's1', displayName: '比价', isChecked: true, checkedDateTime: '2026-09-30T00:00:00Z' }]
+        },
+        {
+          id: 'm2', title: '月末对账', importance: 'normal', status: 'waitingOnOthers',
+          dueDateTime: { dateTime: '2026-02-30T00:00:00.0000000', timeZone: 'UTC' },
+          completedDateTime: { dateTime: '2026-13-01T00:00:00.0000000', timeZone: 'UTC' },
+          recurrence: { pattern: { type: 'relativeMonthly', interval: 1, daysOfWeek: ['friday'], index: 'last' } }
+        },
+        { id: 'm3', title: '', importance: 'low' }
+      ]
+    }]
+  };
+
+  const result = await storageManager.readExternal(createFile('todo.json', lists));
+  assert.equal(result.importer, 'microsoft-todo');
+  assert.deepEqual(result.tasks.map(task => task.text), ['买咖啡', '比价', '月末对账']);
+
+  const [coffee, step, reconcile] = result.tasks;
+  assert.equal(coffee.id, 'mstodo-m1');
+  assert.equal(coffee.category, '购物');
+  assert.deepEqual(coffee.tags, ['red-category']);
+  assert.equal(coffee.description, '两包&一盒\n豆子 <深烘>');
+  assert.equal(coffee.completedAt, '2026-10-01T08:00:00.000Z');
+  assert.equal(coffee.dueDate, new Date(2026, 9, 2, 23, 59).toISOString());
+  assert.deepEqual(coffee.recurrence, { type: 'monthly', interval: 1, monthDay: 2, count: 3 });
+  assert.equal(step.parentId, coffee.id);
+  assert.equal(step.completed, true);
+
+  assert.equal(reconcile.completed, false);
+  assert.equal(reconcile.dueDate, null);
+  assert.equal(reconcile.recurrence, undefined);
+  assert.deepEqual(findDrop(result.report, '无法识别的日期').items, ['月末对账（2026-02-30T00:00:00.0000000）']);
+  assert.deepEqual(findDrop(result.report, '不支持的重复方式（按第几个星期几重复）').items, ['月末对账']);
+  assert.deepEqual(findDrop(result.report, '状态"waitingOnOthers"不保留，导入为未完成').items, ['月末对账']);
+  assert.deepEqual(findDrop(result.report, '任务标题为空').items, ['m3']);
+});
+
+test('导入的数据经过 Task 规范化后可以正常使用', async () => {
+  const result = await storageManager.readExternal(createFile('board.json', trelloBoard));
+  const tasks = result.tasks.map(data => new Task(data.text, data));
+  tasks.forEach(task => {
+    assert.ok(!isNaN(new Date(task.createdAt).getTime()));
+    assert.equal(task.toJSON().text, task.text);
+  });
+});
+
+test('格式错误或不认识的文件', async () => {
+  assert.equal(await storageManager.readExternal(createFile('broken.json', '{"cards": [')), null);
+  assert.equal(await storageManager.readExternal(createFile('other.json', { tasks: [] })), null);
+  assert.equal(await storageManager.readExternal(createFile('empty.json', { value: [] })), null);
+  assert.equal(await storageManager.readExternal(createFile('plain.csv', 'a,b\n1,2')), null);
+  await assert.rejects(storageManager.readExternal(null), /请选择要导入的文件/);
+
+  // 结构能识别但内容损坏时给出来源名称
+  await assert.rejects(
+    storageManager.readExternal(createFile('board.json', { lists: [null], cards: [] })),
+    /^Error: Trello 数据解析失败/
+  );
+});
+
+test('识别常见的重复日期写法', () => {
+  assert.deepEqual(parseRecurrenceText('Every 3 Days'), { type: 'daily', interval: 3 });
+  assert.deepEqual(parseRecurrenceText('every year'), { type: 'monthly', interval: 12 });
+  assert.deepEqual(parseRecurrenceText('every weekday'), { type: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] });
+  assert.deepEqual(parseRecurrenceText('every mon, wed and fri'), { type: 'weekly', interval: 1, weekdays: [1, 3, 5] });
+  assert.deepEqual(parseRecurrenceText('每2周'), { type: 'weekly', interval: 2 });
+  assert.deepEqual(parseRecurrenceText('每周一、三'), { type: 'weekly', interval: 1, weekdays: [1, 3] });
+
+  assert.equal(parseRecurrenceText('every mo'), null);
+  assert.equal(parseRecurrenceText('every other blue moon'), null);
+  assert.equal(parseRecurrenceText(''), null);
+  assert.equal(parseRecurrenceText(null), null);
+});
@@ -0,0 +1,186 @@
+/**
+ * Epic Todo List - 测试用的最小 IndexedDB 实现
+ * 作者: 乔帅
+ * 功能: 只实现 IndexedDBAdapter 用到的接口，数据保存在内存中
+ *
+ * 请求结果在下一个宏任务中返回，事务在没有待完成的请求后触发 oncomplete，
+ * 与浏览器中"等待请求后继续在同一事务中操作"的行为一致
+ */
+
+class FakeRequest {
+  constructor(transaction, run) {
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+
+    transaction.pending++;
+    setTimeout(() => {
+      try {
+        this.result = run();
+        if (this.onsuccess) this.onsuccess();
+      } catch (error) {
+        this.error = error;
+        if (this.onerror) this.onerror();
+      }
+      transaction.pending--;
+      transaction.scheduleComplete();
+    });
+  }
+}
+
+class FakeIndex {
+  constructor(store, keyPath) {
+    this.store = store;
+    this.keyPath = keyPath;
+  }
+
+  sorted() {
+    return [...this.store.records.values()].sort((a, b) => a[this.keyPath] - b[this.keyPath]);
+  }
+
+  getAll() {
+    return new FakeRequest(this.store.transaction, () => this.sorted().map(clone));
+  }
+
+  openCursor() {
+    return new FakeRequest(this.store.transaction, () => {
+      const first = this.sorted()[0];
+      return first ? { value: clone(first) } : null;
+    });
+  }
+}
+
+class FakeObjectStore {
+  constructor(definition, transaction) {
+    this.definition = definition;
+    this.records = definition.records;
+    this.transaction = transaction;
+  }
+
+  createIndex(name, keyPath) {
+    this.definition.indexes[name] = keyPath;
+  }
+
+  index(name) {
+    return new FakeIndex(this, this.definition.indexes[name]);
+  }
+
+  get(key) {
+    return new FakeRequest(this.transaction, () => clone(this.records.get(key)));
+  }
+
+  put(value) {
+    return new FakeRequest(this.transaction, () => {
+      this.records.set(value[this.definition.keyPath], clone(value));
+    });
+  }
+
+  delete(key) {
+    return new FakeRequest(this.transaction, () => {
+      this.records.delete(key);
+    });
+  }
+
+  clear() {
+    return new FakeRequest(this.transaction, () => {
+      this.records.clear();
+    });
+  }
+
+  count() {
+    return new FakeRequest(this.transaction, () => this.records.size);
+  }
+}
+
+class FakeTransaction {
+  constructor(db, names) {
+    this.db = db;
+    this.names = [].concat(names);
+    this.pending = 0;
+    this.done = false;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this.scheduleComplete();
+  }
+
+  objectStore(name) {
+    if (!this.names.includes(name)) {
+      throw new Error(`对象仓库 ${name} 不在事务范围内`);
+    }
+    return new FakeObjectStore(this.db.stores.get(name), this);
+  }
+
+  scheduleComplete() {
+    setTimeout(() => {
+      if (this.done || this.pending > 0) return;
+      this.done = true;
+      if (this.oncomplete) this.oncomplete();
+    });
+  }
+}
+
+class FakeDatabase {
+  constructor() {
+    this.stores = new Map();
+    this.version = 0;
+    this.objectStoreNames = { contains: name => this.stores.has(name) };
+  }
+
+  createObjectStore(name, { keyPath }) {
+    const definition = { keyPath, indexes: {}, records: new Map() };
+    this.stores.set(name, definition);
+    return new FakeObjectStore(definition, null);
+  }
+
+  transaction(names) {
+    return new FakeTransaction(this, names);
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * 创建一个 indexedDB 对象，同名数据库在多次 open 之间保留数据
+ */
+function createIndexedDB() {
+  const databases = new Map();
+
+  return {
+    databases,
+    open(name, version = 1) {
+      const request = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null, onblocked: null };
+
+      setTimeout(() => {
+        if (!databases.has(name)) databases.set(name, new FakeDatabase());
+        const db = databases.get(name);
+        request.result = db;
+        if (db.version < version) {
+          db.version = version;
+          if (request.onupgradeneeded) request.onupgradeneeded();
+        }
+        if (request.onsuccess) request.onsuccess();
+      });
+
+      return request;
+    }
+  };
+}
+
+/**
+ * 创建内存中的 localStorage
+ */
+function createLocalStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    hasOwnProperty: key => items.has(key)
+  };
+}
+
+export { createIndexedDB, createLocalStorage };
@@ -0,0 +1,86 @@
+/**
+ * Epic Todo List - 数据迁移测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StorageManager } from '../scripts/storage.js';
+import { Task } from '../scripts/taskModel.js';
+
+const storage = new StorageManager();
+
+test('1.0.0 的数据迁移到当前版本', () => {
+  const legacy = [
+    { id: 'a', text: '旧任务', list: '工作', tags: 'Work, 紧急 ,work,', createdAt: 1760000000000, dueDate: 'not a date' },
+    { id: 'b', text: '带位置', project: '家里', tags: ['X'], position: 7, updatedAt: '' }
+  ];
+
+  const result = storage.migrateTasks(legacy, undefined);
+  assert.equal(result.fromVersion, '1.0.0');
+  assert.equal(result.toVersion, storage.schemaVersion);
+  assert.deepEqual(result.applied.map(step => step.version), ['1.1.0', '1.2.0', '1.3.0', '1.4.0', '1.5.0', '1.6.0']);
+
+  const [first, second] = result.tasks;
+  assert.equal(first.category, '工作');
+  assert.ok(!('list' in first));
+  assert.deepEqual(first.tags, ['work', '紧急']);
+  assert.equal(first.createdAt, new Date(1760000000000).toISOString());
+  assert.equal(first.dueDate, null);
+  assert.equal(first.position, 0);
+  assert.deepEqual(first.blockedBy, []);
+  assert.equal(first.parentId, null);
+  assert.equal(first.deletedAt, null);
+  assert.equal(first.archivedAt, null);
+  assert.equal(first.recurredFrom, null);
+
+  assert.equal(second.category, '家里');
+  assert.deepEqual(second.tags, ['x']);
+  assert.equal(second.position, 7);
+  assert.equal(second.updatedAt, null);
+
+  // 原数据不被修改
+  assert.equal(legacy[0].list, '工作');
+  assert.equal(legacy[0].tags, 'Work, 紧急 ,work,');
+});
+
+test('当前版本的数据原样保留，迁移过的数据再次迁移不再变化', () => {
+  const tasks = [new Task('任务', { tags: ['a'], dueDate: new Date(2026, 10, 1).toISOString() }).toJSON()];
+  const current = storage.migrateTasks(tasks, storage.schemaVersion);
+  assert.deepEqual(current.applied, []);
+  assert.deepEqual(current.tasks, tasks);
+
+  const migrated = storage.migrateTasks(tasks, '1.0.0');
+  assert.ok(migrated.applied.every(step => step.changed === 0));
+  assert.deepEqual(migrated.tasks, tasks);
+});
+
+test('拒绝更高版本的数据', () => {
+  assert.throws(() => storage.migrateTasks([], '9.0.0'), /数据版本 9\.0\.0 高于当前应用支持的版本/);
+  assert.throws(() => storage.migrateTasks([], '1.6.1'), /高于当前应用支持的版本/);
+  assert.equal(storage.compareVersions('1.10.0', '1.9.0') > 0, true);
+  assert.equal(storage.compareVersions('1.6', '1.6.0'), 0);
+});
+
+test('格式错误的字段和导入数据', () => {
+  const [task] = storage.migrateTasks([{ id: 'a', text: 'x', tags: 42, category: null, completedAt: {} }], '1.0.0').tasks;
+  assert.deepEqual(task.tags, []);
+  assert.equal(task.category, 'default');
+  assert.equal(task.completedAt, null);
+
+  assert.throws(() => storage.registerMigration('1.2.0', '重复', value => value), /迁移版本 1\.2\.0 已存在/);
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(storage.validateImportData(null), false);
+    assert.equal(storage.validateImportData({ data: { tasks: {} } }), false);
+    assert.equal(storage.validateImportData({ data: { tasks: [{ id: 'a', text: 1 }] } }), false);
+    assert.equal(storage.validateImportData({ data: { tasks: [null] } }), false);
+    assert.equal(storage.validateImportData({ data: { tasks: [{ id: 'a', text: '' }] } }), true);
+  } finally {
+    console.error = originalError;
+  }
+});
@@ -0,0 +1,62 @@
+/**
+ * Epic Todo List - 手动排序测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import taskManager, { Task } from '../scripts/taskModel.js';
+
+await taskManager.ready;
+
+test.beforeEach(() => {
+  taskManager.tasks = [];
+});
+
+const order = (parentId = null) => taskManager.getOrderedSiblings(parentId).map(task => task.text);
+
+test('新任务放在同级最前面，调整顺序后重新编号', () => {
+  const c = taskManager.addTask('C');
+  taskManager.addTask('B');
+  const a = taskManager.addTask('A');
+  assert.deepEqual(order(), ['A', 'B', 'C']);
+
+  taskManager.reorderTask(a.id, c.id, 'after');
+  assert.deepEqual(order(), ['B', 'C', 'A']);
+  assert.deepEqual(taskManager.getOrderedSiblings().map(task => task.position), [0, 1, 2]);
+
+  taskManager.reorderTask(c.id, c.id);
+  assert.deepEqual(order(), ['B', 'C', 'A']);
+
+  taskManager.undo();
+  assert.deepEqual(order(), ['A', 'B', 'C']);
+});
+
+test('顺序随任务数据保存和恢复', () => {
+  const first = taskManager.addTask('第一');
+  const second = taskManager.addTask('第二');
+  taskManager.reorderTask(first.id, second.id, 'before');
+
+  const restored = taskManager.tasks.map(task => Task.fromJSON(JSON.parse(JSON.stringify(task.toJSON()))));
+  taskManager.tasks = restored;
+  assert.deepEqual(order(), ['第一', '第二']);
+});
+
+test('子任务只在同一层级内调整顺序', () => {
+  const parent = taskManager.addTask('父任务');
+  const other = taskManager.addTask('另一个');
+  const x = taskManager.addTask('X', { parentId: parent.id });
+  const y = taskManager.addTask('Y', { parentId: parent.id });
+  assert.deepEqual(order(parent.id), ['Y', 'X']);
+
+  taskManager.reorderTask(y.id, x.id, 'after');
+  assert.deepEqual(order(parent.id), ['X', 'Y']);
+  assert.deepEqual(order(), ['另一个', '父任务']);
+
+  assert.throws(() => taskManager.reorderTask(x.id, other.id), /只能在同一层级内调整顺序/);
+  assert.throws(() => taskManager.reorderTask('missing', x.id), /任务不存在/);
+  assert.throws(() => taskManager.reorderTask(x.id, 'missing'), /任务不存在/);
+  assert.deepEqual(order(parent.id), ['X', 'Y']);
+});
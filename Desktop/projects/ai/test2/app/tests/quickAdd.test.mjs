@@ -0,0 +1,56 @@
+/**
+ * Epic Todo List - 快速添加解析测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import quickAddParser from '../scripts/quickAdd.js';
+
+// 2026-10-14 是周三
+const now = new Date(2026, 9, 14, 9, 0);
+
+test('普通文本中的星期缩写不当作日期', () => {
+  const issue = quickAddParser.parse('Fix issue #12 sun', now);
+  assert.equal(issue.dueDate, null);
+  assert.equal(issue.text, 'Fix issue sun');
+  assert.deepEqual(issue.tags, ['12']);
+
+  const party = quickAddParser.parse('Sat night party', now);
+  assert.equal(party.dueDate, null);
+  assert.equal(party.text, 'Sat night party');
+});
+
+test('星期缩写在触发词之后或紧跟时间时识别', () => {
+  const on = quickAddParser.parse('Party on sat', now);
+  assert.equal(on.text, 'Party');
+  assert.equal(new Date(on.dueDate).getDate(), 17);
+
+  const next = quickAddParser.parse('Review next fri', now);
+  assert.equal(next.text, 'Review');
+  assert.equal(new Date(next.dueDate).getDate(), 23);
+
+  const timed = quickAddParser.parse('Call mom sun 3pm', now);
+  assert.equal(timed.text, 'Call mom');
+  const due = new Date(timed.dueDate);
+  assert.equal(due.getDate(), 18);
+  assert.equal(due.getHours(), 15);
+});
+
+test('完整的星期名称无需触发词', () => {
+  const result = quickAddParser.parse('Submit report friday', now);
+  assert.equal(result.text, 'Submit report');
+  assert.equal(new Date(result.dueDate).getDate(), 16);
+});
+
+test('时间前的 at 与时间一起移除', () => {
+  const result = quickAddParser.parse('meet at 10:30', now);
+  assert.equal(result.text, 'meet');
+  const due = new Date(result.dueDate);
+  assert.equal(due.getHours(), 10);
+  assert.equal(due.getMinutes(), 30);
+
+  assert.equal(quickAddParser.parse('Chat 10:30', now).text, 'Chat');
+});
@@ -0,0 +1,110 @@
+/**
+ * Epic Todo List - 重复任务测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import RecurrenceRule from '../scripts/recurrence.js';
+import taskManager from '../scripts/taskModel.js';
+
+await taskManager.ready;
+
+test.beforeEach(() => {
+  taskManager.tasks = [];
+});
+
+test('每月N日：本月的N日还没到时就是本月', () => {
+  const rule = RecurrenceRule.normalize({ type: 'monthly', interval: 1, monthDay: 15 });
+
+  const next = RecurrenceRule.getNextDate(rule, new Date(2026, 0, 10, 9, 0));
+  assert.equal(next.getMonth(), 0);
+  assert.equal(next.getDate(), 15);
+
+  const after = RecurrenceRule.getNextDate(rule, new Date(2026, 0, 15, 9, 0));
+  assert.equal(after.getMonth(), 1);
+  assert.equal(after.getDate(), 15);
+});
+
+test('每月31日：短月份取月末', () => {
+  const rule = RecurrenceRule.normalize({ type: 'monthly', interval: 1, monthDay: 31 });
+
+  const next = RecurrenceRule.getNextDate(rule, new Date(2026, 1, 10, 9, 0));
+  assert.equal(next.getMonth(), 1);
+  assert.equal(next.getDate(), 28);
+});
+
+test('完成后再取消完成：撤回生成的下一次任务，重复规则回到原任务', () => {
+  const task = taskManager.addTask('交房租', {
+    dueDate: new Date(2026, 0, 10, 23, 59).toISOString(),
+    recurrence: { type: 'monthly', interval: 1, monthDay: 15 }
+  });
+
+  taskManager.updateTask(task.id, { completed: true });
+  const next = taskManager.tasks.find(t => t.recurredFrom === task.id);
+  assert.ok(next, '完成时应生成下一次任务');
+  assert.equal(new Date(next.dueDate).getDate(), 15);
+  assert.equal(task.recurrence, null);
+  assert.equal(taskManager.tasks.length, 2);
+
+  taskManager.updateTask(task.id, { completed: false });
+  assert.equal(taskManager.tasks.length, 1);
+  assert.ok(!taskManager.tasks.some(t => t.id === next.id));
+  assert.equal(task.recurrence.type, 'monthly');
+  assert.equal(task.recurrence.monthDay, 15);
+  assert.equal(task.recurrence.occurrence, 1);
+
+  // 再次完成时重新生成，不会重复
+  taskManager.updateTask(task.id, { completed: true });
+  assert.equal(taskManager.tasks.filter(t => t.recurredFrom === task.id).length, 1);
+});
+
+test('下一次任务已完成时取消完成原任务不撤回', () => {
+  const task = taskManager.addTask('周报', {
+    dueDate: new Date(2026, 0, 9, 23, 59).toISOString(),
+    recurrence: { type: 'weekly', interval: 1 }
+  });
+
+  taskManager.updateTask(task.id, { completed: true });
+  const next = taskManager.tasks.find(t => t.recurredFrom === task.id);
+  taskManager.updateTask(next.id, { completed: true });
+
+  taskManager.updateTask(task.id, { completed: false });
+  assert.ok(taskManager.tasks.some(t => t.id === next.id));
+  assert.equal(task.recurrence, null);
+});
+
+test('没有指定日期的每月规则经过短月份后回到原日期', () => {
+  const task = taskManager.addTask('月底对账', {
+    dueDate: new Date(2026, 0, 31, 18, 0).toISOString(),
+    recurrence: { type: 'monthly', interval: 1 }
+  });
+  assert.equal(task.recurrence.monthDay, 31);
+
+  taskManager.updateTask(task.id, { completed: true });
+  const february = taskManager.tasks.find(t => t.recurredFrom === task.id);
+  assert.equal(new Date(february.dueDate).getMonth(), 1);
+  assert.equal(new Date(february.dueDate).getDate(), 28);
+
+  taskManager.updateTask(february.id, { completed: true });
+  const march = taskManager.tasks.find(t => t.recurredFrom === february.id);
+  assert.equal(new Date(march.dueDate).getMonth(), 2);
+  assert.equal(new Date(march.dueDate).getDate(), 31);
+});
+
+test('撤回的下一次任务从搜索索引中移除', () => {
+  const task = taskManager.addTask('浇花', {
+    dueDate: new Date(2026, 0, 9, 23, 59).toISOString(),
+    recurrence: { type: 'weekly', interval: 1 }
+  });
+
+  taskManager.updateTask(task.id, { completed: true });
+  const next = taskManager.tasks.find(t => t.recurredFrom === task.id);
+  taskManager.searchIndex.getEntry(next);
+  assert.ok(taskManager.searchIndex.entries.has(next.id));
+
+  taskManager.updateTask(task.id, { completed: false });
+  assert.ok(!taskManager.searchIndex.entries.has(next.id));
+});
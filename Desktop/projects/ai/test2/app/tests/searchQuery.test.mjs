@@ -0,0 +1,35 @@
+/**
+ * Epic Todo List - 搜索查询测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import searchQueryParser from '../scripts/searchQuery.js';
+
+test('相对日期在匹配时按当前日期换算', () => {
+  const node = searchQueryParser.parse('due:today');
+  assert.equal(node.value, 'today');
+
+  const due = new Date(2026, 9, 20, 18, 0).toISOString();
+  const beforeMidnight = new Date(2026, 9, 19, 23, 59);
+  const afterMidnight = new Date(2026, 9, 20, 0, 1);
+
+  assert.equal(searchQueryParser.matchesDate(due, node, beforeMidnight), false);
+  assert.equal(searchQueryParser.matchesDate(due, node, afterMidnight), true);
+});
+
+test('偏移日期同样在匹配时换算', () => {
+  const node = searchQueryParser.parse('due:<=+7d');
+  const due = new Date(2026, 9, 27, 9, 0).toISOString();
+
+  assert.equal(searchQueryParser.matchesDate(due, node, new Date(2026, 9, 19, 12, 0)), false);
+  assert.equal(searchQueryParser.matchesDate(due, node, new Date(2026, 9, 20, 12, 0)), true);
+});
+
+test('无效日期在解析时报错', () => {
+  assert.throws(() => searchQueryParser.parse('due:2026-02-30'), /无效的日期/);
+  assert.throws(() => searchQueryParser.parse('due:<someday'), /无效的日期/);
+});
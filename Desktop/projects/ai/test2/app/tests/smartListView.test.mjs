@@ -0,0 +1,33 @@
+/**
+ * Epic Todo List - 智能列表侧边栏测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import SmartListView from '../scripts/smartListView.js';
+
+/**
+ * 不依赖 DOM 地渲染单个列表项
+ */
+function renderItem(list) {
+  const view = Object.create(SmartListView.prototype);
+  view.smartLists = { isActive: () => false, count: () => 3 };
+  return view.renderItem(list);
+}
+
+test('同步或导入的列表名称和查询不能跳出属性值', () => {
+  const html = renderItem({
+    id: 'list-1" data-x="1',
+    name: '工作" onmouseover="alert(1)',
+    icon: '📋',
+    searchQuery: 'tag:a\' onfocus=\'alert(2)'
+  });
+
+  assert.ok(!html.includes('" onmouseover="'));
+  assert.ok(!html.includes('\' onfocus=\''));
+  assert.ok(!html.includes('" data-x="'));
+  assert.ok(html.includes('title="工作&quot; onmouseover=&quot;alert(1)：tag:a&#39; onfocus=&#39;alert(2)"'));
+});
@@ -0,0 +1,261 @@
+/**
+ * Epic Todo List - 任务存储测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MemoryAdapter, LocalStorageAdapter, IndexedDBAdapter } from '../scripts/storageAdapters.js';
+import storageManager, { StorageManager } from '../scripts/storage.js';
+import HistoryManager from '../scripts/history.js';
+import taskManager from '../scripts/taskModel.js';
+import { createIndexedDB, createLocalStorage } from './indexedDBStub.mjs';
+
+await taskManager.ready;
+
+/**
+ * 记录整体保存和单条写入次数的内存适配器
+ */
+class CountingAdapter extends MemoryAdapter {
+  constructor() {
+    super();
+    this.calls = { save: 0, put: 0, delete: 0 };
+  }
+
+  async save(tasks, version) {
+    this.calls.save++;
+    return super.save(tasks, version);
+  }
+
+  async put(task, order) {
+    this.calls.put++;
+    return super.put(task, order);
+  }
+
+  async delete(taskId) {
+    this.calls.delete++;
+    return super.delete(taskId);
+  }
+}
+
+test('只写入变化的任务，存储中的顺序与列表一致', async () => {
+  const adapter = new CountingAdapter();
+  storageManager.setAdapter(adapter);
+  taskManager.tasks = [];
+  taskManager.savedSnapshot = null;
+
+  const first = taskManager.addTask('第一个');
+  const second = taskManager.addTask('第二个');
+  await taskManager.saveTasks();
+  assert.equal(adapter.calls.save, 1, '第一次整体保存');
+
+  const third = taskManager.addTask('第三个');
+  taskManager.updateTask(first.id, { text: '第一个（改）' });
+  taskManager.removeTask(second.id);
+  taskManager.deleteTaskPermanently(second.id);
+  await taskManager.saveTasks();
+
+  assert.equal(adapter.calls.save, 1, '之后不再整体保存');
+  assert.equal(adapter.calls.put, 2);
+  assert.equal(adapter.calls.delete, 1);
+
+  const stored = await adapter.load();
+  assert.deepEqual(stored.map(task => task.id), taskManager.tasks.map(task => task.id));
+  assert.deepEqual(stored.map(task => task.id), [third.id, first.id]);
+  assert.equal(stored[1].text, '第一个（改）');
+});
+
+test('顺序变化时整体保存', async () => {
+  const adapter = new CountingAdapter();
+  storageManager.setAdapter(adapter);
+  taskManager.tasks = [];
+  taskManager.savedSnapshot = null;
+
+  taskManager.addTask('A');
+  taskManager.addTask('B');
+  await taskManager.saveTasks();
+
+  taskManager.tasks.reverse();
+  await taskManager.saveTasks();
+  assert.equal(adapter.calls.save, 2);
+  assert.deepEqual((await adapter.load()).map(task => task.id), taskManager.tasks.map(task => task.id));
+});
+
+test('清除任务时保留操作历史', async () => {
+  const adapter = new MemoryAdapter();
+  await adapter.saveHistory({ undo: [], redo: [] });
+  await adapter.clear();
+  assert.deepEqual(await adapter.loadHistory(), { undo: [], redo: [] });
+});
+
+test('关闭页面时未保存的变更记入日志，下次加载时补回', async () => {
+  const adapter = new MemoryAdapter();
+  storageManager.setAdapter(adapter);
+  taskManager.tasks = [];
+  taskManager.savedSnapshot = null;
+
+  const kept = taskManager.addTask('已保存');
+  const removed = taskManager.addTask('将被删除');
+  await taskManager.saveTasks();
+
+  // 模拟页面关闭：修改后只写了日志，保存没有完成
+  clearTimeout(taskManager.saveTimer);
+  taskManager.saveTimer = null;
+  taskManager.updateTask(kept.id, { text: '关闭前的修改' });
+  taskManager.removeTask(removed.id);
+  taskManager.deleteTaskPermanently(removed.id);
+  const added = taskManager.addTask('关闭前新增');
+  clearTimeout(taskManager.saveTimer);
+  taskManager.saveTimer = null;
+  assert.equal(taskManager.writeJournal(), true);
+
+  await taskManager.loadTasks();
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.deepEqual(taskManager.tasks.map(task => task.id).sort(), [kept.id, added.id].sort());
+  assert.equal(taskManager.tasks.find(task => task.id === kept.id).text, '关闭前的修改');
+  assert.equal(storageManager.loadJournal(), null, '补回并保存后清除日志');
+
+  const stored = await adapter.load();
+  assert.deepEqual(stored.map(task => task.id).sort(), [kept.id, added.id].sort());
+});
+
+test('日志中较旧的版本不覆盖存储中更新的任务', async () => {
+  const adapter = new MemoryAdapter();
+  storageManager.setAdapter(adapter);
+  taskManager.tasks = [];
+  taskManager.savedSnapshot = null;
+
+  const task = taskManager.addTask('原始');
+  await taskManager.saveTasks();
+  const stale = { ...task.toJSON(), text: '旧日志', updatedAt: new Date(Date.now() - 60000).toISOString() };
+  storageManager.saveJournal({ savedAt: stale.updatedAt, upserts: [{ task: stale, index: 0 }], removals: [] });
+
+  await taskManager.loadTasks();
+
+  assert.equal(taskManager.tasks[0].text, '原始');
+  assert.equal(storageManager.loadJournal(), null);
+});
+
+test('操作历史经 IndexedDB 适配器保存后可以完整读回', async () => {
+  globalThis.indexedDB = createIndexedDB();
+  try {
+    storageManager.setAdapter(new IndexedDBAdapter('history-test'));
+
+    const history = new HistoryManager();
+    await history.ready;
+    const task = { id: 't1', text: '修改前' };
+    history.push('修改任务', [{ id: 't1', before: task, after: { ...task, text: '修改后' }, beforeIndex: 0, afterIndex: 0 }]);
+    history.push('新增任务', [{ id: 't2', before: null, after: { id: 't2', text: '新任务' }, beforeIndex: -1, afterIndex: 0 }]);
+    history.popUndo();
+    assert.equal(await history.flush(), true);
+
+    // 换一个适配器实例，确认数据确实写进了数据库
+    storageManager.setAdapter(new IndexedDBAdapter('history-test'));
+    const restored = new HistoryManager();
+    await restored.ready;
+
+    assert.deepEqual(restored.undoStack, history.undoStack);
+    assert.deepEqual(restored.redoStack, history.redoStack);
+    assert.deepEqual(restored.undoStack[0].changes[0].fields, { text: ['修改前', '修改后'] });
+  } finally {
+    delete globalThis.indexedDB;
+  }
+});
+
+/**
+ * 在模拟的浏览器存储环境中执行，结束后移除
+ */
+async function withBrowserStorage(fn) {
+  globalThis.indexedDB = createIndexedDB();
+  globalThis.localStorage = createLocalStorage();
+  try {
+    await fn();
+  } finally {
+    delete globalThis.indexedDB;
+    delete globalThis.localStorage;
+  }
+}
+
+test('IndexedDB 适配器读写任务和元数据', () => withBrowserStorage(async () => {
+  const adapter = new IndexedDBAdapter('adapter-test');
+
+  assert.equal(await adapter.getMeta('missing'), null);
+  await adapter.setMeta('note', { a: 1 });
+  assert.deepEqual(await adapter.getMeta('note'), { a: 1 });
+
+  await adapter.save([{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }], '9.9.9');
+  assert.equal(await adapter.getVersion(), '9.9.9');
+  assert.deepEqual((await adapter.load()).map(task => task.id), ['a', 'b']);
+
+  await adapter.put({ id: 'c', text: 'C' });
+  await adapter.put({ id: 'a', text: 'A2' });
+  await adapter.delete('b');
+  const tasks = await adapter.load();
+  assert.deepEqual(tasks.map(task => task.id), ['c', 'a']);
+  assert.equal(tasks[1].text, 'A2');
+
+  // 清除只影响任务
+  await adapter.clear();
+  assert.deepEqual(await adapter.load(), []);
+  assert.equal(await adapter.getVersion(), '9.9.9');
+}));
+
+test('init 使用 IndexedDB 并一次性迁移 localStorage 中的旧任务', () => withBrowserStorage(async () => {
+  const legacy = new LocalStorageAdapter('epic-todo-list-data');
+  await legacy.save([{ id: 'old-1', text: '旧任务一' }, { id: 'old-2', text: '旧任务二' }], '1.0.0');
+
+  const manager = new StorageManager();
+  const adapter = await manager.init();
+  assert.ok(adapter instanceof IndexedDBAdapter, '不应回退到 localStorage');
+  assert.ok(await adapter.getMeta('migratedFromLocalStorage'), '迁移完成后写入标记');
+  assert.equal(localStorage.getItem('epic-todo-list-data'), null, '迁移成功后删除旧数据');
+
+  const tasks = await manager.loadTasks();
+  assert.deepEqual(tasks.map(task => task.id), ['old-1', 'old-2']);
+  assert.equal(await adapter.getVersion(), manager.schemaVersion);
+
+  assert.equal(await manager.saveTasks([...tasks, { ...tasks[0], id: 'new-1', text: '新任务' }]), true);
+  assert.deepEqual((await manager.loadTasks()).map(task => task.id), ['old-1', 'old-2', 'new-1']);
+
+  // 已有标记时不再迁移
+  await legacy.save([{ id: 'late', text: '标记之后写入的旧数据' }], '1.0.0');
+  const second = new StorageManager();
+  await second.init();
+  assert.ok(!(await second.loadTasks()).some(task => task.id === 'late'));
+  assert.notEqual(localStorage.getItem('epic-todo-list-data'), null);
+}));
+
+test('IndexedDB 已有任务时与旧任务合并，ID 相同时以 IndexedDB 为准', () => withBrowserStorage(async () => {
+  const manager = new StorageManager();
+  const existing = new IndexedDBAdapter();
+  await existing.save([{ id: 'shared', text: 'IndexedDB 版本' }], '1.0.0');
+  await new LocalStorageAdapter('epic-todo-list-data')
+    .save([{ id: 'shared', text: '旧版本' }, { id: 'legacy-only', text: '只在旧数据中' }], '1.0.0');
+
+  await manager.init();
+  const tasks = await manager.loadTasks();
+
+  assert.deepEqual(tasks.map(task => task.id), ['shared', 'legacy-only']);
+  assert.equal(tasks[0].text, 'IndexedDB 版本');
+}));
+
+test('迁移写入失败时保留旧数据且不写标记', () => withBrowserStorage(async () => {
+  await new LocalStorageAdapter('epic-todo-list-data').save([{ id: 'keep', text: '保留' }], '1.0.0');
+
+  const save = IndexedDBAdapter.prototype.save;
+  IndexedDBAdapter.prototype.save = async () => {
+    throw new Error('写入失败');
+  };
+  try {
+    const manager = new StorageManager();
+    const adapter = await manager.init();
+    assert.ok(adapter instanceof IndexedDBAdapter);
+    assert.equal(await adapter.getMeta('migratedFromLocalStorage'), null);
+    assert.notEqual(localStorage.getItem('epic-todo-list-data'), null);
+  } finally {
+    IndexedDBAdapter.prototype.save = save;
+  }
+}));
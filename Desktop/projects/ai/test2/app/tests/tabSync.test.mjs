@@ -0,0 +1,66 @@
+/**
+ * Epic Todo List - 多标签页同步测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import TabSync from '../scripts/tabSync.js';
+import taskManager from '../scripts/taskModel.js';
+
+await taskManager.ready;
+
+test.beforeEach(() => {
+  taskManager.tasks = [];
+});
+
+/**
+ * 记录发送消息而不真正广播的同步器
+ */
+function createTabSync() {
+  const tabSync = new TabSync(taskManager);
+  tabSync.sent = [];
+  tabSync.send = message => tabSync.sent.push(message);
+  return tabSync;
+}
+
+test('收到较旧的修改时回传本地版本', () => {
+  const tabSync = createTabSync();
+  const task = taskManager.addTask('本地较新');
+  const stale = { ...task.toJSON(), text: '其他标签页的旧版本', updatedAt: new Date(Date.now() - 60000).toISOString() };
+
+  tabSync.receive({ type: 'changes', tabId: 'other', upserts: [{ task: stale, index: 0 }], removals: [] });
+
+  assert.equal(task.text, '本地较新');
+  assert.equal(tabSync.sent.length, 1);
+  assert.equal(tabSync.sent[0].upserts[0].task.id, task.id);
+  assert.equal(tabSync.sent[0].upserts[0].task.text, '本地较新');
+});
+
+test('收到较早的删除时回传本地版本', () => {
+  const tabSync = createTabSync();
+  const task = taskManager.addTask('删除后又修改');
+
+  tabSync.receive({
+    type: 'changes',
+    tabId: 'other',
+    upserts: [],
+    removals: [{ id: task.id, removedAt: new Date(Date.now() - 60000).toISOString() }]
+  });
+
+  assert.ok(taskManager.tasks.includes(task));
+  assert.deepEqual(tabSync.sent.map(message => message.upserts[0].task.id), [task.id]);
+});
+
+test('远程版本胜出时不回传', () => {
+  const tabSync = createTabSync();
+  const task = taskManager.addTask('旧版本');
+  const newer = { ...task.toJSON(), text: '新版本', updatedAt: new Date(Date.now() + 60000).toISOString() };
+
+  tabSync.receive({ type: 'changes', tabId: 'other', upserts: [{ task: newer, index: 0 }], removals: [] });
+
+  assert.equal(taskManager.tasks[0].text, '新版本');
+  assert.equal(tabSync.sent.length, 0);
+});
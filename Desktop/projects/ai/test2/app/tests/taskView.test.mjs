@@ -0,0 +1,26 @@
+/**
+ * Epic Todo List - 任务视图测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TaskView, ToastManager, ModalManager } from '../scripts/taskView.js';
+
+test('转义结果可以安全地放进属性值', () => {
+  const payload = 'x" onmouseover="alert(1)\' <b>&';
+
+  [TaskView, ToastManager, ModalManager].forEach(View => {
+    const escaped = View.prototype.escapeHtml(payload);
+    assert.equal(escaped, 'x&quot; onmouseover=&quot;alert(1)&#39; &lt;b&gt;&amp;');
+    assert.ok(!/["'<>]/.test(escaped));
+  });
+});
+
+test('空值转义为空字符串', () => {
+  assert.equal(TaskView.prototype.escapeHtml(null), '');
+  assert.equal(TaskView.prototype.escapeHtml(undefined), '');
+  assert.equal(TaskView.prototype.escapeHtml(0), '0');
+});
@@ -0,0 +1,98 @@
+/**
+ * Epic Todo List - todo.txt 测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import TodoTxt from '../scripts/todoTxt.js';
+import { Task } from '../scripts/taskModel.js';
+
+test('导出后再导入保留任务字段', () => {
+  const parent = new Task('发布 v2 版本', {
+    priority: 'high',
+    category: '项目 A',
+    tags: ['work', '100%'],
+    dueDate: new Date(2026, 10, 1, 15, 30).toISOString(),
+    description: '检查清单\n和 50% 的回归测试',
+    recurrence: { type: 'weekly', interval: 2, weekdays: [1, 3] },
+    createdAt: new Date(2026, 9, 1).toISOString()
+  });
+  const child = new Task('写更新日志', { parentId: parent.id, blockedBy: [parent.id], position: 3, priority: 'low' });
+  const done = new Task('买牛奶', {
+    completed: true,
+    completedAt: new Date(2026, 9, 2).toISOString(),
+    createdAt: new Date(2026, 9, 1).toISOString(),
+    priority: 'high',
+    dueDate: new Date(2026, 9, 3, 23, 59).toISOString()
+  });
+  const source = [parent, child, done].map(task => task.toJSON());
+
+  const text = TodoTxt.stringify(source);
+  assert.ok(text.split('\n')[0].startsWith('(A) 2026-10-01 发布 v2 版本 +项目%20A @work @100%25 due:2026-11-01 due-time:15:30'));
+  assert.ok(text.split('\n')[2].startsWith('x 2026-10-02 2026-10-01 买牛奶 due:2026-10-03 pri:A'));
+
+  const [first, second, third] = TodoTxt.parse(text);
+  assert.equal(first.id, parent.id);
+  assert.equal(first.text, '发布 v2 版本');
+  assert.equal(first.priority, 'high');
+  assert.equal(first.category, '项目 A');
+  assert.deepEqual(first.tags, ['work', '100%']);
+  assert.equal(first.dueDate, parent.dueDate);
+  assert.equal(first.description, parent.description);
+  assert.equal(first.createdAt, parent.createdAt);
+  assert.equal(first.recurrence.type, 'weekly');
+  assert.equal(first.recurrence.interval, 2);
+  assert.deepEqual(first.recurrence.weekdays, [1, 3]);
+
+  assert.equal(second.parentId, parent.id);
+  assert.deepEqual(second.blockedBy, [parent.id]);
+  assert.equal(second.position, 3);
+  assert.equal(second.priority, 'low');
+
+  assert.equal(third.completed, true);
+  assert.equal(third.completedAt, done.completedAt);
+  assert.equal(third.createdAt, done.createdAt);
+  assert.equal(third.priority, 'high');
+  assert.equal(third.dueDate, done.dueDate);
+});
+
+test('优先级只在行首且为大写字母时识别', () => {
+  assert.equal(TodoTxt.parseLine('(B) 普通').priority, 'normal');
+  assert.equal(TodoTxt.parseLine('(D) 其他字母').priority, 'low');
+
+  const lower = TodoTxt.parseLine('(a) 小写不是优先级');
+  assert.equal(lower.priority, undefined);
+  assert.equal(lower.text, '(a) 小写不是优先级');
+
+  const middle = TodoTxt.parseLine('文字中间 (A) 不是优先级');
+  assert.equal(middle.priority, undefined);
+  assert.equal(middle.text, '文字中间 (A) 不是优先级');
+});
+
+test('无效的日期和时间不导入，未知的 key:value 保留在内容中', () => {
+  const invalidDue = TodoTxt.parseLine('2026-02-30 报税 due:2026-13-01 see:http://example.com');
+  assert.equal(invalidDue.createdAt, null);
+  assert.equal(invalidDue.dueDate, undefined);
+  assert.equal(invalidDue.text, '报税 see:http://example.com');
+
+  const invalidTime = TodoTxt.parseLine('开会 due:2026-11-01 due-time:25:99');
+  const due = new Date(invalidTime.dueDate);
+  assert.equal(due.getDate(), 1);
+  assert.equal(due.getHours(), 23);
+  assert.equal(due.getMinutes(), 59);
+
+  assert.equal(TodoTxt.parseLine('按完成日期 rec:3d').recurrence.type, 'afterCompletion');
+  assert.equal(TodoTxt.parseLine('每年 rec:+1y').recurrence.interval, 12);
+  assert.equal(TodoTxt.parseLine('无效规则 rec:often').recurrence, undefined);
+});
+
+test('空行和只有标记的行跳过，done.txt 中的任务归档', () => {
+  const tasks = TodoTxt.parse('\r\n   \nx\n(A)\n+项目 @标签\nx 2026-10-02 已完成\n', { archived: true });
+  assert.equal(tasks.length, 1);
+  assert.equal(tasks[0].text, '已完成');
+  assert.equal(tasks[0].archivedAt, tasks[0].completedAt);
+  assert.equal(TodoTxt.parseLine('坏编码 desc:%E0%A4%A').description, '%E0%A4%A');
+});
@@ -0,0 +1,38 @@
+/**
+ * Epic Todo List - 事务测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import taskManager from '../scripts/taskModel.js';
+
+await taskManager.ready;
+
+test.beforeEach(() => {
+  taskManager.tasks = [];
+});
+
+test('出错回滚时在原对象上恢复，只增删有变化的任务', () => {
+  const untouched = taskManager.addTask('不变');
+  const edited = taskManager.addTask('将被修改');
+  const removed = taskManager.addTask('将被删除');
+  const order = taskManager.tasks.map(task => task.id);
+
+  assert.throws(() => taskManager.transaction(() => {
+    taskManager.updateTask(edited.id, { text: '修改后', priority: 'high' });
+    taskManager.removeTask(removed.id);
+    taskManager.deleteTaskPermanently(removed.id);
+    taskManager.addTask('事务中新增');
+    throw new Error('中途失败');
+  }), /中途失败/);
+
+  assert.deepEqual(taskManager.tasks.map(task => task.id), order);
+  assert.equal(taskManager.tasks.find(task => task.id === untouched.id), untouched);
+  assert.equal(taskManager.tasks.find(task => task.id === edited.id), edited);
+  assert.equal(edited.text, '将被修改');
+  assert.equal(edited.priority, 'normal');
+  assert.equal(taskManager.tasks.find(task => task.id === removed.id).text, '将被删除');
+});
@@ -0,0 +1,203 @@
+/**
+ * Epic Todo List - 虚拟列表测试
+ * 作者: 乔帅
+ * 运行: node --test app/tests
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import VirtualList from '../scripts/virtualList.js';
+
+/**
+ * 最小的DOM节点，只实现 VirtualList 用到的部分
+ */
+class FakeNode {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.parentNode = null;
+    this.childNodes = [];
+    this.attributes = new Map();
+    this.style = {};
+    this.className = '';
+    this.offsetHeight = 0;
+    this.offsetParent = {};
+    this.top = 0;
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  insertBefore(node, reference) {
+    node.remove();
+    const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    const siblings = this.parentNode.childNodes;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  getBoundingClientRect() {
+    return { top: this.top };
+  }
+}
+
+const windowListeners = {};
+const frames = [];
+globalThis.document = { activeElement: null, createElement: tagName => new FakeNode(tagName) };
+globalThis.window = {
+  innerHeight: 500,
+  addEventListener: (type, listener) => {
+    windowListeners[type] = listener;
+  }
+};
+globalThis.requestAnimationFrame = callback => frames.push(callback);
+
+function flushFrames() {
+  frames.splice(0).forEach(callback => callback());
+}
+
+/**
+ * 创建列表，记录每个键的更新次数；每项高度为 item.height（未设置时为0，即未测量）
+ */
+function createList(options = {}) {
+  const container = new FakeNode('ul');
+  const updates = new Map();
+  const list = new VirtualList(container, {
+    getKey: item => item.id,
+    renderItem: item => ({ signature: `${item.id}:${item.text}`, item }),
+    updateElement: (element, state) => {
+      element.textContent = state.item.text;
+      element.offsetHeight = state.item.height || 0;
+      updates.set(state.item.id, (updates.get(state.item.id) || 0) + 1);
+    },
+    ...options
+  });
+  return { list, container, updates };
+}
+
+const createItems = (count, height) =>
+  Array.from({ length: count }, (_, i) => ({ id: `t${i}`, text: `任务 ${i}`, height }));
+const texts = container => container.childNodes.map(node => node.textContent);
+
+test('按键值复用元素，只更新内容有变化的项', () => {
+  const { list, container, updates } = createList();
+  const stray = new FakeNode('li');
+  container.insertBefore(stray, null);
+
+  const items = [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }];
+  list.setItems(items);
+  assert.deepEqual(texts(container), ['A', 'B', 'C']);
+  assert.equal(stray.parentNode, null);
+  const [elementA, elementB, elementC] = container.childNodes;
+
+  list.setItems([{ id: 'c', text: 'C' }, { id: 'a', text: 'A2' }, { id: 'd', text: 'D' }]);
+  assert.deepEqual(texts(container), ['C', 'A2', 'D']);
+  assert.equal(container.childNodes[0], elementC);
+  assert.equal(container.childNodes[1], elementA);
+  assert.equal(elementB.parentNode, null);
+  assert.deepEqual(Object.fromEntries(updates), { a: 2, b: 1, c: 1, d: 1 });
+
+  // 恢复原来的数据后元素顺序和内容也恢复
+  list.setItems(items);
+  assert.deepEqual(texts(container), ['A', 'B', 'C']);
+  assert.equal(container.childNodes[0], elementA);
+  assert.equal(container.childNodes[2], elementC);
+  assert.equal(list.getElement('d'), null);
+  assert.equal(container.childNodes[0].getAttribute('aria-posinset'), null);
+});
+
+test('超过阈值时只渲染可见区域附近的项，用占位元素撑开高度', () => {
+  const { list, container } = createList({ threshold: 10, estimatedHeight: 50, overscan: 2 });
+  list.setItems(createItems(100));
+
+  assert.ok(list.isVirtualized());
+  assert.deepEqual(list.range, { start: 0, end: 13 });
+  const [top, ...rest] = container.childNodes;
+  const bottom = rest.pop();
+  assert.equal(top.className, 'virtual-spacer');
+  assert.equal(top.style.height, '0px');
+  assert.equal(bottom.style.height, `${87 * 50}px`);
+  assert.equal(rest.length, 13);
+  assert.equal(rest[0].getAttribute('aria-setsize'), '100');
+  assert.equal(rest[12].getAttribute('aria-posinset'), '13');
+
+  // 滚动后在下一帧更新，同一帧内多次滚动只更新一次
+  container.top = -2000;
+  windowListeners.scroll();
+  windowListeners.scroll();
+  assert.equal(frames.length, 1);
+  flushFrames();
+  assert.deepEqual(list.range, { start: 38, end: 53 });
+  assert.equal(container.firstChild.style.height, `${38 * 50}px`);
+  assert.deepEqual(texts(container).slice(1, 3), ['任务 38', '任务 39']);
+
+  // 列表被隐藏时不更新
+  container.offsetParent = null;
+  container.top = 0;
+  windowListeners.scroll();
+  flushFrames();
+  assert.deepEqual(list.range, { start: 38, end: 53 });
+});
+
+test('按测量到的实际高度计算占位元素', () => {
+  const { list, container } = createList({ threshold: 10, estimatedHeight: 50, overscan: 0 });
+  list.setItems(createItems(100, 100));
+
+  // 首次按估计高度渲染 0~10，测量后这些项按实际高度计算
+  assert.deepEqual(list.range, { start: 0, end: 11 });
+  assert.equal(container.childNodes[container.childNodes.length - 1].style.height, `${89 * 50}px`);
+
+  list.setItems(list.items);
+  assert.deepEqual(list.range, { start: 0, end: 6 });
+});
+
+test('空列表和数量减少到阈值以下', () => {
+  const { list, container } = createList({ threshold: 10 });
+  list.setItems([]);
+  assert.deepEqual(container.childNodes, []);
+
+  list.setItems(createItems(50));
+  assert.equal(container.firstChild.className, 'virtual-spacer');
+
+  list.setItems(createItems(3));
+  assert.deepEqual(texts(container), ['任务 0', '任务 1', '任务 2']);
+  assert.ok(container.childNodes.every(node => node.className !== 'virtual-spacer'));
+  assert.equal(container.firstChild.getAttribute('aria-setsize'), null);
+
+  list.setItems([]);
+  assert.deepEqual(container.childNodes, []);
+  assert.equal(list.rendered.size, 0);
+});
@@ -0,0 +1,234 @@
+/**
+ * Epic Todo List - 同步参考服务器
+ * 作者: 乔帅
+ * 功能: 为 app/scripts/sync.js 提供任务存储与冲突检测，并托管日历订阅，无第三方依赖
+ *
+ * 启动: node server/syncServer.js
+ * 环境变量: PORT (默认 3001)、SYNC_DATA_FILE (默认 server/sync-data.json)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 任务仓库 - 保存任务和删除记录，并持久化到JSON文件
+ *
+ * 每次写入分配递增的序号 seq，客户端用上次拉取返回的 cursor 增量拉取。
+ * 同一毫秒内的多次写入序号也不同，不会漏拉
+ */
+class SyncStore {
+  constructor(dataFile) {
+    this.dataFile = dataFile;
+    this.tasks = {};   // id -> { task, syncedAt, seq }
+    this.deleted = {}; // id -> { deletedAt, syncedAt, seq }
+    this.seq = 0;
+    this.calendar = null; // 客户端生成的 ICS 日历，供日历客户端订阅
+    this.load();
+  }
+
+  load() {
+    if (!this.dataFile || !fs.existsSync(this.dataFile)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      this.tasks = data.tasks || {};
+      this.deleted = data.deleted || {};
+      this.calendar = data.calendar || null;
+      this.seq = data.seq || 0;
+
+      // 旧数据没有序号，按同步时间补上
+      [...Object.values(this.tasks), ...Object.values(this.deleted)]
+        .filter(record => !record.seq)
+        .sort((a, b) => String(a.syncedAt).localeCompare(String(b.syncedAt)))
+        .forEach(record => { record.seq = ++this.seq; });
+    } catch (error) {
+      console.error('读取同步数据失败:', error);
+    }
+  }
+
+  save() {
+    if (!this.dataFile) return;
+    fs.writeFileSync(this.dataFile, JSON.stringify({ tasks: this.tasks, deleted: this.deleted, calendar: this.calendar, seq: this.seq }, null, 2));
+  }
+
+  /**
+   * 获取服务器上任务的当前版本
+   */
+  getVersion(id) {
+    if (this.tasks[id]) return this.tasks[id].task.updatedAt;
+    if (this.deleted[id]) return this.deleted[id].deletedAt;
+    return null;
+  }
+
+  /**
+   * 获取游标之后变化的任务
+   * @param {string|number} since - 上次拉取返回的 cursor，省略或无效时返回全部
+   * @returns {Object} { tasks, deleted, cursor }
+   */
+  changesSince(since) {
+    const cursor = parseInt(since, 10) || 0;
+    const after = record => record.seq > cursor;
+
+    return {
+      tasks: Object.values(this.tasks).filter(after).map(record => record.task),
+      deleted: Object.entries(this.deleted)
+        .filter(([, record]) => after(record))
+        .map(([id, record]) => ({ id, deletedAt: record.deletedAt })),
+      cursor: this.seq
+    };
+  }
+
+  /**
+   * 应用客户端操作，版本不一致的操作作为冲突返回
+   */
+  applyOps(ops) {
+    const applied = [];
+    const conflicts = [];
+    const syncedAt = new Date().toISOString();
+
+    ops.forEach(op => {
+      if (!op || !op.id || !['upsert', 'delete'].includes(op.op)) return;
+
+      const serverVersion = this.getVersion(op.id);
+      if (serverVersion && serverVersion !== op.baseUpdatedAt) {
+        conflicts.push({
+          id: op.id,
+          server: this.tasks[op.id] ? this.tasks[op.id].task : null,
+          serverVersion
+        });
+        return;
+      }
+
+      if (op.op === 'upsert') {
+        if (!op.task || typeof op.task.text !== 'string') return;
+        this.tasks[op.id] = { task: op.task, syncedAt, seq: ++this.seq };
+        delete this.deleted[op.id];
+        applied.push({ id: op.id, updatedAt: op.task.updatedAt });
+      } else {
+        delete this.tasks[op.id];
+        this.deleted[op.id] = { deletedAt: op.deletedAt || syncedAt, syncedAt, seq: ++this.seq };
+        applied.push({ id: op.id, updatedAt: null });
+      }
+    });
+
+    if (applied.length > 0) {
+      this.save();
+    }
+
+    return { applied, conflicts };
+  }
+
+  /**
+   * 保存日历订阅内容
+   */
+  setCalendar(ics) {
+    this.calendar = ics;
+    this.save();
+  }
+}
+
+/**
+ * 发送JSON响应
+ */
+function sendJSON(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(data === null ? '' : JSON.stringify(data));
+}
+
+/**
+ * 发送日历订阅
+ */
+function sendCalendar(res, ics) {
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="calendar.ics"',
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(ics);
+}
+
+/**
+ * 读取请求体
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 10 * 1024 * 1024) {
+        reject(new Error('请求体过大'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 创建同步服务器
+ * @param {Object} options - { dataFile }，dataFile 为 null 时只保存在内存中
+ */
+function createSyncServer(options = {}) {
+  const store = new SyncStore(options.dataFile === undefined
+    ? path.join(__dirname, 'sync-data.json')
+    : options.dataFile);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'OPTIONS') {
+        sendJSON(res, 204, null);
+      } else if (req.method === 'GET' && url.pathname === '/tasks') {
+        const serverTime = new Date().toISOString();
+        sendJSON(res, 200, { ...store.changesSince(url.searchParams.get('since')), serverTime });
+      } else if (req.method === 'POST' && url.pathname === '/sync') {
+        const body = JSON.parse((await readBody(req)) || '{}');
+        if (!Array.isArray(body.ops)) {
+          sendJSON(res, 400, { error: 'ops 必须是数组' });
+          return;
+        }
+        sendJSON(res, 200, { ...store.applyOps(body.ops), serverTime: new Date().toISOString() });
+      } else if (req.method === 'GET' && url.pathname === '/calendar.ics') {
+        if (!store.calendar) {
+          sendJSON(res, 404, { error: '日历尚未发布' });
+          return;
+        }
+        sendCalendar(res, store.calendar);
+      } else if (req.method === 'PUT' && url.pathname === '/calendar.ics') {
+        const ics = await readBody(req);
+        if (!/^BEGIN:VCALENDAR/.test(ics)) {
+          sendJSON(res, 400, { error: '不是有效的iCalendar内容' });
+          return;
+        }
+        store.setCalendar(ics);
+        sendJSON(res, 200, { ok: true });
+      } else {
+        sendJSON(res, 404, { error: '接口不存在' });
+      }
+    } catch (error) {
+      sendJSON(res, 400, { error: error.message });
+    }
+  });
+
+  server.store = store;
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT, 10) || 3001;
+  const server = createSyncServer({ dataFile: process.env.SYNC_DATA_FILE });
+  server.listen(port, () => {
+    console.log(`同步服务器已启动: http://localhost:${port}`);
+  });
+}
+
+module.exports = { createSyncServer, SyncStore };
@@ -0,0 +1,105 @@
+/**
+ * Epic Todo List - 同步参考服务器测试
+ * 作者: 乔帅
+ * 运行: node --test server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSyncServer } = require('./syncServer');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = createSyncServer({ dataFile: null });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * 发送请求并解析JSON响应
+ */
+async function request(path, options = {}) {
+  const response = await fetch(baseUrl + path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function push(ops) {
+  return request('/sync', { method: 'POST', body: JSON.stringify({ ops }) });
+}
+
+function createTask(id, text, updatedAt) {
+  return { id, text, updatedAt };
+}
+
+test('推送后可以拉取，游标之后只返回新的变更', async () => {
+  const first = createTask('t1', '买牛奶', '2026-01-01T00:00:00.000Z');
+  const pushed = await push([{ op: 'upsert', id: 't1', task: first, baseUpdatedAt: null }]);
+  assert.equal(pushed.status, 200);
+  assert.deepEqual(pushed.body.applied, [{ id: 't1', updatedAt: first.updatedAt }]);
+  assert.deepEqual(pushed.body.conflicts, []);
+
+  const all = await request('/tasks');
+  assert.deepEqual(all.body.tasks, [first]);
+
+  const second = createTask('t2', '写周报', '2026-01-01T00:00:01.000Z');
+  await push([
+    { op: 'upsert', id: 't2', task: second, baseUpdatedAt: null },
+    { op: 'delete', id: 't1', deletedAt: '2026-01-01T00:00:02.000Z', baseUpdatedAt: first.updatedAt }
+  ]);
+
+  const changes = await request(`/tasks?since=${all.body.cursor}`);
+  assert.deepEqual(changes.body.tasks, [second]);
+  assert.deepEqual(changes.body.deleted, [{ id: 't1', deletedAt: '2026-01-01T00:00:02.000Z' }]);
+
+  const none = await request(`/tasks?since=${changes.body.cursor}`);
+  assert.deepEqual(none.body.tasks, []);
+  assert.deepEqual(none.body.deleted, []);
+});
+
+test('同一毫秒内的写入不会漏拉', () => {
+  const store = server.store;
+
+  // 同步连续调用，几次写入的 syncedAt 落在同一毫秒
+  const before = store.changesSince(null).cursor;
+  store.applyOps([{ op: 'upsert', id: 's1', task: createTask('s1', '同一毫秒一', 'v1'), baseUpdatedAt: null }]);
+  const between = store.changesSince(before);
+  store.applyOps([{ op: 'upsert', id: 's2', task: createTask('s2', '同一毫秒二', 'v1'), baseUpdatedAt: null }]);
+  const after = store.changesSince(between.cursor);
+
+  assert.deepEqual(between.tasks.map(task => task.id), ['s1']);
+  assert.deepEqual(after.tasks.map(task => task.id), ['s2']);
+});
+
+test('baseUpdatedAt 与服务器版本不一致时返回冲突且不覆盖', async () => {
+  const original = createTask('c1', '原始', '2026-02-01T00:00:00.000Z');
+  await push([{ op: 'upsert', id: 'c1', task: original, baseUpdatedAt: null }]);
+
+  const stale = createTask('c1', '基于旧版本的修改', '2026-02-01T00:00:05.000Z');
+  const result = await push([{ op: 'upsert', id: 'c1', task: stale, baseUpdatedAt: '2026-01-31T00:00:00.000Z' }]);
+  assert.deepEqual(result.body.applied, []);
+  assert.deepEqual(result.body.conflicts, [{ id: 'c1', server: original, serverVersion: original.updatedAt }]);
+
+  const created = await push([{ op: 'upsert', id: 'c1', task: stale, baseUpdatedAt: null }]);
+  assert.equal(created.body.conflicts.length, 1, '服务器已有该任务时不能当作新建');
+
+  const all = await request('/tasks');
+  assert.equal(all.body.tasks.find(task => task.id === 'c1').text, '原始');
+});
+
+test('请求体不是合法JSON时返回400', async () => {
+  const malformed = await request('/sync', { method: 'POST', body: '{"ops": [' });
+  assert.equal(malformed.status, 400);
+  assert.ok(malformed.body.error);
+
+  const notArray = await request('/sync', { method: 'POST', body: JSON.stringify({ ops: 'x' }) });
+  assert.equal(notArray.status, 400);
+  assert.equal(notArray.body.error, 'ops 必须是数组');
+});